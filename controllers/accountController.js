@@ -5,23 +5,23 @@
 // Uses Server-Sent Events (SSE) for real-time updates during account creation. hiii this is test
 // =======================================================
 
-const ghlService = require("../services/ghlService");
-const googleDriveService = require("../services/googleDriveService");
-const OAuthCredentials = require("../models/OAuthCredentials");
-const { delay } = require("../services/utils");
+const mongoose = require("mongoose");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const provisioningWorker = require("../services/provisioningWorker");
+const provisioningEvents = require("../services/provisioningEvents");
+const agencyService = require("../services/agencyService");
+const onboardingService = require("../services/onboardingService");
+const apiKeyService = require("../services/apiKeyService");
+const requestSchema = require("../services/requestSchema");
+const duplicateCheckService = require("../services/duplicateCheckService");
 
-const GHL_SNAPSHOT_ID = process.env.GHL_SNAPSHOT_ID;
-const GHL_PARENT_LOCATION_ID = process.env.GHL_PARENT_LOCATION_ID; // The agency's parent location ID
-const GOOGLE_DRIVE_PARENT_FOLDER_ID = process.env.GOOGLE_DRIVE_PARENT_FOLDER_ID;
-const GHL_AGENCY_COMPANY_ID = process.env.GHL_COMPANY_ID; // The static agency companyId
+const EVENT_POLL_INTERVAL_MS = 2000; // Picks up events recorded by workers on other instances
+const KEEP_ALIVE_INTERVAL_MS = 15000;
 
 /**
- * SSE endpoint to process account creation and provide real-time updates.
- * @route POST /accountCreationSSE
+ * Writes the SSE response headers and flushes them to the client.
  */
-const createAccountSSE = async (req, res) => {
-  console.log("Received /accountCreationSSE request.");
-
+const openEventStream = (req, res, extraHeaders = {}) => {
   // Set CORS headers for SSE
   res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
   res.setHeader("Access-Control-Allow-Credentials", "true");
@@ -29,364 +29,288 @@ const createAccountSSE = async (req, res) => {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
     Connection: "keep-alive",
+    ...extraHeaders,
   });
   if (res.flush) res.flush(); // Ensure headers are sent immediately
+};
 
-  // Helper: send major update messages to the client.
-  const sendEvent = (msg) => {
-    res.write(`data: ${msg}\n\n`);
-    if (res.flush) res.flush();
-  };
+/**
+ * Writes a single SSE frame. Skipped once the client has gone away.
+ */
+const writeSseFrame = (res, { id, event, data }) => {
+  if (res.writableEnded || res.destroyed) return;
+  let frame = "";
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  frame += `data: ${data}\n\n`;
+  res.write(frame);
+  if (res.flush) res.flush();
+};
 
-  try {
-    // ==============================================================
-    // Step 1: Validate Input & Check for Required Fields
-    // ==============================================================
-    console.log("Step 1: Validating input data.");
-    const {
-      first_name: firstName,
-      last_name: lastName,
-      email,
-      phone,
-      address1: address,
-      city,
-      state,
-      country,
-      postal_code: postalCode,
-    } = req.body;
-    // Support both "Business Name" (from your JSON) and "business_name" (default)
-    const businessName = req.body["Business Name"] || req.body.business_name;
+/**
+ * Writes a progress event in the /accountCreationSSE format: the message as
+ * an unnamed event, plus a named "credentials" event carrying the one-time
+ * reveal token (never the password). Replayed events carry the token too,
+ * until the password has been revealed.
+ */
+const writeProgressFrame = (res, event) => {
+  if (event.message) writeSseFrame(res, { id: event.seq, data: event.message });
+  if (event.data?.credentials) {
+    writeSseFrame(res, {
+      event: "credentials",
+      data: JSON.stringify(event.data.credentials),
+    });
+  }
+};
 
-    if (
-      !firstName ||
-      !lastName ||
-      !email ||
-      !businessName ||
-      !phone ||
-      !address ||
-      !city ||
-      !state ||
-      !country ||
-      !postalCode
-    ) {
-      console.error("Missing required fields in the request body.");
-      sendEvent("❌ Error: Missing required fields.");
-      return res.end();
-    }
-    console.log("Step 1 Completed: All required fields are provided.");
+/**
+ * Relays a job's stored events after afterSeq to an open stream, then its
+ * new events as they are recorded (here or on another instance), and closes
+ * the stream after the "done" event or when the client goes away.
+ * @param {Object} req - The request (closing it stops the relay).
+ * @param {Object} res - The open SSE response.
+ * @param {string} jobId - The job ID.
+ * @param {number} afterSeq - Last event the client already has.
+ * @param {Function} writeEvent - (res, event) => void
+ */
+const relayJobEvents = (req, res, jobId, afterSeq, writeEvent) => {
+  let lastSentSeq = afterSeq;
+  let closed = false;
+  let pumping = null;
+  let pumpAgain = false;
 
-    // ==============================================================
-    // Step 2: Retrieve OAuth Credentials and Check User Uniqueness
-    // ==============================================================
-    console.log("Step 2: Retrieving OAuth credentials.");
-    const credentials = await OAuthCredentials.findOne({
-      companyId: GHL_AGENCY_COMPANY_ID,
-    });
-    if (!credentials || !credentials.access_token) {
-      console.error("Access token not available. Authorization required.");
-      sendEvent(
-        "❌ Error: Access token not available. Please authorize first."
-      );
-      return res.end();
-    }
-    const agencyAccessToken = credentials.access_token;
-    const agencyCompanyId = credentials.companyId || GHL_AGENCY_COMPANY_ID; // Fallback to env if not in DB
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(keepAliveTimer);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  };
 
-    console.log("Step 2.1: Checking for existing user with email:", email);
-    const userExists = await ghlService.checkUserExists(
-      agencyCompanyId,
-      email,
-      agencyAccessToken
-    );
-    if (userExists) {
-      console.error("User already exists with email:", email);
-      sendEvent("❌ Error: User already exists.");
-      return res.end();
+  // Sends every stored event after the last one written, in order. Live
+  // notifications and the poll timer both funnel through here.
+  const pump = () => {
+    if (closed) return;
+    if (pumping) {
+      pumpAgain = true;
+      return;
     }
-    console.log("Step 2 Completed: Email is unique.");
-    sendEvent("Validating your details...");
-
-    // ==============================================================
-    // Step 3: Create Account (Location)
-    // ==============================================================
-    console.log(
-      "Step 3: Creating account (location) with provided business details."
-    );
-    sendEvent("Creating your new marketing account...");
-    const accountData = {
-      name: businessName,
-      phone: phone,
-      companyId: agencyCompanyId,
-      address: address,
-      city: city,
-      state: state,
-      country: country,
-      postalCode: postalCode,
-      prospectInfo: { firstName, lastName, email },
-      snapshotId: GHL_SNAPSHOT_ID, // Use snapshotId from environment
-    };
-    const creationResponse = await ghlService.createAccount(
-      agencyAccessToken,
-      accountData
-    );
-    console.log(
-      "Step 3 Completed: Account created successfully. Account ID:",
-      creationResponse.id
-    );
-    sendEvent("Welcome aboard! Your journey to smarter marketing starts here.");
+    pumping = provisioningEvents
+      .listEvents(jobId, lastSentSeq)
+      .then((events) => {
+        for (const event of events) {
+          if (closed) return;
+          writeEvent(res, event);
+          lastSentSeq = event.seq;
+          if (event.type === "done") return close();
+        }
+      })
+      .catch((err) =>
+        console.error("Error streaming provisioning events:", err.message)
+      )
+      .finally(() => {
+        pumping = null;
+        if (pumpAgain) {
+          pumpAgain = false;
+          pump();
+        }
+      });
+  };
 
-    // ==============================================================
-    // Step 4: Create User for the New Account
-    // ==============================================================
-    console.log("Step 4: Creating user for the new account.");
-    sendEvent("Setting up your user profile...");
-    console.log("Step 4.1: Delaying 10 seconds before user creation.");
-    await delay(10000); // Wait for GHL to provision the account
-    console.log("Step 4.2: Proceeding with user creation.");
+  const unsubscribe = provisioningEvents.subscribe(jobId, pump);
+  const pollTimer = setInterval(pump, EVENT_POLL_INTERVAL_MS);
+  const keepAliveTimer = setInterval(() => {
+    if (!res.writableEnded) res.write(": keep-alive\n\n");
+  }, KEEP_ALIVE_INTERVAL_MS);
+  req.on("close", close);
 
-    const password = `Marketcl!ng_${country}${postalCode}`; // Password generation as per original logic
-    const userPayload = {
-      companyId: agencyCompanyId,
-      firstName: firstName,
-      lastName: lastName,
-      email: email,
-      password: password,
-      phone: phone,
-      type: "account",
-      role: "admin",
-      locationIds: [creationResponse.id],
-      permissions: {
-        campaignsEnabled: true,
-        campaignsReadOnly: true,
-        contactsEnabled: true,
-        workflowsEnabled: true,
-        workflowsReadOnly: true,
-        triggersEnabled: true,
-        funnelsEnabled: true,
-        websitesEnabled: true,
-        opportunitiesEnabled: true,
-        dashboardStatsEnabled: true,
-        bulkRequestsEnabled: true,
-        appointmentsEnabled: true,
-        reviewsEnabled: true,
-        onlineListingsEnabled: true,
-        phoneCallEnabled: true,
-        conversationsEnabled: true,
-        assignedDataOnly: true,
-        adwordsReportingEnabled: true,
-        membershipEnabled: true,
-        facebookAdsReportingEnabled: true,
-        attributionsReportingEnabled: true,
-        settingsEnabled: true,
-        tagsEnabled: true,
-        leadValueEnabled: true,
-        marketingEnabled: true,
-        agentReportingEnabled: true,
-        botService: true,
-        socialPlanner: true,
-        bloggingEnabled: true,
-        invoiceEnabled: true,
-        affiliateManagerEnabled: true,
-        contentAiEnabled: true,
-        refundsEnabled: true,
-        recordPaymentEnabled: true,
-        cancelSubscriptionEnabled: true,
-        paymentsEnabled: true,
-        communitiesEnabled: true,
-        exportPaymentsEnabled: true,
-      },
-    };
-    await ghlService.createUser(agencyAccessToken, userPayload);
-    console.log("Step 4 Completed: User created successfully.");
-    sendEvent("You're one step closer to automating your marketing!");
+  pump();
+};
 
-    // ==============================================================
-    // Step 5: Retrieve Funnel List for Command Center Link
-    // ==============================================================
-    console.log("Step 5: Retrieving command center link from funnel list.");
-    sendEvent("Configuring your command center...");
+/**
+ * Answers a repeated /accountCreationSSE request (same Idempotency-Key) by
+ * following the job the first request created instead of starting another:
+ * its progress so far is replayed, then followed until it is done.
+ */
+const attachToExistingJob = (req, res, job) => {
+  console.log(
+    `Idempotency-Key matched provisioning job ${job._id}; attaching to it.`
+  );
+  if (!res.headersSent) openEventStream(req, res);
+  writeSseFrame(res, {
+    event: "job",
+    data: JSON.stringify({ jobId: job._id, attached: true }),
+  });
+  relayJobEvents(req, res, String(job._id), 0, writeProgressFrame);
+};
 
-    // Get location-specific access token for the newly created location
-    const childAccessToken = await ghlService.getLocationAccessToken(
-      agencyCompanyId,
-      creationResponse.id,
-      agencyAccessToken
-    );
-    await delay(10000); // Delay for GHL to provision location token fully
-    console.log("Delay after child access token for funnel list.");
+/**
+ * SSE endpoint to process account creation and provide real-time updates.
+ * The onboarding itself is persisted as a provisioning job and driven by the
+ * provisioning worker, so it survives the client disconnecting and can be
+ * resumed if this instance goes away mid-flow.
+ * Expects req.agency to be set by the resolveAgency middleware and
+ * req.validatedBody by validateBody(onboardingSchema). Problems with the
+ * request are answered with a JSON error before the stream opens.
+ * With dryRun (body or query) nothing is created: the response is a JSON
+ * plan of every step, built with read-only GHL calls.
+ * @route POST /accountCreationSSE
+ */
+const createAccountSSE = async (req, res, next) => {
+  console.log("Received /accountCreationSSE request.");
 
-    const funnelPageID = await ghlService.getFunnelList(
-      creationResponse.id,
-      childAccessToken
-    );
-    let commandCenterLink = funnelPageID; // The page ID is the link ending
-    console.log(
-      "Step 5 Completed: Command Center Link retrieved:",
-      commandCenterLink
-    );
+  // ==============================================================
+  // Step 1: Input was validated and normalised by the onboarding schema
+  // ==============================================================
+  const { agency } = req;
+  const input = req.validatedBody;
+  // A dry run answers with a plan of what would be done, writing nothing
+  const dryRun = req.body.dryRun === true || req.query.dryRun === "true";
 
-    // ==============================================================
-    // Step 6: Create Google Drive Folder
-    // ==============================================================
-    console.log("Step 6: Creating Google Drive folder.");
-    sendEvent(
-      "Getting things organized! Your Google Drive folder is on its way."
-    );
-    let folderId;
+  // A repeated request (double submit, client retry) follows the first run
+  const idempotencyKey = dryRun ? undefined : req.get("Idempotency-Key");
+  const requestHash = provisioningWorker.hashRequest(
+    input,
+    req.body.templateId || req.body.template
+  );
+  if (idempotencyKey) {
+    if (idempotencyKey.length > 255) {
+      const error = new Error(
+        "Idempotency-Key must be at most 255 characters."
+      );
+      error.statusCode = 400;
+      return next(error);
+    }
     try {
-      folderId = await googleDriveService.createFolder(
-        creationResponse.name, // Business name for folder name
-        GOOGLE_DRIVE_PARENT_FOLDER_ID, // Parent folder ID from env
-        creationResponse.email // Email to share with
+      const existingJob = await provisioningWorker.findJobByIdempotencyKey(
+        agency.companyId,
+        idempotencyKey
       );
-      console.log("Step 6 Completed: Folder created with ID:", folderId);
-      sendEvent("Google Drive folder created successfully.");
-    } catch (folderErr) {
-      console.error("Error during Google Drive folder creation:", folderErr);
-      sendEvent("❌ Error during Google Drive folder creation.");
-      return res.end(); // Terminate SSE stream on critical error
+      if (existingJob) {
+        if (existingJob.requestHash !== requestHash) {
+          const error = new Error(
+            "This Idempotency-Key was already used for a different request."
+          );
+          error.statusCode = 422;
+          return next(error);
+        }
+        return attachToExistingJob(req, res, existingJob);
+      }
+    } catch (err) {
+      console.error("Error looking up Idempotency-Key:", err);
+      err.statusCode = 500;
+      return next(err);
     }
-    const driveFolderLink = `https://drive.google.com/drive/folders/${folderId}`;
-    console.log("Drive Folder Link:", driveFolderLink);
-
-    // ==============================================================
-    // Step 7: Update Custom Values
-    // ==============================================================
-    console.log("Step 7: Processing custom values update.");
-    sendEvent("Hang tight! We’re setting up your Clingy experience.");
-
-    const fieldsToSync = [
-      "Agency Color 1",
-      "Agency Color 2",
-      "Agency Dark Logo",
-      "Agency Light Logo",
-      "Agency Name",
-      "Agency Phone Number",
-      "Agency Support Email",
-      "Command Center Link Ending",
-      "Client Assets Folder Link",
-    ];
+  }
 
-    // Retrieve parent custom values (from your specific parent location)
-    const parentAccessToken = await ghlService.getLocationAccessToken(
-      agencyCompanyId,
-      GHL_PARENT_LOCATION_ID, // Agency's parent location from env
-      agencyAccessToken
-    );
-    const parentCustomValues = await ghlService.getCustomValues(
-      GHL_PARENT_LOCATION_ID,
-      parentAccessToken
-    );
-    const parentCustom = {};
-    parentCustomValues.forEach((item) => {
-      if (fieldsToSync.includes(item.name)) {
-        parentCustom[item.name] = {
-          id: item.id,
-          name: item.name,
-          value: item.value,
-        };
-      }
+  // ==============================================================
+  // Step 2: Pick the provisioning template and check the password
+  // ==============================================================
+  let onboarding;
+  try {
+    // The template may be chosen by ID or name; otherwise the agency default applies
+    onboarding = await onboardingService.prepare(agency, {
+      input,
+      templateRef: req.body.templateId || req.body.template,
+      password: req.body.password,
     });
-    await delay(10000); // Pause before retrieving child's custom values
-
-    // Retrieve child's custom values (from the newly created location)
-    const childCustomValues = await ghlService.getCustomValues(
-      creationResponse.id,
-      childAccessToken
+    console.log(
+      `Using provisioning template "${onboarding.template.name}" (version ${onboarding.template.version}).`
     );
-    const childCustom = {};
-    childCustomValues.forEach((item) => {
-      if (fieldsToSync.includes(item.name)) {
-        childCustom[item.name] = {
-          id: item.id,
-          name: item.name,
-          value: item.value,
-        };
-      }
-    });
-    await delay(5000); // Pause before updating
 
-    // Update each custom field from parent to child (except special ones)
-    for (let fieldName of fieldsToSync) {
-      if (
-        fieldName !== "Client Assets Folder Link" &&
-        fieldName !== "Command Center Link Ending"
-      ) {
-        if (parentCustom[fieldName] && childCustom[fieldName]) {
-          try {
-            await ghlService.updateCustomValue(
-              creationResponse.id,
-              childCustom[fieldName].id,
-              parentCustom[fieldName].name,
-              parentCustom[fieldName].value,
-              childAccessToken
-            );
-          } catch (updateError) {
-            console.error(
-              `Skipping update for "${fieldName}" due to error:`,
-              updateError.message
-            );
-            // Do not re-throw here to allow other updates to proceed
-          }
-        }
-      }
-    }
+    // Refuse to onboard a business the agency already has, unless asked to
+    const duplicates =
+      req.body.allowDuplicates === true
+        ? []
+        : await duplicateCheckService.findDuplicates(agency.companyId, input);
 
-    // Specifically update "Command Center Link Ending"
-    try {
-      const commandField = childCustom["Command Center Link Ending"];
-      if (commandField && commandCenterLink) {
-        await ghlService.updateCustomValue(
-          creationResponse.id,
-          commandField.id,
-          "Command Center Link Ending",
-          `/${commandCenterLink}`, // Add leading slash as per original logic
-          childAccessToken
-        );
-      } else {
-        console.log(
-          "No update required for 'Command Center Link Ending' (field missing or link not found)."
-        );
-      }
-    } catch (cmdUpdateError) {
-      console.error(
-        "Error updating 'Command Center Link Ending':",
-        cmdUpdateError.message
+    if (dryRun) {
+      const plan = await provisioningWorker.planJob({
+        companyId: agency.companyId,
+        input,
+        config: onboarding.config,
+      });
+      console.log(
+        `Dry run planned for /accountCreationSSE (ready: ${plan.ready}).`
       );
+      return res.status(200).json({
+        dryRun: true,
+        template: {
+          name: onboarding.template.name,
+          version: onboarding.template.version,
+        },
+        credentialMode: onboarding.credentialMode,
+        input,
+        duplicates,
+        ...plan,
+        ready: plan.ready && duplicates.length === 0,
+      });
     }
 
-    // Specifically update "Client Assets Folder Link"
-    try {
-      const clientAssetsField = childCustom["Client Assets Folder Link"];
-      if (clientAssetsField) {
-        await ghlService.updateCustomValue(
-          creationResponse.id,
-          clientAssetsField.id,
-          "Client Assets Folder Link",
-          driveFolderLink,
-          childAccessToken
-        );
-      } else {
-        console.log("No custom field found for 'Client Assets Folder Link'.");
-      }
-    } catch (clientAssetsError) {
-      console.error(
-        "Error updating 'Client Assets Folder Link':",
-        clientAssetsError.message
-      );
+    if (duplicates.length > 0) {
+      console.error("Onboarding refused: the business already exists.");
+      const error = requestSchema.validationError(duplicates);
+      error.message =
+        "A location for this business already exists. Send allowDuplicates: true to create another one.";
+      error.statusCode = 409;
+      return next(error);
     }
+  } catch (err) {
+    console.error("Error preparing /accountCreationSSE request:", err);
+    err.statusCode = err.statusCode || 500;
+    return next(err);
+  }
 
-    sendEvent("Success! Your details are saved, and Clingy is ready to roll.");
+  openEventStream(req, res);
 
+  // Helper: send major update messages to the client.
+  // The job keeps running if the client goes away, so writes are skipped then.
+  const sendEvent = (msg, id) => writeSseFrame(res, { id, data: msg });
+
+  let job;
+  try {
     // ==============================================================
-    // Final Step: Account Creation Completed
+    // Step 3: Persist the job
     // ==============================================================
-    console.log(
-      "All steps completed successfully. Finalizing account creation process."
+    job = await provisioningWorker.createJob({
+      companyId: agency.companyId,
+      idempotencyKey,
+      requestHash,
+      input,
+      secrets: onboarding.secrets,
+      config: onboarding.config,
+    });
+    console.log("Step 3 Completed: Provisioning job created:", job._id);
+    // Named event, so legacy clients listening on "message" ignore it. Clients
+    // that lose the stream reconnect to GET /provisioning-jobs/:jobId/events.
+    writeSseFrame(res, {
+      event: "job",
+      data: JSON.stringify({ jobId: job._id }),
+    });
+
+    // ==============================================================
+    // Step 4: Run the job, relaying progress messages to the client
+    // ==============================================================
+    const unsubscribe = provisioningEvents.subscribe(job._id, (event) =>
+      writeProgressFrame(res, event)
     );
-    sendEvent("Great job! Your account is now active and ready for action.");
+    try {
+      await provisioningWorker.runJob(job._id);
+    } finally {
+      unsubscribe();
+    }
     res.end(); // Close the SSE stream
   } catch (err) {
+    if (!job && err.code === 11000 && idempotencyKey) {
+      // A concurrent request with the same key created the job first
+      const existingJob = await provisioningWorker
+        .findJobByIdempotencyKey(agency.companyId, idempotencyKey)
+        .catch(() => null);
+      if (existingJob?.requestHash === requestHash) {
+        return attachToExistingJob(req, res, existingJob);
+      }
+    }
     console.error("Critical error in /accountCreationSSE flow:", err);
     sendEvent(
       "❌ Error: " +
@@ -397,17 +321,62 @@ const createAccountSSE = async (req, res) => {
 };
 
 /**
- * Returns the agency-level OAuth token.
+ * SSE endpoint that follows a provisioning job's progress.
+ * Emits numbered, typed events (step-started, step-completed, waiting,
+ * warning, error, done) with JSON payloads. Clients reconnecting with Last-Event-ID (or the
+ * lastEventId query parameter) get every event they missed replayed first.
+ * The stream closes after the "done" event.
+ * @route GET /provisioning-jobs/:jobId/events
+ */
+const streamProvisioningEvents = async (req, res, next) => {
+  const { jobId } = req.params;
+  if (!mongoose.isValidObjectId(jobId)) {
+    const error = new Error("Invalid provisioning job ID.");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    // SSO users only see jobs of their own agency
+    const job = await ProvisioningJob.exists({
+      _id: jobId,
+      ...(req.ssoUser ? { companyId: req.ssoUser.companyId } : {}),
+    });
+    if (!job) {
+      const error = new Error("Provisioning job not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+  } catch (err) {
+    console.error("Error looking up provisioning job:", err);
+    err.statusCode = 500;
+    return next(err);
+  }
+
+  const lastEventId =
+    parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10) || 0;
+  console.log(
+    `Streaming events for provisioning job ${jobId} after event ${lastEventId}.`
+  );
+  openEventStream(req, res);
+  res.write("retry: 3000\n\n");
+  relayJobEvents(req, res, jobId, lastEventId, (stream, event) =>
+    writeSseFrame(stream, {
+      id: event.seq,
+      event: event.type,
+      data: JSON.stringify(event),
+    })
+  );
+};
+
+/**
+ * Returns the agency-level OAuth access token of the agency resolved for the
+ * request. The refresh token never leaves the server.
  * @route GET /agency-token
  */
 const getAgencyToken = async (req, res, next) => {
   try {
-    // Pull the most recent credentials document for the agency
-    const creds = await OAuthCredentials.findOne({
-      companyId: GHL_AGENCY_COMPANY_ID,
-    })
-      .sort({ created_at: -1 })
-      .exec();
+    const creds = await agencyService.getAgencyCredentials(req.companyId);
     if (!creds || !creds.access_token) {
       const error = new Error(
         "No agency token found. Please ensure OAuth authorization is complete."
@@ -415,9 +384,13 @@ const getAgencyToken = async (req, res, next) => {
       error.statusCode = 404;
       return next(error);
     }
+    await apiKeyService.auditTokenAccess(req, {
+      tokenType: "agency",
+      outcome: "granted",
+    });
+    res.setHeader("Cache-Control", "no-store");
     res.status(200).json({
       accessToken: creds.access_token,
-      refreshToken: creds.refresh_token,
     });
   } catch (err) {
     console.error("Error fetching agency token:", err);
@@ -428,5 +401,6 @@ const getAgencyToken = async (req, res, next) => {
 
 module.exports = {
   createAccountSSE,
+  streamProvisioningEvents,
   getAgencyToken,
 };
@@ -0,0 +1,125 @@
+// =======================================================
+// File: controllers/agencyController.js
+// Description: Handles admin requests for agency (tenant) configuration.
+// =======================================================
+
+const Agency = require("../models/Agency");
+
+// Fields an admin may set on an agency
+const EDITABLE_FIELDS = [
+  "name",
+  "snapshotId",
+  "parentLocationId",
+  "driveParentFolderId",
+  "customFieldsToSync",
+  "defaultTemplate",
+  "inviteWebhookUrl",
+  "customValueSyncEnabled",
+  "isActive",
+];
+
+/**
+ * Lists all configured agencies.
+ * @route GET /api/agencies
+ */
+const listAgencies = async (req, res, next) => {
+  try {
+    const agencies = await Agency.find().sort({ companyId: 1 }).lean();
+    res.status(200).json({ agencies });
+  } catch (error) {
+    console.error("Error listing agencies:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Returns a single agency's configuration.
+ * @route GET /api/agencies/:companyId
+ */
+const getAgency = async (req, res, next) => {
+  try {
+    const agency = await Agency.findOne({
+      companyId: req.params.companyId,
+    }).lean();
+    if (!agency) {
+      const error = new Error("Agency not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+    res.status(200).json({ agency });
+  } catch (error) {
+    console.error("Error fetching agency:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Creates or updates an agency's configuration.
+ * @route PUT /api/agencies/:companyId
+ */
+const upsertAgency = async (req, res, next) => {
+  const update = { updated_at: new Date() };
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) update[field] = req.body[field];
+  });
+
+  if (
+    update.customFieldsToSync !== undefined &&
+    (!Array.isArray(update.customFieldsToSync) ||
+      update.customFieldsToSync.some((name) => typeof name !== "string"))
+  ) {
+    const error = new Error("customFieldsToSync must be an array of strings.");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const agency = await Agency.findOneAndUpdate(
+      { companyId: req.params.companyId },
+      { $set: update },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        runValidators: true,
+      }
+    ).lean();
+    console.log(
+      `Agency configuration saved for companyId: ${agency.companyId}`
+    );
+    res.status(200).json({ agency });
+  } catch (error) {
+    console.error("Error saving agency:", error);
+    error.statusCode = error.name === "ValidationError" ? 400 : 500;
+    next(error);
+  }
+};
+
+/**
+ * Deletes an agency's configuration. Stored OAuth credentials are kept.
+ * @route DELETE /api/agencies/:companyId
+ */
+const deleteAgency = async (req, res, next) => {
+  try {
+    const result = await Agency.deleteOne({ companyId: req.params.companyId });
+    if (result.deletedCount === 0) {
+      const error = new Error("Agency not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting agency:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  listAgencies,
+  getAgency,
+  upsertAgency,
+  deleteAgency,
+};
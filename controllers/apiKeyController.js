@@ -0,0 +1,154 @@
+// =======================================================
+// File: controllers/apiKeyController.js
+// Description: Handles admin requests for API keys and the token audit log.
+// =======================================================
+
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const agencyService = require("../services/agencyService");
+const apiKeyService = require("../services/apiKeyService");
+
+/**
+ * Validates the body of an issue request.
+ * @returns {string|null} - An error message, or null if the body is valid.
+ */
+function validateIssueRequest({
+  name,
+  companyId,
+  scopes,
+  locationIds,
+  expiresAt,
+}) {
+  if (!name || !companyId) {
+    return "Missing required fields: name and companyId.";
+  }
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !ApiKey.SCOPES.includes(scope))
+  ) {
+    return `scopes must be a non-empty array of: ${ApiKey.SCOPES.join(", ")}.`;
+  }
+  if (
+    locationIds !== undefined &&
+    (!Array.isArray(locationIds) ||
+      locationIds.some((id) => typeof id !== "string" || !id))
+  ) {
+    return "locationIds must be an array of location IDs.";
+  }
+  if (expiresAt !== undefined && Number.isNaN(new Date(expiresAt).getTime())) {
+    return "expiresAt must be a date.";
+  }
+  return null;
+}
+
+/**
+ * Issues a new API key. The key is only ever returned in this response.
+ * @route POST /api/api-keys
+ */
+const issueApiKey = async (req, res, next) => {
+  const validationError = validateIssueRequest(req.body);
+  if (validationError) {
+    const error = new Error(validationError);
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  const { name, companyId, scopes, locationIds, expiresAt } = req.body;
+  try {
+    const agency = await agencyService.getAgencyConfig(companyId);
+    if (!agency) {
+      const error = new Error(`Unknown agency: ${companyId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+
+    const { apiKey, key } = await apiKeyService.issueKey({
+      name,
+      companyId,
+      scopes,
+      locationIds,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    });
+    console.log(`API key ${apiKey.prefix} issued for companyId: ${companyId}`);
+    res.setHeader("Cache-Control", "no-store");
+    res.status(201).json({ apiKey: apiKeyService.describeKey(apiKey), key });
+  } catch (error) {
+    console.error("Error issuing API key:", error);
+    error.statusCode = error.name === "ValidationError" ? 400 : 500;
+    next(error);
+  }
+};
+
+/**
+ * Lists API keys (never the keys themselves), optionally for one agency.
+ * @route GET /api/api-keys?companyId=
+ */
+const listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.query.companyId);
+    res.status(200).json({ apiKeys });
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Revokes an API key; it stops working immediately.
+ * @route DELETE /api/api-keys/:id
+ */
+const revokeApiKey = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    const error = new Error("API key not found.");
+    error.statusCode = 404;
+    return next(error);
+  }
+
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.params.id);
+    if (!apiKey) {
+      const error = new Error("API key not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+    console.log(`API key ${apiKey.prefix} revoked`);
+    res.status(200).json({ apiKey: apiKeyService.describeKey(apiKey) });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Lists token hand-outs and refusals, newest first.
+ * @route GET /api/api-keys/audit?companyId=&apiKeyId=&tokenType=&outcome=&limit=
+ */
+const listTokenAudit = async (req, res, next) => {
+  if (req.query.apiKeyId && !mongoose.isValidObjectId(req.query.apiKeyId)) {
+    const error = new Error("apiKeyId must be an API key ID.");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const entries = await apiKeyService.listTokenAudit(
+      req.query,
+      req.query.limit
+    );
+    res.status(200).json({ entries });
+  } catch (error) {
+    console.error("Error listing token audit log:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+  listTokenAudit,
+};
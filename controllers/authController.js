@@ -1,26 +1,129 @@
 // =======================================================
 // File: controllers/authController.js
-// Description: Handles authentication related requests (OAuth callback, location token).
+// Description: Handles authentication related requests (OAuth install and callback, location token).
 // Orchestrates calls to GHL service and OAuthCredentials model.
 // =======================================================
 
 const OAuthCredentials = require("../models/OAuthCredentials");
 const ghlService = require("../services/ghlService");
+const agencyService = require("../services/agencyService");
+const apiKeyService = require("../services/apiKeyService");
+const oauthInstallService = require("../services/oauthInstallService");
+
+// Binds an install to the browser that started it (see oauthInstallService)
+const INSTALL_COOKIE = "ghl_install_binding";
+const INSTALL_COOKIE_PATH = "/api/auth";
 
 /**
- * Handles the OAuth callback from GoHighLevel.
- * Exchanges the authorization code for tokens and saves them.
- * This function will create new credentials on first install or update existing ones.
- * @route GET /api/auth/callback
+ * Reads a cookie from the request (the app does not parse cookies globally).
+ */
+const readCookie = (req, name) => {
+  const entry = String(req.get("cookie") || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return entry ? decodeURIComponent(entry.slice(name.length + 1)) : undefined;
+};
+
+/**
+ * Starts a GHL OAuth install: redirects to the GHL authorize page with a
+ * signed, expiring state holding the requested scopes and return URL, and
+ * sets the cookie binding the install to this browser. With ?redirect=false
+ * the authorize URL is returned as JSON instead; the cookie is still set, so
+ * the caller must be on the same site or the callback is refused.
+ * @route GET /api/auth/install?scopes=&returnUrl=
  */
-const handleOAuthCallback = async (req, res, next) => {
+const startInstall = async (req, res, next) => {
+  const scopes = String(req.query.scopes || "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+  try {
+    const { url, expiresAt, binding } = await oauthInstallService.startInstall({
+      scopes,
+      returnUrl: req.query.returnUrl,
+    });
+    // Lax: sent on the top-level redirect back from GHL to the callback
+    res.cookie(INSTALL_COOKIE, binding, {
+      httpOnly: true,
+      secure: req.secure || process.env.NODE_ENV === "production",
+      sameSite: "lax",
+      path: INSTALL_COOKIE_PATH,
+      expires: expiresAt,
+    });
+    if (req.query.redirect === "false") {
+      return res.status(200).json({ url, expiresAt });
+    }
+    res.redirect(302, url);
+  } catch (error) {
+    console.error("Error starting OAuth install:", error.message);
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+/**
+ * Completes an OAuth install from GoHighLevel.
+ * Verifies the state issued by startInstall, exchanges the authorization
+ * code for tokens and saves them. This function will create new credentials
+ * on first install or update existing ones. Agency installs are keyed by
+ * companyId, location (sub-account) installs by locationId. The user is
+ * sent back to the install's return URL with ?status=success or
+ * ?status=error&message=.
+ * @param {Object} [options]
+ * @param {boolean} [options.marketplace] - Accept a callback without a state:
+ * installs started from the GHL marketplace carry none.
+ */
+const completeInstall = async (
+  req,
+  res,
+  next,
+  { marketplace = false } = {}
+) => {
   console.log("OAuth callback received with authorization code.");
-  const { code } = req.query;
+  const { code, state } = req.query;
+  const returnUrl =
+    oauthInstallService.peekReturnUrl(state) ||
+    process.env.OAUTH_DEFAULT_RETURN_URL;
+
+  // Reports a failure to the return URL when there is one
+  const fail = (error) => {
+    if (!returnUrl) return next(error);
+    const message =
+      error.statusCode && error.statusCode < 500
+        ? error.message
+        : "Authorization failed. Please try again.";
+    res.redirect(
+      302,
+      oauthInstallService.buildReturnUrl(returnUrl, {
+        status: "error",
+        message,
+      })
+    );
+  };
 
   if (!code) {
     const error = new Error("Missing authorization code.");
     error.statusCode = 400;
-    return next(error);
+    return fail(error);
+  }
+
+  let install;
+  try {
+    // The state must be valid, and issued to this browser, before the code is
+    // used. Only marketplace installs may come back without one.
+    install =
+      marketplace && !state
+        ? null
+        : await oauthInstallService.consumeState(
+            state,
+            readCookie(req, INSTALL_COOKIE)
+          );
+    res.clearCookie(INSTALL_COOKIE, { path: INSTALL_COOKIE_PATH });
+  } catch (error) {
+    console.error("Rejected OAuth callback:", error.message);
+    error.statusCode = error.statusCode || 500;
+    return fail(error);
   }
 
   try {
@@ -34,6 +137,11 @@ const handleOAuthCallback = async (req, res, next) => {
       locationId,
       companyId, // This is the unique ID for the agency
     } = credentialsData;
+    const userType =
+      credentialsData.userType === "Location" ? "Location" : "Company";
+    const grantedScopes = String(credentialsData.scope || "")
+      .split(" ")
+      .filter(Boolean);
 
     // Critical check: Ensure a companyId was returned
     if (!companyId) {
@@ -44,7 +152,27 @@ const handleOAuthCallback = async (req, res, next) => {
         "Could not identify the agency because companyId was not provided by GHL."
       );
       error.statusCode = 400;
-      return next(error);
+      return fail(error);
+    }
+    if (userType === "Location" && !locationId) {
+      const error = new Error(
+        "Could not identify the location because locationId was not provided by GHL."
+      );
+      error.statusCode = 400;
+      return fail(error);
+    }
+    const installLabel =
+      userType === "Location"
+        ? `locationId: ${locationId}`
+        : `companyId: ${companyId}`;
+
+    const missingScopes = (install?.scopes || []).filter(
+      (scope) => !grantedScopes.includes(scope)
+    );
+    if (missingScopes.length > 0) {
+      console.warn(
+        `Install for ${installLabel} was not granted: ${missingScopes.join(" ")}`
+      );
     }
 
     // Step 2: Prepare the document to be saved to MongoDB
@@ -52,15 +180,24 @@ const handleOAuthCallback = async (req, res, next) => {
       access_token,
       refresh_token,
       expires_in,
+      userType,
       userId,
       locationId,
       companyId,
+      // A new install replaces tokens that could no longer be refreshed
+      consecutive_failures: 0,
+      reauth_required: false,
+      reauth_required_at: null,
+      last_refresh_error: null,
+      scopes: grantedScopes,
       created_at: new Date(),
     };
 
-    // Step 3: Atomically find the document by companyId and update it, or create it if it doesn't exist.
+    // Step 3: Atomically find the install's document and update it, or create it if it doesn't exist.
     await OAuthCredentials.findOneAndUpdate(
-      { companyId: companyId }, // The query to find the correct agency's record
+      userType === "Location"
+        ? OAuthCredentials.locationFilter(locationId)
+        : OAuthCredentials.agencyFilter(companyId), // The query to find the correct install's record
       credentialsToSave, // The new data to save
       {
         upsert: true, // This is the key: creates the document if it doesn't exist
@@ -69,9 +206,20 @@ const handleOAuthCallback = async (req, res, next) => {
       }
     );
 
-    console.log(
-      `Successfully created or updated tokens for companyId: ${companyId}`
-    );
+    // Step 4: Make sure the agency has a configuration document admins can fill in
+    await agencyService.ensureAgency(companyId);
+
+    console.log(`Successfully created or updated tokens for ${installLabel}`);
+    if (returnUrl) {
+      return res.redirect(
+        302,
+        oauthInstallService.buildReturnUrl(returnUrl, {
+          status: "success",
+          companyId,
+          locationId,
+        })
+      );
+    }
     res
       .status(200)
       .send(
@@ -80,13 +228,32 @@ const handleOAuthCallback = async (req, res, next) => {
   } catch (error) {
     console.error("Error during OAuth token exchange and save:", error);
     error.statusCode = 500;
-    next(error);
+    fail(error);
   }
 };
 
 /**
- * Generates and returns a location-specific access token.
- * @route POST /api/location-token
+ * Handles the OAuth callback of installs started with startInstall.
+ * @route GET /api/auth/callback
+ */
+const handleOAuthCallback = (req, res, next) => completeInstall(req, res, next);
+
+/**
+ * Handles the OAuth callback of installs started from the GHL marketplace,
+ * which GHL sends without a state. Use this URL as the redirect URL of the
+ * marketplace app; a callback that does carry a state is checked as usual.
+ * @route GET /api/auth/marketplace/callback
+ */
+const handleMarketplaceCallback = (req, res, next) =>
+  completeInstall(req, res, next, { marketplace: true });
+
+/**
+ * Generates and returns a location-specific access token for the agency
+ * resolved for the request (see resolveAgency). A location that installed
+ * the app itself gets its own stored token; otherwise one is minted from the
+ * agency token. Keys limited to some locations are refused for any other
+ * location.
+ * @route POST /api/auth/location-token
  */
 const generateLocationToken = async (req, res, next) => {
   const { locationId } = req.body;
@@ -97,26 +264,53 @@ const generateLocationToken = async (req, res, next) => {
     return next(error);
   }
 
-  try {
-    // Retrieve agency-level access token from DB using the environment variable
-    // This assumes you have a single, known GHL_COMPANY_ID for your application
-    const credentials = await OAuthCredentials.findOne({
-      companyId: process.env.GHL_COMPANY_ID,
+  if (!apiKeyService.allowsLocation(req.apiKey, locationId)) {
+    await apiKeyService.auditTokenAccess(req, {
+      tokenType: "location",
+      outcome: "denied",
+      reason: "Location not allowed for this API key.",
+      locationId,
     });
+    const error = new Error("This API key is not valid for this location.");
+    error.statusCode = 403;
+    return next(error);
+  }
 
-    if (!credentials || !credentials.access_token) {
-      const error = new Error(
-        "Agency access token not available. Please ensure OAuth authorization is complete."
+  try {
+    // Prefer the location's own install, as long as its token is valid
+    const locationInstall = await agencyService.getLocationCredentials(
+      req.companyId,
+      locationId
+    );
+    let token;
+    if (locationInstall && agencyService.isTokenFresh(locationInstall)) {
+      token = locationInstall.access_token;
+    } else {
+      // Retrieve the agency-level access token of the requesting agency
+      const credentials = await agencyService.getAgencyCredentials(
+        req.companyId
       );
-      error.statusCode = 401; // Unauthorized
-      return next(error);
-    }
 
-    const token = await ghlService.getLocationAccessToken(
-      credentials.companyId,
+      if (!credentials || !credentials.access_token) {
+        const error = new Error(
+          "Agency access token not available. Please ensure OAuth authorization is complete."
+        );
+        error.statusCode = 401; // Unauthorized
+        return next(error);
+      }
+
+      token = await ghlService.getLocationAccessToken(
+        credentials.companyId,
+        locationId,
+        credentials.access_token
+      );
+    }
+    await apiKeyService.auditTokenAccess(req, {
+      tokenType: "location",
+      outcome: "granted",
       locationId,
-      credentials.access_token
-    );
+    });
+    res.setHeader("Cache-Control", "no-store");
     res.status(200).json({ accessToken: token });
   } catch (error) {
     console.error("Error in generateLocationToken:", error);
@@ -126,6 +320,8 @@ const generateLocationToken = async (req, res, next) => {
 };
 
 module.exports = {
+  startInstall,
   handleOAuthCallback,
+  handleMarketplaceCallback,
   generateLocationToken,
 };
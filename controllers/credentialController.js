@@ -0,0 +1,43 @@
+// =======================================================
+// File: controllers/credentialController.js
+// Description: Handles the one-time reveal of generated user passwords.
+// =======================================================
+
+const userCredentialService = require("../services/userCredentialService");
+
+/**
+ * Returns a generated password exactly once. The reveal token comes from the
+ * createUser step event of the provisioning stream; after a successful
+ * reveal (or expiry) the password can no longer be retrieved.
+ * @route POST /api/credentials/reveal
+ */
+const revealCredential = async (req, res, next) => {
+  const { token } = req.body;
+  if (!token) {
+    const error = new Error("Missing required field: token.");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const credential = await userCredentialService.consumeReveal(token);
+    if (!credential) {
+      const error = new Error(
+        "This credential link is invalid, expired or has already been used."
+      );
+      error.statusCode = 404;
+      return next(error);
+    }
+    console.log("Credential revealed for location:", credential.locationId);
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json(credential);
+  } catch (error) {
+    console.error("Error revealing credential:", error.message);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  revealCredential,
+};
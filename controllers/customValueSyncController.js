@@ -0,0 +1,152 @@
+// =======================================================
+// File: controllers/customValueSyncController.js
+// Description: Handles requests for the parent -> child custom value sync:
+// starting runs, reading their diffs and managing per-location overrides
+// and exclusions.
+// =======================================================
+
+const mongoose = require("mongoose");
+const customValueSyncService = require("../services/customValueSyncService");
+
+/**
+ * Starts a sync of the agency's parent custom values to its children. The
+ * run continues in the background; its report is read with GET /runs/:runId.
+ * Body: { dryRun, locationIds }.
+ * @route POST /api/agencies/:companyId/custom-value-sync/runs
+ */
+const startRun = async (req, res, next) => {
+  const { dryRun = false, locationIds } = req.body || {};
+  if (typeof dryRun !== "boolean") {
+    const error = new Error("dryRun must be true or false.");
+    error.statusCode = 400;
+    return next(error);
+  }
+  if (
+    locationIds !== undefined &&
+    (!Array.isArray(locationIds) ||
+      locationIds.length === 0 ||
+      locationIds.some((id) => typeof id !== "string"))
+  ) {
+    const error = new Error(
+      "locationIds must be a non-empty array of strings."
+    );
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const { run, done } = await customValueSyncService.startSync(req.agency, {
+      trigger: "manual",
+      dryRun,
+      locationIds,
+    });
+    done.catch((error) =>
+      console.error(`Custom value sync ${run._id} failed:`, error.message)
+    );
+    res
+      .status(202)
+      .json({
+        run: customValueSyncService.describeRun(run, { summary: true }),
+      });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error("Error starting custom value sync:", error);
+    }
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+/**
+ * Lists the agency's recent sync runs (without the per-location diffs).
+ * @route GET /api/agencies/:companyId/custom-value-sync/runs
+ */
+const listRuns = async (req, res, next) => {
+  try {
+    const runs = await customValueSyncService.listRuns(req.agency.companyId);
+    res.status(200).json({
+      runs: runs.map((run) =>
+        customValueSyncService.describeRun(run, { summary: true })
+      ),
+    });
+  } catch (error) {
+    console.error("Error listing custom value sync runs:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Returns a run's report: per child location, the differences found and
+ * whether they were applied.
+ * @route GET /api/agencies/:companyId/custom-value-sync/runs/:runId
+ */
+const getRun = async (req, res, next) => {
+  const notFound = () => {
+    const error = new Error("Custom value sync run not found.");
+    error.statusCode = 404;
+    return error;
+  };
+  if (!mongoose.isValidObjectId(req.params.runId)) return next(notFound());
+
+  try {
+    const run = await customValueSyncService.getRun(
+      req.agency.companyId,
+      req.params.runId
+    );
+    if (!run) return next(notFound());
+    res.status(200).json({ run: customValueSyncService.describeRun(run) });
+  } catch (error) {
+    console.error("Error fetching custom value sync run:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Lists the agency's child locations with their sync settings.
+ * @route GET /api/agencies/:companyId/custom-value-sync/locations
+ */
+const listLocations = async (req, res, next) => {
+  try {
+    const locations = await customValueSyncService.listChildren(req.agency);
+    res.status(200).json({ locations });
+  } catch (error) {
+    console.error("Error listing custom value sync locations:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Sets a child location's sync settings: excluded, excludedFields,
+ * overrides (custom value name -> value) and note.
+ * @route PUT /api/agencies/:companyId/custom-value-sync/locations/:locationId
+ */
+const updateLocation = async (req, res, next) => {
+  try {
+    const settings = await customValueSyncService.updateChildSettings(
+      req.agency,
+      req.params.locationId,
+      req.body || {}
+    );
+    console.log(
+      `Custom value sync settings updated for location ${req.params.locationId}.`
+    );
+    res.status(200).json({ settings });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error("Error updating custom value sync settings:", error);
+    }
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  startRun,
+  listRuns,
+  getRun,
+  listLocations,
+  updateLocation,
+};
@@ -0,0 +1,131 @@
+// =======================================================
+// File: controllers/oauthCredentialController.js
+// Description: Handles admin requests for stored OAuth credentials and their
+// health. Token values are never returned.
+// =======================================================
+
+const mongoose = require("mongoose");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const oauthCredentialService = require("../services/oauthCredentialService");
+
+/**
+ * Builds the 404 for an unknown credential ID.
+ */
+function notFound() {
+  const error = new Error("OAuth credentials not found.");
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Lists stored credentials with their expiry, scopes and refresh status.
+ * @route GET /api/oauth-credentials?companyId=&locationId=&userType=&status=
+ */
+const listCredentials = async (req, res, next) => {
+  const { userType, status } = req.query;
+  if (userType && !OAuthCredentials.USER_TYPES.includes(userType)) {
+    const error = new Error(
+      `userType must be one of: ${OAuthCredentials.USER_TYPES.join(", ")}.`
+    );
+    error.statusCode = 400;
+    return next(error);
+  }
+  if (status && !oauthCredentialService.HEALTH_STATUSES.includes(status)) {
+    const error = new Error(
+      `status must be one of: ${oauthCredentialService.HEALTH_STATUSES.join(", ")}.`
+    );
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const credentials = await oauthCredentialService.listCredentials(req.query);
+    res.status(200).json({ credentials });
+  } catch (error) {
+    console.error("Error listing OAuth credentials:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Returns one credential's details.
+ * @route GET /api/oauth-credentials/:id
+ */
+const getCredential = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return next(notFound());
+
+  try {
+    const credential = await oauthCredentialService.getCredential(
+      req.params.id
+    );
+    if (!credential) return next(notFound());
+    res.status(200).json({ credential });
+  } catch (error) {
+    console.error("Error fetching OAuth credentials:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Refreshes a credential's tokens now. A refused refresh is recorded on the
+ * credential and reported as a 502 with GHL's reason.
+ * @route POST /api/oauth-credentials/:id/refresh
+ */
+const refreshCredential = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return next(notFound());
+
+  try {
+    const credential = await oauthCredentialService.refreshCredential(
+      req.params.id
+    );
+    if (!credential) return next(notFound());
+    console.log(`OAuth credentials ${req.params.id} refreshed by an admin`);
+    res.status(200).json({ credential });
+  } catch (error) {
+    console.error("Error refreshing OAuth credentials:", error.message);
+    if (error.response) {
+      const refreshError = new Error(
+        `GHL refused the refresh: ${
+          error.response.data?.error_description ||
+          error.response.data?.message ||
+          error.message
+        }`
+      );
+      refreshError.statusCode = 502;
+      return next(refreshError);
+    }
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+/**
+ * Deletes a credential, revoking this server's access to the install until
+ * it is installed again.
+ * @route DELETE /api/oauth-credentials/:id
+ */
+const deleteCredential = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return next(notFound());
+
+  try {
+    const credential = await oauthCredentialService.deleteCredential(
+      req.params.id
+    );
+    if (!credential) return next(notFound());
+    console.log(`OAuth credentials ${req.params.id} deleted by an admin`);
+    res.status(200).json({ credential });
+  } catch (error) {
+    console.error("Error deleting OAuth credentials:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  listCredentials,
+  getCredential,
+  refreshCredential,
+  deleteCredential,
+};
@@ -0,0 +1,83 @@
+// =======================================================
+// File: controllers/originController.js
+// Description: Handles admin requests for the CORS origin registry.
+// =======================================================
+
+const mongoose = require("mongoose");
+const originRegistry = require("../services/originRegistry");
+
+/**
+ * Lists allowed origins.
+ * @route GET /api/allowed-origins?companyId=
+ */
+const listOrigins = async (req, res, next) => {
+  try {
+    const origins = await originRegistry.listOrigins(req.query.companyId);
+    res.status(200).json({ origins });
+  } catch (error) {
+    console.error("Error listing allowed origins:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Allows an exact origin, a wildcard domain or a Chrome extension id,
+ * platform-wide or for one agency.
+ * @route POST /api/allowed-origins
+ */
+const addOrigin = async (req, res, next) => {
+  const { kind, value, companyId, note } = req.body;
+  if (!kind || !value) {
+    const error = new Error("Missing required fields: kind and value.");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const origin = await originRegistry.addOrigin({
+      kind,
+      value,
+      companyId,
+      note,
+    });
+    console.log(
+      `Allowed origin added: ${origin.kind} ${origin.value} (${origin.companyId || "platform"})`
+    );
+    res.status(201).json({ origin });
+  } catch (error) {
+    if (!error.statusCode) console.error("Error adding allowed origin:", error);
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+/**
+ * Removes an allowed origin.
+ * @route DELETE /api/allowed-origins/:id
+ */
+const removeOrigin = async (req, res, next) => {
+  const notFound = () => {
+    const error = new Error("Allowed origin not found.");
+    error.statusCode = 404;
+    return error;
+  };
+  if (!mongoose.isValidObjectId(req.params.id)) return next(notFound());
+
+  try {
+    const origin = await originRegistry.removeOrigin(req.params.id);
+    if (!origin) return next(notFound());
+    console.log(`Allowed origin removed: ${origin.kind} ${origin.value}`);
+    res.status(200).json({ origin });
+  } catch (error) {
+    console.error("Error removing allowed origin:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  listOrigins,
+  addOrigin,
+  removeOrigin,
+};
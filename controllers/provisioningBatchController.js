@@ -0,0 +1,164 @@
+// =======================================================
+// File: controllers/provisioningBatchController.js
+// Description: Handles batch onboarding requests: uploading a CSV or JSON
+// list of onboarding records, following the batch's progress and
+// downloading its results.
+// =======================================================
+
+const mongoose = require("mongoose");
+const batchOnboardingService = require("../services/batchOnboardingService");
+const csv = require("../services/csv");
+
+/**
+ * Reads the onboarding records and batch options of an upload. CSV uploads
+ * (Content-Type text/csv) take their options from the query string; JSON
+ * uploads are either an array of records or { records, ...options }.
+ */
+function readUpload(req) {
+  if (typeof req.body === "string") {
+    return { source: "csv", records: csv.parse(req.body), options: req.query };
+  }
+  if (Array.isArray(req.body)) {
+    return { source: "json", records: req.body, options: req.query };
+  }
+  const { records, ...options } = req.body || {};
+  return { source: "json", records, options: { ...req.query, ...options } };
+}
+
+/**
+ * Reads a boolean option that may arrive as JSON or as a query string.
+ */
+const isTrue = (value) => value === true || value === "true";
+
+/**
+ * Looks up the batch named in the path. SSO users only see their own agency's
+ * batches. Responds with 400/404 itself and returns null when not found.
+ */
+async function findRequestedBatch(req, next) {
+  const { batchId } = req.params;
+  if (!mongoose.isValidObjectId(batchId)) {
+    const error = new Error("Invalid provisioning batch ID.");
+    error.statusCode = 400;
+    next(error);
+    return null;
+  }
+  const batch = await batchOnboardingService.getBatch(
+    batchId,
+    req.ssoUser?.companyId
+  );
+  if (!batch) {
+    const error = new Error("Provisioning batch not found.");
+    error.statusCode = 404;
+    next(error);
+    return null;
+  }
+  return batch;
+}
+
+/**
+ * Validates an upload of onboarding records and starts provisioning it.
+ * Every record is validated first; an upload with invalid records is
+ * rejected as a whole (400, errors listed per row) unless skipInvalid is set.
+ * Expects req.agency to be set by the resolveAgency middleware.
+ * @route POST /provisioning-batches?templateId=&allowDuplicates=&skipInvalid=&concurrency=
+ */
+const createBatch = async (req, res, next) => {
+  let upload;
+  try {
+    upload = readUpload(req);
+  } catch (error) {
+    error.statusCode = 400;
+    return next(error);
+  }
+  const { source, records, options } = upload;
+
+  try {
+    const batch = await batchOnboardingService.createBatch(
+      req.agency,
+      records,
+      {
+        source,
+        templateRef: options.templateId || options.template,
+        allowDuplicates: isTrue(options.allowDuplicates),
+        skipInvalid: isTrue(options.skipInvalid),
+        concurrency: options.concurrency,
+      }
+    );
+    res
+      .status(202)
+      .location(`provisioning-batches/${batch._id}`)
+      .json({ batch: batchOnboardingService.describeBatch(batch) });
+  } catch (error) {
+    console.error("Error creating provisioning batch:", error.message);
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+/**
+ * Returns a batch's progress: counts per status and the status of every row.
+ * @route GET /provisioning-batches/:batchId
+ */
+const getBatch = async (req, res, next) => {
+  try {
+    const batch = await findRequestedBatch(req, next);
+    if (!batch) return;
+    res
+      .status(200)
+      .json({ batch: batchOnboardingService.describeBatch(batch) });
+  } catch (error) {
+    console.error("Error fetching provisioning batch:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Retries the failed rows of a finished batch, each with a new provisioning
+ * job. Rows keep a supplied password until they complete, so it is reused.
+ * @route POST /provisioning-batches/:batchId/retry
+ */
+const retryBatch = async (req, res, next) => {
+  try {
+    const batch = await findRequestedBatch(req, next);
+    if (!batch) return;
+    const updated = await batchOnboardingService.retryFailedRows(batch);
+    res
+      .status(202)
+      .json({ batch: batchOnboardingService.describeBatch(updated) });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error("Error retrying provisioning batch:", error);
+    }
+    error.statusCode = error.statusCode || 500;
+    next(error);
+  }
+};
+
+/**
+ * Downloads a batch's results as CSV: per row its status, location ID,
+ * Drive folder link and error.
+ * @route GET /provisioning-batches/:batchId/results.csv
+ */
+const downloadResults = async (req, res, next) => {
+  try {
+    const batch = await findRequestedBatch(req, next);
+    if (!batch) return;
+    res
+      .status(200)
+      .type("text/csv")
+      .attachment(`provisioning-batch-${batch._id}.csv`)
+      .send(batchOnboardingService.toResultsCsv(batch));
+  } catch (error) {
+    console.error("Error exporting provisioning batch results:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  createBatch,
+  getBatch,
+  retryBatch,
+  downloadResults,
+};
@@ -1,99 +1,125 @@
-const CryptoJS = require("crypto-js");
-
-// Function to decrypt user data as per GHL documentation
-const decryptUserData = (req, res) => {
-  console.log("=== SSO Decryption Request ===");
-
-  const { encryptedData } = req.body;
-  // Updated to use the correct environment variable name from GHL documentation
-  const sharedSecretKey = process.env.GHL_APP_SHARED_SECRET;
-
+const ssoService = require("../services/ssoService");
+
+/**
+ * Decrypts an SSO payload and issues a session for its user.
+ * @param {string} encryptedData - The encrypted SSO payload.
+ * @returns {Object} - { userData, session }.
+ */
+const authenticate = (encryptedData) => {
   console.log(
     "Encrypted data received:",
     encryptedData ? "Present" : "Missing"
   );
-  console.log("Shared secret configured:", sharedSecretKey ? "Yes" : "No");
   console.log(
-    "Encrypted data length:",
-    encryptedData ? encryptedData.length : 0
+    "Shared secret configured:",
+    process.env.GHL_APP_SHARED_SECRET ? "Yes" : "No"
   );
 
-  if (!encryptedData) {
-    console.error("Missing encrypted data in request body");
-    return res.status(400).json({
-      error: "Missing encrypted data",
-    });
-  }
-
-  if (!sharedSecretKey) {
-    console.error(
-      "GHL_APP_SHARED_SECRET not configured in environment variables"
-    );
-    return res.status(500).json({
-      error: "Server configuration error: SSO key not configured",
-    });
-  }
-
+  const userData = ssoService.decryptUserData(encryptedData);
+  console.log("User data parsed successfully:", {
+    userId: userData.userId,
+    companyId: userData.companyId,
+    type: userData.type,
+    role: userData.role,
+    activeLocation: userData.activeLocation || "None",
+    userName: userData.userName,
+    email: userData.email,
+  });
+
+  let session;
   try {
-    console.log("Attempting to decrypt user data...");
-
-    // Decrypt using CryptoJS as per GHL documentation
-    const decrypted = CryptoJS.AES.decrypt(
-      encryptedData,
-      sharedSecretKey
-    ).toString(CryptoJS.enc.Utf8);
+    session = ssoService.issueSession(userData);
+  } catch (error) {
+    error.statusCode = 400;
+    throw error;
+  }
+  return { userData, session };
+};
 
-    if (!decrypted) {
-      console.error("Decryption resulted in empty string");
-      throw new Error("Decryption failed - check your SSO secret key");
-    }
+/**
+ * Sends an SSO failure in the { error, debug } format SSO clients expect.
+ */
+const sendSsoError = (res, error) => {
+  console.error("SSO decryption error:", error.detail || error.message);
+  res.status(error.statusCode || 400).json({
+    error: error.message,
+    debug:
+      process.env.NODE_ENV === "development"
+        ? error.detail || error.message
+        : undefined,
+  });
+};
 
-    console.log("Decryption successful, parsing JSON...");
-    const userData = JSON.parse(decrypted);
+/**
+ * Responds with the user context plus a session the frontend sends back as
+ * x-sso-session.
+ */
+const sendUserContext = (res, { userData, session }) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({
+    ...userData,
+    ssoSession: session.token,
+    ssoSessionExpiresAt: session.expiresAt,
+  });
+};
 
-    console.log("User data parsed successfully:", {
-      userId: userData.userId,
-      companyId: userData.companyId,
-      type: userData.type,
-      role: userData.role,
-      activeLocation: userData.activeLocation || "None",
-      userName: userData.userName,
-      email: userData.email,
-    });
+// Function to decrypt user data as per GHL documentation
+const decryptUserData = (req, res) => {
+  console.log("=== SSO Decryption Request ===");
 
-    res.json(userData);
+  try {
+    sendUserContext(res, authenticate(req.body?.encryptedData));
   } catch (error) {
-    console.error("SSO decryption error:", error.message);
-
-    let errorMessage = "Failed to decrypt user data";
-    if (error.message.includes("Malformed UTF-8")) {
-      errorMessage =
-        "Invalid SSO secret key - please verify your shared secret";
-    } else if (error.message.includes("JSON")) {
-      errorMessage = "Invalid data format after decryption";
-    }
-
-    res.status(400).json({
-      error: errorMessage,
-      debug: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+    sendSsoError(res, error);
   }
 };
 
+// Returns the user of the SSO session sent in x-sso-session
+const getSession = (req, res) => {
+  res.json({ user: req.ssoUser });
+};
+
 // Placeholder function to handle preflight requests for /ghl route
 const handleSSOPreflight = (req, res) => {
   res.status(204).send(); // No Content
 };
 
-// Placeholder function for the legacy /ghl SSO routes
+/**
+ * Legacy SSO endpoint used by older embedded pages and custom-menu links.
+ * Accepts the encrypted payload as ?encryptedData=, a form post or a JSON
+ * body. JSON callers (and ?redirect=false) get the user context; others are
+ * redirected to SSO_APP_URL with the session attached, when configured.
+ * @route GET|POST /api/sso/ghl
+ */
 const handleSSO = (req, res) => {
-  res
-    .status(501)
-    .json({ message: "This legacy SSO endpoint is not implemented." });
+  console.log("=== Legacy SSO Request ===");
+
+  const encryptedData = req.body?.encryptedData || req.query.encryptedData;
+  if (req.query.encryptedData) {
+    // Keeps the payload in this URL out of the Referer of the next page
+    res.setHeader("Referrer-Policy", "no-referrer");
+  }
+  try {
+    const result = authenticate(encryptedData);
+
+    const wantsJson =
+      req.is("application/json") || req.query.redirect === "false";
+    const redirectUrl = wantsJson
+      ? null
+      : ssoService.buildAppRedirectUrl(result.session);
+    if (redirectUrl) {
+      res.setHeader("Cache-Control", "no-store");
+      return res.redirect(302, redirectUrl);
+    }
+    sendUserContext(res, result);
+  } catch (error) {
+    sendSsoError(res, error);
+  }
 };
 
 module.exports = {
   decryptUserData,
+  getSession,
   handleSSOPreflight,
   handleSSO,
 };
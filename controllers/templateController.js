@@ -0,0 +1,194 @@
+// =======================================================
+// File: controllers/templateController.js
+// Description: Handles admin requests for provisioning templates.
+// Updating a template stores a new version; older versions stay available.
+// =======================================================
+
+const mongoose = require("mongoose");
+const ProvisioningTemplate = require("../models/ProvisioningTemplate");
+const templateService = require("../services/templateService");
+
+// Template settings an admin may set
+const EDITABLE_FIELDS = [
+  "description",
+  "snapshotId",
+  "user",
+  "fieldsToSync",
+  "funnelStepName",
+  "readiness",
+  "rollback",
+  "credentialMode",
+  "isActive",
+];
+
+const pickEditable = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+/**
+ * Maps template save errors to HTTP status codes.
+ */
+const toSaveError = (error) => {
+  if (error.name === "ValidationError") error.statusCode = 400;
+  else if (error.code === 11000) {
+    error.message = "A newer version of this template was saved concurrently.";
+    error.statusCode = 409;
+  } else error.statusCode = 500;
+  return error;
+};
+
+/**
+ * Loads a template by ID from the route parameters.
+ */
+const findTemplateById = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ProvisioningTemplate.findById(id);
+};
+
+/**
+ * Lists templates. By default only the latest version of each template is
+ * returned; pass all=true to list every version.
+ * @route GET /api/templates
+ */
+const listTemplates = async (req, res, next) => {
+  const filter = {};
+  if (req.query.companyId) filter.companyId = req.query.companyId;
+  if (req.query.name) filter.name = req.query.name;
+
+  try {
+    const templates = await ProvisioningTemplate.find(filter)
+      .sort({ companyId: 1, name: 1, version: -1 })
+      .lean();
+    if (req.query.all === "true") {
+      return res.status(200).json({ templates });
+    }
+    const seen = new Set();
+    const latest = templates.filter((template) => {
+      const key = `${template.companyId}:${template.name}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    res.status(200).json({ templates: latest });
+  } catch (error) {
+    console.error("Error listing provisioning templates:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Returns a single template version.
+ * @route GET /api/templates/:id
+ */
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplateById(req.params.id);
+    if (!template) {
+      const error = new Error("Provisioning template not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+    res.status(200).json({ template });
+  } catch (error) {
+    console.error("Error fetching provisioning template:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Creates a new template (version 1).
+ * @route POST /api/templates
+ */
+const createTemplate = async (req, res, next) => {
+  const { name, companyId = null } = req.body;
+  if (!name) {
+    const error = new Error("Missing required field: name.");
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const existing = await ProvisioningTemplate.exists({ companyId, name });
+    if (existing) {
+      const error = new Error(
+        `Template "${name}" already exists. Update it to create a new version.`
+      );
+      error.statusCode = 409;
+      return next(error);
+    }
+    const template = await templateService.saveVersion({
+      ...pickEditable(req.body),
+      name,
+      companyId,
+    });
+    console.log(`Provisioning template "${name}" created.`);
+    res.status(201).json({ template });
+  } catch (error) {
+    console.error("Error creating provisioning template:", error);
+    next(toSaveError(error));
+  }
+};
+
+/**
+ * Stores a new version of a template, based on the given version.
+ * @route PUT /api/templates/:id
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const base = await findTemplateById(req.params.id);
+    if (!base) {
+      const error = new Error("Provisioning template not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+    const { _id, version, created_at, ...baseFields } = base.toObject();
+    const template = await templateService.saveVersion({
+      ...baseFields,
+      ...pickEditable(req.body),
+    });
+    console.log(
+      `Provisioning template "${template.name}" saved as version ${template.version}.`
+    );
+    res.status(200).json({ template });
+  } catch (error) {
+    console.error("Error updating provisioning template:", error);
+    next(toSaveError(error));
+  }
+};
+
+/**
+ * Deactivates a template version. Onboarding then falls back to the latest
+ * remaining active version of the same template.
+ * @route DELETE /api/templates/:id
+ */
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplateById(req.params.id);
+    if (!template) {
+      const error = new Error("Provisioning template not found.");
+      error.statusCode = 404;
+      return next(error);
+    }
+    template.isActive = false;
+    await template.save();
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deactivating provisioning template:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,125 @@
+// =======================================================
+// File: controllers/webhookController.js
+// Description: Handles GHL webhook deliveries and the admin event log.
+// =======================================================
+
+const mongoose = require("mongoose");
+const WebhookEvent = require("../models/WebhookEvent");
+const webhookService = require("../services/webhookService");
+
+/**
+ * Receives a verified GHL webhook (see verifyGhlWebhook). The delivery is
+ * stored before it is handled; redeliveries of a stored event are
+ * acknowledged without being handled again. Handler failures are recorded
+ * on the event (and can be replayed) rather than returned to GHL.
+ * @route POST /api/webhooks/ghl
+ */
+const receiveGhlWebhook = async (req, res, next) => {
+  if (!req.body || typeof req.body !== "object" || !req.body.type) {
+    const error = new Error(
+      "Webhook payload must be a JSON object with a type."
+    );
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const { event, duplicate } = await webhookService.recordDelivery(
+      req.rawBody,
+      req.body
+    );
+    if (duplicate) {
+      console.log(`Duplicate GHL webhook ${event.webhookId} ignored.`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    console.log(`GHL webhook received: ${event.type} (${event.webhookId})`);
+    const processed = await webhookService.processEvent(event);
+    res.status(200).json({ received: true, status: processed.status });
+  } catch (error) {
+    console.error("Error receiving GHL webhook:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Lists stored webhook events, newest first. The raw body is left out.
+ * @route GET /api/webhooks/events?type=&status=&companyId=&limit=
+ */
+const listWebhookEvents = async (req, res, next) => {
+  const filter = {};
+  ["type", "status", "companyId", "locationId"].forEach((field) => {
+    if (req.query[field]) filter[field] = String(req.query[field]);
+  });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+  try {
+    const events = await WebhookEvent.find(filter)
+      .select("-rawBody")
+      .sort({ received_at: -1 })
+      .limit(limit)
+      .lean();
+    res.status(200).json({ events });
+  } catch (error) {
+    console.error("Error listing webhook events:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Loads the event named by :id, or passes a 404 on.
+ */
+const findEvent = async (req, next) => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await WebhookEvent.findById(req.params.id)
+    : null;
+  if (!event) {
+    const error = new Error("Webhook event not found.");
+    error.statusCode = 404;
+    next(error);
+  }
+  return event;
+};
+
+/**
+ * Returns a stored webhook event, including its raw body.
+ * @route GET /api/webhooks/events/:id
+ */
+const getWebhookEvent = async (req, res, next) => {
+  try {
+    const event = await findEvent(req, next);
+    if (!event) return;
+    res.status(200).json({ event });
+  } catch (error) {
+    console.error("Error fetching webhook event:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+/**
+ * Runs a stored webhook event's handler again.
+ * @route POST /api/webhooks/events/:id/replay
+ */
+const replayWebhookEvent = async (req, res, next) => {
+  try {
+    const event = await findEvent(req, next);
+    if (!event) return;
+    console.log(`Replaying GHL webhook ${event.webhookId} (${event.type}).`);
+    const processed = await webhookService.processEvent(event);
+    res.status(200).json({ event: processed });
+  } catch (error) {
+    console.error("Error replaying webhook event:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  receiveGhlWebhook,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+};
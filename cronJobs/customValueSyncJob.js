@@ -0,0 +1,41 @@
+// =======================================================
+// File: cronJobs/customValueSyncJob.js
+// Description: Schedules the parent -> child custom value sync for agencies
+// that enabled it (Agency.customValueSyncEnabled).
+//
+// Configuration:
+//   CUSTOM_VALUE_SYNC_CRON   when to sync (cron expression, default daily at 03:00)
+// =======================================================
+
+const cron = require("node-cron");
+const customValueSyncService = require("../services/customValueSyncService");
+
+/**
+ * Scheduled job to propagate parent location custom values to every
+ * provisioned child. Each agency's run holds a lock, so instances running
+ * the schedule at the same time skip agencies already being synced.
+ */
+const customValueSyncJob = cron.schedule(
+  process.env.CUSTOM_VALUE_SYNC_CRON || "0 3 * * *",
+  async () => {
+    try {
+      const { started, skipped, failed } =
+        await customValueSyncService.runScheduledSyncs();
+      if (started + skipped + failed > 0) {
+        console.log(
+          `🔁 Custom value sync: ${started} agency run(s), ${skipped} already running, ${failed} failed to start.`
+        );
+      }
+    } catch (error) {
+      console.error(
+        "Error in custom value sync cron job:",
+        error.message || error
+      );
+    }
+  },
+  {
+    scheduled: false, // Do not start immediately when loaded, server.js will start it
+  }
+);
+
+module.exports = customValueSyncJob;
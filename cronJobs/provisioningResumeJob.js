@@ -0,0 +1,43 @@
+// =======================================================
+// File: cronJobs/provisioningResumeJob.js
+// Description: Schedules a job that resumes interrupted provisioning jobs.
+// =======================================================
+
+const cron = require("node-cron");
+const provisioningWorker = require("../services/provisioningWorker");
+const batchOnboardingService = require("../services/batchOnboardingService");
+
+/**
+ * Scheduled job to pick up provisioning jobs whose worker went away
+ * (closed instance, crash) and continue them from their last completed step,
+ * and batch onboarding runs from their first unfinished row.
+ * Runs every minute.
+ */
+const provisioningResumeJob = cron.schedule(
+  "* * * * *",
+  async () => {
+    try {
+      const resumed = await provisioningWorker.resumeInterruptedJobs();
+      if (resumed > 0) {
+        console.log(`🔁 Resumed ${resumed} interrupted provisioning job(s).`);
+      }
+      const resumedBatches =
+        await batchOnboardingService.resumeInterruptedBatches();
+      if (resumedBatches > 0) {
+        console.log(
+          `🔁 Resumed ${resumedBatches} interrupted provisioning batch(es).`
+        );
+      }
+    } catch (error) {
+      console.error(
+        "Error in provisioning resume cron job:",
+        error.message || error
+      );
+    }
+  },
+  {
+    scheduled: false, // Do not start immediately when loaded, server.js will start it
+  }
+);
+
+module.exports = provisioningResumeJob;
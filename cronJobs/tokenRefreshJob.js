@@ -1,77 +1,93 @@
 // =======================================================
 // File: cronJobs/tokenRefreshJob.js
 // Description: Schedules a job to periodically check and refresh GHL OAuth tokens.
+// The sweep runs on one instance at a time (MongoDB lease lock) and each
+// refresh is recorded on its credential (see credentialRefreshService).
+//
+// Configuration:
+//   TOKEN_REFRESH_MARGIN_SECONDS   refresh tokens expiring within this window (default 300)
+//   TOKEN_REFRESH_LOCK_SECONDS     lease on the sweep (default 240, below the 5 minute schedule)
 // =======================================================
 
 const cron = require("node-cron");
 const OAuthCredentials = require("../models/OAuthCredentials"); // Mongoose model
-const ghlService = require("../services/ghlService"); // GHL service for token refresh
+const credentialRefreshService = require("../services/credentialRefreshService");
+const jobLock = require("../services/jobLock");
 
-const GHL_AGENCY_COMPANY_ID = process.env.GHL_COMPANY_ID; // The static agency companyId
+const LOCK_NAME = "token-refresh-job";
+const REFRESH_MARGIN_SECONDS =
+  Number(process.env.TOKEN_REFRESH_MARGIN_SECONDS) || 300;
+const LOCK_SECONDS = Number(process.env.TOKEN_REFRESH_LOCK_SECONDS) || 240;
 
 /**
- * Scheduled job to refresh GHL OAuth tokens.
- * Runs every 5 minutes.
+ * Refreshes a single credential if its token expires within the margin.
+ * @param {Object} credential - OAuthCredentials document.
+ * @returns {string} - "valid", "refreshed", "skipped" or "failed".
  */
-const tokenRefreshJob = cron.schedule(
-  "*/5 * * * *",
-  async () => {
-    console.log("🔄 Checking for GHL tokens expiring within 5 minutes...");
-    const currentTime = Math.floor(Date.now() / 1000); // Current time in seconds
+async function refreshIfExpiring(credential) {
+  const label = credentialRefreshService.describeCredential(credential);
+  const expiresAt = credentialRefreshService.getExpiresAt(credential);
 
-    try {
-      // Find the specific agency's OAuth credentials
-      // If you have multiple agencies, you'd iterate through a list here.
-      const credential = await OAuthCredentials.findOne({
-        companyId: GHL_AGENCY_COMPANY_ID,
-      });
+  if (Date.now() < expiresAt.getTime() - REFRESH_MARGIN_SECONDS * 1000) {
+    return "valid";
+  }
 
-      if (!credential) {
-        console.log(
-          "No GHL OAuth credentials found for agency. Skipping refresh."
-        );
-        return;
-      }
+  console.log(`⚠️ Token for ${label} is expiring soon. Refreshing...`);
+  try {
+    await credentialRefreshService.refreshCredential(credential);
+    console.log(`Token refreshed successfully for ${label}`);
+    return "refreshed";
+  } catch (error) {
+    if (error.code === "REFRESH_IN_PROGRESS") {
+      console.log(`Token for ${label} is being refreshed elsewhere.`);
+      return "skipped";
+    }
+    console.error(
+      `Error refreshing token for ${label}:`,
+      error.response?.data || error.message || error
+    );
+    return "failed";
+  }
+}
 
-      // Calculate token expiry time: created_at (timestamp) + expires_in (seconds)
-      const tokenExpiryTime =
-        Math.floor(credential.created_at.getTime() / 1000) +
-        credential.expires_in;
+/**
+ * Checks every stored credential. Credentials that need re-authorization
+ * are left alone: their refresh token no longer works.
+ * @returns {Object} - Count per outcome of refreshIfExpiring.
+ */
+async function refreshAll() {
+  const credentials = await OAuthCredentials.find({
+    reauth_required: { $ne: true },
+  });
+  const outcomes = { valid: 0, refreshed: 0, skipped: 0, failed: 0 };
 
-      // Check if token is expiring within the next 5 minutes (300 seconds)
-      if (currentTime >= tokenExpiryTime - 300) {
-        console.log(
-          `⚠️ Token for companyId ${credential.companyId} is expiring soon. Refreshing...`
-        );
-        try {
-          const newCredentials = await ghlService.refreshAccessToken(
-            credential.refresh_token
-          );
+  // One install failing to refresh must not block the others
+  for (const credential of credentials) {
+    outcomes[await refreshIfExpiring(credential)] += 1;
+  }
+  return outcomes;
+}
 
-          // Update the stored credentials with the new tokens and update created_at
-          await OAuthCredentials.updateOne(
-            { _id: credential._id },
-            {
-              $set: {
-                access_token: newCredentials.access_token,
-                refresh_token: newCredentials.refresh_token,
-                expires_in: newCredentials.expires_in,
-                created_at: new Date(), // Update timestamp to reflect new token generation
-              },
-            }
-          );
-          console.log(
-            `Token refreshed successfully for companyId ${credential.companyId}`
-          );
-        } catch (error) {
-          console.error(
-            `Error refreshing token for companyId ${credential.companyId}:`,
-            error.message || error
-          );
-        }
-      } else {
-        console.log(`Token still valid for companyId ${credential.companyId}`);
+/**
+ * Scheduled job to refresh GHL OAuth tokens of every agency and location
+ * install. Runs every 5 minutes.
+ */
+const tokenRefreshJob = cron.schedule(
+  "*/5 * * * *",
+  async () => {
+    try {
+      const { acquired, result } = await jobLock.withLock(
+        LOCK_NAME,
+        LOCK_SECONDS * 1000,
+        refreshAll
+      );
+      if (!acquired) {
+        console.log("Token refresh is running on another instance. Skipping.");
+        return;
       }
+      console.log(
+        `🔄 Token refresh: ${result.refreshed} refreshed, ${result.failed} failed, ${result.skipped} skipped, ${result.valid} still valid.`
+      );
     } catch (error) {
       console.error("Error in token refresh cron job:", error.message || error);
     }
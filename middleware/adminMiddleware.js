@@ -0,0 +1,42 @@
+// =======================================================
+// File: middleware/adminMiddleware.js
+// Description: Protects administrative routes.
+// =======================================================
+
+const crypto = require("crypto");
+
+/**
+ * Compares two strings in constant time.
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+/**
+ * Requires the x-admin-key header to match ADMIN_API_KEY.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    const error = new Error("Admin access is not configured on this server.");
+    error.statusCode = 503;
+    return next(error);
+  }
+
+  const providedKey = req.get("x-admin-key");
+  if (!providedKey || !safeEqual(providedKey, adminKey)) {
+    const error = new Error("Admin authentication required.");
+    error.statusCode = 401;
+    return next(error);
+  }
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+};
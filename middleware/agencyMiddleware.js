@@ -0,0 +1,66 @@
+// =======================================================
+// File: middleware/agencyMiddleware.js
+// Description: Resolves which agency (tenant) a request is for.
+// =======================================================
+
+const agencyService = require("../services/agencyService");
+
+/**
+ * Returns the agency company ID a request names itself, in order of
+ * precedence: the :companyId path parameter, the x-company-id header, and
+ * the companyId query or body field.
+ */
+const getExplicitCompanyId = (req) =>
+  req.params?.companyId ||
+  req.get("x-company-id") ||
+  req.query?.companyId ||
+  req.body?.companyId;
+
+/**
+ * Determines the agency company ID of a request: the agency of the API key
+ * or SSO session it was authenticated with (see requireApiKey and
+ * requireSsoSession), the agency it names, and finally the default agency
+ * from GHL_COMPANY_ID.
+ */
+const getRequestCompanyId = (req) =>
+  req.apiKey?.companyId ||
+  req.ssoUser?.companyId ||
+  getExplicitCompanyId(req) ||
+  agencyService.DEFAULT_COMPANY_ID;
+
+/**
+ * Attaches the agency to the request as req.companyId and req.agency.
+ * Responds with 404 if the agency is unknown.
+ */
+const resolveAgency = async (req, res, next) => {
+  const companyId = getRequestCompanyId(req);
+  if (!companyId) {
+    const error = new Error(
+      "Could not determine the agency for this request. Provide a companyId."
+    );
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    const agency = await agencyService.getAgencyConfig(companyId);
+    if (!agency) {
+      const error = new Error(`Unknown agency: ${companyId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+    req.companyId = companyId;
+    req.agency = agency;
+    next();
+  } catch (error) {
+    console.error("Error resolving agency:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  getExplicitCompanyId,
+  getRequestCompanyId,
+  resolveAgency,
+};
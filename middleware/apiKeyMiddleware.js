@@ -0,0 +1,77 @@
+// =======================================================
+// File: middleware/apiKeyMiddleware.js
+// Description: Authenticates API key callers of the token endpoints.
+// =======================================================
+
+const apiKeyService = require("../services/apiKeyService");
+const { getExplicitCompanyId } = require("./agencyMiddleware");
+
+// Token type recorded in the audit log when a request for a scope is refused
+const AUDITED_SCOPES = {
+  "agency-token:read": "agency",
+  "location-token:read": "location",
+};
+
+/**
+ * Reads the API key from "Authorization: Bearer <key>" or the x-api-key header.
+ */
+const getPresentedKey = (req) => {
+  const authorization = req.get("authorization") || "";
+  const [scheme, value] = authorization.split(" ");
+  if (/^bearer$/i.test(scheme) && value) return value.trim();
+  return req.get("x-api-key");
+};
+
+/**
+ * Requires a valid API key that grants the given scope, and attaches it to
+ * the request as req.apiKey. The agency is taken from the key; a request
+ * naming a different agency is refused.
+ * @param {string} scope - The scope the route requires.
+ */
+const requireApiKey = (scope) => async (req, res, next) => {
+  const deny = async (statusCode, message) => {
+    if (AUDITED_SCOPES[scope]) {
+      await apiKeyService.auditTokenAccess(req, {
+        tokenType: AUDITED_SCOPES[scope],
+        outcome: "denied",
+        reason: message,
+        locationId: req.body?.locationId,
+      });
+    }
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    next(error);
+  };
+
+  try {
+    const presentedKey = getPresentedKey(req);
+    if (!presentedKey) {
+      return deny(401, "API key required.");
+    }
+
+    const apiKey = await apiKeyService.authenticateKey(presentedKey);
+    if (!apiKey) {
+      return deny(401, "Invalid, expired or revoked API key.");
+    }
+    req.apiKey = apiKey;
+
+    if (!apiKey.scopes.includes(scope)) {
+      return deny(403, `API key is missing the ${scope} scope.`);
+    }
+
+    const requestedCompanyId = getExplicitCompanyId(req);
+    if (requestedCompanyId && requestedCompanyId !== apiKey.companyId) {
+      return deny(403, "API key is not valid for this agency.");
+    }
+    next();
+  } catch (error) {
+    console.error("Error authenticating API key:", error);
+    error.statusCode = 500;
+    next(error);
+  }
+};
+
+module.exports = {
+  getPresentedKey,
+  requireApiKey,
+};
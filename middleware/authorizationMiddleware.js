@@ -0,0 +1,65 @@
+// =======================================================
+// File: middleware/authorizationMiddleware.js
+// Description: Route guards for SSO users (see authorizationService rules).
+// Server-to-server callers keep authenticating with an API key or the admin
+// key where the route allows it.
+// =======================================================
+
+const apiKeyService = require("../services/apiKeyService");
+const { requireAdmin } = require("./adminMiddleware");
+const { getPresentedKey, requireApiKey } = require("./apiKeyMiddleware");
+const { requireSsoSession } = require("./ssoMiddleware");
+
+/**
+ * Requires an SSO session whose user passes a rule, e.g.
+ * guard(rules.locationAccess("locationId"), { apiKeyScope: "location-token:read" }).
+ * @param {Object} rule - A rule from authorizationService.rules.
+ * @param {Object} [options]
+ * @param {string} [options.apiKeyScope] - Also accept an API key with this
+ * scope (checked by requireApiKey instead of the rule).
+ * @param {boolean} [options.allowAdminKey] - Also accept the admin key.
+ * @param {string} [options.auditTokenType] - Record refusals in the token
+ * audit log under this token type ("agency" or "location").
+ */
+const guard =
+  (rule, { apiKeyScope, allowAdminKey = false, auditTokenType } = {}) =>
+  (req, res, next) => {
+    if (apiKeyScope && getPresentedKey(req)) {
+      return requireApiKey(apiKeyScope)(req, res, next);
+    }
+    if (allowAdminKey && req.get("x-admin-key")) {
+      return requireAdmin(req, res, next);
+    }
+
+    requireSsoSession(req, res, async (sessionError) => {
+      if (sessionError) return next(sessionError);
+      try {
+        const reason = await rule.check(req.ssoUser, req);
+        if (reason) {
+          console.warn(
+            `SSO user ${req.ssoUser.userId} refused (${rule.description}): ${reason}`
+          );
+          if (auditTokenType) {
+            await apiKeyService.auditTokenAccess(req, {
+              tokenType: auditTokenType,
+              outcome: "denied",
+              reason,
+              locationId: req.body?.locationId,
+            });
+          }
+          const error = new Error(reason);
+          error.statusCode = 403;
+          return next(error);
+        }
+        next();
+      } catch (error) {
+        console.error(`Error checking ${rule.description}:`, error.message);
+        error.statusCode = 500;
+        next(error);
+      }
+    });
+  };
+
+module.exports = {
+  guard,
+};
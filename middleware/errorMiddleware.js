@@ -15,6 +15,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message: err.message || "An unexpected error occurred.",
+    // Field-level validation errors (see services/requestSchema)
+    ...(err.fieldErrors ? { errors: err.fieldErrors } : {}),
     // Optionally, send more error details in development mode
     // stack: process.env.NODE_ENV === 'production' ? null : err.stack
   });
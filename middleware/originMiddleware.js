@@ -0,0 +1,88 @@
+// =======================================================
+// File: middleware/originMiddleware.js
+// Description: Origin checks. checkOrigin is the CORS origin check: an
+// origin registered by an agency is only allowed on requests for that
+// agency. Per-route origin policies: CORS lets requests without an Origin
+// header through (server-to-server calls, OAuth redirects); routes that
+// hand out tokens can refuse them unless they carry an API key.
+// =======================================================
+
+const agencyService = require("../services/agencyService");
+const originRegistry = require("../services/originRegistry");
+const ssoService = require("../services/ssoService");
+const { getPresentedKey } = require("./apiKeyMiddleware");
+
+// /agencies/:companyId/... and /api/agencies/:companyId/...
+const AGENCY_PATH_PATTERN = /^\/(?:api\/)?agencies\/([^/]+)/;
+
+/**
+ * Determines the agency a request is for, as far as it can be told before
+ * routing (the body is not parsed yet): the agency of its SSO session, the
+ * agency in its path, the x-company-id header or companyId query parameter,
+ * and finally the default agency, as resolveAgency does.
+ * @returns {string|undefined}
+ */
+const getOriginCompanyId = (req) => {
+  const session = req.get("x-sso-session");
+  if (session) {
+    try {
+      return ssoService.verifySession(session).companyId;
+    } catch {
+      // An invalid session is refused by the route; only the origin matters here
+    }
+  }
+  return (
+    AGENCY_PATH_PATTERN.exec(req.path)?.[1] ||
+    req.get("x-company-id") ||
+    req.query?.companyId ||
+    agencyService.DEFAULT_COMPANY_ID
+  );
+};
+
+/**
+ * Checks the Origin of a browser request against the origin registry, for
+ * the agency the request is for. A preflight that does not name its agency
+ * in the URL passes when any agency registered the origin: it carries no
+ * credentials, and the request that follows is checked for its own agency.
+ * @param {Object} req - The request.
+ * @returns {Promise<boolean>}
+ */
+const checkOrigin = async (req) => {
+  const origin = req.get("origin");
+  if (!origin) return true;
+  if (
+    req.method === "OPTIONS" &&
+    !AGENCY_PATH_PATTERN.test(req.path) &&
+    !req.query?.companyId
+  ) {
+    return originRegistry.isRegisteredOrigin(origin);
+  }
+  return originRegistry.isAllowedOrigin(origin, getOriginCompanyId(req));
+};
+
+/**
+ * Applies an origin policy to a route.
+ * @param {Object} policy
+ * @param {string} policy.missingOrigin - What to do with requests without an
+ * Origin header: "allow", "reject", or "api-key" (allow only with an API key).
+ */
+const originPolicy =
+  ({ missingOrigin }) =>
+  (req, res, next) => {
+    if (req.get("origin") || missingOrigin === "allow") return next();
+    if (missingOrigin === "api-key" && getPresentedKey(req)) return next();
+
+    const error = new Error(
+      missingOrigin === "api-key"
+        ? "Requests without an Origin header must authenticate with an API key."
+        : "Requests without an Origin header are not accepted here."
+    );
+    error.statusCode = 403;
+    next(error);
+  };
+
+module.exports = {
+  getOriginCompanyId,
+  checkOrigin,
+  originPolicy,
+};
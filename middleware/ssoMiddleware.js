@@ -0,0 +1,69 @@
+// =======================================================
+// File: middleware/ssoMiddleware.js
+// Description: Authenticates users through the SSO session issued by
+// /api/sso/decrypt-user-data (x-sso-session header).
+// =======================================================
+
+const ssoService = require("../services/ssoService");
+
+/**
+ * Verifies the x-sso-session header, if any, and attaches the SSO user to
+ * the request as req.ssoUser. Requests without a session pass through; an
+ * invalid or expired session is refused.
+ */
+const attachSsoSession = (req, res, next) => {
+  const token = req.get("x-sso-session");
+  if (!token) return next();
+
+  try {
+    req.ssoUser = ssoService.verifySession(token);
+    next();
+  } catch (error) {
+    const sessionError = new Error(
+      error.code === "TOKEN_EXPIRED"
+        ? "SSO session has expired. Reopen the app to sign in again."
+        : "Invalid SSO session."
+    );
+    sessionError.statusCode = 401;
+    next(sessionError);
+  }
+};
+
+/**
+ * Requires a valid SSO session (see attachSsoSession).
+ */
+const requireSsoSession = (req, res, next) => {
+  attachSsoSession(req, res, (error) => {
+    if (error) return next(error);
+    if (!req.ssoUser) {
+      const sessionError = new Error("SSO session required.");
+      sessionError.statusCode = 401;
+      return next(sessionError);
+    }
+    next();
+  });
+};
+
+/**
+ * Requires an SSO session whose user has one of the given roles (GHL roles,
+ * e.g. "admin", "user"). Use after requireSsoSession.
+ * @param {...string} roles - Accepted roles.
+ */
+const requireSsoRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.ssoUser || !roles.includes(req.ssoUser.role)) {
+      const error = new Error(
+        `This action requires the ${roles.join(" or ")} role.`
+      );
+      error.statusCode = 403;
+      return next(error);
+    }
+    next();
+  };
+
+module.exports = {
+  attachSsoSession,
+  requireSsoSession,
+  requireSsoRole,
+};
@@ -0,0 +1,26 @@
+// =======================================================
+// File: middleware/validationMiddleware.js
+// Description: Validates request bodies against a declarative schema
+// (see services/requestSchema).
+// =======================================================
+
+const requestSchema = require("../services/requestSchema");
+
+/**
+ * Validates req.body against a schema. Invalid requests get a 400 listing
+ * every field error; valid ones continue with the normalised values in
+ * req.validatedBody.
+ * @param {Object} schema - The request schema.
+ */
+const validateBody = (schema) => (req, res, next) => {
+  const { values, errors } = requestSchema.validate(schema, req.body);
+  if (errors.length > 0) {
+    return next(requestSchema.validationError(errors));
+  }
+  req.validatedBody = values;
+  next();
+};
+
+module.exports = {
+  validateBody,
+};
@@ -0,0 +1,41 @@
+// =======================================================
+// File: middleware/webhookMiddleware.js
+// Description: Raw body capture and signature verification for webhooks.
+// =======================================================
+
+const webhookService = require("../services/webhookService");
+
+/**
+ * express.json() verify hook: keeps the exact bytes of webhook bodies, which
+ * the signature is computed over (re-serialising the parsed JSON would not
+ * reproduce them).
+ */
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith("/api/webhooks")) {
+    req.rawBody = buf.toString("utf8");
+  }
+};
+
+/**
+ * Rejects webhook deliveries whose x-wh-signature does not verify.
+ */
+const verifyGhlWebhook = (req, res, next) => {
+  if (!webhookService.isConfigured()) {
+    const error = new Error("Webhook verification is not configured.");
+    error.statusCode = 503;
+    return next(error);
+  }
+
+  if (!webhookService.verifySignature(req.rawBody, req.get("x-wh-signature"))) {
+    console.warn("Rejected GHL webhook with an invalid signature.");
+    const error = new Error("Invalid webhook signature.");
+    error.statusCode = 401;
+    return next(error);
+  }
+  next();
+};
+
+module.exports = {
+  captureRawBody,
+  verifyGhlWebhook,
+};
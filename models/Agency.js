@@ -0,0 +1,31 @@
+// =======================================================
+// File: models/Agency.js
+// Description: Defines the Mongoose schema for agency (tenant) configuration.
+// Holds the per-agency settings used during provisioning, which used to be
+// read from environment variables.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const AgencySchema = new mongoose.Schema({
+  companyId: { type: String, required: true }, // GHL company ID of the agency
+  name: { type: String },
+  snapshotId: { type: String }, // Snapshot loaded into new locations
+  parentLocationId: { type: String }, // Location whose custom values are copied to new locations
+  driveParentFolderId: { type: String }, // Google Drive folder new client folders are created in
+  customFieldsToSync: { type: [String], default: undefined }, // Custom value names copied from the parent location
+  defaultTemplate: { type: String }, // Provisioning template name used when a request names none
+  inviteWebhookUrl: { type: String }, // Workflow webhook that sends new users their invite (credential mode "invite")
+  customValueSyncEnabled: { type: Boolean, default: false }, // Include in the scheduled parent -> child custom value sync
+  isActive: { type: Boolean, default: true },
+  installed_at: { type: Date }, // Last app install (INSTALL webhook)
+  uninstalled_at: { type: Date }, // Set by the UNINSTALL webhook, cleared on reinstall
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+AgencySchema.index({ companyId: 1 }, { unique: true });
+
+const Agency = mongoose.model("Agency", AgencySchema);
+
+module.exports = Agency;
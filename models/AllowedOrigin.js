@@ -0,0 +1,33 @@
+// =======================================================
+// File: models/AllowedOrigin.js
+// Description: Defines the Mongoose schema for the CORS origin registry
+// (see services/originRegistry). Entries without a companyId apply to the
+// whole platform; the others belong to the agency that uses them.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const KINDS = ["exact", "wildcard", "extension"];
+
+const AllowedOriginSchema = new mongoose.Schema({
+  companyId: { type: String, default: null }, // Agency the origin belongs to (null: platform-wide)
+  // exact: a full origin ("https://portal.example.com")
+  // wildcard: a domain allowed with all its subdomains over https ("example.com")
+  // extension: a Chrome extension id
+  kind: { type: String, enum: KINDS, required: true },
+  value: { type: String, required: true },
+  note: { type: String },
+  created_at: { type: Date, default: Date.now },
+});
+
+AllowedOriginSchema.index(
+  { kind: 1, value: 1, companyId: 1 },
+  { unique: true }
+);
+AllowedOriginSchema.index({ companyId: 1 });
+
+AllowedOriginSchema.statics.KINDS = KINDS;
+
+const AllowedOrigin = mongoose.model("AllowedOrigin", AllowedOriginSchema);
+
+module.exports = AllowedOrigin;
@@ -0,0 +1,39 @@
+// =======================================================
+// File: models/ApiKey.js
+// Description: Defines the Mongoose schema for API keys.
+// Keys authenticate callers of the token endpoints. Only a SHA-256 hash of
+// each key is stored; the key itself is shown once, when it is issued.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = [
+  "agency-token:read", // GET /agency-token
+  "location-token:read", // POST /api/auth/location-token
+];
+
+const ApiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Who or what the key was issued to
+  companyId: { type: String, required: true }, // Agency the key acts for
+  prefix: { type: String, required: true }, // First characters of the key, to recognise it in lists and logs
+  keyHash: { type: String, required: true }, // SHA-256 of the full key
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    required: true,
+  },
+  // Locations the key may request tokens for; empty means every location of the agency
+  locationIds: { type: [String], default: [] },
+  expires_at: { type: Date },
+  revoked_at: { type: Date },
+  last_used_at: { type: Date },
+  created_at: { type: Date, default: Date.now },
+});
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+ApiKeySchema.index({ companyId: 1 });
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,30 @@
+// =======================================================
+// File: models/CredentialReveal.js
+// Description: Defines the Mongoose schema for one-time credential reveals.
+// Holds a generated password (encrypted) until the client reads it once
+// through the reveal endpoint, or until it expires.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const CredentialRevealSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true }, // SHA-256 of the reveal token; the token itself is only kept encrypted on its job
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: "ProvisioningJob" },
+  companyId: { type: String, required: true },
+  locationId: { type: String },
+  email: { type: String, required: true },
+  secret: { type: String, required: true }, // Encrypted password (see secretBox)
+  expiresAt: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now },
+});
+
+CredentialRevealSchema.index({ tokenHash: 1 }, { unique: true });
+// MongoDB removes unread reveals once they expire
+CredentialRevealSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CredentialReveal = mongoose.model(
+  "CredentialReveal",
+  CredentialRevealSchema
+);
+
+module.exports = CredentialReveal;
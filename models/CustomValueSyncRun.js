@@ -0,0 +1,69 @@
+// =======================================================
+// File: models/CustomValueSyncRun.js
+// Description: Defines the Mongoose schema for runs of the parent -> child
+// custom value sync. A run records, per child location, the differences it
+// found and what happened to each of them.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const RUN_STATUSES = ["running", "completed", "failed"];
+const CHILD_STATUSES = [
+  "in_sync", // Nothing to change
+  "changed", // Differences found (and applied, unless a dry run)
+  "excluded", // Left out by its sync settings
+  "failed", // Could not be read or updated
+];
+
+// One difference between the parent (or an override) and a child
+const ChangeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // Custom value name
+    action: { type: String, enum: ["update", "create"], required: true },
+    from: { type: String }, // The child's value before the sync
+    to: { type: String }, // The value it is synced to
+    overridden: { type: Boolean }, // "to" comes from the child's overrides
+    status: {
+      type: String,
+      enum: ["planned", "applied", "failed"],
+      required: true,
+    },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
+const ChildResultSchema = new mongoose.Schema(
+  {
+    locationId: { type: String, required: true },
+    status: { type: String, enum: CHILD_STATUSES, required: true },
+    changes: { type: [ChangeSchema], default: [] },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
+const CustomValueSyncRunSchema = new mongoose.Schema({
+  companyId: { type: String, required: true },
+  trigger: { type: String, enum: ["manual", "schedule"], required: true },
+  dryRun: { type: Boolean, default: false }, // Differences reported, nothing written
+  status: { type: String, enum: RUN_STATUSES, default: "running" },
+  parentLocationId: { type: String },
+  fields: { type: [String], default: [] }, // Custom value names synced
+  children: { type: [ChildResultSchema], default: [] },
+  error: { type: String },
+  created_at: { type: Date, default: Date.now },
+  completed_at: { type: Date },
+});
+
+CustomValueSyncRunSchema.index({ companyId: 1, created_at: -1 });
+
+CustomValueSyncRunSchema.statics.RUN_STATUSES = RUN_STATUSES;
+CustomValueSyncRunSchema.statics.CHILD_STATUSES = CHILD_STATUSES;
+
+const CustomValueSyncRun = mongoose.model(
+  "CustomValueSyncRun",
+  CustomValueSyncRunSchema
+);
+
+module.exports = CustomValueSyncRun;
@@ -0,0 +1,29 @@
+// =======================================================
+// File: models/CustomValueSyncSettings.js
+// Description: Defines the Mongoose schema for per-location settings of the
+// parent -> child custom value sync: a location can be left out entirely,
+// skip some fields, or keep its own value for a field.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const CustomValueSyncSettingsSchema = new mongoose.Schema({
+  companyId: { type: String, required: true },
+  locationId: { type: String, required: true }, // The child location
+  excluded: { type: Boolean, default: false }, // Never synced
+  excludedFields: { type: [String], default: [] }, // Field names left as they are
+  overrides: { type: Map, of: String, default: {} }, // Field name -> value used instead of the parent's
+  note: { type: String },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+CustomValueSyncSettingsSchema.index({ locationId: 1 }, { unique: true });
+CustomValueSyncSettingsSchema.index({ companyId: 1 });
+
+const CustomValueSyncSettings = mongoose.model(
+  "CustomValueSyncSettings",
+  CustomValueSyncSettingsSchema
+);
+
+module.exports = CustomValueSyncSettings;
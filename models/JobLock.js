@@ -0,0 +1,21 @@
+// =======================================================
+// File: models/JobLock.js
+// Description: Defines the Mongoose schema for lease locks shared by every
+// instance (see services/jobLock). A lock is held until lockedUntil; a lease
+// that was never released (crashed instance) simply runs out.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const JobLockSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // What is locked, e.g. "token-refresh-job"
+  owner: { type: String, required: true }, // Random ID of the current lease
+  lockedUntil: { type: Date, required: true },
+  acquired_at: { type: Date, default: Date.now },
+});
+
+JobLockSchema.index({ name: 1 }, { unique: true });
+
+const JobLock = mongoose.model("JobLock", JobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,32 @@
+// =======================================================
+// File: models/Location.js
+// Description: Defines the Mongoose schema for known GHL locations.
+// Kept up to date from LocationCreate / LocationUpdate webhooks, so the
+// service knows an agency's locations without querying GHL.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const LocationSchema = new mongoose.Schema({
+  locationId: { type: String, required: true },
+  companyId: { type: String, required: true },
+  name: { type: String },
+  email: { type: String },
+  phone: { type: String },
+  address: { type: String },
+  city: { type: String },
+  state: { type: String },
+  country: { type: String },
+  postalCode: { type: String },
+  website: { type: String },
+  timezone: { type: String },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+LocationSchema.index({ locationId: 1 }, { unique: true });
+LocationSchema.index({ companyId: 1 });
+
+const Location = mongoose.model("Location", LocationSchema);
+
+module.exports = Location;
@@ -0,0 +1,30 @@
+// =======================================================
+// File: models/LocationToken.js
+// Description: Defines the Mongoose schema for cached location access tokens.
+// Backs the shared location token cache (LOCATION_TOKEN_CACHE_STORE=mongo)
+// so every instance can reuse a token another instance obtained.
+// =======================================================
+
+const mongoose = require("mongoose");
+const secretBox = require("../services/secretBox");
+
+const LocationTokenSchema = new mongoose.Schema({
+  companyId: { type: String, required: true },
+  locationId: { type: String, required: true },
+  access_token: {
+    type: String,
+    required: true,
+    set: secretBox.encryptField,
+    get: secretBox.decryptField,
+  },
+  expiresAt: { type: Date, required: true }, // When GHL stops accepting the token
+  updated_at: { type: Date, default: Date.now },
+});
+
+LocationTokenSchema.index({ companyId: 1, locationId: 1 }, { unique: true });
+// MongoDB removes tokens once they have expired
+LocationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LocationToken = mongoose.model("LocationToken", LocationTokenSchema);
+
+module.exports = LocationToken;
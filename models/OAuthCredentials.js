@@ -1,22 +1,127 @@
 // =======================================================
 // File: models/OAuthCredentials.js
 // Description: Defines the Mongoose schema for OAuth credentials.
+// Holds agency installs (userType "Company", one per companyId) and
+// location installs (userType "Location", one per locationId).
+// Tokens are encrypted at rest (see services/secretBox) and decrypted
+// transparently when read through the model.
 // =======================================================
 
 const mongoose = require("mongoose");
+const secretBox = require("../services/secretBox");
 
-const OAuthCredentialsSchema = new mongoose.Schema({
-  access_token: { type: String, required: true },
-  refresh_token: { type: String, required: true },
-  expires_in: { type: Number, required: true }, // TTL in seconds
-  userId: { type: String },
-  locationId: { type: String },
-  companyId: { type: String, required: true },
-  created_at: { type: Date, default: Date.now }, // Timestamp when tokens were last obtained/refreshed
+const TOKEN_FIELDS = ["access_token", "refresh_token"];
+const USER_TYPES = ["Company", "Location"];
+
+const OAuthCredentialsSchema = new mongoose.Schema(
+  {
+    access_token: {
+      type: String,
+      required: true,
+      set: secretBox.encryptField,
+      get: secretBox.decryptField,
+    },
+    refresh_token: {
+      type: String,
+      required: true,
+      set: secretBox.encryptField,
+      get: secretBox.decryptField,
+    },
+    expires_in: { type: Number, required: true }, // TTL in seconds
+    userType: { type: String, enum: USER_TYPES, default: "Company" }, // Agency or location install
+    userId: { type: String },
+    locationId: { type: String }, // Required for location installs
+    companyId: { type: String, required: true }, // For location installs, the agency owning the location
+    scopes: { type: [String], default: undefined }, // Scopes granted by the install
+    // Key the tokens are encrypted with (null while stored in plaintext)
+    encryption_key_id: { type: String, default: null },
+    created_at: { type: Date, default: Date.now }, // Timestamp when tokens were last obtained/refreshed
+    // Refresh health (see services/credentialRefreshService)
+    last_refresh_at: { type: Date }, // Last refresh attempt
+    last_refresh_status: { type: String, enum: ["success", "failed"] },
+    last_refresh_error: { type: String },
+    consecutive_failures: { type: Number, default: 0 },
+    reauth_required: { type: Boolean, default: false }, // Refresh gave up; cleared by a new install
+    reauth_required_at: { type: Date },
+  },
+  {
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+// One agency install per company and one location install per location.
+// Replaces the old unique companyId index (see scripts/migrateOAuthCredentials.js).
+OAuthCredentialsSchema.index(
+  { companyId: 1 },
+  {
+    name: "company_install_unique",
+    unique: true,
+    partialFilterExpression: { userType: "Company" },
+  }
+);
+OAuthCredentialsSchema.index(
+  { locationId: 1 },
+  {
+    name: "location_install_unique",
+    unique: true,
+    partialFilterExpression: { userType: "Location" },
+  }
+);
+OAuthCredentialsSchema.index({ encryption_key_id: 1 });
+
+/**
+ * Returns the key id to record for tokens written right now.
+ */
+function currentKeyId() {
+  return secretBox.isConfigured() ? secretBox.getActiveKeyId() : null;
+}
+
+// Keep encryption_key_id in step with the tokens, whichever way they are written
+OAuthCredentialsSchema.pre("save", function () {
+  if (TOKEN_FIELDS.some((field) => this.isModified(field))) {
+    this.encryption_key_id = secretBox.getKeyId(
+      this.get("access_token", null, { getters: false })
+    );
+  }
 });
 
-// Create a unique index on companyId if each company should only have one set of credentials
-OAuthCredentialsSchema.index({ companyId: 1 }, { unique: true });
+OAuthCredentialsSchema.pre(
+  ["findOneAndUpdate", "updateOne", "updateMany"],
+  function () {
+    const update = this.getUpdate() || {};
+    const setsToken = TOKEN_FIELDS.some(
+      (field) =>
+        update[field] !== undefined ||
+        (update.$set && update.$set[field] !== undefined)
+    );
+    if (setsToken) {
+      this.set({ encryption_key_id: currentKeyId() });
+    }
+  }
+);
+
+OAuthCredentialsSchema.statics.TOKEN_FIELDS = TOKEN_FIELDS;
+OAuthCredentialsSchema.statics.USER_TYPES = USER_TYPES;
+
+/**
+ * Filter for an agency's install. Documents saved before location installs
+ * existed have no userType and are agency installs.
+ * @param {string} companyId - The agency company ID.
+ */
+OAuthCredentialsSchema.statics.agencyFilter = (companyId) => ({
+  companyId,
+  userType: { $in: ["Company", null] },
+});
+
+/**
+ * Filter for a location's install.
+ * @param {string} locationId - The location ID.
+ */
+OAuthCredentialsSchema.statics.locationFilter = (locationId) => ({
+  locationId,
+  userType: "Location",
+});
 
 const OAuthCredentials = mongoose.model(
   "OAuthCredentials",
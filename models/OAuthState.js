@@ -0,0 +1,24 @@
+// =======================================================
+// File: models/OAuthState.js
+// Description: Defines the Mongoose schema for pending OAuth install nonces.
+// Each install started through /api/auth/install gets a nonce that the
+// callback consumes once, so a state value cannot be replayed, and the hash
+// of the binding value given to the browser that started it.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const OAuthStateSchema = new mongoose.Schema({
+  nonce: { type: String, required: true },
+  bindingHash: { type: String }, // SHA-256 of the starting browser's binding cookie
+  expiresAt: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now },
+});
+
+OAuthStateSchema.index({ nonce: 1 }, { unique: true });
+// MongoDB removes nonces of installs that were never completed
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model("OAuthState", OAuthStateSchema);
+
+module.exports = OAuthState;
@@ -0,0 +1,69 @@
+// =======================================================
+// File: models/ProvisioningBatch.js
+// Description: Defines the Mongoose schema for batch onboarding runs.
+// A batch holds one row per uploaded onboarding record; each valid row is
+// provisioned by its own provisioning job.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const BATCH_STATUSES = ["running", "completed"];
+const ROW_STATUSES = [
+  "invalid", // Failed validation; never provisioned
+  "pending",
+  "running",
+  "completed",
+  "failed",
+];
+
+const BatchRowSchema = new mongoose.Schema(
+  {
+    index: { type: Number, required: true }, // Position in the upload (0-based)
+    status: { type: String, enum: ROW_STATUSES, default: "pending" },
+    input: { type: mongoose.Schema.Types.Mixed }, // Normalised onboarding input
+    fieldErrors: { type: [mongoose.Schema.Types.Mixed], default: undefined }, // { field, message }
+    // Encrypted supplied password, copied to each job of the row and kept
+    // until the row completes so a failed row can be retried with it
+    secrets: {
+      password: { type: String },
+    },
+    retries: { type: Number, default: 0 }, // Times the row was retried after failing
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: "ProvisioningJob" },
+    locationId: { type: String },
+    driveFolderLink: { type: String },
+    error: { type: String },
+    started_at: { type: Date },
+    completed_at: { type: Date },
+  },
+  { _id: false }
+);
+
+const ProvisioningBatchSchema = new mongoose.Schema({
+  companyId: { type: String, required: true },
+  status: { type: String, enum: BATCH_STATUSES, default: "running" },
+  source: { type: String, enum: ["csv", "json"], required: true },
+  templateRef: { type: String }, // Template ID or name the upload asked for
+  concurrency: { type: Number, default: 1 }, // Rows provisioned at the same time
+  // Job configuration captured at upload, shared by every row
+  config: { type: mongoose.Schema.Types.Mixed, required: true },
+  rows: { type: [BatchRowSchema], default: [] },
+  lockedBy: { type: String }, // Worker currently driving the batch
+  lockExpiresAt: { type: Date }, // Lease expiry; a stale lease means the worker died
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+  completed_at: { type: Date },
+});
+
+ProvisioningBatchSchema.index({ companyId: 1, created_at: -1 });
+// Used by the resume job to find interrupted batches
+ProvisioningBatchSchema.index({ status: 1, lockExpiresAt: 1 });
+
+ProvisioningBatchSchema.statics.BATCH_STATUSES = BATCH_STATUSES;
+ProvisioningBatchSchema.statics.ROW_STATUSES = ROW_STATUSES;
+
+const ProvisioningBatch = mongoose.model(
+  "ProvisioningBatch",
+  ProvisioningBatchSchema
+);
+
+module.exports = ProvisioningBatch;
@@ -0,0 +1,41 @@
+// =======================================================
+// File: models/ProvisioningEvent.js
+// Description: Defines the Mongoose schema for provisioning progress events.
+// Events are numbered per job so SSE clients can resume with Last-Event-ID.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const EVENT_TYPES = [
+  "step-started",
+  "step-completed",
+  "waiting", // A step is polling for GHL to finish provisioning something
+  "warning",
+  "error",
+  "done",
+];
+
+const ProvisioningEventSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ProvisioningJob",
+    required: true,
+  },
+  seq: { type: Number, required: true }, // Monotonic per job, used as the SSE event id
+  type: { type: String, enum: EVENT_TYPES, required: true },
+  step: { type: String },
+  message: { type: String }, // User-facing progress text
+  data: { type: mongoose.Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now },
+});
+
+ProvisioningEventSchema.index({ jobId: 1, seq: 1 }, { unique: true });
+
+ProvisioningEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+const ProvisioningEvent = mongoose.model(
+  "ProvisioningEvent",
+  ProvisioningEventSchema
+);
+
+module.exports = ProvisioningEvent;
@@ -0,0 +1,131 @@
+// =======================================================
+// File: models/ProvisioningJob.js
+// Description: Defines the Mongoose schema for account provisioning jobs.
+// Each onboarding run is persisted step by step so an interrupted run can
+// be resumed from its last completed step.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = [
+  "pending",
+  "running",
+  "completed",
+  "rolling_back", // A step failed and completed steps are being undone
+  "rolled_back", // Every completed step was undone
+  "failed", // Failed, and at least part of the work could not be undone
+];
+const STEP_STATUSES = [
+  "pending",
+  "running",
+  "completed",
+  "failed",
+  "compensated",
+];
+
+const ProvisioningStepSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    status: { type: String, enum: STEP_STATUSES, default: "pending" },
+    attempts: { type: Number, default: 0 },
+    input: { type: mongoose.Schema.Types.Mixed }, // What the step sent upstream
+    output: { type: mongoose.Schema.Types.Mixed }, // What the step produced
+    error: { type: String },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// One entry per compensation attempt made while rolling a failed job back
+const CompensationSchema = new mongoose.Schema(
+  {
+    step: { type: String, required: true },
+    attempt: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["completed", "failed", "skipped"],
+      required: true,
+    },
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    attemptedAt: { type: Date, default: Date.now },
+    completedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const ProvisioningJobSchema = new mongoose.Schema({
+  companyId: { type: String, required: true },
+  // Idempotency-Key the job was requested with, and a hash of that request
+  idempotencyKey: { type: String },
+  requestHash: { type: String },
+  status: { type: String, enum: JOB_STATUSES, default: "pending" },
+  // Normalised onboarding payload (business and contact details)
+  input: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Agency configuration captured when the job was created, so a resumed run
+  // uses the same snapshot and folders as the original one.
+  config: {
+    snapshotId: { type: String },
+    parentLocationId: { type: String },
+    driveParentFolderId: { type: String },
+    fieldsToSync: { type: [String], default: undefined },
+    // Provisioning template settings (user, funnel step, readiness) at creation time
+    template: { type: mongoose.Schema.Types.Mixed },
+    // Step name -> whether the step is undone when the job fails
+    rollback: { type: mongoose.Schema.Types.Mixed },
+    credentialMode: {
+      type: String,
+      enum: ["random", "invite", "supplied"],
+      default: "random",
+    },
+    inviteWebhookUrl: { type: String },
+  },
+  // Encrypted values (see secretBox), removed as soon as they have been used
+  secrets: {
+    password: { type: String },
+    // Until the password has been revealed (see provisioningEvents)
+    revealToken: { type: String },
+  },
+  steps: { type: [ProvisioningStepSchema], default: [] },
+  // Results gathered across steps
+  outputs: {
+    locationId: { type: String },
+    userId: { type: String },
+    funnelPageId: { type: String },
+    driveFolderId: { type: String },
+    driveFolderLink: { type: String },
+    customValueResults: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  compensations: { type: [CompensationSchema], default: [] },
+  currentStep: { type: String },
+  error: { type: String },
+  runs: { type: Number, default: 0 }, // How many times a worker has picked the job up
+  eventSeq: { type: Number, default: 0 }, // Last progress event sequence number
+  lockedBy: { type: String }, // Worker currently driving the job
+  lockExpiresAt: { type: Date }, // Lease expiry; a stale lease means the worker died
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+  completed_at: { type: Date },
+});
+
+// Used by the resume job to find interrupted runs
+ProvisioningJobSchema.index({ status: 1, lockExpiresAt: 1 });
+// One job per Idempotency-Key and agency; jobs without a key are not indexed
+ProvisioningJobSchema.index(
+  { companyId: 1, idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $type: "string" } },
+  }
+);
+
+ProvisioningJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+ProvisioningJobSchema.statics.STEP_STATUSES = STEP_STATUSES;
+
+const ProvisioningJob = mongoose.model(
+  "ProvisioningJob",
+  ProvisioningJobSchema
+);
+
+module.exports = ProvisioningJob;
@@ -0,0 +1,69 @@
+// =======================================================
+// File: models/ProvisioningTemplate.js
+// Description: Defines the Mongoose schema for provisioning templates.
+// A template describes how a new account is provisioned (user permissions,
+// snapshot, synced custom values, funnel step, readiness polling). Templates are
+// versioned: editing a template stores a new version and keeps the old one.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const MAX_READINESS_TIMEOUT_MS = 600000;
+
+const durationField = (minMs) => ({
+  type: Number,
+  min: minMs,
+  max: MAX_READINESS_TIMEOUT_MS,
+});
+
+const ProvisioningTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  version: { type: Number, required: true, min: 1 },
+  companyId: { type: String, default: null }, // null = shared by every agency
+  description: { type: String },
+  snapshotId: { type: String }, // Overrides the agency snapshot when set
+  user: {
+    role: { type: String, enum: ["admin", "user"], default: "admin" },
+    type: { type: String, enum: ["account", "agency"], default: "account" },
+    permissions: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      validate: {
+        validator: (permissions) =>
+          permissions !== null &&
+          typeof permissions === "object" &&
+          !Array.isArray(permissions) &&
+          Object.values(permissions).every(
+            (value) => typeof value === "boolean"
+          ),
+        message: "user.permissions must be an object of boolean flags.",
+      },
+    },
+  },
+  fieldsToSync: { type: [String], default: undefined }, // Overrides the agency list when set
+  funnelStepName: { type: String, default: "Client Portal" }, // Funnel step holding the command center page
+  // How long to poll for the new location to be ready (see services/readiness);
+  // unset values use the readiness defaults
+  readiness: {
+    timeoutMs: durationField(1000),
+    initialIntervalMs: durationField(100),
+    maxIntervalMs: durationField(100),
+  },
+  rollback: { type: mongoose.Schema.Types.Mixed }, // Per-step rollback overrides
+  // How the new user's password is set: random (one-time reveal), invite or supplied
+  credentialMode: { type: String, enum: ["random", "invite", "supplied"] },
+  isActive: { type: Boolean, default: true },
+  created_at: { type: Date, default: Date.now },
+});
+
+ProvisioningTemplateSchema.index(
+  { companyId: 1, name: 1, version: 1 },
+  { unique: true }
+);
+
+const ProvisioningTemplate = mongoose.model(
+  "ProvisioningTemplate",
+  ProvisioningTemplateSchema
+);
+
+module.exports = ProvisioningTemplate;
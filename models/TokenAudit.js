@@ -0,0 +1,29 @@
+// =======================================================
+// File: models/TokenAudit.js
+// Description: Defines the Mongoose schema for the token hand-out audit log.
+// One entry is written every time an agency or location access token is
+// handed out, or a request for one is refused.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const TokenAuditSchema = new mongoose.Schema({
+  tokenType: { type: String, enum: ["agency", "location"], required: true },
+  outcome: { type: String, enum: ["granted", "denied"], required: true },
+  reason: { type: String }, // Why the request was denied
+  companyId: { type: String },
+  locationId: { type: String },
+  apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+  apiKeyPrefix: { type: String },
+  ssoUserId: { type: String }, // GHL user of the SSO session, for requests made without an API key
+  ip: { type: String },
+  userAgent: { type: String },
+  created_at: { type: Date, default: Date.now },
+});
+
+TokenAuditSchema.index({ companyId: 1, created_at: -1 });
+TokenAuditSchema.index({ apiKeyId: 1, created_at: -1 });
+
+const TokenAudit = mongoose.model("TokenAudit", TokenAuditSchema);
+
+module.exports = TokenAudit;
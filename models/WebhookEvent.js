@@ -0,0 +1,41 @@
+// =======================================================
+// File: models/WebhookEvent.js
+// Description: Defines the Mongoose schema for received GHL webhooks.
+// Every verified delivery is stored with its raw body before it is handled,
+// so deliveries can be deduplicated, audited and replayed.
+// =======================================================
+
+const mongoose = require("mongoose");
+
+const WEBHOOK_EVENT_STATUSES = [
+  "received", // Stored, not handled yet
+  "processed",
+  "ignored", // No handler for this event type
+  "failed",
+];
+
+const WebhookEventSchema = new mongoose.Schema({
+  webhookId: { type: String, required: true }, // GHL delivery ID (or a hash of the body when missing)
+  type: { type: String, required: true },
+  companyId: { type: String },
+  locationId: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  rawBody: { type: String, required: true }, // Exactly as signed by GHL
+  status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: "received" },
+  attempts: { type: Number, default: 0 }, // Handler runs, including replays
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  received_at: { type: Date, default: Date.now },
+  claimed_at: { type: Date, default: Date.now }, // When handling last started
+  processed_at: { type: Date },
+});
+
+WebhookEventSchema.index({ webhookId: 1 }, { unique: true });
+WebhookEventSchema.index({ type: 1, received_at: -1 });
+WebhookEventSchema.index({ companyId: 1, received_at: -1 });
+
+WebhookEventSchema.statics.STATUSES = WEBHOOK_EVENT_STATUSES;
+
+const WebhookEvent = mongoose.model("WebhookEvent", WebhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -6,17 +6,87 @@
 
 const express = require("express");
 const accountController = require("../controllers/accountController");
+const provisioningBatchController = require("../controllers/provisioningBatchController");
+const { resolveAgency } = require("../middleware/agencyMiddleware");
+const { guard } = require("../middleware/authorizationMiddleware");
+const { originPolicy } = require("../middleware/originMiddleware");
+const { validateBody } = require("../middleware/validationMiddleware");
+const onboardingSchema = require("../services/onboardingSchema");
+const { rules } = require("../services/authorizationService");
 
-const router = express.Router();
+// mergeParams exposes :companyId when mounted under /agencies/:companyId
+const router = express.Router({ mergeParams: true });
 
 // @route   POST /accountCreationSSE
 // @desc    Initiates an account creation process with real-time updates via SSE
-// @access  Public
-router.post("/accountCreationSSE", accountController.createAccountSSE);
+// @access  Agency admin (SSO session) or admin key
+router.post(
+  "/accountCreationSSE",
+  guard(rules.agencyAdmin, { allowAdminKey: true }),
+  validateBody(onboardingSchema),
+  resolveAgency,
+  accountController.createAccountSSE
+);
+
+// @route   GET /provisioning-jobs/:jobId/events
+// @desc    Streams (and replays) a provisioning job's progress events via SSE
+// @access  Agency admin of the job's agency (SSO session) or admin key
+router.get(
+  "/provisioning-jobs/:jobId/events",
+  guard(rules.agencyAdmin, { allowAdminKey: true }),
+  accountController.streamProvisioningEvents
+);
+
+// @route   POST /provisioning-batches
+// @desc    Validates a CSV or JSON upload of onboarding records and provisions it in the background
+// @access  Agency admin (SSO session) or admin key
+router.post(
+  "/provisioning-batches",
+  guard(rules.agencyAdmin, { allowAdminKey: true }),
+  express.text({ type: "text/csv", limit: "5mb" }),
+  resolveAgency,
+  provisioningBatchController.createBatch
+);
+
+// @route   GET /provisioning-batches/:batchId
+// @desc    Returns a batch's progress and the status of every row
+// @access  Agency admin of the batch's agency (SSO session) or admin key
+router.get(
+  "/provisioning-batches/:batchId",
+  guard(rules.agencyAdmin, { allowAdminKey: true }),
+  provisioningBatchController.getBatch
+);
+
+// @route   POST /provisioning-batches/:batchId/retry
+// @desc    Retries the failed rows of a finished batch
+// @access  Agency admin of the batch's agency (SSO session) or admin key
+router.post(
+  "/provisioning-batches/:batchId/retry",
+  guard(rules.agencyAdmin, { allowAdminKey: true }),
+  provisioningBatchController.retryBatch
+);
+
+// @route   GET /provisioning-batches/:batchId/results.csv
+// @desc    Downloads a batch's results (location IDs, Drive folder links, errors) as CSV
+// @access  Agency admin of the batch's agency (SSO session) or admin key
+router.get(
+  "/provisioning-batches/:batchId/results.csv",
+  guard(rules.agencyAdmin, { allowAdminKey: true }),
+  provisioningBatchController.downloadResults
+);
 
 // @route   GET /agency-token
-// @desc    Returns the main agency-level OAuth token
-// @access  Public (consider making this private if your own auth is needed)
-router.get("/agency-token", accountController.getAgencyToken);
+// @desc    Returns the agency-level OAuth access token of the API key's agency
+// @access  API key with the agency-token:read scope, or agency admin (SSO session)
+router.get(
+  "/agency-token",
+  originPolicy({ missingOrigin: "api-key" }),
+  guard(rules.agencyAdmin, {
+    apiKeyScope: "agency-token:read",
+    auditTokenType: "agency",
+  }),
+  resolveAgency,
+  accountController.getAgencyToken
+);
 
 module.exports = router;
@@ -0,0 +1,38 @@
+// =======================================================
+// File: routes/agencyRoutes.js
+// Description: Defines admin API routes for agency configuration.
+// Uses agencyController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const agencyController = require("../controllers/agencyController");
+const { requireAdmin } = require("../middleware/adminMiddleware");
+const { guard } = require("../middleware/authorizationMiddleware");
+const { rules } = require("../services/authorizationService");
+
+const router = express.Router();
+
+// Agency admins (SSO session) may manage their own agency
+const agencyAdmin = guard(rules.agencyAdmin, { allowAdminKey: true });
+
+// @route   GET /api/agencies
+// @desc    Lists all configured agencies
+// @access  Admin
+router.get("/", requireAdmin, agencyController.listAgencies);
+
+// @route   GET /api/agencies/:companyId
+// @desc    Returns an agency's provisioning configuration
+// @access  Admin, or admin of the agency (SSO session)
+router.get("/:companyId", agencyAdmin, agencyController.getAgency);
+
+// @route   PUT /api/agencies/:companyId
+// @desc    Creates or updates an agency's provisioning configuration
+// @access  Admin, or admin of the agency (SSO session)
+router.put("/:companyId", agencyAdmin, agencyController.upsertAgency);
+
+// @route   DELETE /api/agencies/:companyId
+// @desc    Deletes an agency's configuration
+// @access  Admin
+router.delete("/:companyId", requireAdmin, agencyController.deleteAgency);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// =======================================================
+// File: routes/apiKeyRoutes.js
+// Description: Defines admin API routes for API keys and the token audit log.
+// Uses apiKeyController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const apiKeyController = require("../controllers/apiKeyController");
+const { requireAdmin } = require("../middleware/adminMiddleware");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// @route   GET /api/api-keys/audit
+// @desc    Lists agency and location token hand-outs and refusals
+// @access  Admin
+router.get("/audit", apiKeyController.listTokenAudit);
+
+// @route   GET /api/api-keys
+// @desc    Lists API keys (optionally ?companyId=)
+// @access  Admin
+router.get("/", apiKeyController.listApiKeys);
+
+// @route   POST /api/api-keys
+// @desc    Issues an API key; the key is returned once
+// @access  Admin
+router.post("/", apiKeyController.issueApiKey);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revokes an API key
+// @access  Admin
+router.delete("/:id", apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,22 +1,46 @@
 // =======================================================
 // File: routes/authRoutes.js
-// Description: Defines API routes for authentication (OAuth callback, location token).
+// Description: Defines API routes for authentication (OAuth install and callback, location token).
 // Uses authController to handle the logic.
 // =======================================================
 
 const express = require("express");
 const authController = require("../controllers/authController");
+const { resolveAgency } = require("../middleware/agencyMiddleware");
+const { guard } = require("../middleware/authorizationMiddleware");
+const { originPolicy } = require("../middleware/originMiddleware");
+const { rules } = require("../services/authorizationService");
 
 const router = express.Router();
 
-// @route   GET /api/auth/callback
-// @desc    Handles GHL OAuth callback and saves tokens
+// @route   GET /api/auth/install
+// @desc    Starts a GHL OAuth install (redirects to the GHL authorize page)
 // @access  Public
+router.get("/install", authController.startInstall);
+
+// @route   GET /api/auth/callback
+// @desc    Handles GHL OAuth callback, verifies its state and saves tokens
+// @access  Public (requires the state issued by /install)
 router.get("/callback", authController.handleOAuthCallback);
 
-// @route   POST /api/location-token
+// @route   GET /api/auth/marketplace/callback
+// @desc    Handles the GHL OAuth callback of installs started from the GHL marketplace
+// @access  Public (GHL sends these without a state)
+router.get("/marketplace/callback", authController.handleMarketplaceCallback);
+
+// @route   POST /api/auth/location-token
 // @desc    Generates and returns a location-specific GHL access token
-// @access  Public (or could be private if your own auth system is in place)
-router.post("/location-token", authController.generateLocationToken);
+// @access  API key with the location-token:read scope (optionally limited to some locations),
+//          or SSO user with access to the location
+router.post(
+  "/location-token",
+  originPolicy({ missingOrigin: "api-key" }),
+  guard(rules.locationAccess("locationId"), {
+    apiKeyScope: "location-token:read",
+    auditTokenType: "location",
+  }),
+  resolveAgency,
+  authController.generateLocationToken
+);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+// =======================================================
+// File: routes/credentialRoutes.js
+// Description: Defines API routes for onboarding user credentials.
+// Uses credentialController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const credentialController = require("../controllers/credentialController");
+
+const router = express.Router();
+
+// @route   POST /api/credentials/reveal
+// @desc    Returns a generated password once, given its reveal token
+// @access  Public (possession of the one-time token is the authorization)
+router.post("/reveal", credentialController.revealCredential);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// =======================================================
+// File: routes/customValueSyncRoutes.js
+// Description: Defines API routes for the parent -> child custom value sync
+// of an agency. Mounted under /api/agencies/:companyId/custom-value-sync.
+// Uses customValueSyncController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const customValueSyncController = require("../controllers/customValueSyncController");
+const { resolveAgency } = require("../middleware/agencyMiddleware");
+const { guard } = require("../middleware/authorizationMiddleware");
+const { rules } = require("../services/authorizationService");
+
+// mergeParams exposes :companyId from the mount path
+const router = express.Router({ mergeParams: true });
+
+// Agency admins (SSO session) may sync their own agency
+router.use(guard(rules.agencyAdmin, { allowAdminKey: true }), resolveAgency);
+
+// @route   POST /api/agencies/:companyId/custom-value-sync/runs
+// @desc    Starts syncing the parent location's custom values to every child (or a dry run)
+// @access  Admin, or admin of the agency (SSO session)
+router.post("/runs", customValueSyncController.startRun);
+
+// @route   GET /api/agencies/:companyId/custom-value-sync/runs
+// @desc    Lists recent sync runs
+// @access  Admin, or admin of the agency (SSO session)
+router.get("/runs", customValueSyncController.listRuns);
+
+// @route   GET /api/agencies/:companyId/custom-value-sync/runs/:runId
+// @desc    Returns a run's per-location diffs and outcomes
+// @access  Admin, or admin of the agency (SSO session)
+router.get("/runs/:runId", customValueSyncController.getRun);
+
+// @route   GET /api/agencies/:companyId/custom-value-sync/locations
+// @desc    Lists child locations with their overrides and exclusions
+// @access  Admin, or admin of the agency (SSO session)
+router.get("/locations", customValueSyncController.listLocations);
+
+// @route   PUT /api/agencies/:companyId/custom-value-sync/locations/:locationId
+// @desc    Sets a child location's overrides and exclusions
+// @access  Admin, or admin of the agency (SSO session)
+router.put("/locations/:locationId", customValueSyncController.updateLocation);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// =======================================================
+// File: routes/oauthCredentialRoutes.js
+// Description: Defines admin API routes for stored OAuth credentials.
+// Uses oauthCredentialController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const oauthCredentialController = require("../controllers/oauthCredentialController");
+const { requireAdmin } = require("../middleware/adminMiddleware");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// @route   GET /api/oauth-credentials
+// @desc    Lists credentials with expiry, scopes and refresh status (no tokens)
+// @access  Admin
+router.get("/", oauthCredentialController.listCredentials);
+
+// @route   GET /api/oauth-credentials/:id
+// @desc    Returns one credential's details (no tokens)
+// @access  Admin
+router.get("/:id", oauthCredentialController.getCredential);
+
+// @route   POST /api/oauth-credentials/:id/refresh
+// @desc    Refreshes a credential's tokens now
+// @access  Admin
+router.post("/:id/refresh", oauthCredentialController.refreshCredential);
+
+// @route   DELETE /api/oauth-credentials/:id
+// @desc    Deletes (revokes) a credential
+// @access  Admin
+router.delete("/:id", oauthCredentialController.deleteCredential);
+
+module.exports = router;
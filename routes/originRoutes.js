@@ -0,0 +1,30 @@
+// =======================================================
+// File: routes/originRoutes.js
+// Description: Defines admin API routes for the CORS origin registry.
+// Uses originController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const originController = require("../controllers/originController");
+const { requireAdmin } = require("../middleware/adminMiddleware");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// @route   GET /api/allowed-origins
+// @desc    Lists allowed origins (optionally ?companyId=, or ?companyId=platform)
+// @access  Admin
+router.get("/", originController.listOrigins);
+
+// @route   POST /api/allowed-origins
+// @desc    Allows an origin: { kind: exact|wildcard|extension, value, companyId?, note? }
+// @access  Admin
+router.post("/", originController.addOrigin);
+
+// @route   DELETE /api/allowed-origins/:id
+// @desc    Removes an allowed origin
+// @access  Admin
+router.delete("/:id", originController.removeOrigin);
+
+module.exports = router;
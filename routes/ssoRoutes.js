@@ -1,13 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const ssoController = require("../controllers/ssoController");
+const { requireSsoSession } = require("../middleware/ssoMiddleware");
 
 // Updated route based on GHL documentation pattern
 router.post("/decrypt-user-data", ssoController.decryptUserData);
 
-// Keep your existing routes if needed for backward compatibility
+// Returns the user of the session issued by /decrypt-user-data
+router.get("/session", requireSsoSession, ssoController.getSession);
+
+// Legacy SSO routes used by older embedded pages and custom-menu links.
+// They accept the encrypted payload as a query string, form post or JSON body.
 router.options("/ghl", ssoController.handleSSOPreflight);
 router.get("/ghl", ssoController.handleSSO);
-router.post("/ghl", ssoController.handleSSO);
+router.post(
+  "/ghl",
+  express.urlencoded({ extended: false }),
+  ssoController.handleSSO
+);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+// =======================================================
+// File: routes/templateRoutes.js
+// Description: Defines admin API routes for provisioning templates.
+// Uses templateController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const templateController = require("../controllers/templateController");
+const { requireAdmin } = require("../middleware/adminMiddleware");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// @route   GET /api/templates
+// @desc    Lists provisioning templates (latest versions, or all with ?all=true)
+// @access  Admin
+router.get("/", templateController.listTemplates);
+
+// @route   GET /api/templates/:id
+// @desc    Returns a single template version
+// @access  Admin
+router.get("/:id", templateController.getTemplate);
+
+// @route   POST /api/templates
+// @desc    Creates a new provisioning template
+// @access  Admin
+router.post("/", templateController.createTemplate);
+
+// @route   PUT /api/templates/:id
+// @desc    Saves a new version of a provisioning template
+// @access  Admin
+router.put("/:id", templateController.updateTemplate);
+
+// @route   DELETE /api/templates/:id
+// @desc    Deactivates a template version
+// @access  Admin
+router.delete("/:id", templateController.deleteTemplate);
+
+module.exports = router;
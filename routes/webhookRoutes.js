@@ -0,0 +1,38 @@
+// =======================================================
+// File: routes/webhookRoutes.js
+// Description: Defines the GHL webhook endpoint and admin routes for the
+// webhook event log. Uses webhookController to handle the logic.
+// =======================================================
+
+const express = require("express");
+const webhookController = require("../controllers/webhookController");
+const { verifyGhlWebhook } = require("../middleware/webhookMiddleware");
+const { requireAdmin } = require("../middleware/adminMiddleware");
+
+const router = express.Router();
+
+// @route   POST /api/webhooks/ghl
+// @desc    Receives GHL webhooks (INSTALL, UNINSTALL, LocationCreate, LocationUpdate)
+// @access  Public (deliveries must carry a valid x-wh-signature)
+router.post("/ghl", verifyGhlWebhook, webhookController.receiveGhlWebhook);
+
+// @route   GET /api/webhooks/events
+// @desc    Lists received webhook events
+// @access  Admin
+router.get("/events", requireAdmin, webhookController.listWebhookEvents);
+
+// @route   GET /api/webhooks/events/:id
+// @desc    Returns a received webhook event with its raw body
+// @access  Admin
+router.get("/events/:id", requireAdmin, webhookController.getWebhookEvent);
+
+// @route   POST /api/webhooks/events/:id/replay
+// @desc    Handles a received webhook event again
+// @access  Admin
+router.post(
+  "/events/:id/replay",
+  requireAdmin,
+  webhookController.replayWebhookEvent
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// =======================================================
+// File: scripts/migrateOAuthCredentials.js
+// Description: Prepares stored OAuth credentials for location-level installs.
+// Marks existing credentials as agency ("Company") installs and replaces the
+// old unique companyId index, which allowed only one install per agency,
+// with the per-install-type indexes of the OAuthCredentials model.
+//
+// Usage: npm run migrate-credentials [-- --dry-run]
+// =======================================================
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const OAuthCredentials = require("../models/OAuthCredentials");
+
+const LEGACY_INDEX_NAME = "companyId_1";
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const untyped = await OAuthCredentials.countDocuments({
+    userType: { $exists: false },
+  });
+  console.log(`${untyped} credential(s) without an install type.`);
+  if (!dryRun && untyped > 0) {
+    await OAuthCredentials.updateMany(
+      { userType: { $exists: false } },
+      { $set: { userType: "Company" } }
+    );
+  }
+
+  const indexes = await OAuthCredentials.collection.indexes();
+  if (indexes.some((index) => index.name === LEGACY_INDEX_NAME)) {
+    console.log(`Dropping legacy index ${LEGACY_INDEX_NAME}.`);
+    if (!dryRun) await OAuthCredentials.collection.dropIndex(LEGACY_INDEX_NAME);
+  }
+
+  if (!dryRun) {
+    await OAuthCredentials.syncIndexes();
+    console.log("Indexes synchronised.");
+  } else {
+    console.log("Dry run: nothing was changed.");
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Credential migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
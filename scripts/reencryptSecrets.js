@@ -0,0 +1,126 @@
+// =======================================================
+// File: scripts/reencryptSecrets.js
+// Description: Re-encrypts stored secrets with the active encryption key.
+// Run after adding a new key to ENCRYPTION_KEYS and making it active
+// (ENCRYPTION_ACTIVE_KEY_ID); old keys can be removed once it has finished.
+// Also encrypts OAuth tokens that were saved before encryption was enabled.
+//
+// Usage: npm run reencrypt-secrets [-- --dry-run]
+// =======================================================
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const secretBox = require("../services/secretBox");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const CredentialReveal = require("../models/CredentialReveal");
+const ProvisioningJob = require("../models/ProvisioningJob");
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Whether a stored value needs to be (re-)encrypted with the active key.
+ */
+function isStale(value, activeKeyId) {
+  return Boolean(value) && secretBox.getKeyId(value) !== activeKeyId;
+}
+
+/**
+ * Re-encrypts the tokens of every OAuth credential not on the active key.
+ * Documents are read with lean() so the stored ciphertext is seen, not the
+ * decrypted value the model getters return.
+ */
+async function reencryptOAuthCredentials(activeKeyId) {
+  const credentials = await OAuthCredentials.find({
+    encryption_key_id: { $ne: activeKeyId },
+  }).lean();
+
+  let updated = 0;
+  for (const credential of credentials) {
+    const $set = {};
+    for (const field of OAuthCredentials.TOKEN_FIELDS) {
+      if (isStale(credential[field], activeKeyId)) {
+        $set[field] = secretBox.reencrypt(credential[field]);
+      }
+    }
+    if (Object.keys($set).length === 0) continue;
+
+    if (!dryRun) {
+      // The model setter keeps already-encrypted values as they are and the
+      // update hook records the active key id.
+      await OAuthCredentials.updateOne({ _id: credential._id }, { $set });
+    }
+    updated += 1;
+  }
+  return updated;
+}
+
+/**
+ * Re-encrypts one encrypted field on every document of a model.
+ */
+async function reencryptField(Model, field, activeKeyId) {
+  const documents = await Model.find({ [field]: { $exists: true, $ne: null } })
+    .select(field)
+    .lean();
+
+  let updated = 0;
+  for (const document of documents) {
+    const value = field
+      .split(".")
+      .reduce((current, key) => current && current[key], document);
+    if (!secretBox.isEncrypted(value) || !isStale(value, activeKeyId)) {
+      continue;
+    }
+    if (!dryRun) {
+      await Model.updateOne(
+        { _id: document._id },
+        { $set: { [field]: secretBox.reencrypt(value) } }
+      );
+    }
+    updated += 1;
+  }
+  return updated;
+}
+
+async function main() {
+  if (!secretBox.isConfigured()) {
+    throw new Error("No encryption key configured (ENCRYPTION_KEYS).");
+  }
+  const activeKeyId = secretBox.getActiveKeyId();
+  console.log(
+    `Re-encrypting secrets with key "${activeKeyId}"${dryRun ? " (dry run)" : ""}...`
+  );
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const results = {
+    oauthCredentials: await reencryptOAuthCredentials(activeKeyId),
+    credentialReveals: await reencryptField(
+      CredentialReveal,
+      "secret",
+      activeKeyId
+    ),
+    provisioningJobs: await reencryptField(
+      ProvisioningJob,
+      "secrets.password",
+      activeKeyId
+    ),
+    provisioningJobRevealTokens: await reencryptField(
+      ProvisioningJob,
+      "secrets.revealToken",
+      activeKeyId
+    ),
+  };
+
+  Object.entries(results).forEach(([collection, count]) => {
+    console.log(
+      `${collection}: ${count} document(s) ${dryRun ? "to update" : "updated"}`
+    );
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Re-encryption failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -16,8 +16,23 @@ const connectDB = require("./config/db");
 const errorHandler = require("./middleware/errorMiddleware");
 const authRoutes = require("./routes/authRoutes");
 const accountRoutes = require("./routes/accountRoutes");
+const agencyRoutes = require("./routes/agencyRoutes");
+const templateRoutes = require("./routes/templateRoutes");
+const credentialRoutes = require("./routes/credentialRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const oauthCredentialRoutes = require("./routes/oauthCredentialRoutes");
+const originRoutes = require("./routes/originRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const customValueSyncRoutes = require("./routes/customValueSyncRoutes");
+const { captureRawBody } = require("./middleware/webhookMiddleware");
+const { checkOrigin } = require("./middleware/originMiddleware");
 const tokenRefreshJob = require("./cronJobs/tokenRefreshJob");
+const provisioningResumeJob = require("./cronJobs/provisioningResumeJob");
+const customValueSyncJob = require("./cronJobs/customValueSyncJob");
 const ssoRoutes = require("./routes/ssoRoutes");
+const secretBox = require("./services/secretBox");
+const ssoService = require("./services/ssoService");
+const originRegistry = require("./services/originRegistry");
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -68,87 +83,41 @@ function validateSSOConfiguration() {
   }
 }
 
-// ==========================================
-// 3. CORS CONFIGURATION
-// auto-allow *.securebusinessautomation.com + *.base44.app + *.legacyprojector.com
-// ==========================================
-
-const allowedExactOrigins = new Set([
-  "https://app.gohighlevel.com",
-  "https://app.highlevel.com",
-  "https://sso-app.clingy.app",
-  "http://127.0.0.1:5500",
-  "http://127.0.0.1:5501",
-  "https://accounts.legacyprojector.com",
-  "https://portal.clingy.app",
-  "https://equityproperties.clingy.app",
-  "https://offers.nepcashhomebuyers.com",
-  "https://legacyprojector.com",
-  "https://portal.secureautomation.app", // root domain
-  "chrome-extension://onkhiighfnfjldnleifganbkmfkonjbc",
-  // 👇 ADD YOUR EXTENSION ID HERE 👇
-  "chrome-extension://chkcckanmihmkoaamndailaicdmakjdk",
-]);
-
-if (process.env.NODE_ENV === "development") {
-  allowedExactOrigins.add("http://localhost:3000");
-  allowedExactOrigins.add("http://127.0.0.1:3000");
-}
-
-// Wildcard patterns
-const SBA_PATTERN = /^https:\/\/([a-z0-9-]+\.)*securebusinessautomation\.com$/i;
-const BASE44_PATTERN = /^https:\/\/([a-z0-9-]+\.)*base44\.app$/i;
-const LEGACYPROJECTOR_PATTERN =
-  /^https:\/\/([a-z0-9-]+\.)*legacyprojector\.com$/i;
-
-function isAllowedOrigin(origin) {
-  if (!origin) {
-    // Non-browser clients (Postman/cURL) or server-side fetch
-    return true;
-  }
-  if (allowedExactOrigins.has(origin)) return true;
+function validateEncryptionConfiguration() {
+  console.log("=== Encryption Configuration Validation ===");
 
   try {
-    const u = new URL(origin);
-
-    if (u.protocol !== "https:") return false;
-
-    // securebusinessautomation.com + subdomains
-    if (
-      u.hostname === "securebusinessautomation.com" ||
-      SBA_PATTERN.test(origin)
-    ) {
-      return true;
+    if (!secretBox.isConfigured()) {
+      console.error(
+        "❌ WARNING: No encryption key configured, OAuth tokens will be stored in plaintext!",
+      );
+      console.log("Add a 32-byte key (base64 or hex) to .env file:");
+      console.log("ENCRYPTION_KEYS=key1:your_base64_key_here");
+      return false;
     }
 
-    // base44.app + subdomains
-    if (u.hostname === "base44.app" || BASE44_PATTERN.test(origin)) {
-      return true;
+    const probe = "validation";
+    if (secretBox.decrypt(secretBox.encrypt(probe)) !== probe) {
+      throw new Error("round trip returned a different value");
     }
 
-    // legacyprojector.com + ALL subdomains
-    if (
-      u.hostname === "legacyprojector.com" ||
-      LEGACYPROJECTOR_PATTERN.test(origin)
-    ) {
-      return true;
-    }
-
-    return false;
-  } catch {
+    console.log(
+      `✅ Encryption key validation successful (active key: ${secretBox.getActiveKeyId()})`,
+    );
+    return true;
+  } catch (error) {
+    console.error("❌ Encryption key validation failed:", error.message);
     return false;
   }
 }
 
+// ==========================================
+// 3. CORS CONFIGURATION
+// Allowed origins live in the origin registry (see services/originRegistry,
+// managed through /api/allowed-origins).
+// ==========================================
+
 const corsOptions = {
-  origin(origin, callback) {
-    const allowed = isAllowedOrigin(origin);
-    if (allowed) {
-      return callback(null, origin || true);
-    }
-    console.log("CORS blocked origin:", origin);
-    return callback(new Error("Not allowed by CORS"));
-  },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: [
@@ -158,19 +127,46 @@ const corsOptions = {
     "Accept",
     "Authorization",
     "x-sso-session",
+    "x-api-key",
   ],
   maxAge: 86400,
 };
 
-app.use(cors(corsOptions));
+// Requests without an Origin (Postman/cURL, server-side fetch) pass; routes
+// that hand out tokens apply their own policy (see originMiddleware). An
+// agency's origins are only allowed on requests for that agency.
+app.use(
+  cors(async (req, callback) => {
+    try {
+      if (await checkOrigin(req)) {
+        return callback(null, { ...corsOptions, origin: true });
+      }
+      console.log("CORS blocked origin:", req.get("origin"));
+      return callback(new Error("Not allowed by CORS"));
+    } catch (error) {
+      return callback(error);
+    }
+  }),
+);
 app.use((req, res, next) => {
   res.setHeader("Vary", "Origin");
   next();
 });
 
 // 4. GLOBAL MIDDLEWARE
+// Query parameters that carry secrets (the legacy SSO payload on
+// GET /api/sso/ghl, OAuth codes and state) are masked in the access log
+const REDACTED_QUERY_PARAMS = ["encryptedData", "code", "state"];
+logger.token("url", (req) => {
+  const url = new URL(req.originalUrl || req.url, "http://localhost");
+  REDACTED_QUERY_PARAMS.forEach((name) => {
+    if (url.searchParams.has(name)) url.searchParams.set(name, "REDACTED");
+  });
+  return url.pathname + url.search;
+});
 app.use(logger("dev"));
-app.use(express.json());
+// Webhook signatures need the raw body; batch onboarding uploads can be large
+app.use(express.json({ verify: captureRawBody, limit: "5mb" }));
 
 // 5. DATABASE CONNECTION
 connectDB();
@@ -178,6 +174,15 @@ connectDB();
 // 6. API ROUTES
 app.use("/api/auth", authRoutes);
 app.use("/", accountRoutes);
+app.use("/agencies/:companyId", accountRoutes); // Same routes, agency taken from the path
+app.use("/api/agencies", agencyRoutes);
+app.use("/api/agencies/:companyId/custom-value-sync", customValueSyncRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/credentials", credentialRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/oauth-credentials", oauthCredentialRoutes);
+app.use("/api/allowed-origins", originRoutes);
+app.use("/api/webhooks", webhookRoutes);
 app.use("/api/sso", ssoRoutes);
 
 // Utility endpoints for bcrypt hashing/comparison
@@ -221,8 +226,22 @@ app.get("/", (req, res) => {
 app.use(errorHandler);
 
 // 8. START SERVER AND JOBS
+// SSO sessions must be signed with a secret of their own
+try {
+  ssoService.assertSessionSecret();
+} catch (error) {
+  console.error(`❌ CRITICAL: ${error.message} Refusing to start.`);
+  console.log("Add a long random secret to .env file:");
+  console.log("SSO_SESSION_SECRET=your_session_secret_here");
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   validateSSOConfiguration();
+  validateEncryptionConfiguration();
+  originRegistry.seedDefaults();
   tokenRefreshJob.start();
+  provisioningResumeJob.start();
+  customValueSyncJob.start();
 });
@@ -0,0 +1,202 @@
+// =======================================================
+// File: services/addressRules.js
+// Description: Reference data for validating addresses and phone numbers:
+// ISO 3166-1 alpha-2 country codes, US state codes and postal code formats.
+// =======================================================
+
+// ISO 3166-1 alpha-2 codes
+const COUNTRY_CODES = new Set(
+  (
+    "AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI " +
+    "BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN " +
+    "CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK " +
+    "FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM " +
+    "HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN " +
+    "KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK " +
+    "ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP " +
+    "NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW " +
+    "SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF " +
+    "TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI " +
+    "VN VU WF WS YE YT ZA ZM ZW"
+  ).split(" ")
+);
+
+// Country names commonly typed instead of a code
+const COUNTRY_ALIASES = {
+  USA: "US",
+  "UNITED STATES": "US",
+  "UNITED STATES OF AMERICA": "US",
+  CANADA: "CA",
+  UK: "GB",
+  "UNITED KINGDOM": "GB",
+  "GREAT BRITAIN": "GB",
+  AUSTRALIA: "AU",
+  "NEW ZEALAND": "NZ",
+  MEXICO: "MX",
+};
+
+// US states, the District of Columbia and territories
+const US_STATES = {
+  AL: "Alabama",
+  AK: "Alaska",
+  AZ: "Arizona",
+  AR: "Arkansas",
+  CA: "California",
+  CO: "Colorado",
+  CT: "Connecticut",
+  DE: "Delaware",
+  DC: "District of Columbia",
+  FL: "Florida",
+  GA: "Georgia",
+  HI: "Hawaii",
+  ID: "Idaho",
+  IL: "Illinois",
+  IN: "Indiana",
+  IA: "Iowa",
+  KS: "Kansas",
+  KY: "Kentucky",
+  LA: "Louisiana",
+  ME: "Maine",
+  MD: "Maryland",
+  MA: "Massachusetts",
+  MI: "Michigan",
+  MN: "Minnesota",
+  MS: "Mississippi",
+  MO: "Missouri",
+  MT: "Montana",
+  NE: "Nebraska",
+  NV: "Nevada",
+  NH: "New Hampshire",
+  NJ: "New Jersey",
+  NM: "New Mexico",
+  NY: "New York",
+  NC: "North Carolina",
+  ND: "North Dakota",
+  OH: "Ohio",
+  OK: "Oklahoma",
+  OR: "Oregon",
+  PA: "Pennsylvania",
+  RI: "Rhode Island",
+  SC: "South Carolina",
+  SD: "South Dakota",
+  TN: "Tennessee",
+  TX: "Texas",
+  UT: "Utah",
+  VT: "Vermont",
+  VA: "Virginia",
+  WA: "Washington",
+  WV: "West Virginia",
+  WI: "Wisconsin",
+  WY: "Wyoming",
+  AS: "American Samoa",
+  GU: "Guam",
+  MP: "Northern Mariana Islands",
+  PR: "Puerto Rico",
+  VI: "U.S. Virgin Islands",
+};
+
+const US_STATE_CODES_BY_NAME = Object.fromEntries(
+  Object.entries(US_STATES).map(([code, name]) => [name.toUpperCase(), code])
+);
+
+// Postal code formats by country; other countries get a loose check
+const POSTAL_CODE_PATTERNS = {
+  US: { pattern: /^\d{5}(-\d{4})?$/, example: "94105 or 94105-1234" },
+  CA: {
+    pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/,
+    example: "K1A 0B1",
+  },
+  GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, example: "SW1A 1AA" },
+  IE: { pattern: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/, example: "D02 X285" },
+  AU: { pattern: /^\d{4}$/, example: "2000" },
+  NZ: { pattern: /^\d{4}$/, example: "6011" },
+  ZA: { pattern: /^\d{4}$/, example: "8001" },
+  PH: { pattern: /^\d{4}$/, example: "1000" },
+  NL: { pattern: /^\d{4} ?[A-Z]{2}$/, example: "1012 AB" },
+  DE: { pattern: /^\d{5}$/, example: "10115" },
+  FR: { pattern: /^\d{5}$/, example: "75001" },
+  ES: { pattern: /^\d{5}$/, example: "28001" },
+  IT: { pattern: /^\d{5}$/, example: "00118" },
+  MX: { pattern: /^\d{5}$/, example: "01000" },
+  BR: { pattern: /^\d{5}-?\d{3}$/, example: "01001-000" },
+  IN: { pattern: /^\d{6}$/, example: "110001" },
+};
+const GENERIC_POSTAL_CODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+// Countries dialled with +1 and a 10-digit national number
+const NANP_COUNTRIES = new Set(["US", "CA", "PR", "GU", "VI", "AS", "MP"]);
+
+/**
+ * Returns the ISO code for a country code or common name, or null.
+ * @param {string} value - E.g. "us", "USA", "United States".
+ * @returns {string|null}
+ */
+function toCountryCode(value) {
+  const upper = String(value).trim().toUpperCase();
+  const code = COUNTRY_ALIASES[upper] || upper;
+  return COUNTRY_CODES.has(code) ? code : null;
+}
+
+/**
+ * Returns the code of a US state given by code or name, or null.
+ * @param {string} value - E.g. "ca", "California".
+ * @returns {string|null}
+ */
+function toUsStateCode(value) {
+  const upper = String(value).trim().toUpperCase();
+  if (US_STATES[upper]) return upper;
+  return US_STATE_CODES_BY_NAME[upper] || null;
+}
+
+/**
+ * Checks a postal code for a country.
+ * @param {string} postalCode - Normalised (upper case) postal code.
+ * @param {string} [countryCode] - ISO country code.
+ * @returns {string|null} - An error message, or null if valid.
+ */
+function checkPostalCode(postalCode, countryCode) {
+  const rule = POSTAL_CODE_PATTERNS[countryCode];
+  if (rule) {
+    return rule.pattern.test(postalCode)
+      ? null
+      : `Postal code is not valid for ${countryCode} (e.g. ${rule.example}).`;
+  }
+  return GENERIC_POSTAL_CODE_PATTERN.test(postalCode)
+    ? null
+    : "Postal code is not valid.";
+}
+
+/**
+ * Normalises a phone number towards E.164: formatting characters are
+ * dropped, and 10-digit numbers in +1 countries get their country code.
+ * @param {string} phone - The phone number as typed.
+ * @param {string} [countryCode] - ISO country code of the address.
+ * @returns {string}
+ */
+function normalizePhone(phone, countryCode) {
+  const compact = String(phone).replace(/[\s().-]/g, "");
+  if (compact.startsWith("+")) return compact;
+  if (compact.startsWith("00")) return `+${compact.slice(2)}`;
+  if (NANP_COUNTRIES.has(countryCode)) {
+    if (/^\d{10}$/.test(compact)) return `+1${compact}`;
+    if (/^1\d{10}$/.test(compact)) return `+${compact}`;
+  }
+  return compact;
+}
+
+/**
+ * Whether a phone number is in E.164 format.
+ * @param {string} phone - The normalised phone number.
+ * @returns {boolean}
+ */
+function isE164(phone) {
+  return /^\+[1-9]\d{7,14}$/.test(phone);
+}
+
+module.exports = {
+  toCountryCode,
+  toUsStateCode,
+  checkPostalCode,
+  normalizePhone,
+  isE164,
+};
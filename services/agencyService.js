@@ -0,0 +1,226 @@
+// =======================================================
+// File: services/agencyService.js
+// Description: Resolves agency (tenant) configuration and credentials.
+// =======================================================
+
+const Agency = require("../models/Agency");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const credentialRefreshService = require("./credentialRefreshService");
+const ghlClient = require("./ghlClient");
+const ghlService = require("./ghlService");
+const readiness = require("./readiness");
+
+// Agency used by single-tenant deployments; its settings may still come from env vars
+const DEFAULT_COMPANY_ID = process.env.GHL_COMPANY_ID;
+
+/**
+ * Environment fallbacks for the default agency, so existing single-agency
+ * deployments keep working before an Agency document is created.
+ */
+function getEnvDefaults(companyId) {
+  if (!companyId || companyId !== DEFAULT_COMPANY_ID) return {};
+  return {
+    snapshotId: process.env.GHL_SNAPSHOT_ID,
+    parentLocationId: process.env.GHL_PARENT_LOCATION_ID,
+    driveParentFolderId: process.env.GOOGLE_DRIVE_PARENT_FOLDER_ID,
+    customValueSyncEnabled: process.env.CUSTOM_VALUE_SYNC_ENABLED === "true",
+  };
+}
+
+/**
+ * Returns the provisioning configuration of an agency.
+ * @param {string} companyId - The agency company ID.
+ * @returns {Object|null} - The configuration, or null if the agency is unknown.
+ */
+async function getAgencyConfig(companyId) {
+  if (!companyId) return null;
+  const agency = await Agency.findOne({ companyId }).lean();
+  if (!agency && companyId !== DEFAULT_COMPANY_ID) return null;
+  if (agency && agency.isActive === false) return null;
+
+  const defaults = getEnvDefaults(companyId);
+  return {
+    companyId,
+    name: agency?.name,
+    snapshotId: agency?.snapshotId || defaults.snapshotId,
+    parentLocationId: agency?.parentLocationId || defaults.parentLocationId,
+    driveParentFolderId:
+      agency?.driveParentFolderId || defaults.driveParentFolderId,
+    customFieldsToSync: agency?.customFieldsToSync,
+    defaultTemplate: agency?.defaultTemplate,
+    inviteWebhookUrl: agency?.inviteWebhookUrl,
+    customValueSyncEnabled: Boolean(
+      agency?.customValueSyncEnabled || defaults.customValueSyncEnabled
+    ),
+  };
+}
+
+/**
+ * Returns the stored OAuth credentials of an agency.
+ * @param {string} companyId - The agency company ID.
+ * @returns {Object|null} - The credentials document.
+ */
+async function getAgencyCredentials(companyId) {
+  if (!companyId) return null;
+  const credentials = await OAuthCredentials.findOne(
+    OAuthCredentials.agencyFilter(companyId)
+  );
+  if (credentials) {
+    ghlClient.registerToken(credentials.access_token, { companyId });
+  }
+  return credentials;
+}
+
+/**
+ * Returns the stored OAuth credentials of a location that installed the app
+ * itself (a location-level install) under the given agency.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} locationId - The location ID.
+ * @returns {Object|null} - The credentials document.
+ */
+async function getLocationCredentials(companyId, locationId) {
+  if (!companyId || !locationId) return null;
+  const credentials = await OAuthCredentials.findOne({
+    ...OAuthCredentials.locationFilter(locationId),
+    companyId,
+  });
+  if (credentials) {
+    ghlClient.registerToken(credentials.access_token, {
+      companyId,
+      locationId,
+      storedInstall: true,
+    });
+  }
+  return credentials;
+}
+
+/**
+ * Whether stored credentials are still valid for at least marginSeconds.
+ * @param {Object} credentials - OAuthCredentials document.
+ * @param {number} [marginSeconds=60]
+ * @returns {boolean}
+ */
+function isTokenFresh(credentials, marginSeconds = 60) {
+  const expiresAt = credentialRefreshService.getExpiresAt(credentials);
+  return expiresAt.getTime() - marginSeconds * 1000 > Date.now();
+}
+
+/**
+ * Refreshes the access token of a stored install and saves the new tokens.
+ * @param {Object} filter - Selects the install (see OAuthCredentials.agencyFilter/locationFilter).
+ * @param {string} [rejectedToken] - The token GHL rejected; if the stored token
+ * already differs, another process refreshed it and it is returned as is.
+ * @returns {string} - The new access token.
+ */
+async function refreshInstallToken(filter, rejectedToken) {
+  const credentials = await OAuthCredentials.findOne(filter);
+  const label = filter.locationId
+    ? `locationId ${filter.locationId}`
+    : `companyId ${filter.companyId}`;
+  if (!credentials) {
+    throw new Error(`No OAuth credentials stored for ${label}.`);
+  }
+  if (rejectedToken && credentials.access_token !== rejectedToken) {
+    return credentials.access_token;
+  }
+
+  try {
+    const refreshed =
+      await credentialRefreshService.refreshCredential(credentials);
+    console.log(`Token refreshed after a 401 for ${label}`);
+    return refreshed.access_token;
+  } catch (error) {
+    if (error.code !== "REFRESH_IN_PROGRESS") throw error;
+    // Another instance is refreshing; use the tokens it stores
+    return readiness.waitFor(
+      async () => {
+        const current = await OAuthCredentials.findById(credentials._id);
+        return {
+          ready:
+            Boolean(current) && current.created_at > credentials.created_at,
+          value: current?.access_token,
+          reason: "refresh in progress elsewhere",
+        };
+      },
+      {
+        description: `the token refresh of ${label}`,
+        timeoutMs: 60000,
+        initialIntervalMs: 500,
+        maxIntervalMs: 2000,
+      }
+    );
+  }
+}
+
+/**
+ * Refreshes an agency's access token and stores the new tokens.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} [rejectedToken] - See refreshInstallToken.
+ * @returns {string} - The new agency access token.
+ */
+async function refreshAgencyToken(companyId, rejectedToken) {
+  return refreshInstallToken(
+    OAuthCredentials.agencyFilter(companyId),
+    rejectedToken
+  );
+}
+
+/**
+ * Renews a token GHL rejected with a 401 (see ghlClient): tokens of stored
+ * installs are refreshed, location tokens minted from the agency token are
+ * re-issued.
+ * @param {Object} owner - { companyId, locationId, storedInstall } the token belongs to.
+ * @param {string} rejectedToken - The rejected access token.
+ * @returns {string} - The new access token.
+ */
+async function renewRejectedToken(owner, rejectedToken) {
+  if (!owner.locationId) {
+    return refreshAgencyToken(owner.companyId, rejectedToken);
+  }
+  if (owner.storedInstall) {
+    return refreshInstallToken(
+      OAuthCredentials.locationFilter(owner.locationId),
+      rejectedToken
+    );
+  }
+  await ghlService.invalidateLocationAccessToken(
+    owner.companyId,
+    owner.locationId
+  );
+  const credentials = await getAgencyCredentials(owner.companyId);
+  if (!credentials) {
+    throw new Error(
+      `No OAuth credentials stored for companyId ${owner.companyId}.`
+    );
+  }
+  return ghlService.getLocationAccessToken(
+    owner.companyId,
+    owner.locationId,
+    credentials.access_token
+  );
+}
+
+ghlClient.setUnauthorizedHandler(renewRejectedToken);
+
+/**
+ * Makes sure an Agency document exists for a company (e.g. after an install).
+ * Existing configuration is left untouched.
+ * @param {string} companyId - The agency company ID.
+ */
+async function ensureAgency(companyId) {
+  await Agency.updateOne(
+    { companyId },
+    { $setOnInsert: { companyId, created_at: new Date() } },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  DEFAULT_COMPANY_ID,
+  getAgencyConfig,
+  getAgencyCredentials,
+  getLocationCredentials,
+  isTokenFresh,
+  refreshAgencyToken,
+  ensureAgency,
+};
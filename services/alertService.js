@@ -0,0 +1,40 @@
+// =======================================================
+// File: services/alertService.js
+// Description: Sends operational alerts (e.g. a credential that needs to be
+// re-authorized) to an external webhook such as a Slack or Teams workflow.
+//
+// Configuration:
+//   ALERT_WEBHOOK_URL   receives a JSON POST per alert (alerts are only logged if unset)
+// =======================================================
+
+const axios = require("axios");
+
+/**
+ * Posts an alert to ALERT_WEBHOOK_URL. Never throws: a failing alert channel
+ * must not break the work that raised the alert.
+ * @param {string} event - Alert type, e.g. "credential.reauth_required".
+ * @param {string} message - Human-readable summary.
+ * @param {Object} [details] - Extra fields sent with the alert.
+ */
+async function sendAlert(event, message, details = {}) {
+  console.warn(`🚨 ${message}`);
+  const webhookUrl = process.env.ALERT_WEBHOOK_URL;
+  if (!webhookUrl) return;
+
+  try {
+    await axios.post(
+      webhookUrl,
+      { event, text: message, ...details, at: new Date().toISOString() },
+      { timeout: 10000 }
+    );
+  } catch (error) {
+    console.error(
+      `Error sending ${event} alert:`,
+      error.response?.data || error.message
+    );
+  }
+}
+
+module.exports = {
+  sendAlert,
+};
@@ -0,0 +1,189 @@
+// =======================================================
+// File: services/apiKeyService.js
+// Description: Issues, verifies and revokes API keys, and records the
+// token hand-out audit log.
+// =======================================================
+
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const TokenAudit = require("../models/TokenAudit");
+
+const KEY_PREFIX = "ck_";
+
+/**
+ * Hashes an API key for storage and lookup.
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * Returns the fields of a key that are safe to show (never the hash).
+ * @param {Object} apiKey - ApiKey document.
+ * @returns {Object}
+ */
+function describeKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    companyId: apiKey.companyId,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    locationIds: apiKey.locationIds,
+    expires_at: apiKey.expires_at,
+    revoked_at: apiKey.revoked_at,
+    last_used_at: apiKey.last_used_at,
+    created_at: apiKey.created_at,
+  };
+}
+
+/**
+ * Issues a new API key.
+ * @param {Object} params
+ * @param {string} params.name - Who or what the key is for.
+ * @param {string} params.companyId - The agency the key acts for.
+ * @param {Array<string>} params.scopes - Granted scopes (see ApiKey.SCOPES).
+ * @param {Array<string>} [params.locationIds] - Locations the key is limited to.
+ * @param {Date} [params.expiresAt] - Optional expiry.
+ * @returns {Object} - { apiKey, key }; the plaintext key is only returned here.
+ */
+async function issueKey({ name, companyId, scopes, locationIds, expiresAt }) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const apiKey = await ApiKey.create({
+    name,
+    companyId,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    scopes,
+    locationIds: locationIds || [],
+    expires_at: expiresAt,
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Looks up an API key presented by a caller.
+ * @param {string} key - The plaintext key.
+ * @returns {Object|null} - The ApiKey document, or null if unknown, revoked or expired.
+ */
+async function authenticateKey(key) {
+  if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashKey(key),
+    revoked_at: null,
+  });
+  if (!apiKey) return null;
+  if (apiKey.expires_at && apiKey.expires_at <= new Date()) return null;
+
+  // Best effort; a failed write must not fail the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { last_used_at: new Date() } }
+  ).catch((error) =>
+    console.error("Error recording API key use:", error.message)
+  );
+  return apiKey;
+}
+
+/**
+ * Whether a key may request a token for a location. Requests without a key
+ * (SSO sessions) are checked by their route guard instead.
+ * @param {Object} [apiKey] - ApiKey document.
+ * @param {string} locationId - The requested location.
+ * @returns {boolean}
+ */
+function allowsLocation(apiKey, locationId) {
+  return (
+    !apiKey ||
+    !apiKey.locationIds ||
+    apiKey.locationIds.length === 0 ||
+    apiKey.locationIds.includes(locationId)
+  );
+}
+
+/**
+ * Lists API keys, optionally for one agency.
+ * @param {string} [companyId] - The agency company ID.
+ * @returns {Array<Object>} - Key descriptions.
+ */
+async function listKeys(companyId) {
+  const filter = companyId ? { companyId } : {};
+  const keys = await ApiKey.find(filter).sort({ created_at: -1 }).lean();
+  return keys.map(describeKey);
+}
+
+/**
+ * Revokes an API key. Revoking an already revoked key is a no-op.
+ * @param {string} id - The ApiKey ID.
+ * @returns {Object|null} - The revoked key, or null if unknown.
+ */
+async function revokeKey(id) {
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) return null;
+  if (!apiKey.revoked_at) {
+    apiKey.revoked_at = new Date();
+    await apiKey.save();
+  }
+  return apiKey;
+}
+
+/**
+ * Records a token hand-out (or refusal) in the audit log. Never throws: an
+ * audit failure is logged, not surfaced to the caller.
+ * @param {Object} req - The Express request.
+ * @param {Object} entry
+ * @param {string} entry.tokenType - "agency" or "location".
+ * @param {string} entry.outcome - "granted" or "denied".
+ * @param {string} [entry.reason] - Why the request was denied.
+ * @param {string} [entry.locationId] - The requested location.
+ */
+async function auditTokenAccess(
+  req,
+  { tokenType, outcome, reason, locationId }
+) {
+  try {
+    await TokenAudit.create({
+      tokenType,
+      outcome,
+      reason,
+      companyId: req.companyId || req.apiKey?.companyId,
+      locationId,
+      apiKeyId: req.apiKey?._id,
+      apiKeyPrefix: req.apiKey?.prefix,
+      ssoUserId: req.ssoUser?.userId,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    console.error("Error writing token audit entry:", error.message);
+  }
+}
+
+/**
+ * Lists audit log entries, newest first.
+ * @param {Object} filter - { companyId, apiKeyId, tokenType, outcome }.
+ * @param {number} [limit=100] - Maximum number of entries.
+ * @returns {Array<Object>}
+ */
+async function listTokenAudit(filter, limit = 100) {
+  const query = {};
+  ["companyId", "apiKeyId", "tokenType", "outcome"].forEach((field) => {
+    if (filter[field]) query[field] = filter[field];
+  });
+  return TokenAudit.find(query)
+    .sort({ created_at: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 1000))
+    .lean();
+}
+
+module.exports = {
+  describeKey,
+  issueKey,
+  authenticateKey,
+  allowsLocation,
+  listKeys,
+  revokeKey,
+  auditTokenAccess,
+  listTokenAudit,
+};
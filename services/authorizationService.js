@@ -0,0 +1,185 @@
+// =======================================================
+// File: services/authorizationService.js
+// Description: Declarative authorization rules for users identified through
+// SSO (see ssoMiddleware). A rule checks the SSO user's type ("agency" or
+// "location"), role ("admin" or "user") and the locations they can access,
+// and is applied to routes with guard() from authorizationMiddleware.
+//
+// Configuration:
+//   SSO_ACCESS_CACHE_SECONDS   how long location access looked up in GHL is cached (default 300)
+// =======================================================
+
+const Location = require("../models/Location");
+const agencyService = require("./agencyService");
+const ghlService = require("./ghlService");
+const { getExplicitCompanyId } = require("../middleware/agencyMiddleware");
+
+const CACHE_TTL_MS =
+  (Number(process.env.SSO_ACCESS_CACHE_SECONDS) || 300) * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+
+// "<companyId>:<userId>" -> { locationIds, expiresAt }
+const userLocationCache = new Map();
+// locationId -> { companyId, expiresAt }
+const locationOwnerCache = new Map();
+
+function readCache(cache, key) {
+  const entry = cache.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) return undefined;
+  return entry.value;
+}
+
+function writeCache(cache, key, value) {
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+/**
+ * Returns the agency access token used to look users and locations up.
+ */
+async function getAgencyAccessToken(companyId) {
+  const credentials = await agencyService.getAgencyCredentials(companyId);
+  if (!credentials) {
+    throw new Error(`No OAuth credentials stored for companyId ${companyId}.`);
+  }
+  return credentials.access_token;
+}
+
+/**
+ * Returns the IDs of the locations a GHL user can access.
+ * @param {Object} user - The SSO user.
+ * @returns {Array<string>}
+ */
+async function getUserLocationIds(user) {
+  const key = `${user.companyId}:${user.userId}`;
+  const cached = readCache(userLocationCache, key);
+  if (cached) return cached;
+
+  const accessToken = await getAgencyAccessToken(user.companyId);
+  const ghlUser = await ghlService.getUser(user.userId, accessToken);
+  const locationIds = ghlUser.roles?.locationIds || [];
+  writeCache(userLocationCache, key, locationIds);
+  return locationIds;
+}
+
+/**
+ * Returns the agency a location belongs to: from the location directory,
+ * or else from GHL.
+ * @param {string} companyId - The agency to look the location up with.
+ * @param {string} locationId - The location ID.
+ * @returns {string|null}
+ */
+async function getLocationCompanyId(companyId, locationId) {
+  const cached = readCache(locationOwnerCache, locationId);
+  if (cached) return cached;
+
+  let ownerId = (await Location.findOne({ locationId }).lean())?.companyId;
+  if (!ownerId) {
+    try {
+      const accessToken = await getAgencyAccessToken(companyId);
+      ownerId = (await ghlService.getLocation(locationId, accessToken))
+        .companyId;
+    } catch (error) {
+      // Unknown to GHL, or not visible to this agency
+      return null;
+    }
+  }
+  if (ownerId) writeCache(locationOwnerCache, locationId, ownerId);
+  return ownerId || null;
+}
+
+const isAgencyAdmin = (user) => user.type === "agency" && user.role === "admin";
+
+/**
+ * Refuses requests naming an agency other than the user's own.
+ */
+function checkCompany(user, req) {
+  const requestedCompanyId = getExplicitCompanyId(req);
+  if (requestedCompanyId && requestedCompanyId !== user.companyId) {
+    return "SSO session is not valid for this agency.";
+  }
+  return null;
+}
+
+/**
+ * Reads the location ID a rule applies to from the route parameter, query
+ * string or body field of the given name.
+ */
+const readLocationId = (req, field) =>
+  req.params?.[field] || req.query?.[field] || req.body?.[field];
+
+/**
+ * Rules. Each has a description and an async check(user, req) that resolves
+ * to null when the user is allowed, or to the reason they are not.
+ */
+const rules = {
+  /**
+   * Agency admins of the agency the request is for.
+   */
+  agencyAdmin: {
+    description: "agency admin",
+    async check(user, req) {
+      if (!isAgencyAdmin(user)) return "Only agency admins can do this.";
+      return checkCompany(user, req);
+    },
+  },
+
+  /**
+   * Users who can access the location named by the given field. Agency
+   * admins can access every location of their agency; other users the
+   * locations GHL assigns them (and the location they are signed in to).
+   * @param {string} [field="locationId"] - Route parameter, query or body field.
+   */
+  locationAccess(field = "locationId") {
+    return {
+      description: `access to :${field}`,
+      async check(user, req) {
+        const companyError = checkCompany(user, req);
+        if (companyError) return companyError;
+        const locationId = readLocationId(req, field);
+        if (!locationId) return null; // Left to the handler's own validation
+
+        if (isAgencyAdmin(user)) {
+          const ownerId = await getLocationCompanyId(
+            user.companyId,
+            locationId
+          );
+          return ownerId === user.companyId
+            ? null
+            : "This location does not belong to your agency.";
+        }
+        if (user.activeLocation === locationId) return null;
+        const locationIds = await getUserLocationIds(user);
+        return locationIds.includes(locationId)
+          ? null
+          : "You do not have access to this location.";
+      },
+    };
+  },
+
+  /**
+   * Account (sub-account) users signed in to the location named by the
+   * given field.
+   * @param {string} [field="locationId"] - Route parameter, query or body field.
+   */
+  activeLocationUser(field = "locationId") {
+    return {
+      description: `account user of :${field}`,
+      async check(user, req) {
+        if (user.type !== "location") {
+          return "Only account users can do this.";
+        }
+        const locationId = readLocationId(req, field);
+        return locationId && locationId === user.activeLocation
+          ? null
+          : "This is not your active location.";
+      },
+    };
+  },
+};
+
+module.exports = {
+  rules,
+  getUserLocationIds,
+  getLocationCompanyId,
+};
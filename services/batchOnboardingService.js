@@ -0,0 +1,556 @@
+// =======================================================
+// File: services/batchOnboardingService.js
+// Description: Batch onboarding. An upload of onboarding records (CSV or a
+// JSON array, same fields as /accountCreationSSE) is validated as a whole,
+// then every valid row is provisioned by its own provisioning job, a few at
+// a time. Like provisioning jobs, a batch is driven under a lease and is
+// picked up again by the resume job if its worker goes away. Failed rows can
+// be retried once the batch has finished.
+// With the "random" credential mode, a row's reveal token is handed out by
+// the event stream of its job (GET /provisioning-jobs/:jobId/events).
+//
+// Configuration:
+//   BATCH_MAX_ROWS          largest accepted upload (default 500)
+//   BATCH_MAX_CONCURRENCY   most rows provisioned at once (default 3); GHL
+//                           requests are further limited per agency by ghlClient
+// =======================================================
+
+const ProvisioningBatch = require("../models/ProvisioningBatch");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const provisioningWorker = require("./provisioningWorker");
+const onboardingService = require("./onboardingService");
+const onboardingSchema = require("./onboardingSchema");
+const duplicateCheckService = require("./duplicateCheckService");
+const requestSchema = require("./requestSchema");
+const readiness = require("./readiness");
+const { httpError } = require("./utils");
+const csv = require("./csv");
+
+const MAX_ROWS = Number(process.env.BATCH_MAX_ROWS) || 500;
+const MAX_CONCURRENCY = Number(process.env.BATCH_MAX_CONCURRENCY) || 3;
+const LOCK_TTL_MS = 2 * 60 * 1000; // Lease length; renewed while the batch runs
+const HEARTBEAT_MS = 30 * 1000;
+const JOB_WAIT_TIMEOUT_MS = 30 * 60 * 1000;
+const FINISHED_JOB_STATUSES = ["completed", "rolled_back", "failed"];
+
+const RESULT_COLUMNS = [
+  "row",
+  "status",
+  "business_name",
+  "email",
+  "location_id",
+  "drive_folder_link",
+  "job_id",
+  "error",
+];
+
+/**
+ * Name a row's problems are reported under, e.g. "rows[3].email" (the
+ * 0-based position of the record in the upload).
+ */
+const rowField = (index, field) => `rows[${index}].${field}`;
+
+/**
+ * Validates every record of an upload: the onboarding schema, the supplied
+ * password when the template asks for one, repeats within the upload and
+ * (unless allowDuplicates) businesses the agency already has.
+ * @param {Object} agency - The agency document.
+ * @param {Array<Object>} records - The uploaded records.
+ * @param {Object} plan - { template, credentialMode } from onboardingService.resolvePlan.
+ * @param {boolean} allowDuplicates - Skip the duplicate checks.
+ * @returns {Array<Object>} - { index, input, password, errors } per record.
+ */
+async function validateRecords(agency, records, plan, allowDuplicates) {
+  const seen = new Map(); // "field:value" -> first row using it
+
+  const rows = records.map((record, index) => {
+    const { values, errors } = requestSchema.validate(onboardingSchema, record);
+    errors.push(
+      ...onboardingService.checkPassword(
+        plan.credentialMode,
+        record.password,
+        values
+      )
+    );
+    if (!allowDuplicates && errors.length === 0) {
+      [
+        ["business_name", values.businessName?.toLowerCase()],
+        ["email", values.email],
+        ["phone", values.phone],
+      ].forEach(([field, value]) => {
+        if (!value) return;
+        const key = `${field}:${value}`;
+        if (seen.has(key)) {
+          errors.push({
+            field,
+            message: `Same as ${rowField(seen.get(key), field)}.`,
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+    return { index, input: values, password: record.password, errors };
+  });
+
+  if (!allowDuplicates && rows.some((row) => row.errors.length === 0)) {
+    // GHL is paged through once for the whole upload
+    const ghlLocations = await duplicateCheckService.listGhlLocations(
+      agency.companyId
+    );
+    for (const row of rows) {
+      if (row.errors.length > 0) continue;
+      row.errors.push(
+        ...(await duplicateCheckService.findDuplicates(
+          agency.companyId,
+          row.input,
+          { ghlLocations }
+        ))
+      );
+    }
+  }
+  return rows;
+}
+
+/**
+ * Validates an upload and stores it as a batch, then starts provisioning it
+ * in the background.
+ * @param {Object} agency - The agency document.
+ * @param {Array<Object>} records - The uploaded records.
+ * @param {Object} options
+ * @param {string} options.source - "csv" or "json".
+ * @param {string} [options.templateRef] - Template ID or name for every row.
+ * @param {boolean} [options.allowDuplicates] - Onboard businesses that already exist.
+ * @param {boolean} [options.skipInvalid] - Provision the valid rows of an
+ * upload with invalid ones, instead of rejecting it.
+ * @param {number} [options.concurrency] - Rows provisioned at once (capped).
+ * @returns {Object} - The batch document.
+ * @throws {Error} - 400 with field errors when rows are invalid.
+ */
+async function createBatch(agency, records, options) {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw httpError("The upload contains no onboarding records.", 400);
+  }
+  if (records.length > MAX_ROWS) {
+    throw httpError(`A batch may contain at most ${MAX_ROWS} records.`, 400);
+  }
+  if (records.some((record) => !record || typeof record !== "object")) {
+    throw httpError("Every onboarding record must be an object.", 400);
+  }
+
+  const plan = await onboardingService.resolvePlan(agency, options.templateRef);
+  const rows = await validateRecords(
+    agency,
+    records,
+    plan,
+    options.allowDuplicates === true
+  );
+
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  if (
+    invalidRows.length === rows.length ||
+    (invalidRows.length > 0 && !options.skipInvalid)
+  ) {
+    const error = requestSchema.validationError(
+      invalidRows.flatMap((row) =>
+        row.errors.map(({ field, message }) => ({
+          field: rowField(row.index, field),
+          message,
+        }))
+      )
+    );
+    error.message = `${invalidRows.length} of ${rows.length} onboarding records are invalid.`;
+    throw error;
+  }
+
+  const batch = await ProvisioningBatch.create({
+    companyId: agency.companyId,
+    source: options.source,
+    templateRef: options.templateRef,
+    concurrency: Math.min(
+      Math.max(Number(options.concurrency) || MAX_CONCURRENCY, 1),
+      MAX_CONCURRENCY
+    ),
+    config: onboardingService.buildJobConfig(agency, plan),
+    rows: rows.map((row) =>
+      row.errors.length > 0
+        ? {
+            index: row.index,
+            status: "invalid",
+            input: row.input,
+            fieldErrors: row.errors,
+          }
+        : {
+            index: row.index,
+            input: row.input,
+            secrets: onboardingService.sealSecrets(
+              plan.credentialMode,
+              row.password
+            ),
+          }
+    ),
+  });
+  console.log(
+    `Provisioning batch ${batch._id} created: ${rows.length - invalidRows.length} row(s) to provision, ${invalidRows.length} invalid.`
+  );
+
+  runBatch(batch._id).catch((error) =>
+    console.error(`Provisioning batch ${batch._id} failed:`, error.message)
+  );
+  return batch;
+}
+
+/**
+ * Atomically claims a batch for this worker if nobody else holds its lease.
+ */
+async function claimBatch(batchId) {
+  const now = new Date();
+  return ProvisioningBatch.findOneAndUpdate(
+    {
+      _id: batchId,
+      status: "running",
+      $or: [
+        { lockExpiresAt: { $exists: false } },
+        { lockExpiresAt: null },
+        { lockExpiresAt: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: provisioningWorker.WORKER_ID,
+        lockExpiresAt: new Date(now.getTime() + LOCK_TTL_MS),
+        updated_at: now,
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Updates one row of a batch.
+ */
+async function updateRow(batchId, index, fields) {
+  const $set = { updated_at: new Date() };
+  Object.entries(fields).forEach(([key, value]) => {
+    $set[`rows.${index}.${key}`] = value;
+  });
+  await ProvisioningBatch.updateOne({ _id: batchId }, { $set });
+}
+
+/**
+ * Waits for a job another worker is running to finish.
+ */
+async function waitForJob(jobId) {
+  return readiness.waitFor(
+    async () => {
+      const job = await ProvisioningJob.findById(jobId);
+      return {
+        ready: !job || FINISHED_JOB_STATUSES.includes(job.status),
+        value: job,
+        reason: job?.status,
+      };
+    },
+    {
+      description: `provisioning job ${jobId} to finish`,
+      timeoutMs: JOB_WAIT_TIMEOUT_MS,
+      maxIntervalMs: 15000,
+    }
+  );
+}
+
+/**
+ * Provisions one row: creates its job (or finds the one created before an
+ * interruption), runs it and records the outcome on the row. A supplied
+ * password stays on the row until the row completes, so a failed row can be
+ * retried with it.
+ */
+async function provisionRow(batch, row) {
+  const batchId = batch._id;
+  await updateRow(batchId, row.index, {
+    status: "running",
+    started_at: new Date(),
+  });
+
+  try {
+    // The key makes re-running an interrupted row reuse its job; a retried
+    // row gets a new one
+    const idempotencyKey =
+      `batch:${batchId}:${row.index}` + (row.retries ? `:${row.retries}` : "");
+    let job = await provisioningWorker.findJobByIdempotencyKey(
+      batch.companyId,
+      idempotencyKey
+    );
+    if (!job) {
+      job = await provisioningWorker.createJob({
+        companyId: batch.companyId,
+        idempotencyKey,
+        requestHash: provisioningWorker.hashRequest(
+          row.input,
+          batch.templateRef
+        ),
+        input: row.input,
+        secrets: row.secrets?.password ? row.secrets : undefined,
+        config: batch.config,
+      });
+    }
+    await updateRow(batchId, row.index, { jobId: job._id });
+
+    let finished = FINISHED_JOB_STATUSES.includes(job.status)
+      ? job
+      : await provisioningWorker.runJob(job._id);
+    if (!finished || !FINISHED_JOB_STATUSES.includes(finished.status)) {
+      // Claimed by another worker (or lost to one mid-run)
+      finished = await waitForJob(job._id);
+    }
+
+    const completed = finished?.status === "completed";
+    await updateRow(batchId, row.index, {
+      status: completed ? "completed" : "failed",
+      locationId: finished?.outputs?.locationId,
+      driveFolderLink: finished?.outputs?.driveFolderLink,
+      error: completed
+        ? undefined
+        : finished?.error || "The provisioning job disappeared.",
+      ...(completed ? { secrets: {} } : {}),
+      completed_at: new Date(),
+    });
+  } catch (error) {
+    console.error(
+      `Provisioning batch ${batchId}: row ${row.index} failed:`,
+      error.message
+    );
+    await updateRow(batchId, row.index, {
+      status: "failed",
+      error: error.message,
+      completed_at: new Date(),
+    });
+  }
+}
+
+/**
+ * Provisions the unfinished rows of a batch, batch.concurrency at a time,
+ * then marks the batch completed.
+ * @param {string} batchId - The batch ID.
+ * @returns {Object|null} - The finished batch, or null if it is not claimable.
+ */
+async function runBatch(batchId) {
+  const batch = await claimBatch(batchId);
+  if (!batch) {
+    console.log(`Provisioning batch ${batchId} is not claimable. Skipping.`);
+    return null;
+  }
+
+  const heartbeat = setInterval(() => {
+    ProvisioningBatch.updateOne(
+      { _id: batchId, lockedBy: provisioningWorker.WORKER_ID },
+      { $set: { lockExpiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+    ).catch((error) =>
+      console.error("Error renewing provisioning batch lease:", error.message)
+    );
+  }, HEARTBEAT_MS);
+
+  try {
+    // Rows left "running" by an interrupted worker are picked up again
+    const queue = batch.rows.filter((row) =>
+      ["pending", "running"].includes(row.status)
+    );
+    const work = async () => {
+      for (let row = queue.shift(); row; row = queue.shift()) {
+        await provisionRow(batch, row);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(batch.concurrency, queue.length) }, work)
+    );
+
+    // A worker that lost its lease leaves the batch to the one that took it
+    const { matchedCount } = await ProvisioningBatch.updateOne(
+      { _id: batchId, lockedBy: provisioningWorker.WORKER_ID },
+      {
+        $set: {
+          status: "completed",
+          completed_at: new Date(),
+          updated_at: new Date(),
+        },
+        $unset: { lockedBy: "", lockExpiresAt: "" },
+      }
+    );
+    if (matchedCount === 0) {
+      console.warn(
+        `Provisioning batch ${batchId}: lease lost to another worker; not marking it completed.`
+      );
+    } else {
+      console.log(`Provisioning batch ${batchId} completed.`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+  return ProvisioningBatch.findById(batchId);
+}
+
+/**
+ * Queues the failed rows of a finished batch again and starts provisioning
+ * them in the background. Each retried row gets a new provisioning job.
+ * @param {Object} batch - The batch document.
+ * @returns {Object} - The updated batch document.
+ * @throws {Error} - 409 if the batch is still running or has no failed rows.
+ */
+async function retryFailedRows(batch) {
+  if (batch.status !== "completed") {
+    throw httpError("The batch is still running; retry once it is done.", 409);
+  }
+  const failedRows = batch.rows.filter((row) => row.status === "failed");
+  if (failedRows.length === 0) {
+    throw httpError("The batch has no failed rows to retry.", 409);
+  }
+
+  const now = new Date();
+  const $set = { status: "running", updated_at: now };
+  const $unset = { completed_at: "" };
+  const $inc = {};
+  failedRows.forEach(({ index }) => {
+    $set[`rows.${index}.status`] = "pending";
+    $inc[`rows.${index}.retries`] = 1;
+    ["jobId", "locationId", "driveFolderLink", "error", "completed_at"].forEach(
+      (key) => {
+        $unset[`rows.${index}.${key}`] = "";
+      }
+    );
+  });
+  const updated = await ProvisioningBatch.findOneAndUpdate(
+    { _id: batch._id, status: "completed" },
+    { $set, $unset, $inc },
+    { new: true }
+  );
+  if (!updated) {
+    throw httpError("The batch is already being retried.", 409);
+  }
+  console.log(
+    `Provisioning batch ${batch._id}: retrying ${failedRows.length} failed row(s).`
+  );
+
+  runBatch(batch._id).catch((error) =>
+    console.error(`Provisioning batch ${batch._id} failed:`, error.message)
+  );
+  return updated;
+}
+
+/**
+ * Finds batches whose worker disappeared (stale lease) and resumes them.
+ * @returns {number} - How many batches were picked up.
+ */
+async function resumeInterruptedBatches() {
+  const now = new Date();
+  const staleBatches = await ProvisioningBatch.find(
+    {
+      status: "running",
+      $or: [
+        { lockExpiresAt: { $lte: now } },
+        // Never claimed (the instance went away right after the upload)
+        {
+          lockExpiresAt: null,
+          created_at: { $lte: new Date(now.getTime() - LOCK_TTL_MS) },
+        },
+      ],
+    },
+    { _id: 1 }
+  ).limit(5);
+
+  for (const { _id } of staleBatches) {
+    console.log(`Resuming interrupted provisioning batch ${_id}.`);
+    // Not awaited: a batch can run for hours
+    runBatch(_id).catch((error) =>
+      console.error(`Provisioning batch ${_id} failed:`, error.message)
+    );
+  }
+  return staleBatches.length;
+}
+
+/**
+ * Finds a batch, optionally only within one agency.
+ * @param {string} batchId - The batch ID.
+ * @param {string} [companyId] - Restrict to this agency.
+ * @returns {Object|null}
+ */
+async function getBatch(batchId, companyId) {
+  return ProvisioningBatch.findOne({
+    _id: batchId,
+    ...(companyId ? { companyId } : {}),
+  });
+}
+
+/**
+ * Describes a batch for API responses: counts per row status and one entry
+ * per row, numbered from 1. Secrets are never included.
+ * @param {Object} batch - The batch document.
+ * @returns {Object}
+ */
+function describeBatch(batch) {
+  const counts = Object.fromEntries(
+    ProvisioningBatch.ROW_STATUSES.map((status) => [status, 0])
+  );
+  batch.rows.forEach((row) => {
+    counts[row.status] += 1;
+  });
+  return {
+    id: batch._id,
+    companyId: batch.companyId,
+    status: batch.status,
+    source: batch.source,
+    templateRef: batch.templateRef,
+    credentialMode: batch.config?.credentialMode,
+    concurrency: batch.concurrency,
+    total: batch.rows.length,
+    counts,
+    rows: batch.rows.map((row) => ({
+      row: row.index + 1,
+      status: row.status,
+      retries: row.retries,
+      businessName: row.input?.businessName,
+      email: row.input?.email,
+      jobId: row.jobId,
+      locationId: row.locationId,
+      driveFolderLink: row.driveFolderLink,
+      error: row.error,
+      errors: row.fieldErrors,
+    })),
+    created_at: batch.created_at,
+    completed_at: batch.completed_at,
+  };
+}
+
+/**
+ * Builds the results CSV of a batch: one line per uploaded record, numbered
+ * from 1.
+ * @param {Object} batch - The batch document.
+ * @returns {string}
+ */
+function toResultsCsv(batch) {
+  return csv.stringify(
+    RESULT_COLUMNS,
+    batch.rows.map((row) => ({
+      row: row.index + 1,
+      status: row.status,
+      business_name: row.input?.businessName,
+      email: row.input?.email,
+      location_id: row.locationId,
+      drive_folder_link: row.driveFolderLink,
+      job_id: row.jobId,
+      error:
+        row.error ||
+        row.fieldErrors
+          ?.map(({ field, message }) => `${field}: ${message}`)
+          .join("; "),
+    }))
+  );
+}
+
+module.exports = {
+  createBatch,
+  runBatch,
+  retryFailedRows,
+  resumeInterruptedBatches,
+  getBatch,
+  describeBatch,
+  toResultsCsv,
+};
@@ -0,0 +1,164 @@
+// =======================================================
+// File: services/credentialRefreshService.js
+// Description: Refreshes stored OAuth credentials. GHL refresh tokens are
+// single-use, so each refresh runs under a lease lock (see jobLock): two
+// instances refreshing with the same refresh token would invalidate each
+// other. Every attempt is recorded on the credential; after too many
+// consecutive failures the credential is marked as needing
+// re-authorization and an alert is sent.
+//
+// Configuration:
+//   TOKEN_REFRESH_MAX_FAILURES   failures before re-authorization is required (default 3)
+// =======================================================
+
+const OAuthCredentials = require("../models/OAuthCredentials");
+const alertService = require("./alertService");
+const ghlService = require("./ghlService");
+const jobLock = require("./jobLock");
+
+const MAX_FAILURES = Number(process.env.TOKEN_REFRESH_MAX_FAILURES) || 3;
+const REFRESH_LEASE_MS = 60000;
+
+/**
+ * Describes a credential for log messages (agency or location install).
+ * @param {Object} credential - OAuthCredentials document.
+ * @returns {string}
+ */
+function describeCredential(credential) {
+  return credential.userType === "Location"
+    ? `locationId ${credential.locationId}`
+    : `companyId ${credential.companyId}`;
+}
+
+/**
+ * When a credential's access token expires.
+ * @param {Object} credential - OAuthCredentials document.
+ * @returns {Date}
+ */
+function getExpiresAt(credential) {
+  return new Date(
+    credential.created_at.getTime() + credential.expires_in * 1000
+  );
+}
+
+/**
+ * Records a failed refresh. Marks the credential as needing
+ * re-authorization (and alerts, once) when the failures reach MAX_FAILURES.
+ * @param {Object} credential - OAuthCredentials document.
+ * @param {Error} error - The refresh error.
+ */
+async function recordFailure(credential, error) {
+  const message =
+    error.response?.data?.error_description ||
+    error.response?.data?.message ||
+    error.message;
+  const updated = await OAuthCredentials.findOneAndUpdate(
+    { _id: credential._id },
+    {
+      $set: {
+        last_refresh_at: new Date(),
+        last_refresh_status: "failed",
+        last_refresh_error: message,
+      },
+      $inc: { consecutive_failures: 1 },
+    },
+    { new: true }
+  );
+  if (!updated || updated.consecutive_failures < MAX_FAILURES) return;
+
+  // Only the update that flips the flag sends the alert
+  const flagged = await OAuthCredentials.findOneAndUpdate(
+    { _id: credential._id, reauth_required: { $ne: true } },
+    { $set: { reauth_required: true, reauth_required_at: new Date() } }
+  );
+  if (flagged) {
+    await alertService.sendAlert(
+      "credential.reauth_required",
+      `OAuth credentials for ${describeCredential(updated)} failed to refresh ${updated.consecutive_failures} times and must be re-authorized (reinstall the app).`,
+      {
+        credentialId: String(updated._id),
+        userType: updated.userType,
+        companyId: updated.companyId,
+        locationId: updated.locationId,
+        consecutiveFailures: updated.consecutive_failures,
+        lastError: message,
+      }
+    );
+  }
+}
+
+/**
+ * Refreshes a credential's tokens and records the outcome on it.
+ * @param {Object} credential - OAuthCredentials document.
+ * @returns {Object} - The updated credential. If another instance refreshed
+ * it since the given copy was loaded, that result is returned instead.
+ * @throws {Error} - code REFRESH_IN_PROGRESS (409) if another refresh holds
+ * the lock, otherwise the refresh error.
+ */
+async function refreshCredential(credential) {
+  const label = describeCredential(credential);
+  const lease = await jobLock.acquire(
+    `oauth-refresh:${credential._id}`,
+    REFRESH_LEASE_MS
+  );
+  if (!lease) {
+    const error = new Error(`A refresh of ${label} is already in progress.`);
+    error.code = "REFRESH_IN_PROGRESS";
+    error.statusCode = 409;
+    throw error;
+  }
+
+  try {
+    const current = await OAuthCredentials.findById(credential._id);
+    if (!current) {
+      const error = new Error(
+        `OAuth credentials for ${label} no longer exist.`
+      );
+      error.statusCode = 404;
+      throw error;
+    }
+    if (current.created_at.getTime() !== credential.created_at.getTime()) {
+      return current; // Refreshed (or reinstalled) in the meantime
+    }
+
+    let tokens;
+    try {
+      tokens = await ghlService.refreshAccessToken(
+        current.refresh_token,
+        current.userType
+      );
+    } catch (error) {
+      await recordFailure(current, error);
+      throw error;
+    }
+
+    const now = new Date();
+    return OAuthCredentials.findOneAndUpdate(
+      { _id: current._id },
+      {
+        $set: {
+          access_token: tokens.access_token,
+          refresh_token: tokens.refresh_token,
+          expires_in: tokens.expires_in,
+          created_at: now,
+          last_refresh_at: now,
+          last_refresh_status: "success",
+          last_refresh_error: null,
+          consecutive_failures: 0,
+          reauth_required: false,
+          reauth_required_at: null,
+        },
+      },
+      { new: true }
+    );
+  } finally {
+    await lease.release();
+  }
+}
+
+module.exports = {
+  MAX_FAILURES,
+  describeCredential,
+  getExpiresAt,
+  refreshCredential,
+};
@@ -0,0 +1,99 @@
+// =======================================================
+// File: services/csv.js
+// Description: Minimal CSV (RFC 4180) reading and writing: quoted fields,
+// escaped quotes ("") and line breaks inside quotes; CRLF or LF rows.
+// =======================================================
+
+/**
+ * Splits CSV text into rows of fields.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>}
+ * @throws {Error} - If a quoted field is never closed.
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = String(text).replace(/^\uFEFF/, ""); // Excel adds a BOM
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field in CSV.");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no record
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parses CSV text whose first row names the columns.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} - One object per record, keyed by column name.
+ */
+function parse(text) {
+  const [header, ...records] = parseRows(text);
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  return records.map((fields) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, fields[index] ?? ""])
+    )
+  );
+}
+
+/**
+ * Quotes a value when it contains a separator, quote or line break. Values
+ * starting with a formula character are prefixed so spreadsheets do not
+ * evaluate them.
+ */
+function formatField(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes records as CSV with a header row.
+ * @param {Array<string>} columns - Column names, in order.
+ * @param {Array<Object>} records - Objects keyed by column name.
+ * @returns {string}
+ */
+function stringify(columns, records) {
+  return [columns, ...records.map((record) => columns.map((c) => record[c]))]
+    .map((fields) => fields.map(formatField).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+module.exports = {
+  parse,
+  stringify,
+};
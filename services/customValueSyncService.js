@@ -0,0 +1,515 @@
+// =======================================================
+// File: services/customValueSyncService.js
+// Description: Keeps the custom values of provisioned locations in line with
+// the agency's parent location. Provisioning copies them once (see the
+// syncCustomValues step); this sync propagates later changes to every child,
+// on demand or on a schedule. Each run records the differences per child.
+// Children can be excluded, skip fields or keep their own value for a field
+// (CustomValueSyncSettings). Fields missing on a child are created.
+//
+// Configuration:
+//   CUSTOM_VALUE_SYNC_LOCK_MINUTES   lease on the agency's lock, renewed while a
+//                                    run lasts (default 5)
+//   CUSTOM_VALUE_SYNC_ENABLED        "true" enables the schedule for the default
+//                                    agency (GHL_COMPANY_ID) without an Agency document
+// =======================================================
+
+const CustomValueSyncRun = require("../models/CustomValueSyncRun");
+const CustomValueSyncSettings = require("../models/CustomValueSyncSettings");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const Agency = require("../models/Agency");
+const agencyService = require("./agencyService");
+const ghlService = require("./ghlService");
+const jobLock = require("./jobLock");
+const onboardingService = require("./onboardingService");
+const templateService = require("./templateService");
+const { httpError } = require("./utils");
+const {
+  LINK_FIELDS,
+  listFieldsToSync,
+  readCustomValues,
+} = require("./provisioningSteps");
+
+const LEASE_MS =
+  (Number(process.env.CUSTOM_VALUE_SYNC_LOCK_MINUTES) || 5) * 60 * 1000;
+const HEARTBEAT_MS = LEASE_MS / 5;
+
+const lockName = (companyId) => `custom-value-sync:${companyId}`;
+
+/**
+ * Names of the custom values copied from the parent: the fields provisioning
+ * copies with the agency's default template. The link fields point at each
+ * location's own funnel and folder, so they are never synced.
+ * @param {Object} agency - The agency configuration.
+ * @returns {Array<string>}
+ */
+async function getSyncedFields(agency) {
+  const template = await templateService.resolveTemplate(
+    agency.companyId,
+    undefined,
+    agency.defaultTemplate
+  );
+  return listFieldsToSync({
+    fieldsToSync: onboardingService.resolveFieldsToSync(agency, template),
+  }).filter((name) => !LINK_FIELDS.includes(name));
+}
+
+/**
+ * Lists the locations provisioned for an agency (its children).
+ * @param {Object} agency - The agency document.
+ * @returns {Array<string>} - Location IDs.
+ */
+async function listChildLocationIds(agency) {
+  const locationIds = await ProvisioningJob.distinct("outputs.locationId", {
+    companyId: agency.companyId,
+    status: "completed",
+  });
+  return locationIds.filter((id) => id && id !== agency.parentLocationId);
+}
+
+/**
+ * Compares a child's custom values with what the sync wants them to be.
+ * @param {Array<string>} fields - Synced field names.
+ * @param {Object} parentValues - Parent values by name ({ id, name, value }).
+ * @param {Object} childValues - Child values by name.
+ * @param {Object} [settings] - The child's sync settings.
+ * @returns {Array<Object>} - { name, action, from, to, overridden } per
+ * difference; fields the parent does not have (and the child does not
+ * override) are left alone.
+ */
+function diffChild(fields, parentValues, childValues, settings) {
+  const excludedFields = settings?.excludedFields || [];
+  const overrides = settings?.overrides || {};
+  const changes = [];
+
+  fields.forEach((name) => {
+    if (excludedFields.includes(name)) return;
+    const overridden = overrides[name] !== undefined;
+    const desired = overridden ? overrides[name] : parentValues[name]?.value;
+    if (desired === undefined || desired === null) return;
+
+    const current = childValues[name];
+    if (!current) {
+      changes.push({ name, action: "create", to: String(desired), overridden });
+    } else if (String(current.value ?? "") !== String(desired)) {
+      changes.push({
+        name,
+        action: "update",
+        from: String(current.value ?? ""),
+        to: String(desired),
+        overridden,
+      });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Syncs one child location: reads its values, works out the differences and
+ * (unless a dry run) applies them. A failing field does not stop the others.
+ * @returns {Object} - The child's result ({ locationId, status, changes, error }).
+ */
+async function syncChild(run, context, locationId) {
+  const { agency, agencyAccessToken, parentValues, settingsByLocation } =
+    context;
+  const settings = settingsByLocation.get(locationId);
+  if (settings?.excluded) return { locationId, status: "excluded" };
+
+  try {
+    const childAccessToken = await ghlService.getLocationAccessToken(
+      agency.companyId,
+      locationId,
+      agencyAccessToken
+    );
+    const childValues = await readCustomValues(
+      agency.companyId,
+      locationId,
+      agencyAccessToken,
+      run.fields
+    );
+    const changes = diffChild(
+      run.fields,
+      parentValues,
+      childValues,
+      settings
+    ).map((change) => ({
+      ...change,
+      status: "planned",
+    }));
+    if (changes.length === 0) return { locationId, status: "in_sync" };
+    if (run.dryRun) return { locationId, status: "changed", changes };
+
+    for (const change of changes) {
+      try {
+        if (change.action === "create") {
+          await ghlService.createCustomValue(
+            locationId,
+            change.name,
+            change.to,
+            childAccessToken
+          );
+        } else {
+          await ghlService.updateCustomValue(
+            locationId,
+            childValues[change.name].id,
+            change.name,
+            change.to,
+            childAccessToken
+          );
+        }
+        change.status = "applied";
+      } catch (error) {
+        change.status = "failed";
+        change.error = error.message;
+      }
+    }
+    const failed = changes.filter((change) => change.status === "failed");
+    return {
+      locationId,
+      status: failed.length > 0 ? "failed" : "changed",
+      changes,
+      error:
+        failed.length > 0
+          ? `${failed.length} of ${changes.length} change(s) failed.`
+          : undefined,
+    };
+  } catch (error) {
+    console.error(
+      `Custom value sync of location ${locationId} failed:`,
+      error.message
+    );
+    return { locationId, status: "failed", error: error.message };
+  }
+}
+
+/**
+ * Runs a sync while holding the agency's lock, recording each child's result
+ * on the run as it finishes. The lease is renewed while the run lasts; if it
+ * is lost (another instance took the lock) the run stops before the next
+ * child.
+ */
+async function executeRun(run, agency, locationIds, lease) {
+  let leaseLost = false;
+  const heartbeat = setInterval(() => {
+    lease
+      .renew()
+      .then((renewed) => {
+        if (!renewed) leaseLost = true;
+      })
+      .catch((error) =>
+        console.error("Error renewing custom value sync lease:", error.message)
+      );
+  }, HEARTBEAT_MS);
+
+  try {
+    const credentials = await agencyService.getAgencyCredentials(
+      agency.companyId
+    );
+    if (!credentials?.access_token) {
+      throw new Error("Access token not available. Please authorize first.");
+    }
+    const agencyAccessToken = credentials.access_token;
+    const parentValues = await readCustomValues(
+      agency.companyId,
+      agency.parentLocationId,
+      agencyAccessToken,
+      run.fields
+    );
+    const settings = await CustomValueSyncSettings.find({
+      companyId: agency.companyId,
+    }).lean();
+    const context = {
+      agency,
+      agencyAccessToken,
+      parentValues,
+      settingsByLocation: new Map(settings.map((s) => [s.locationId, s])),
+    };
+
+    const children = await listChildLocationIds(agency);
+    const targets = locationIds || children;
+    for (const locationId of targets) {
+      if (leaseLost) {
+        throw new Error("Lost the agency's sync lock to another instance.");
+      }
+      const result = children.includes(locationId)
+        ? await syncChild(run, context, locationId)
+        : {
+            locationId,
+            status: "failed",
+            error: "Not a location provisioned for this agency.",
+          };
+      await CustomValueSyncRun.updateOne(
+        { _id: run._id },
+        { $push: { children: result } }
+      );
+    }
+
+    await CustomValueSyncRun.updateOne(
+      { _id: run._id },
+      { $set: { status: "completed", completed_at: new Date() } }
+    );
+    console.log(
+      `Custom value sync ${run._id} for ${agency.companyId} completed (${targets.length} location(s)${run.dryRun ? ", dry run" : ""}).`
+    );
+  } catch (error) {
+    console.error(`Custom value sync ${run._id} failed:`, error.message);
+    await CustomValueSyncRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: "failed",
+          error: error.message,
+          completed_at: new Date(),
+        },
+      }
+    ).catch(() => {});
+  } finally {
+    clearInterval(heartbeat);
+    await lease.release();
+  }
+  return CustomValueSyncRun.findById(run._id);
+}
+
+/**
+ * Starts a sync of an agency's parent custom values to its children.
+ * Only one sync per agency runs at a time.
+ * @param {Object} agency - The agency document.
+ * @param {Object} options
+ * @param {string} options.trigger - "manual" or "schedule".
+ * @param {boolean} [options.dryRun] - Only report the differences.
+ * @param {Array<string>} [options.locationIds] - Children to sync; all by default.
+ * @returns {Object} - { run, done }: the run as started, and a promise of
+ * the finished run.
+ * @throws {Error} - 400 if the agency has no parent location, 409 if a sync
+ * is already running for it.
+ */
+async function startSync(agency, { trigger, dryRun = false, locationIds }) {
+  if (!agency.parentLocationId) {
+    throw httpError("The agency has no parent location configured.", 400);
+  }
+  const lease = await jobLock.acquire(lockName(agency.companyId), LEASE_MS);
+  if (!lease) {
+    throw httpError(
+      "A custom value sync is already running for this agency.",
+      409
+    );
+  }
+
+  let run;
+  try {
+    run = await CustomValueSyncRun.create({
+      companyId: agency.companyId,
+      trigger,
+      dryRun,
+      parentLocationId: agency.parentLocationId,
+      fields: await getSyncedFields(agency),
+    });
+  } catch (error) {
+    await lease.release();
+    throw error;
+  }
+  console.log(
+    `Custom value sync ${run._id} started for ${agency.companyId} (${trigger}).`
+  );
+  return { run, done: executeRun(run, agency, locationIds, lease) };
+}
+
+/**
+ * Lists the agencies the schedule may sync: those that enabled it, and the
+ * default agency, whose settings may come from env vars alone.
+ * @returns {Array<string>} - Company IDs.
+ */
+async function listScheduledCompanyIds() {
+  const agencies = await Agency.find(
+    {
+      customValueSyncEnabled: true,
+      isActive: { $ne: false },
+      uninstalled_at: null,
+    },
+    { companyId: 1 }
+  ).lean();
+  const companyIds = new Set(agencies.map((agency) => agency.companyId));
+  const defaultCompanyId = agencyService.DEFAULT_COMPANY_ID;
+  if (
+    defaultCompanyId &&
+    !(await Agency.exists({
+      companyId: defaultCompanyId,
+      uninstalled_at: { $ne: null },
+    }))
+  ) {
+    companyIds.add(defaultCompanyId);
+  }
+  return [...companyIds];
+}
+
+/**
+ * Runs the scheduled sync of every active agency that has it enabled, one
+ * agency at a time. Agencies are read through agencyService.getAgencyConfig,
+ * so env defaults of the default agency apply.
+ * @returns {Object} - { started, skipped, failed } counts.
+ */
+async function runScheduledSyncs() {
+  const outcomes = { started: 0, skipped: 0, failed: 0 };
+  for (const companyId of await listScheduledCompanyIds()) {
+    const agency = await agencyService.getAgencyConfig(companyId);
+    if (!agency?.customValueSyncEnabled || !agency.parentLocationId) continue;
+    try {
+      const { done } = await startSync(agency, { trigger: "schedule" });
+      outcomes.started += 1;
+      await done;
+    } catch (error) {
+      if (error.statusCode === 409) {
+        outcomes.skipped += 1;
+      } else {
+        outcomes.failed += 1;
+        console.error(
+          `Scheduled custom value sync for ${agency.companyId} failed:`,
+          error.message
+        );
+      }
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Describes a run for API responses: counts per child status, and the
+ * per-child differences unless a summary is asked for.
+ * @param {Object} run - The run document.
+ * @param {Object} [options]
+ * @param {boolean} [options.summary] - Leave out the per-child results.
+ * @returns {Object}
+ */
+function describeRun(run, { summary = false } = {}) {
+  const counts = Object.fromEntries(
+    CustomValueSyncRun.CHILD_STATUSES.map((status) => [status, 0])
+  );
+  run.children.forEach((child) => {
+    counts[child.status] += 1;
+  });
+  return {
+    id: run._id,
+    companyId: run.companyId,
+    trigger: run.trigger,
+    dryRun: run.dryRun,
+    status: run.status,
+    parentLocationId: run.parentLocationId,
+    fields: run.fields,
+    counts,
+    ...(summary ? {} : { children: run.children }),
+    error: run.error,
+    created_at: run.created_at,
+    completed_at: run.completed_at,
+  };
+}
+
+/**
+ * Lists an agency's most recent runs.
+ * @param {string} companyId - The agency.
+ * @param {number} [limit] - How many runs (default 20).
+ * @returns {Array<Object>}
+ */
+async function listRuns(companyId, limit = 20) {
+  return CustomValueSyncRun.find({ companyId })
+    .sort({ created_at: -1 })
+    .limit(limit);
+}
+
+/**
+ * Finds one of an agency's runs.
+ * @param {string} companyId - The agency.
+ * @param {string} runId - The run ID.
+ * @returns {Object|null}
+ */
+async function getRun(companyId, runId) {
+  return CustomValueSyncRun.findOne({ _id: runId, companyId });
+}
+
+/**
+ * Lists an agency's children with their sync settings.
+ * @param {Object} agency - The agency document.
+ * @returns {Array<Object>} - { locationId, excluded, excludedFields, overrides, note }.
+ */
+async function listChildren(agency) {
+  const [locationIds, settings] = await Promise.all([
+    listChildLocationIds(agency),
+    CustomValueSyncSettings.find({ companyId: agency.companyId }).lean(),
+  ]);
+  const settingsByLocation = new Map(settings.map((s) => [s.locationId, s]));
+  return locationIds.map((locationId) => {
+    const entry = settingsByLocation.get(locationId);
+    return {
+      locationId,
+      excluded: entry?.excluded || false,
+      excludedFields: entry?.excludedFields || [],
+      overrides: entry?.overrides || {},
+      note: entry?.note,
+    };
+  });
+}
+
+/**
+ * Sets a child's sync settings. Fields left out of the update keep their
+ * current value.
+ * @param {Object} agency - The agency document.
+ * @param {string} locationId - The child location.
+ * @param {Object} update - { excluded, excludedFields, overrides, note }.
+ * @returns {Object} - The settings document.
+ * @throws {Error} - 400 for malformed settings, 404 for unknown children.
+ */
+async function updateChildSettings(agency, locationId, update) {
+  const $set = { updated_at: new Date() };
+  if (update.excluded !== undefined) {
+    if (typeof update.excluded !== "boolean") {
+      throw httpError("excluded must be true or false.", 400);
+    }
+    $set.excluded = update.excluded;
+  }
+  if (update.excludedFields !== undefined) {
+    if (
+      !Array.isArray(update.excludedFields) ||
+      update.excludedFields.some((name) => typeof name !== "string")
+    ) {
+      throw httpError("excludedFields must be an array of strings.", 400);
+    }
+    $set.excludedFields = update.excludedFields;
+  }
+  if (update.overrides !== undefined) {
+    if (
+      !update.overrides ||
+      typeof update.overrides !== "object" ||
+      Array.isArray(update.overrides) ||
+      Object.values(update.overrides).some((value) => typeof value !== "string")
+    ) {
+      throw httpError(
+        "overrides must map custom value names to text values.",
+        400
+      );
+    }
+    $set.overrides = update.overrides;
+  }
+  if (update.note !== undefined) $set.note = update.note;
+
+  const children = await listChildLocationIds(agency);
+  if (!children.includes(locationId)) {
+    throw httpError("Not a location provisioned for this agency.", 404);
+  }
+  return CustomValueSyncSettings.findOneAndUpdate(
+    { locationId },
+    {
+      $set,
+      $setOnInsert: { companyId: agency.companyId, created_at: new Date() },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+module.exports = {
+  startSync,
+  runScheduledSyncs,
+  describeRun,
+  listRuns,
+  getRun,
+  listChildren,
+  updateChildSettings,
+};
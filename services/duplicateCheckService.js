@@ -0,0 +1,178 @@
+// =======================================================
+// File: services/duplicateCheckService.js
+// Description: Pre-flight check run before onboarding a business, so an
+// agency does not end up with two locations for the same client. Looks for
+// the business name, email or phone among the agency's known locations (the
+// Location directory kept current by GHL webhooks) and its provisioning jobs.
+// Batch uploads are also checked against all of the agency's locations in
+// GHL, listed once per upload (see listGhlLocations).
+// =======================================================
+
+const Location = require("../models/Location");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const addressRules = require("./addressRules");
+const agencyService = require("./agencyService");
+const ghlService = require("./ghlService");
+
+// Jobs that produced, or may still produce, a location
+const ACTIVE_JOB_STATUSES = ["pending", "running", "completed"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Case-insensitive exact match on a string field.
+ */
+const matchesExactly = (value) =>
+  new RegExp(`^${escapeRegex(value.trim())}$`, "i");
+
+/**
+ * Normalises the phone of an existing location like onboarding input phones
+ * are normalised, so formatting differences do not hide a match.
+ */
+const normalizeLocationPhone = (location, input) =>
+  location.phone
+    ? addressRules.normalizePhone(
+        location.phone,
+        addressRules.toCountryCode(location.country || "") || input.country
+      )
+    : undefined;
+
+/**
+ * Lists which of the business name, email and phone of an onboarding request
+ * match an existing location.
+ * @param {Object} location - { name, email, phone, country } of the existing location.
+ * @param {Object} input - Normalised onboarding input.
+ * @returns {Array<string>} - Matching request fields.
+ */
+function matchingFields(location, input) {
+  const same = (a, b) =>
+    Boolean(a && b) && String(a).trim().toLowerCase() === b.toLowerCase();
+  const fields = [];
+  if (same(location.name, input.businessName)) fields.push("business_name");
+  if (same(location.email, input.email)) fields.push("email");
+  if (same(normalizeLocationPhone(location, input), input.phone)) {
+    fields.push("phone");
+  }
+  return fields;
+}
+
+/**
+ * Builds one error entry per matching field, in the validation error format.
+ */
+function toDuplicates(fields, source, reference) {
+  return fields.map((field) => ({
+    field,
+    message: `Already used by ${source} ${reference}.`,
+    ...(source === "provisioning job"
+      ? { jobId: reference }
+      : { locationId: reference }),
+  }));
+}
+
+/**
+ * Lists an agency's locations in GHL, for checking a batch upload against
+ * them (see findDuplicates). GHL's search only filters on email, so the
+ * locations are paged through to compare names and phones too; this is too
+ * slow for every single request, which rely on the Location directory. GHL
+ * is the source of truth, but the check must not block onboarding when it
+ * is unavailable.
+ * @param {string} companyId - The agency.
+ * @returns {Array|null} - { id, name, email, phone, country } per location,
+ * or null if GHL could not be searched.
+ */
+async function listGhlLocations(companyId) {
+  try {
+    const creds = await agencyService.getAgencyCredentials(companyId);
+    if (!creds?.access_token) return null;
+    const locations = await ghlService.findLocations(
+      companyId,
+      () => true,
+      creds.access_token
+    );
+    return locations.map(({ id, name, email, phone, country }) => ({
+      id,
+      name,
+      email,
+      phone,
+      country,
+    }));
+  } catch (error) {
+    console.warn(
+      "Duplicate check could not search GHL; using stored locations only:",
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Looks for existing locations or onboarding runs of an agency with the same
+ * business name, email or phone as a new onboarding request.
+ * @param {string} companyId - The agency.
+ * @param {Object} input - Normalised onboarding input.
+ * @param {Object} [options]
+ * @param {Array|null} [options.ghlLocations] - The agency's GHL locations
+ * from listGhlLocations, when checking a batch; single requests are only
+ * checked against the Location directory.
+ * @returns {Array<Object>} - { field, message, locationId | jobId } per match;
+ * empty when the business is new.
+ */
+async function findDuplicates(companyId, input, { ghlLocations } = {}) {
+  const conditions = [];
+  if (input.businessName) {
+    conditions.push({ name: matchesExactly(input.businessName) });
+  }
+  if (input.email) conditions.push({ email: matchesExactly(input.email) });
+  if (input.phone) conditions.push({ phone: input.phone });
+  if (conditions.length === 0) return [];
+
+  const jobConditions = conditions.map((condition) => {
+    const [[field, value]] = Object.entries(condition);
+    return { [`input.${field === "name" ? "businessName" : field}`]: value };
+  });
+
+  const [locations, jobs] = await Promise.all([
+    Location.find({ companyId, $or: conditions }).limit(10).lean(),
+    ProvisioningJob.find({
+      companyId,
+      status: { $in: ACTIVE_JOB_STATUSES },
+      $or: jobConditions,
+    })
+      .select("input outputs")
+      .limit(10)
+      .lean(),
+  ]);
+  const ghlMatches = (ghlLocations || []).filter(
+    (location) => matchingFields(location, input).length > 0
+  );
+
+  const duplicates = [];
+  const seenLocations = new Set();
+  [...locations, ...ghlMatches].forEach((location) => {
+    const locationId = location.locationId || location.id || location._id;
+    if (seenLocations.has(String(locationId))) return;
+    seenLocations.add(String(locationId));
+    duplicates.push(
+      ...toDuplicates(matchingFields(location, input), "location", locationId)
+    );
+  });
+  jobs.forEach((job) => {
+    // A completed job's location is already reported above when it is known
+    if (seenLocations.has(String(job.outputs?.locationId))) return;
+    const fields = matchingFields(
+      {
+        name: job.input.businessName,
+        email: job.input.email,
+        phone: job.input.phone,
+      },
+      input
+    );
+    duplicates.push(...toDuplicates(fields, "provisioning job", job._id));
+  });
+  return duplicates;
+}
+
+module.exports = {
+  listGhlLocations,
+  findDuplicates,
+};
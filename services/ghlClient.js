@@ -0,0 +1,320 @@
+// =======================================================
+// File: services/ghlClient.js
+// Description: Shared HTTP client for the GoHighLevel (GHL) API.
+// - Retries transient failures (network errors, 429, 5xx) with exponential
+//   backoff and jitter. Non-idempotent calls are only retried when GHL
+//   cannot have processed them (429, connection refused).
+// - Honours Retry-After and the X-RateLimit-* headers.
+// - Limits concurrent requests per agency.
+// - On a 401, renews the rejected token once (see setUnauthorizedHandler)
+//   and replays the request.
+//
+// Configuration:
+//   GHL_MAX_ATTEMPTS                 attempts per request, including the first (default 4)
+//   GHL_RETRY_BASE_DELAY_MS          first backoff delay (default 500)
+//   GHL_MAX_CONCURRENCY_PER_AGENCY   concurrent requests per agency (default 5)
+//   GHL_HTTP_TIMEOUT_MS              per-attempt timeout (default 30000)
+// =======================================================
+
+const axios = require("axios");
+
+const MAX_ATTEMPTS = Number(process.env.GHL_MAX_ATTEMPTS) || 4;
+const RETRY_BASE_DELAY_MS = Number(process.env.GHL_RETRY_BASE_DELAY_MS) || 500;
+const RETRY_MAX_DELAY_MS = 30000;
+const MAX_CONCURRENCY_PER_AGENCY =
+  Number(process.env.GHL_MAX_CONCURRENCY_PER_AGENCY) || 5;
+const TOKEN_REGISTRY_MAX_ENTRIES = 5000;
+
+const IDEMPOTENT_METHODS = new Set(["get", "head", "options", "put", "delete"]);
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_ERRORS = new Set([
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ECONNREFUSED",
+]);
+
+const http = axios.create({
+  timeout: Number(process.env.GHL_HTTP_TIMEOUT_MS) || 30000,
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Counting semaphore plus a rate-limit pause, one per agency.
+ */
+class AgencyLimiter {
+  constructor(maxConcurrency) {
+    this.maxConcurrency = maxConcurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+  }
+
+  async acquire() {
+    if (this.active < this.maxConcurrency) {
+      this.active += 1;
+    } else {
+      // release() hands its slot straight to the next waiter
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+    const pause = this.pausedUntil - Date.now();
+    if (pause > 0) await delay(pause);
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active -= 1;
+  }
+}
+
+const limiters = new Map();
+
+function getLimiter(companyId) {
+  if (!limiters.has(companyId)) {
+    limiters.set(companyId, new AgencyLimiter(MAX_CONCURRENCY_PER_AGENCY));
+  }
+  return limiters.get(companyId);
+}
+
+// Access token -> { companyId, locationId } of whoever it belongs to
+const tokenOwners = new Map();
+// Rejected access token -> the token that replaced it
+const replacedTokens = new Map();
+// Rejected access token -> renewal in progress
+const renewals = new Map();
+let unauthorizedHandler = null;
+
+/**
+ * Adds an entry to a bounded map, dropping the oldest entry when full.
+ */
+function remember(map, key, value) {
+  if (map.size >= TOKEN_REGISTRY_MAX_ENTRIES) {
+    map.delete(map.keys().next().value);
+  }
+  map.set(key, value);
+}
+
+/**
+ * Records who an access token belongs to, so requests made with it count
+ * against the right agency and a 401 can renew it.
+ * @param {string} accessToken - The access token.
+ * @param {Object} owner - { companyId, locationId }; no locationId for agency tokens.
+ */
+function registerToken(accessToken, owner) {
+  if (accessToken && owner?.companyId) {
+    remember(tokenOwners, accessToken, owner);
+  }
+}
+
+/**
+ * Sets the function used to renew a rejected token. It is called with the
+ * token's owner and the rejected token, and resolves to a new access token.
+ * @param {Function} handler - async (owner, rejectedToken) => accessToken
+ */
+function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+function getBearerToken(config) {
+  const authorization = config.headers?.Authorization || "";
+  return authorization.startsWith("Bearer ")
+    ? authorization.slice("Bearer ".length)
+    : null;
+}
+
+function withBearerToken(config, accessToken) {
+  return {
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${accessToken}` },
+  };
+}
+
+/**
+ * Follows the chain of replacements of a token to the newest one.
+ */
+function latestToken(accessToken) {
+  let current = accessToken;
+  const seen = new Set();
+  while (replacedTokens.has(current) && !seen.has(current)) {
+    seen.add(current);
+    current = replacedTokens.get(current);
+  }
+  return current;
+}
+
+/**
+ * Renews a rejected token. Concurrent 401s for the same token share one
+ * renewal.
+ */
+function renewToken(rejectedToken, owner) {
+  if (replacedTokens.has(rejectedToken)) {
+    // Renewed by a request that failed just before this one
+    return Promise.resolve(latestToken(rejectedToken));
+  }
+  if (!renewals.has(rejectedToken)) {
+    const renewal = (async () => {
+      const accessToken = await unauthorizedHandler(owner, rejectedToken);
+      registerToken(accessToken, owner);
+      remember(replacedTokens, rejectedToken, accessToken);
+      return accessToken;
+    })().finally(() => renewals.delete(rejectedToken));
+    renewals.set(rejectedToken, renewal);
+  }
+  return renewals.get(rejectedToken);
+}
+
+/**
+ * Reads a header value as a number (headers may be missing or malformed).
+ */
+function numericHeader(headers, name) {
+  const raw = headers?.[name];
+  if (raw === undefined || raw === null || raw === "") return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Pauses an agency's requests when GHL reports its burst limit is used up.
+ */
+function applyRateLimitHeaders(limiter, headers) {
+  if (!limiter || !headers) return;
+  const remaining = numericHeader(headers, "x-ratelimit-remaining");
+  const intervalMs = numericHeader(
+    headers,
+    "x-ratelimit-interval-milliseconds"
+  );
+  if (remaining === 0 && intervalMs) {
+    limiter.pausedUntil = Math.max(
+      limiter.pausedUntil,
+      Date.now() + intervalMs
+    );
+  }
+  if (numericHeader(headers, "x-ratelimit-daily-remaining") === 0) {
+    console.warn("GHL daily rate limit reached.");
+  }
+}
+
+/**
+ * Parses Retry-After (seconds or an HTTP date) into milliseconds.
+ */
+function retryAfterMs(headers) {
+  const value = headers?.["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Whether a failed attempt may be retried.
+ */
+function isRetryable(error, idempotent) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  if (!error.response) {
+    // Without a response GHL may still have processed the request, unless
+    // the connection was never established.
+    return idempotent
+      ? RETRYABLE_NETWORK_ERRORS.has(error.code)
+      : error.code === "ECONNREFUSED";
+  }
+  return idempotent && RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * Backoff before the next attempt: the server's Retry-After when given,
+ * otherwise exponential backoff with full jitter.
+ */
+function retryDelayMs(error, attempt) {
+  const headers = error.response?.headers;
+  const fromServer =
+    retryAfterMs(headers) ??
+    (error.response?.status === 429
+      ? numericHeader(headers, "x-ratelimit-interval-milliseconds")
+      : null);
+  if (fromServer !== null) return Math.min(fromServer, RETRY_MAX_DELAY_MS);
+  const ceiling = Math.min(
+    RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+    RETRY_MAX_DELAY_MS
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Sends a request to GHL with retries, rate limiting and token renewal.
+ * Errors are axios errors, so callers can keep reading error.response.
+ * @param {Object} config - axios request config (method, url, headers, data, params).
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent] - Defaults to true for GET, PUT and DELETE.
+ * @param {string} [options.companyId] - Agency to count the request against, if the token is unknown.
+ * @returns {Object} - The axios response.
+ */
+async function request(config, options = {}) {
+  const method = (config.method || "get").toLowerCase();
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.has(method);
+
+  let requestConfig = { ...config, method };
+  const presentedToken = getBearerToken(requestConfig);
+  if (presentedToken && latestToken(presentedToken) !== presentedToken) {
+    // The caller holds a token that was already renewed
+    requestConfig = withBearerToken(requestConfig, latestToken(presentedToken));
+  }
+  const owner = presentedToken ? tokenOwners.get(presentedToken) : null;
+  const companyId = options.companyId || owner?.companyId;
+  const limiter = companyId ? getLimiter(companyId) : null;
+
+  let renewed = false;
+  for (let attempt = 1; ; attempt += 1) {
+    if (limiter) await limiter.acquire();
+    let failure;
+    try {
+      const response = await http.request(requestConfig);
+      applyRateLimitHeaders(limiter, response.headers);
+      return response;
+    } catch (error) {
+      applyRateLimitHeaders(limiter, error.response?.headers);
+      failure = error;
+    } finally {
+      if (limiter) limiter.release();
+    }
+
+    const currentToken = getBearerToken(requestConfig);
+    if (
+      failure.response?.status === 401 &&
+      !renewed &&
+      owner &&
+      unauthorizedHandler
+    ) {
+      renewed = true;
+      console.warn(
+        `GHL rejected the access token of ${owner.locationId || owner.companyId}; renewing and replaying.`
+      );
+      const accessToken = await renewToken(currentToken, owner);
+      requestConfig = withBearerToken(requestConfig, accessToken);
+      attempt -= 1; // The replay does not count as a retry
+      continue;
+    }
+
+    if (attempt >= MAX_ATTEMPTS || !isRetryable(failure, idempotent)) {
+      throw failure;
+    }
+    const wait = retryDelayMs(failure, attempt);
+    console.warn(
+      `GHL ${method.toUpperCase()} ${config.url} failed (${
+        failure.response?.status || failure.code || failure.message
+      }); retry ${attempt}/${MAX_ATTEMPTS - 1} in ${wait}ms.`
+    );
+    await delay(wait);
+  }
+}
+
+module.exports = {
+  request,
+  registerToken,
+  setUnauthorizedHandler,
+};
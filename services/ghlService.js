@@ -3,8 +3,9 @@
 // Description: Encapsulates all GoHighLevel (GHL) API interactions.
 // =======================================================
 
-const axios = require("axios");
 const qs = require("querystring");
+const ghlClient = require("./ghlClient");
+const locationTokenCache = require("./locationTokenCache");
 
 const GHL_API_DOMAIN = process.env.GHL_API_DOMAIN;
 const GHL_CLIENT_ID = process.env.GHL_CLIENT_ID;
@@ -34,10 +35,16 @@ async function getAccessToken(code) {
     code,
   });
   try {
-    const response = await axios.post(`${GHL_API_DOMAIN}/oauth/token`, body, {
+    const response = await ghlClient.request({
+      method: "post",
+      url: `${GHL_API_DOMAIN}/oauth/token`,
+      data: body,
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
     });
-    console.log(response.data);
+    // Never the response itself: it carries the tokens
+    console.log(
+      `Token exchange completed for company ${response.data?.companyId} (expires in ${response.data?.expires_in}s).`
+    );
     if (response.data?.access_token) return response.data;
     throw new Error("Failed to obtain access token from GHL.");
   } catch (error) {
@@ -56,17 +63,22 @@ async function getAccessToken(code) {
 /**
  * Refreshes the access token using the provided refresh token.
  * @param {string} refreshToken - The refresh token.
+ * @param {string} [userType] - "Company" or "Location", the kind of install.
  * @returns {Object} - The new tokens and expiry information.
  */
-async function refreshAccessToken(refreshToken) {
+async function refreshAccessToken(refreshToken, userType) {
   const body = qs.stringify({
     client_id: GHL_CLIENT_ID,
     client_secret: GHL_CLIENT_SECRET,
     grant_type: "refresh_token",
     refresh_token: refreshToken,
+    ...(userType ? { user_type: userType } : {}),
   });
   try {
-    const response = await axios.post(`${GHL_API_DOMAIN}/oauth/token`, body, {
+    const response = await ghlClient.request({
+      method: "post",
+      url: `${GHL_API_DOMAIN}/oauth/token`,
+      data: body,
       headers: {
         "Content-Type": "application/x-www-form-urlencoded",
         Version: GHL_API_VERSION,
@@ -89,13 +101,13 @@ async function refreshAccessToken(refreshToken) {
 }
 
 /**
- * Retrieves a location-specific access token using agency-level OAuth credentials.
+ * Requests a new location-specific access token from GHL.
  * @param {string} companyId - The agency company ID.
  * @param {string} locationId - The location ID for which the token is requested.
  * @param {string} agencyAccessToken - The agency-level access token.
- * @returns {string} - The location-specific access token.
+ * @returns {Object} - The token data ({ access_token, expires_in, ... }).
  */
-async function getLocationAccessToken(
+async function requestLocationAccessToken(
   companyId,
   locationId,
   agencyAccessToken
@@ -103,19 +115,22 @@ async function getLocationAccessToken(
   console.log("Generating token for location:", locationId);
   const url = `${GHL_API_DOMAIN}/oauth/locationToken`;
   try {
-    const response = await axios.post(
-      url,
-      qs.stringify({
-        companyId: companyId,
-        locationId: locationId,
-      }),
+    // Issuing a location token has no side effects, so it is safe to retry
+    const response = await ghlClient.request(
       {
+        method: "post",
+        url,
+        data: qs.stringify({
+          companyId: companyId,
+          locationId: locationId,
+        }),
         headers: {
           Version: GHL_API_VERSION,
           Accept: "application/json",
           Authorization: `Bearer ${agencyAccessToken}`,
         },
-      }
+      },
+      { idempotent: true, companyId }
     );
     if (
       response.status === 201 &&
@@ -123,7 +138,7 @@ async function getLocationAccessToken(
       response.data.access_token
     ) {
       console.log("Token generated for location", locationId);
-      return response.data.access_token;
+      return response.data;
     } else {
       throw new Error("Failed to obtain location access token from GHL.");
     }
@@ -142,6 +157,38 @@ async function getLocationAccessToken(
   }
 }
 
+/**
+ * Retrieves a location-specific access token using agency-level OAuth credentials.
+ * Tokens are cached per company and location until shortly before they expire.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} locationId - The location ID for which the token is requested.
+ * @param {string} agencyAccessToken - The agency-level access token.
+ * @returns {string} - The location-specific access token.
+ */
+async function getLocationAccessToken(
+  companyId,
+  locationId,
+  agencyAccessToken
+) {
+  ghlClient.registerToken(agencyAccessToken, { companyId });
+  const accessToken = await locationTokenCache.getToken(
+    companyId,
+    locationId,
+    () => requestLocationAccessToken(companyId, locationId, agencyAccessToken)
+  );
+  ghlClient.registerToken(accessToken, { companyId, locationId });
+  return accessToken;
+}
+
+/**
+ * Drops a cached location token so the next request obtains a new one.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} locationId - The location ID.
+ */
+async function invalidateLocationAccessToken(companyId, locationId) {
+  await locationTokenCache.invalidate(companyId, locationId);
+}
+
 /**
  * Checks if a user already exists by email within a company.
  * @param {string} companyId - The company ID to search within.
@@ -154,7 +201,9 @@ async function checkUserExists(companyId, email, accessToken) {
     email
   )}`;
   try {
-    const { data: searchResponse } = await axios.get(searchUrl, {
+    const { data: searchResponse } = await ghlClient.request({
+      method: "get",
+      url: searchUrl,
       headers: getGhlHeaders(accessToken),
     });
     return searchResponse && searchResponse.count && searchResponse.count > 0;
@@ -169,6 +218,39 @@ async function checkUserExists(companyId, email, accessToken) {
   }
 }
 
+/**
+ * Finds the user of a company with exactly the given email.
+ * @param {string} companyId - The company ID to search within.
+ * @param {string} email - The email to search for.
+ * @param {string} accessToken - The agency access token.
+ * @returns {Object|null} - The user, or null if there is none.
+ */
+async function findUserByEmail(companyId, email, accessToken) {
+  const url = `${GHL_API_DOMAIN}/users/search`;
+  try {
+    const { data } = await ghlClient.request({
+      method: "get",
+      url,
+      headers: getGhlHeaders(accessToken),
+      params: { companyId, query: email },
+    });
+    const wanted = email.trim().toLowerCase();
+    return (
+      (data.users || []).find(
+        (user) => user.email && user.email.toLowerCase() === wanted
+      ) || null
+    );
+  } catch (error) {
+    console.error(
+      "Error searching GHL users:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL User Search Failed: ${error.response?.data?.message || error.message}`
+    );
+  }
+}
+
 /**
  * Creates a new account (location) in GHL.
  * @param {string} accessToken - The agency access token.
@@ -179,7 +261,10 @@ async function createAccount(accessToken, accountData) {
   const url = `${GHL_API_DOMAIN}/locations/`;
   try {
     console.log("Creating account (location) with GHL API...");
-    const { data } = await axios.post(url, accountData, {
+    const { data } = await ghlClient.request({
+      method: "post",
+      url,
+      data: accountData,
       headers: getGhlHeaders(accessToken),
     });
     console.log("GHL Account creation successful. Account ID:", data.id);
@@ -197,6 +282,125 @@ async function createAccount(accessToken, accountData) {
   }
 }
 
+/**
+ * Retrieves a location (account) by ID.
+ * @param {string} locationId - The location ID.
+ * @param {string} accessToken - The agency access token.
+ * @returns {Object} - The location data.
+ */
+async function getLocation(locationId, accessToken) {
+  const url = `${GHL_API_DOMAIN}/locations/${locationId}`;
+  try {
+    const { data } = await ghlClient.request({
+      method: "get",
+      url,
+      headers: getGhlHeaders(accessToken),
+    });
+    return data.location || data;
+  } catch (error) {
+    console.error(
+      "Error fetching GHL location:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL Location Fetch Failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Searches an agency's locations.
+ * @param {string} companyId - The agency.
+ * @param {Object} query - Search parameters (e.g. { email }).
+ * @param {string} accessToken - The agency access token.
+ * @returns {Array} - The matching locations.
+ */
+async function searchLocations(companyId, query, accessToken) {
+  const url = `${GHL_API_DOMAIN}/locations/search`;
+  try {
+    const { data } = await ghlClient.request({
+      method: "get",
+      url,
+      headers: getGhlHeaders(accessToken),
+      params: { companyId, ...query },
+    });
+    return data.locations || [];
+  } catch (error) {
+    console.error(
+      "Error searching GHL locations:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL Location Search Failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Pages through an agency's locations and returns those a predicate accepts.
+ * Used where GHL's search cannot filter on the field needed (such as the
+ * business name).
+ * @param {string} companyId - The agency.
+ * @param {Function} matches - (location) => boolean
+ * @param {string} accessToken - The agency access token.
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=100] - Locations fetched per request.
+ * @param {number} [options.maxPages=20] - Stops after this many pages.
+ * @returns {Array} - The matching locations.
+ */
+async function findLocations(
+  companyId,
+  matches,
+  accessToken,
+  { pageSize = 100, maxPages = 20 } = {}
+) {
+  const found = [];
+  for (let page = 0; page < maxPages; page++) {
+    const locations = await searchLocations(
+      companyId,
+      { skip: page * pageSize, limit: pageSize },
+      accessToken
+    );
+    found.push(...locations.filter(matches));
+    if (locations.length < pageSize) return found;
+  }
+  console.warn(
+    `Stopped searching the locations of ${companyId} after ${maxPages} pages.`
+  );
+  return found;
+}
+
+/**
+ * Retrieves a user by ID, including their role and the locations they can
+ * access (roles.locationIds).
+ * @param {string} userId - The user ID.
+ * @param {string} accessToken - The agency access token.
+ * @returns {Object} - The user data.
+ */
+async function getUser(userId, accessToken) {
+  const url = `${GHL_API_DOMAIN}/users/${userId}`;
+  try {
+    const { data } = await ghlClient.request({
+      method: "get",
+      url,
+      headers: getGhlHeaders(accessToken),
+    });
+    return data;
+  } catch (error) {
+    console.error(
+      "Error fetching GHL user:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL User Fetch Failed: ${error.response?.data?.message || error.message}`
+    );
+  }
+}
+
 /**
  * Creates a user by calling the LeadConnectorHQ user creation API.
  * @param {string} accessToken - The agency access token.
@@ -207,7 +411,10 @@ async function createUser(accessToken, payload) {
   const url = `${GHL_API_DOMAIN}/users/`;
   try {
     console.log("Calling GHL user creation API...");
-    const { data } = await axios.post(url, payload, {
+    const { data } = await ghlClient.request({
+      method: "post",
+      url,
+      data: payload,
       headers: getGhlHeaders(accessToken),
     });
     console.log("GHL User creation successful.");
@@ -225,17 +432,124 @@ async function createUser(accessToken, payload) {
   }
 }
 
+/**
+ * Updates a user, e.g. to set a new password.
+ * @param {string} userId - The user ID.
+ * @param {Object} payload - The fields to change.
+ * @param {string} accessToken - The agency access token.
+ * @returns {Object} - The updated user data.
+ */
+async function updateUser(userId, payload, accessToken) {
+  const url = `${GHL_API_DOMAIN}/users/${userId}`;
+  try {
+    const { data } = await ghlClient.request({
+      method: "put",
+      url,
+      data: payload,
+      headers: getGhlHeaders(accessToken),
+    });
+    return data;
+  } catch (error) {
+    console.error(
+      "Error updating GHL user:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL User Update Failed: ${error.response?.data?.message || error.message}`
+    );
+  }
+}
+
+/**
+ * Deletes a location (account) in GHL. Used to roll back a failed onboarding.
+ * A location that no longer exists is treated as already deleted.
+ * @param {string} locationId - The location ID.
+ * @param {string} accessToken - The agency access token.
+ * @param {boolean} [deleteTwilioAccount=false] - Whether to also delete the location's Twilio account.
+ */
+async function deleteLocation(
+  locationId,
+  accessToken,
+  deleteTwilioAccount = false
+) {
+  const url = `${GHL_API_DOMAIN}/locations/${locationId}`;
+  try {
+    console.log("Deleting GHL location:", locationId);
+    await ghlClient.request({
+      method: "delete",
+      url,
+      headers: getGhlHeaders(accessToken),
+      params: { deleteTwilioAccount },
+    });
+    console.log("GHL location deleted:", locationId);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log("GHL location already gone:", locationId);
+      return;
+    }
+    console.error(
+      "Error deleting GHL location:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL Location Deletion Failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
+/**
+ * Deletes a user in GHL. Used to roll back a failed onboarding.
+ * A user that no longer exists is treated as already deleted.
+ * @param {string} userId - The user ID.
+ * @param {string} accessToken - The agency access token.
+ */
+async function deleteUser(userId, accessToken) {
+  const url = `${GHL_API_DOMAIN}/users/${userId}`;
+  try {
+    console.log("Deleting GHL user:", userId);
+    await ghlClient.request({
+      method: "delete",
+      url,
+      headers: getGhlHeaders(accessToken),
+    });
+    console.log("GHL user deleted:", userId);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log("GHL user already gone:", userId);
+      return;
+    }
+    console.error(
+      "Error deleting GHL user:",
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL User Deletion Failed: ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
 /**
  * Retrieves the funnel list and extracts the page ID from the "Client Portal" step.
  * @param {string} locationId - The location ID.
  * @param {string} accessToken - The location-specific access token.
+ * @param {string} [stepName="Client Portal"] - Name of the funnel step holding the page.
  * @returns {string} - The command center page ID.
  */
-async function getFunnelList(locationId, accessToken) {
+async function getFunnelList(
+  locationId,
+  accessToken,
+  stepName = "Client Portal"
+) {
   const funnelUrl = `${GHL_API_DOMAIN}/funnels/funnel/list`;
   try {
     console.log("Fetching GHL funnel list for location:", locationId);
-    const response = await axios.get(funnelUrl, {
+    const response = await ghlClient.request({
+      method: "get",
+      url: funnelUrl,
       headers: getGhlHeaders(accessToken),
       params: { locationId },
     });
@@ -245,10 +559,10 @@ async function getFunnelList(locationId, accessToken) {
       throw new Error("No funnels available in the GHL response.");
     }
     const clientPortalStep = funnel.steps.find(
-      (step) => step.name === "Client Portal"
+      (step) => step.name === stepName
     );
     if (!clientPortalStep || !clientPortalStep.pages?.[0]) {
-      throw new Error("Client Portal step or page ID not found in funnel.");
+      throw new Error(`${stepName} step or page ID not found in funnel.`);
     }
     const pageId = clientPortalStep.pages[0];
     console.log("GHL Funnel list retrieved. Command Center Page ID:", pageId);
@@ -276,7 +590,9 @@ async function getCustomValues(locationId, accessToken) {
   const url = `${GHL_API_DOMAIN}/locations/${locationId}/customValues`;
   try {
     console.log("Fetching GHL custom values for location:", locationId);
-    const response = await axios.get(url, {
+    const response = await ghlClient.request({
+      method: "get",
+      url,
       headers: getGhlHeaders(accessToken),
     });
     console.log("GHL Custom values fetched for location:", locationId);
@@ -313,7 +629,10 @@ async function updateCustomValue(
   const payload = { name, value };
   try {
     console.log(`Updating GHL custom value "${name}" to "${value}"...`);
-    await axios.put(url, payload, {
+    await ghlClient.request({
+      method: "put",
+      url,
+      data: payload,
       headers: getGhlHeaders(accessToken),
     });
     console.log(`GHL Custom value "${name}" updated successfully.`);
@@ -332,19 +651,54 @@ async function updateCustomValue(
   }
 }
 
+/**
+ * Creates a custom value on a location.
+ * @param {string} locationId - The location ID.
+ * @param {string} name - The name of the custom value field.
+ * @param {string} value - Its value.
+ * @param {string} accessToken - The location-specific access token.
+ * @returns {Object} - The created custom value ({ id, name, value }).
+ */
+async function createCustomValue(locationId, name, value, accessToken) {
+  const url = `${GHL_API_DOMAIN}/locations/${locationId}/customValues`;
+  try {
+    console.log(`Creating GHL custom value "${name}"...`);
+    const { data } = await ghlClient.request({
+      method: "post",
+      url,
+      data: { name, value },
+      headers: getGhlHeaders(accessToken),
+    });
+    console.log(`GHL Custom value "${name}" created successfully.`);
+    return data.customValue || data;
+  } catch (error) {
+    console.error(
+      `Error creating GHL custom value "${name}":`,
+      error.response?.data || error.message
+    );
+    throw new Error(
+      `GHL Custom Value Creation Failed for "${name}": ${
+        error.response?.data?.message || error.message
+      }`
+    );
+  }
+}
+
 /**
  * Updates the snapshot field for a location (account).
  * @param {string} locationId - The location ID.
  * @param {string} snapshotId - The snapshot ID to update.
  * @param {string} accessToken - The agency-level access token.
  * @param {boolean} [override=true] - Whether to override the snapshot.
+ * @param {string} [companyId] - The agency company ID (defaults to GHL_COMPANY_ID).
  * @returns {Object} - The response data.
  */
 async function updateAccountSnapshot(
   locationId,
   snapshotId,
   accessToken,
-  override = true
+  override = true,
+  companyId = process.env.GHL_COMPANY_ID
 ) {
   console.log(
     "Updating snapshot for location:",
@@ -361,12 +715,12 @@ async function updateAccountSnapshot(
     url: url,
     headers: getGhlHeaders(accessToken), // Use agency token for this call if it's an agency-level operation
     data: {
-      companyId: process.env.GHL_COMPANY_ID, // Use companyId from env
+      companyId: companyId,
       snapshot: { id: snapshotId, override: override },
     },
   };
   try {
-    const { data } = await axios.request(options);
+    const { data } = await ghlClient.request(options);
     console.log("Snapshot update successful for location:", locationId);
     return data;
   } catch (error) {
@@ -386,11 +740,21 @@ module.exports = {
   getAccessToken,
   refreshAccessToken,
   getLocationAccessToken,
+  invalidateLocationAccessToken,
   checkUserExists,
+  findUserByEmail,
   createAccount,
+  getLocation,
+  searchLocations,
+  findLocations,
+  getUser,
   createUser,
+  updateUser,
+  deleteLocation,
+  deleteUser,
   getFunnelList,
   getCustomValues,
   updateCustomValue,
+  createCustomValue,
   updateAccountSnapshot,
 };
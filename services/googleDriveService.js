@@ -29,7 +29,28 @@ async function createFolder(newFolderName, parentFolderId, userEmail) {
     const folderId = folder.data.id;
     console.log("Google Drive Folder created with ID:", folderId);
 
-    // Share the folder with the specified user.
+    await shareFolder(folderId, userEmail);
+    console.log("Google Drive Folder created and shared successfully.");
+    return folderId;
+  } catch (error) {
+    console.error(
+      "Error creating or sharing Google Drive folder:",
+      error.errors ? JSON.stringify(error.errors) : error.message
+    );
+    throw new Error(`Google Drive Folder Creation Failed: ${error.message}`);
+  }
+}
+
+/**
+ * shareFolder
+ * Gives a user editor access to a Google Drive folder. Sharing a folder with
+ * a user who already has access changes nothing.
+ *
+ * @param {string} folderId - The ID of the folder.
+ * @param {string} userEmail - Email address of the user to share the folder with.
+ */
+async function shareFolder(folderId, userEmail) {
+  try {
     await drive.permissions.create({
       fileId: folderId,
       requestBody: {
@@ -40,17 +61,85 @@ async function createFolder(newFolderName, parentFolderId, userEmail) {
       fields: "id", // Request only the permission ID field␊
       sendNotificationEmails: false, // Optional: set to true if you want to notify the user␊
     });
-    console.log("Google Drive Folder created and shared successfully.");
-    return folderId;
   } catch (error) {
     console.error(
-      "Error creating or sharing Google Drive folder:",
+      "Error sharing Google Drive folder:",
       error.errors ? JSON.stringify(error.errors) : error.message
     );
-    throw new Error(`Google Drive Folder Creation Failed: ${error.message}`);
+    throw new Error(`Google Drive Folder Sharing Failed: ${error.message}`);
+  }
+}
+
+/**
+ * findFolders
+ * Lists the folders with a given name under a parent folder, leaving out
+ * trashed ones.
+ *
+ * @param {string} folderName - The folder name.
+ * @param {string} parentFolderId - The ID of the parent folder.
+ * @param {Date} [createdSince] - Only folders created at or after this time.
+ * @returns {Array<Object>} - The folders, as { id, name, createdTime }.
+ */
+async function findFolders(folderName, parentFolderId, createdSince) {
+  const quote = (value) =>
+    `'${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  const conditions = [
+    `name = ${quote(folderName)}`,
+    `${quote(parentFolderId)} in parents`,
+    "mimeType = 'application/vnd.google-apps.folder'",
+    "trashed = false",
+  ];
+  if (createdSince) {
+    conditions.push(`createdTime >= '${createdSince.toISOString()}'`);
+  }
+  try {
+    const response = await drive.files.list({
+      q: conditions.join(" and "),
+      fields: "files(id, name, createdTime)",
+      spaces: "drive",
+    });
+    return response.data.files || [];
+  } catch (error) {
+    console.error(
+      "Error searching Google Drive folders:",
+      error.errors ? JSON.stringify(error.errors) : error.message
+    );
+    throw new Error(`Google Drive Folder Search Failed: ${error.message}`);
+  }
+}
+
+/**
+ * trashFolder
+ * Moves a Google Drive folder to the trash. Used to roll back a failed onboarding.
+ * A folder that no longer exists is treated as already removed.
+ *
+ * @param {string} folderId - The ID of the folder to trash.
+ */
+async function trashFolder(folderId) {
+  try {
+    console.log("Trashing Google Drive folder:", folderId);
+    await drive.files.update({
+      fileId: folderId,
+      requestBody: { trashed: true },
+      fields: "id",
+    });
+    console.log("Google Drive folder trashed:", folderId);
+  } catch (error) {
+    if (error.code === 404) {
+      console.log("Google Drive folder already gone:", folderId);
+      return;
+    }
+    console.error(
+      "Error trashing Google Drive folder:",
+      error.errors ? JSON.stringify(error.errors) : error.message
+    );
+    throw new Error(`Google Drive Folder Trash Failed: ${error.message}`);
   }
 }
 
 module.exports = {
   createFolder,
+  shareFolder,
+  findFolders,
+  trashFolder,
 };
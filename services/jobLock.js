@@ -0,0 +1,99 @@
+// =======================================================
+// File: services/jobLock.js
+// Description: MongoDB lease locks, so work that must not run twice (cron
+// jobs, single-use token refreshes) runs on one instance at a time.
+// =======================================================
+
+const crypto = require("crypto");
+const os = require("os");
+const JobLock = require("../models/JobLock");
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Tries to take a lease on a lock. Fails immediately if another lease on the
+ * same lock has not run out yet.
+ * @param {string} name - The lock name.
+ * @param {number} leaseMs - How long the lease lasts unless released.
+ * @returns {Object|null} - The lease ({ name, owner, lockedUntil, renew(),
+ * release() }), or null if the lock is held.
+ */
+async function acquire(name, leaseMs) {
+  const owner = `${INSTANCE_ID}:${crypto.randomBytes(6).toString("hex")}`;
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + leaseMs);
+
+  try {
+    // Matches only a free (expired) lock; a held lock makes the upsert
+    // collide with the unique name index.
+    await JobLock.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      { $set: { owner, lockedUntil, acquired_at: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return {
+    name,
+    owner,
+    lockedUntil,
+    renew: () => renew(name, owner, leaseMs),
+    release: () => release(name, owner),
+  };
+}
+
+/**
+ * Extends a lease, for work that runs longer than a single lease.
+ * @param {string} name - The lock name.
+ * @param {string} owner - The owner ID of the lease.
+ * @param {number} leaseMs - How long the lease lasts from now.
+ * @returns {boolean} - False if the lease ran out and someone else took the lock.
+ */
+async function renew(name, owner, leaseMs) {
+  const result = await JobLock.updateOne(
+    { name, owner },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Releases a lease. Does nothing if it ran out and someone else holds the lock.
+ * @param {string} name - The lock name.
+ * @param {string} owner - The owner ID of the lease.
+ */
+async function release(name, owner) {
+  try {
+    await JobLock.deleteOne({ name, owner });
+  } catch (error) {
+    // The lease runs out on its own
+    console.error(`Error releasing lock ${name}:`, error.message);
+  }
+}
+
+/**
+ * Runs a function while holding a lease on a lock.
+ * @param {string} name - The lock name.
+ * @param {number} leaseMs - Lease duration; keep it above the expected run time.
+ * @param {Function} fn - async () => result
+ * @returns {Object} - { acquired: false } if the lock is held, otherwise
+ * { acquired: true, result }.
+ */
+async function withLock(name, leaseMs, fn) {
+  const lease = await acquire(name, leaseMs);
+  if (!lease) return { acquired: false };
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await lease.release();
+  }
+}
+
+module.exports = {
+  acquire,
+  renew,
+  withLock,
+};
@@ -0,0 +1,259 @@
+// =======================================================
+// File: services/locationTokenCache.js
+// Description: Caches location access tokens by company and location.
+// Tokens are kept until shortly before they expire (expires_in), refreshed
+// ahead of expiry, and concurrent requests for the same location share a
+// single upstream call: within a process by sharing the request, and across
+// instances using the MongoDB store by a lease (see jobLock) that lets one
+// instance fetch while the others wait for the token it stores.
+// With the memory store the collapse is per process: each instance fetches
+// and keeps its own tokens.
+//
+// Configuration:
+//   LOCATION_TOKEN_CACHE_STORE            "memory" (default) or "mongo" (shared by all instances)
+//   LOCATION_TOKEN_REFRESH_MARGIN_SECONDS refresh this long before expiry (default 300)
+// =======================================================
+
+const LocationToken = require("../models/LocationToken");
+const jobLock = require("./jobLock");
+const { delay } = require("./utils");
+
+const REFRESH_MARGIN_MS =
+  (Number(process.env.LOCATION_TOKEN_REFRESH_MARGIN_SECONDS) || 300) * 1000;
+// A token with less validity left than this is never handed out
+const MIN_VALIDITY_MS = 60 * 1000;
+const DEFAULT_EXPIRES_IN_SECONDS = 3600; // Used when GHL omits expires_in
+const MEMORY_STORE_MAX_ENTRIES = 1000;
+// How long one instance may take to fetch a token for the others
+const REFRESH_LEASE_MS = 10 * 1000;
+const LEASE_POLL_MS = 250;
+
+/**
+ * Process-local store.
+ */
+class MemoryTokenStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(companyId, locationId) {
+    const key = `${companyId}:${locationId}`;
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async set(companyId, locationId, entry) {
+    if (this.entries.size >= MEMORY_STORE_MAX_ENTRIES) {
+      const now = Date.now();
+      for (const [key, cached] of this.entries) {
+        if (cached.expiresAt <= now) this.entries.delete(key);
+      }
+      // Still full: drop the oldest entry (Map keeps insertion order)
+      if (this.entries.size >= MEMORY_STORE_MAX_ENTRIES) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+    this.entries.set(`${companyId}:${locationId}`, entry);
+  }
+
+  async delete(companyId, locationId) {
+    this.entries.delete(`${companyId}:${locationId}`);
+  }
+
+  async deleteCompany(companyId) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(`${companyId}:`)) this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * MongoDB store shared by every instance; tokens are encrypted at rest.
+ */
+class MongoTokenStore {
+  async get(companyId, locationId) {
+    const cached = await LocationToken.findOne({ companyId, locationId });
+    if (!cached || cached.expiresAt.getTime() <= Date.now()) return null;
+    return {
+      accessToken: cached.access_token,
+      expiresAt: cached.expiresAt.getTime(),
+    };
+  }
+
+  async set(companyId, locationId, entry) {
+    await LocationToken.updateOne(
+      { companyId, locationId },
+      {
+        $set: {
+          access_token: entry.accessToken,
+          expiresAt: new Date(entry.expiresAt),
+          updated_at: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(companyId, locationId) {
+    await LocationToken.deleteOne({ companyId, locationId });
+  }
+
+  async deleteCompany(companyId) {
+    await LocationToken.deleteMany({ companyId });
+  }
+}
+
+const SHARED_STORE = process.env.LOCATION_TOKEN_CACHE_STORE === "mongo";
+const store = SHARED_STORE ? new MongoTokenStore() : new MemoryTokenStore();
+
+// Upstream calls in flight, so concurrent callers share one request
+const inFlight = new Map();
+
+/**
+ * Waits for the token another instance is fetching under the lease.
+ * @returns {Object|null} - The cache entry, or null if no fresh token was
+ * stored before the lease ran out.
+ */
+async function waitForSharedToken(companyId, locationId) {
+  const giveUpAt = Date.now() + REFRESH_LEASE_MS;
+  while (Date.now() < giveUpAt) {
+    await delay(LEASE_POLL_MS);
+    const entry = await store.get(companyId, locationId);
+    if (entry && entry.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Takes the lease on fetching a location's token for every instance.
+ * Without a shared store, or when the lock cannot be read, the token is
+ * simply fetched.
+ * @returns {Object} - { lease } to fetch under (lease may be null), or
+ * { entry } when another instance stored a token in the meantime.
+ */
+async function claimFetch(companyId, locationId) {
+  if (!SHARED_STORE) return { lease: null };
+  try {
+    const lease = await jobLock.acquire(
+      `location-token:${companyId}:${locationId}`,
+      REFRESH_LEASE_MS
+    );
+    if (lease) return { lease };
+    const entry = await waitForSharedToken(companyId, locationId);
+    return entry ? { entry } : { lease: null };
+  } catch (error) {
+    console.error("Error taking the location token lease:", error.message);
+    return { lease: null };
+  }
+}
+
+/**
+ * Obtains a fresh token and stores it. Concurrent calls for the same
+ * location within this process share the same upstream request; with the
+ * shared store, only the instance holding the lease makes it.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} locationId - The location ID.
+ * @param {Function} fetchToken - Resolves to { access_token, expires_in }.
+ * @returns {Object} - The cache entry { accessToken, expiresAt }.
+ */
+function refresh(companyId, locationId, fetchToken) {
+  const key = `${companyId}:${locationId}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const request = (async () => {
+    const { lease, entry: shared } = await claimFetch(companyId, locationId);
+    if (shared) return shared;
+    try {
+      const data = await fetchToken();
+      const expiresIn = Number(data.expires_in) || DEFAULT_EXPIRES_IN_SECONDS;
+      const entry = {
+        accessToken: data.access_token,
+        expiresAt: Date.now() + expiresIn * 1000,
+      };
+      try {
+        await store.set(companyId, locationId, entry);
+      } catch (error) {
+        // The token is still good; only sharing it failed
+        console.error("Error caching location token:", error.message);
+      }
+      return entry;
+    } finally {
+      await lease?.release();
+    }
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Returns a location access token, from the cache when possible.
+ * Within the refresh margin the cached token is still returned while a
+ * replacement is fetched in the background; once it is about to expire the
+ * caller waits for the new token.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} locationId - The location ID.
+ * @param {Function} fetchToken - Resolves to { access_token, expires_in }.
+ * @returns {string} - The location access token.
+ */
+async function getToken(companyId, locationId, fetchToken) {
+  let cached = null;
+  try {
+    cached = await store.get(companyId, locationId);
+  } catch (error) {
+    console.error("Error reading location token cache:", error.message);
+  }
+
+  const now = Date.now();
+  if (cached && cached.expiresAt - now > MIN_VALIDITY_MS) {
+    if (cached.expiresAt - now <= REFRESH_MARGIN_MS) {
+      refresh(companyId, locationId, fetchToken).catch((error) =>
+        console.error(
+          `Background refresh of location token ${locationId} failed:`,
+          error.message
+        )
+      );
+    }
+    return cached.accessToken;
+  }
+
+  const entry = await refresh(companyId, locationId, fetchToken);
+  return entry.accessToken;
+}
+
+/**
+ * Drops a cached token, e.g. after GHL rejected it.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} locationId - The location ID.
+ */
+async function invalidate(companyId, locationId) {
+  try {
+    await store.delete(companyId, locationId);
+  } catch (error) {
+    console.error("Error invalidating location token:", error.message);
+  }
+}
+
+/**
+ * Drops every cached token of an agency, e.g. after it uninstalled the app.
+ * @param {string} companyId - The agency company ID.
+ */
+async function invalidateCompany(companyId) {
+  try {
+    await store.deleteCompany(companyId);
+  } catch (error) {
+    console.error("Error invalidating location tokens:", error.message);
+  }
+}
+
+module.exports = {
+  getToken,
+  invalidate,
+  invalidateCompany,
+};
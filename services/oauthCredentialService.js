@@ -0,0 +1,128 @@
+// =======================================================
+// File: services/oauthCredentialService.js
+// Description: Admin view of stored OAuth credentials: health summaries
+// (never token values), forced refreshes and deletion.
+// =======================================================
+
+const OAuthCredentials = require("../models/OAuthCredentials");
+const credentialRefreshService = require("./credentialRefreshService");
+const locationTokenCache = require("./locationTokenCache");
+
+const HEALTH_STATUSES = ["healthy", "failing", "expired", "reauth_required"];
+
+/**
+ * Works out the health of a credential.
+ * @param {Object} credential - OAuthCredentials document.
+ * @param {Date} expiresAt - When its access token expires.
+ * @returns {string} - One of HEALTH_STATUSES.
+ */
+function getHealth(credential, expiresAt) {
+  if (credential.reauth_required) return "reauth_required";
+  if (expiresAt.getTime() <= Date.now()) return "expired";
+  if (credential.last_refresh_status === "failed") return "failing";
+  return "healthy";
+}
+
+/**
+ * Returns the fields of a credential that are safe to show: everything but
+ * the tokens.
+ * @param {Object} credential - OAuthCredentials document (or lean object).
+ * @returns {Object}
+ */
+function describeCredential(credential) {
+  const expiresAt = credentialRefreshService.getExpiresAt(credential);
+  return {
+    id: credential._id,
+    userType: credential.userType || "Company",
+    companyId: credential.companyId,
+    locationId: credential.locationId,
+    userId: credential.userId,
+    scopes: credential.scopes || [],
+    status: getHealth(credential, expiresAt),
+    expires_at: expiresAt,
+    expires_in_seconds: Math.round((expiresAt.getTime() - Date.now()) / 1000),
+    obtained_at: credential.created_at,
+    last_refresh_at: credential.last_refresh_at,
+    last_refresh_status: credential.last_refresh_status,
+    last_refresh_error: credential.last_refresh_error,
+    consecutive_failures: credential.consecutive_failures || 0,
+    reauth_required: Boolean(credential.reauth_required),
+    reauth_required_at: credential.reauth_required_at,
+    encryption_key_id: credential.encryption_key_id,
+  };
+}
+
+/**
+ * Lists credentials, optionally filtered.
+ * @param {Object} filter - { companyId, locationId, userType, status }.
+ * @returns {Array<Object>} - Credential summaries, soonest expiry first.
+ */
+async function listCredentials(filter) {
+  const query = {};
+  ["companyId", "locationId"].forEach((field) => {
+    if (filter[field]) query[field] = filter[field];
+  });
+  if (filter.userType === "Location") query.userType = "Location";
+  if (filter.userType === "Company")
+    query.userType = { $in: ["Company", null] };
+
+  const credentials = await OAuthCredentials.find(query).lean();
+  return credentials
+    .map(describeCredential)
+    .filter(
+      (credential) => !filter.status || credential.status === filter.status
+    )
+    .sort((a, b) => a.expires_at - b.expires_at);
+}
+
+/**
+ * Returns a credential summary.
+ * @param {string} id - The OAuthCredentials ID.
+ * @returns {Object|null}
+ */
+async function getCredential(id) {
+  const credential = await OAuthCredentials.findById(id).lean();
+  return credential ? describeCredential(credential) : null;
+}
+
+/**
+ * Refreshes a credential now, whatever its expiry.
+ * @param {string} id - The OAuthCredentials ID.
+ * @returns {Object|null} - The updated summary, or null if unknown.
+ */
+async function refreshCredential(id) {
+  const credential = await OAuthCredentials.findById(id);
+  if (!credential) return null;
+  const refreshed =
+    await credentialRefreshService.refreshCredential(credential);
+  return describeCredential(refreshed);
+}
+
+/**
+ * Deletes a credential. The server loses access to the install until it is
+ * installed again; location tokens cached for it are dropped as well.
+ * @param {string} id - The OAuthCredentials ID.
+ * @returns {Object|null} - The summary of the deleted credential, or null if unknown.
+ */
+async function deleteCredential(id) {
+  const credential = await OAuthCredentials.findByIdAndDelete(id).lean();
+  if (!credential) return null;
+  if (credential.userType === "Location") {
+    await locationTokenCache.invalidate(
+      credential.companyId,
+      credential.locationId
+    );
+  } else {
+    await locationTokenCache.invalidateCompany(credential.companyId);
+  }
+  return describeCredential(credential);
+}
+
+module.exports = {
+  HEALTH_STATUSES,
+  describeCredential,
+  listCredentials,
+  getCredential,
+  refreshCredential,
+  deleteCredential,
+};
@@ -0,0 +1,230 @@
+// =======================================================
+// File: services/oauthInstallService.js
+// Description: Starts GHL OAuth installs and checks the state they return.
+// The state is a signed, expiring token (see signedToken) holding the
+// requested scopes, the return URL and a single-use nonce. Each install is
+// also bound to the browser that started it: that browser gets a random
+// binding value (set as a cookie by authController), and the callback is
+// only accepted with it, so a captured install link cannot be completed
+// from another session.
+//
+// Installs started from the GHL marketplace come back without a state. They
+// are only accepted on /api/auth/marketplace/callback, which must be set as
+// a redirect URL of the marketplace app; /api/auth/callback requires one.
+//
+// Configuration:
+//   OAUTH_STATE_SECRET             signing secret for the state (required)
+//   OAUTH_STATE_TTL_MINUTES        how long an install may take (default 10)
+//   GHL_OAUTH_AUTHORIZE_URL        GHL authorize page (default: marketplace chooselocation)
+//   GHL_OAUTH_REDIRECT_URI         this service's /api/auth/callback URL
+//   GHL_OAUTH_SCOPES               space-separated scopes requested by default;
+//                                  callers may only request a subset
+//   OAUTH_ALLOWED_RETURN_ORIGINS   comma-separated origins installs may return to
+//   OAUTH_DEFAULT_RETURN_URL       where to return when the install named none
+// =======================================================
+
+const crypto = require("crypto");
+const OAuthState = require("../models/OAuthState");
+const signedToken = require("./signedToken");
+const { httpError } = require("./utils");
+
+const STATE_PURPOSE = "oauth-state";
+const DEFAULT_AUTHORIZE_URL =
+  "https://marketplace.gohighlevel.com/oauth/chooselocation";
+
+function getStateTtlSeconds() {
+  return (Number(process.env.OAUTH_STATE_TTL_MINUTES) || 10) * 60;
+}
+
+function getConfiguredScopes() {
+  return (process.env.GHL_OAUTH_SCOPES || "").split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Hashes a browser binding value for storage.
+ */
+function hashBinding(binding) {
+  return crypto.createHash("sha256").update(String(binding)).digest("hex");
+}
+
+/**
+ * Whether a browser binding value matches a stored hash.
+ */
+function matchesBinding(binding, bindingHash) {
+  if (!binding) return false;
+  const expected = Buffer.from(bindingHash, "hex");
+  const actual = Buffer.from(hashBinding(binding), "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Whether installs may return to a URL: it must be an absolute http(s) URL
+ * on one of the allowed origins.
+ * @param {string} returnUrl - The URL to check.
+ * @returns {boolean}
+ */
+function isAllowedReturnUrl(returnUrl) {
+  let url;
+  try {
+    url = new URL(returnUrl);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return false;
+  const allowedOrigins = (process.env.OAUTH_ALLOWED_RETURN_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+  const defaultReturnUrl = process.env.OAUTH_DEFAULT_RETURN_URL;
+  if (defaultReturnUrl) allowedOrigins.push(new URL(defaultReturnUrl).origin);
+  return allowedOrigins.includes(url.origin);
+}
+
+/**
+ * Starts an install: records a nonce and builds the GHL authorize URL.
+ * @param {Object} params
+ * @param {Array<string>} [params.scopes] - Scopes to request (defaults to GHL_OAUTH_SCOPES).
+ * @param {string} [params.returnUrl] - Where to send the user afterwards.
+ * @returns {Object} - { url, expiresAt, binding }; binding must be given back
+ * to the browser (as a cookie) and passed to consumeState by the callback.
+ */
+async function startInstall({ scopes, returnUrl }) {
+  const secret = process.env.OAUTH_STATE_SECRET;
+  if (!secret || !process.env.GHL_CLIENT_ID) {
+    throw httpError("OAuth installs are not configured on this server.", 503);
+  }
+
+  const configuredScopes = getConfiguredScopes();
+  const requestedScopes = scopes?.length ? scopes : configuredScopes;
+  if (requestedScopes.length === 0) {
+    throw httpError("No OAuth scopes requested or configured.", 400);
+  }
+  const unknownScopes = requestedScopes.filter(
+    (scope) => !configuredScopes.includes(scope)
+  );
+  if (unknownScopes.length > 0) {
+    throw httpError(`Scopes not allowed: ${unknownScopes.join(" ")}`, 400);
+  }
+
+  const target = returnUrl || process.env.OAUTH_DEFAULT_RETURN_URL;
+  if (target && !isAllowedReturnUrl(target)) {
+    throw httpError("returnUrl is not an allowed destination.", 400);
+  }
+
+  const ttlSeconds = getStateTtlSeconds();
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  const binding = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  await OAuthState.create({
+    nonce,
+    bindingHash: hashBinding(binding),
+    expiresAt,
+  });
+
+  const state = signedToken.sign(
+    { nonce, scopes: requestedScopes, returnUrl: target },
+    { secret, purpose: STATE_PURPOSE, expiresInSeconds: ttlSeconds }
+  );
+
+  const url = new URL(
+    process.env.GHL_OAUTH_AUTHORIZE_URL || DEFAULT_AUTHORIZE_URL
+  );
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", process.env.GHL_CLIENT_ID);
+  if (process.env.GHL_OAUTH_REDIRECT_URI) {
+    url.searchParams.set("redirect_uri", process.env.GHL_OAUTH_REDIRECT_URI);
+  }
+  url.searchParams.set("scope", requestedScopes.join(" "));
+  url.searchParams.set("state", state);
+  return { url: url.toString(), expiresAt, binding };
+}
+
+/**
+ * Verifies the state returned to the callback and consumes its nonce.
+ * @param {string} state - The state query parameter.
+ * @param {string} [binding] - The binding value of the browser completing
+ * the install (from its cookie).
+ * @returns {Object} - { scopes, returnUrl }.
+ * @throws {Error} - 400 if the state is missing, invalid, expired or already
+ * used, or was issued to another browser.
+ */
+async function consumeState(state, binding) {
+  if (!state) {
+    throw httpError(
+      "Missing OAuth state. Installs started from the GHL marketplace must use /api/auth/marketplace/callback as their redirect URL.",
+      400
+    );
+  }
+
+  let payload;
+  try {
+    payload = signedToken.verify(state, {
+      secret: process.env.OAUTH_STATE_SECRET,
+      purpose: STATE_PURPOSE,
+    });
+  } catch (error) {
+    throw httpError(`Invalid OAuth state: ${error.message}`, 400);
+  }
+
+  const pending = await OAuthState.findOne({
+    nonce: payload.nonce,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!pending) {
+    throw httpError("This install link has already been used.", 400);
+  }
+  // States issued before installs were bound to a browser have no hash
+  if (pending.bindingHash && !matchesBinding(binding, pending.bindingHash)) {
+    throw httpError(
+      "This install was started in another browser. Start it again from this one.",
+      400
+    );
+  }
+  const consumed = await OAuthState.findOneAndDelete({ _id: pending._id });
+  if (!consumed) {
+    throw httpError("This install link has already been used.", 400);
+  }
+  return { scopes: payload.scopes || [], returnUrl: payload.returnUrl };
+}
+
+/**
+ * Reads the return URL from a state without consuming it, so errors found
+ * while checking the state can still be reported back to the caller.
+ * @param {string} state - The state query parameter.
+ * @returns {string|undefined}
+ */
+function peekReturnUrl(state) {
+  try {
+    return signedToken.verify(state, {
+      secret: process.env.OAUTH_STATE_SECRET,
+      purpose: STATE_PURPOSE,
+    }).returnUrl;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Adds the install outcome to a return URL.
+ * @param {string} returnUrl - The return URL.
+ * @param {Object} params - Query parameters (status, message, companyId...).
+ * @returns {string}
+ */
+function buildReturnUrl(returnUrl, params) {
+  const url = new URL(returnUrl);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+  return url.toString();
+}
+
+module.exports = {
+  isAllowedReturnUrl,
+  startInstall,
+  consumeState,
+  peekReturnUrl,
+  buildReturnUrl,
+};
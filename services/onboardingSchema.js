@@ -0,0 +1,108 @@
+// =======================================================
+// File: services/onboardingSchema.js
+// Description: Request schema of the onboarding payload (see requestSchema).
+// Accepts the field names older clients send ("Business Name",
+// business_name, ...) and normalises the address: ISO country codes, US
+// state codes, postal codes per country and E.164 phone numbers.
+// =======================================================
+
+const addressRules = require("./addressRules");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Validator for free text fields.
+ */
+const checkLength = (label) => (value) =>
+  value.length > MAX_TEXT_LENGTH
+    ? `${label} must be at most ${MAX_TEXT_LENGTH} characters.`
+    : null;
+
+const onboardingSchema = {
+  firstName: {
+    aliases: ["first_name", "firstName", "First Name"],
+    required: true,
+    label: "First name",
+    validate: checkLength("First name"),
+  },
+  lastName: {
+    aliases: ["last_name", "lastName", "Last Name"],
+    required: true,
+    label: "Last name",
+    validate: checkLength("Last name"),
+  },
+  email: {
+    aliases: ["email", "Email"],
+    required: true,
+    label: "Email",
+    normalize: (value) => value.toLowerCase(),
+    validate: (value) =>
+      EMAIL_PATTERN.test(value) ? null : "Email is not a valid address.",
+  },
+  businessName: {
+    aliases: ["business_name", "Business Name", "businessName"],
+    required: true,
+    label: "Business name",
+    validate: checkLength("Business name"),
+  },
+  address: {
+    aliases: ["address1", "address", "Address"],
+    required: true,
+    label: "Address",
+    validate: checkLength("Address"),
+  },
+  city: {
+    aliases: ["city", "City"],
+    required: true,
+    label: "City",
+    validate: checkLength("City"),
+  },
+  // Country comes before the fields whose format depends on it
+  country: {
+    aliases: ["country", "Country"],
+    required: true,
+    label: "Country",
+    normalize: (value) => addressRules.toCountryCode(value) || value,
+    validate: (value) =>
+      addressRules.toCountryCode(value)
+        ? null
+        : "Country must be an ISO 3166-1 alpha-2 code (e.g. US).",
+  },
+  state: {
+    aliases: ["state", "State"],
+    required: true,
+    label: "State",
+    normalize: (value, values) =>
+      values.country === "US"
+        ? addressRules.toUsStateCode(value) || value
+        : value,
+    validate: (value, values) => {
+      if (values.country === "US" && !addressRules.toUsStateCode(value)) {
+        return "State must be a US state code (e.g. CA).";
+      }
+      return checkLength("State")(value);
+    },
+  },
+  postalCode: {
+    aliases: ["postal_code", "postalCode", "zip", "Postal Code"],
+    required: true,
+    label: "Postal code",
+    normalize: (value) => value.toUpperCase(),
+    validate: (value, values) =>
+      addressRules.checkPostalCode(value, values.country),
+  },
+  phone: {
+    aliases: ["phone", "Phone"],
+    required: true,
+    label: "Phone",
+    normalize: (value, values) =>
+      addressRules.normalizePhone(value, values.country),
+    validate: (value) =>
+      addressRules.isE164(value)
+        ? null
+        : "Phone must be in international E.164 format (e.g. +14155550123).",
+  },
+};
+
+module.exports = onboardingSchema;
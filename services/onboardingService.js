@@ -0,0 +1,126 @@
+// =======================================================
+// File: services/onboardingService.js
+// Description: Prepares onboarding requests for the provisioning worker:
+// picks the provisioning template and credential mode, checks a supplied
+// password and captures the agency configuration a job runs with. Shared by
+// single (/accountCreationSSE) and batch onboarding.
+// =======================================================
+
+const templateService = require("./templateService");
+const userCredentialService = require("./userCredentialService");
+const secretBox = require("./secretBox");
+const requestSchema = require("./requestSchema");
+
+/**
+ * Picks the provisioning template and the way new users get their password.
+ * @param {Object} agency - The agency document.
+ * @param {string} [templateRef] - Template ID or name requested by the caller;
+ * otherwise the agency default applies.
+ * @returns {Object} - { template, credentialMode }.
+ * @throws {Error} - If the credential mode cannot be used for this agency.
+ */
+async function resolvePlan(agency, templateRef) {
+  const template = await templateService.resolveTemplate(
+    agency.companyId,
+    templateRef,
+    agency.defaultTemplate
+  );
+  const credentialMode = userCredentialService.resolveMode(template);
+  userCredentialService.assertModeAvailable(credentialMode, agency);
+  return { template, credentialMode };
+}
+
+/**
+ * Checks a caller-supplied password against the strength policy.
+ * @param {string} credentialMode - The resolved credential mode.
+ * @param {string} password - The supplied password.
+ * @param {Object} input - Normalised onboarding input.
+ * @param {string} [field] - Name to report problems under.
+ * @returns {Array<Object>} - { field, message } per problem; empty unless the
+ * mode is "supplied" and the password is weak.
+ */
+function checkPassword(credentialMode, password, input, field = "password") {
+  if (credentialMode !== "supplied") return [];
+  return userCredentialService
+    .checkPasswordStrength(password, input)
+    .map((message) => ({ field, message }));
+}
+
+/**
+ * Encrypts a supplied password for the job; it never appears in the job input.
+ * @returns {Object|undefined} - The job's secrets.
+ */
+function sealSecrets(credentialMode, password) {
+  if (credentialMode !== "supplied") return undefined;
+  return { password: secretBox.encrypt(password) };
+}
+
+/**
+ * Names of the parent custom values a template copies to new locations: the
+ * template's own list, else the agency's. Also used by the custom value sync,
+ * so it keeps in line the same fields provisioning copied.
+ * @param {Object} agency - The agency document.
+ * @param {Object} template - Template settings.
+ * @returns {Array<string>|undefined}
+ */
+function resolveFieldsToSync(agency, template) {
+  return template.fieldsToSync?.length
+    ? template.fieldsToSync
+    : agency.customFieldsToSync;
+}
+
+/**
+ * Builds the configuration a provisioning job runs with, captured now so a
+ * resumed run uses the same snapshot and folders as the original one.
+ * @param {Object} agency - The agency document.
+ * @param {Object} plan - { template, credentialMode } from resolvePlan.
+ * @returns {Object}
+ */
+function buildJobConfig(agency, { template, credentialMode }) {
+  return {
+    snapshotId: template.snapshotId || agency.snapshotId,
+    parentLocationId: agency.parentLocationId,
+    driveParentFolderId: agency.driveParentFolderId,
+    fieldsToSync: resolveFieldsToSync(agency, template),
+    template,
+    rollback: template.rollback,
+    credentialMode,
+    inviteWebhookUrl:
+      credentialMode === "invite"
+        ? userCredentialService.getInviteWebhookUrl(agency)
+        : undefined,
+  };
+}
+
+/**
+ * Prepares a single onboarding: resolves the plan and checks the password.
+ * @param {Object} agency - The agency document.
+ * @param {Object} params
+ * @param {Object} params.input - Normalised onboarding input.
+ * @param {string} [params.templateRef] - Requested template ID or name.
+ * @param {string} [params.password] - Password for the "supplied" mode.
+ * @returns {Object} - { template, credentialMode, secrets, config }.
+ * @throws {Error} - 400 with field errors if the password is too weak.
+ */
+async function prepare(agency, { input, templateRef, password }) {
+  const plan = await resolvePlan(agency, templateRef);
+  const problems = checkPassword(plan.credentialMode, password, input);
+  if (problems.length > 0) {
+    console.error("Supplied password rejected by the strength policy.");
+    throw requestSchema.validationError(problems);
+  }
+  return {
+    ...plan,
+    secrets: sealSecrets(plan.credentialMode, password),
+    config: buildJobConfig(agency, plan),
+  };
+}
+
+module.exports = {
+  resolvePlan,
+  checkPassword,
+  sealSecrets,
+  resolveFieldsToSync,
+  buildJobConfig,
+  prepare,
+};
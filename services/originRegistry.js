@@ -0,0 +1,272 @@
+// =======================================================
+// File: services/originRegistry.js
+// Description: The CORS origin registry. Allowed origins are stored in
+// MongoDB (AllowedOrigin) and cached in memory, so adding a white-label
+// client domain no longer needs a deploy. The origins that used to be
+// hard-coded in server.js are seeded on first start. An agency's entries
+// only allow requests for that agency (see originMiddleware.checkOrigin).
+//
+// Configuration:
+//   ORIGIN_CACHE_SECONDS   how long the registry is cached per instance (default 60)
+// =======================================================
+
+const AllowedOrigin = require("../models/AllowedOrigin");
+
+const CACHE_TTL_MS = (Number(process.env.ORIGIN_CACHE_SECONDS) || 60) * 1000;
+
+// Seeded into an empty registry (platform-wide entries)
+const DEFAULT_ORIGINS = [
+  { kind: "exact", value: "https://app.gohighlevel.com" },
+  { kind: "exact", value: "https://app.highlevel.com" },
+  { kind: "exact", value: "https://sso-app.clingy.app" },
+  { kind: "exact", value: "http://127.0.0.1:5500" },
+  { kind: "exact", value: "http://127.0.0.1:5501" },
+  { kind: "exact", value: "https://accounts.legacyprojector.com" },
+  { kind: "exact", value: "https://portal.clingy.app" },
+  { kind: "exact", value: "https://equityproperties.clingy.app" },
+  { kind: "exact", value: "https://offers.nepcashhomebuyers.com" },
+  { kind: "exact", value: "https://legacyprojector.com" },
+  { kind: "exact", value: "https://portal.secureautomation.app" },
+  { kind: "extension", value: "onkhiighfnfjldnleifganbkmfkonjbc" },
+  { kind: "extension", value: "chkcckanmihmkoaamndailaicdmakjdk" },
+  { kind: "wildcard", value: "securebusinessautomation.com" },
+  { kind: "wildcard", value: "base44.app" },
+  { kind: "wildcard", value: "legacyprojector.com" },
+];
+
+// Local frontends, only allowed in development and never stored
+const DEVELOPMENT_ORIGINS = [
+  { kind: "exact", value: "http://localhost:3000" },
+  { kind: "exact", value: "http://127.0.0.1:3000" },
+];
+
+const DOMAIN_PATTERN = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+// Until the registry is first read, the defaults apply
+let cache = { entries: DEFAULT_ORIGINS, expiresAt: 0 };
+let loading = null;
+
+/**
+ * Builds a 400 error for an invalid entry.
+ */
+function invalid(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Validates an entry and returns its canonical value.
+ * @param {string} kind - "exact", "wildcard" or "extension".
+ * @param {string} value - The origin, domain or extension id.
+ * @returns {string}
+ * @throws {Error} - 400 if the value does not fit the kind.
+ */
+function normalizeValue(kind, value) {
+  const raw = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (kind === "exact") {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw invalid("An exact origin must look like https://app.example.com.");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw invalid("An exact origin must use http or https.");
+    }
+    return url.origin;
+  }
+  if (kind === "wildcard") {
+    const domain = raw.replace(/^\*\./, "");
+    if (!DOMAIN_PATTERN.test(domain)) {
+      throw invalid("A wildcard entry must be a domain such as example.com.");
+    }
+    return domain;
+  }
+  if (kind === "extension") {
+    const id = raw.replace(/^chrome-extension:\/\//, "").replace(/\/$/, "");
+    if (!EXTENSION_ID_PATTERN.test(id)) {
+      throw invalid("An extension entry must be a 32-letter extension id.");
+    }
+    return id;
+  }
+  throw invalid(`kind must be one of: ${AllowedOrigin.KINDS.join(", ")}.`);
+}
+
+/**
+ * Whether an origin matches a registry entry.
+ */
+function matches(entry, origin) {
+  if (entry.kind === "exact") return entry.value === origin;
+  if (entry.kind === "extension") {
+    return origin === `chrome-extension://${entry.value}`;
+  }
+  try {
+    const url = new URL(origin);
+    return (
+      url.protocol === "https:" &&
+      (url.hostname === entry.value || url.hostname.endsWith(`.${entry.value}`))
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the registry entries, reloading them when the cache has expired.
+ * If MongoDB cannot be read, the last known entries stay in use.
+ */
+async function getEntries() {
+  if (cache.expiresAt > Date.now()) return cache.entries;
+  if (!loading) {
+    loading = AllowedOrigin.find({})
+      .lean()
+      .then((entries) => {
+        cache = { entries, expiresAt: Date.now() + CACHE_TTL_MS };
+      })
+      .catch((error) => {
+        console.error("Error loading allowed origins:", error.message);
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  await loading;
+  return cache.entries;
+}
+
+/**
+ * Drops the cached registry so the next check reloads it.
+ */
+function invalidateCache() {
+  cache = { ...cache, expiresAt: 0 };
+}
+
+/**
+ * Whether an origin is one of the local development frontends.
+ */
+function isDevelopmentOrigin(origin) {
+  return (
+    process.env.NODE_ENV === "development" &&
+    DEVELOPMENT_ORIGINS.some((entry) => matches(entry, origin))
+  );
+}
+
+/**
+ * Whether a browser origin may call the API for an agency. Platform-wide
+ * entries apply to every request; an agency's entries only to requests for
+ * that agency.
+ * @param {string} origin - The Origin header.
+ * @param {string} [companyId] - The agency the request is for; without one
+ * only platform-wide entries apply.
+ * @returns {Promise<boolean>}
+ */
+async function isAllowedOrigin(origin, companyId) {
+  if (isDevelopmentOrigin(origin)) return true;
+  const entries = await getEntries();
+  return entries.some(
+    (entry) =>
+      (!entry.companyId || entry.companyId === companyId) &&
+      matches(entry, origin)
+  );
+}
+
+/**
+ * Whether any entry, of whichever agency, allows an origin. Only meant for
+ * preflight requests, which carry no credentials to tell the agency by; the
+ * request that follows is checked with isAllowedOrigin.
+ * @param {string} origin - The Origin header.
+ * @returns {Promise<boolean>}
+ */
+async function isRegisteredOrigin(origin) {
+  if (isDevelopmentOrigin(origin)) return true;
+  const entries = await getEntries();
+  return entries.some((entry) => matches(entry, origin));
+}
+
+/**
+ * Seeds the default origins into an empty registry.
+ */
+async function seedDefaults() {
+  try {
+    if ((await AllowedOrigin.estimatedDocumentCount()) > 0) return;
+    await AllowedOrigin.insertMany(
+      DEFAULT_ORIGINS.map((entry) => ({
+        ...entry,
+        note: "Default origin (previously hard-coded in server.js)",
+      })),
+      { ordered: false }
+    );
+    invalidateCache();
+    console.log(`Seeded ${DEFAULT_ORIGINS.length} default allowed origins.`);
+  } catch (error) {
+    // Another instance seeding at the same time hits the unique index
+    if (error.code !== 11000) {
+      console.error("Error seeding allowed origins:", error.message);
+    }
+  }
+}
+
+/**
+ * Lists registry entries.
+ * @param {string} [companyId] - Only this agency's entries ("platform" for platform-wide ones).
+ * @returns {Array<Object>}
+ */
+async function listOrigins(companyId) {
+  const filter = {};
+  if (companyId) filter.companyId = companyId === "platform" ? null : companyId;
+  return AllowedOrigin.find(filter).sort({ companyId: 1, kind: 1, value: 1 });
+}
+
+/**
+ * Adds an entry to the registry.
+ * @param {Object} params - { kind, value, companyId, note }.
+ * @returns {Object} - The AllowedOrigin document.
+ * @throws {Error} - 400 for an invalid entry, 409 if it already exists.
+ */
+async function addOrigin({ kind, value, companyId, note }) {
+  const entry = {
+    kind,
+    value: normalizeValue(kind, value),
+    companyId: companyId || null,
+    note,
+  };
+  try {
+    const allowedOrigin = await AllowedOrigin.create(entry);
+    invalidateCache();
+    return allowedOrigin;
+  } catch (error) {
+    if (error.code === 11000) {
+      const conflict = new Error("This origin is already allowed.");
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Removes an entry from the registry.
+ * @param {string} id - The AllowedOrigin ID.
+ * @returns {Object|null} - The removed entry, or null if unknown.
+ */
+async function removeOrigin(id) {
+  const allowedOrigin = await AllowedOrigin.findByIdAndDelete(id);
+  if (allowedOrigin) invalidateCache();
+  return allowedOrigin;
+}
+
+module.exports = {
+  DEFAULT_ORIGINS,
+  normalizeValue,
+  isAllowedOrigin,
+  isRegisteredOrigin,
+  invalidateCache,
+  seedDefaults,
+  listOrigins,
+  addOrigin,
+  removeOrigin,
+};
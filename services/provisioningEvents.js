@@ -0,0 +1,133 @@
+// =======================================================
+// File: services/provisioningEvents.js
+// Description: Records and distributes provisioning progress events.
+// Every event is persisted with a per-job sequence number and also emitted
+// in-process so open SSE streams on this instance receive it immediately.
+// Streams on other instances pick it up by polling the stored events.
+// A one-time reveal token is never stored in an event: it is kept encrypted
+// on the job and added to the credentials event whenever that event is
+// listed, until the password has been revealed or the reveal has expired.
+// =======================================================
+
+const { EventEmitter } = require("events");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const ProvisioningEvent = require("../models/ProvisioningEvent");
+const secretBox = require("./secretBox");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+/**
+ * Converts a stored event into the payload sent to clients.
+ */
+function toPayload(event) {
+  return {
+    seq: event.seq,
+    type: event.type,
+    step: event.step,
+    message: event.message,
+    data: event.data,
+    createdAt: event.created_at,
+  };
+}
+
+/**
+ * Persists a progress event for a job and notifies local subscribers.
+ * @param {string} jobId - The job ID.
+ * @param {string} type - One of step-started, step-completed, warning, error, done.
+ * @param {Object} [details]
+ * @param {string} [details.step] - The step the event relates to.
+ * @param {string} [details.message] - User-facing progress text.
+ * @param {Object} [details.data] - Additional structured data.
+ * @returns {Object} - The event payload, including its sequence number.
+ */
+async function recordEvent(jobId, type, { step, message, data } = {}) {
+  const job = await ProvisioningJob.findOneAndUpdate(
+    { _id: jobId },
+    { $inc: { eventSeq: 1 } },
+    { new: true, projection: { eventSeq: 1 } }
+  );
+  if (!job) {
+    throw new Error(`Provisioning job ${jobId} not found.`);
+  }
+  const event = await ProvisioningEvent.create({
+    jobId,
+    seq: job.eventSeq,
+    type,
+    step,
+    message,
+    data,
+  });
+  const payload = toPayload(event);
+  emitter.emit(String(jobId), payload);
+  return payload;
+}
+
+/**
+ * Adds the job's reveal token to its credentials event while the password
+ * can still be revealed. The token is stored encrypted on the job and is
+ * removed from it once the password has been revealed.
+ * @param {string} jobId - The job ID.
+ * @param {Array} payloads - Event payloads of the job.
+ * @returns {Array} - The payloads, with the token added where it applies.
+ */
+async function addRevealToken(jobId, payloads) {
+  const index = payloads.findLastIndex(
+    (payload) => payload.data?.credentials?.revealExpiresAt
+  );
+  if (index === -1) return payloads;
+  const { credentials } = payloads[index].data;
+  if (new Date(credentials.revealExpiresAt) <= new Date()) return payloads;
+
+  const job = await ProvisioningJob.findById(jobId, {
+    "secrets.revealToken": 1,
+  }).lean();
+  if (!job?.secrets?.revealToken) return payloads;
+  const revealToken = secretBox.decrypt(job.secrets.revealToken);
+  return payloads.map((payload, position) =>
+    position === index
+      ? {
+          ...payload,
+          data: {
+            ...payload.data,
+            credentials: { ...credentials, revealToken },
+          },
+        }
+      : payload
+  );
+}
+
+/**
+ * Lists the stored events of a job after a given sequence number.
+ * @param {string} jobId - The job ID.
+ * @param {number} [afterSeq=0] - Only events with a greater sequence number are returned.
+ * @returns {Array} - Event payloads in order, with the job's reveal token
+ * while it has not been used.
+ */
+async function listEvents(jobId, afterSeq = 0) {
+  const events = await ProvisioningEvent.find({
+    jobId,
+    seq: { $gt: afterSeq },
+  })
+    .sort({ seq: 1 })
+    .lean();
+  return addRevealToken(jobId, events.map(toPayload));
+}
+
+/**
+ * Subscribes to events recorded for a job on this instance.
+ * @param {string} jobId - The job ID.
+ * @param {Function} listener - Called with each event payload.
+ * @returns {Function} - Unsubscribe function.
+ */
+function subscribe(jobId, listener) {
+  const key = String(jobId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+module.exports = {
+  recordEvent,
+  listEvents,
+  subscribe,
+};
@@ -0,0 +1,792 @@
+// =======================================================
+// File: services/provisioningSteps.js
+// Description: Ordered step definitions for account provisioning.
+// Each step receives the job context and returns the input it sent upstream
+// and the output it produced, which the worker persists on the job. A step's
+// plan function describes what the step would do using read-only calls only
+// (see provisioningWorker.planJob).
+// =======================================================
+
+const ghlService = require("./ghlService");
+const googleDriveService = require("./googleDriveService");
+const { waitFor, ReadinessTimeoutError } = require("./readiness");
+const secretBox = require("./secretBox");
+const userCredentialService = require("./userCredentialService");
+const { BUILT_IN_TEMPLATE } = require("./templateService");
+
+// Fields filled in per location instead of copied from the parent location
+const LINK_FIELDS = ["Command Center Link Ending", "Client Assets Folder Link"];
+// Stands in for values that only exist once a real run has created them
+const NOT_CREATED_YET = "<created during provisioning>";
+
+/**
+ * Returns the provisioning template captured on the job. Jobs created before
+ * templates existed fall back to the built-in template.
+ */
+function getTemplate(ctx) {
+  return ctx.job.config?.template || BUILT_IN_TEMPLATE;
+}
+
+/**
+ * Polls until GHL has finished provisioning something, with the template's
+ * readiness settings. The stream is told why the step is waiting whenever
+ * the reason changes.
+ * @param {Object} ctx - The job context.
+ * @param {string} description - What is being waited for.
+ * @param {Function} probe - See readiness.waitFor.
+ * @returns {Promise<*>} - The value of the successful probe.
+ */
+function waitUntilReady(ctx, description, probe) {
+  let lastReason;
+  return waitFor(probe, {
+    ...getTemplate(ctx).readiness,
+    description,
+    onWaiting: async ({ reason, waitMs, elapsedMs }) => {
+      if (reason === lastReason) return;
+      lastReason = reason;
+      await ctx.waiting(`Waiting for ${description}...`, {
+        reason,
+        waitMs,
+        elapsedMs,
+      });
+    },
+  });
+}
+
+/**
+ * Picks the synced fields out of a custom value list, keyed by name.
+ * @param {Array} customValues - Custom values returned by GHL.
+ * @param {Array<string>} fieldsToSync - Names of the fields to keep.
+ * @returns {Object} - Map of field name to { id, name, value }.
+ */
+function indexCustomValues(customValues, fieldsToSync) {
+  const indexed = {};
+  (customValues || []).forEach((item) => {
+    if (fieldsToSync.includes(item.name)) {
+      indexed[item.name] = { id: item.id, name: item.name, value: item.value };
+    }
+  });
+  return indexed;
+}
+
+/**
+ * Step: make sure no GHL user already exists with the onboarding email.
+ */
+async function checkUser(ctx) {
+  const { email } = ctx.job.input;
+  console.log("Checking for existing user with email:", email);
+  const userExists = await ghlService.checkUserExists(
+    ctx.companyId,
+    email,
+    ctx.agencyAccessToken
+  );
+  if (userExists) {
+    throw new Error("User already exists.");
+  }
+  return { input: { email }, output: { unique: true } };
+}
+
+/**
+ * Plan: look the onboarding email up, as checkUser does.
+ */
+async function planCheckUser(ctx) {
+  const { email } = ctx.job.input;
+  const userExists = await ghlService.checkUserExists(
+    ctx.companyId,
+    email,
+    ctx.agencyAccessToken
+  );
+  return {
+    input: { email },
+    problem: userExists ? "User already exists." : undefined,
+  };
+}
+
+/**
+ * Builds the location createAccount sends to GHL.
+ */
+function buildAccountData(ctx) {
+  const { input, config } = ctx.job;
+  return {
+    name: input.businessName,
+    phone: input.phone,
+    companyId: ctx.companyId,
+    address: input.address,
+    city: input.city,
+    state: input.state,
+    country: input.country,
+    postalCode: input.postalCode,
+    prospectInfo: {
+      firstName: input.firstName,
+      lastName: input.lastName,
+      email: input.email,
+    },
+    snapshotId: config.snapshotId,
+  };
+}
+
+/**
+ * Finds the location an interrupted createAccount run may have created: one
+ * with the business name, created since the step started. GHL has no
+ * idempotency key for locations, so this is how a resumed job avoids
+ * creating a second one.
+ * @returns {Object|null} - The location, or null if none was created.
+ */
+async function findInterruptedLocation(ctx, accountData) {
+  const name = accountData.name.trim().toLowerCase();
+  // Allows for clock skew between this server and GHL
+  const since = ctx.interruptedAt.getTime() - 5 * 60 * 1000;
+  const candidates = await ghlService.findLocations(
+    ctx.companyId,
+    (location) =>
+      String(location.name || "")
+        .trim()
+        .toLowerCase() === name &&
+      (!location.dateAdded || new Date(location.dateAdded).getTime() >= since),
+    ctx.agencyAccessToken
+  );
+  if (candidates.length > 1) {
+    throw new Error(
+      `Found ${candidates.length} locations named "${accountData.name}" created while the job was interrupted; remove the extra ones and retry.`
+    );
+  }
+  return candidates[0] || null;
+}
+
+/**
+ * Step: create the GHL location from the business details. When the step
+ * was interrupted (the process died while it was running) the location the
+ * interrupted run created is adopted instead.
+ */
+async function createAccount(ctx) {
+  const accountData = buildAccountData(ctx);
+  let creationResponse = ctx.interruptedAt
+    ? await findInterruptedLocation(ctx, accountData)
+    : null;
+  if (creationResponse) {
+    await ctx.warn(
+      `Resuming with location ${creationResponse.id}, created before the interruption.`
+    );
+  } else {
+    creationResponse = await ghlService.createAccount(
+      ctx.agencyAccessToken,
+      accountData
+    );
+  }
+  ctx.outputs.locationId = creationResponse.id;
+  return {
+    input: accountData,
+    output: { locationId: creationResponse.id, name: creationResponse.name },
+  };
+}
+
+/**
+ * Plan: the location createAccount would create, and from which snapshot.
+ */
+async function planCreateAccount(ctx) {
+  return { input: buildAccountData(ctx) };
+}
+
+/**
+ * Compensation: delete the location created by createAccount.
+ */
+async function deleteAccount(ctx, output) {
+  await ghlService.deleteLocation(output.locationId, ctx.agencyAccessToken);
+  return { locationId: output.locationId };
+}
+
+/**
+ * Returns the password for the new user according to the job's credential mode.
+ */
+function choosePassword(ctx) {
+  if (ctx.job.config?.credentialMode === "supplied") {
+    if (!ctx.job.secrets?.password) {
+      throw new Error("The supplied password is no longer available.");
+    }
+    return secretBox.decrypt(ctx.job.secrets.password);
+  }
+  // "random" and "invite" both start from an unguessable password
+  return userCredentialService.generatePassword();
+}
+
+/**
+ * Hands the credentials over according to the job's credential mode.
+ * @returns {Object} - Event data for the client (never the password itself).
+ */
+async function deliverCredentials(ctx, userId, password) {
+  const { input, config } = ctx.job;
+  const mode = config?.credentialMode || "random";
+
+  if (mode === "random") {
+    const reveal = await userCredentialService.createReveal({
+      jobId: ctx.job._id,
+      companyId: ctx.companyId,
+      locationId: ctx.outputs.locationId,
+      email: input.email,
+      password,
+    });
+    // Kept on the job so every stream of the job can hand it out, also on
+    // another instance or after a reconnect (see provisioningEvents)
+    await ctx.saveSecret("revealToken", secretBox.encrypt(reveal.token));
+    return { mode, revealExpiresAt: reveal.expiresAt };
+  }
+  if (mode === "invite") {
+    await userCredentialService.sendInvite(config.inviteWebhookUrl, {
+      userId,
+      email: input.email,
+      firstName: input.firstName,
+      lastName: input.lastName,
+      locationId: ctx.outputs.locationId,
+    });
+    // The webhook accepted it; whether the email is sent is up to the
+    // agency's consumer of the webhook (see sendInvite)
+    return { mode, inviteRequested: true };
+  }
+  await ctx.clearSecrets();
+  return { mode };
+}
+
+/**
+ * Builds the user createUser sends to GHL (without the password).
+ */
+function buildUserPayload(ctx, locationId) {
+  const { input } = ctx.job;
+  const { user } = getTemplate(ctx);
+  return {
+    companyId: ctx.companyId,
+    firstName: input.firstName,
+    lastName: input.lastName,
+    email: input.email,
+    phone: input.phone,
+    type: user.type,
+    role: user.role,
+    locationIds: [locationId],
+    permissions: user.permissions,
+  };
+}
+
+/**
+ * Finds the user an interrupted createUser run may have created: the
+ * onboarding email, with access to the new location.
+ * @returns {Object|null} - The user, or null if none was created.
+ */
+async function findInterruptedUser(ctx, userPayload) {
+  const user = await ghlService.findUserByEmail(
+    ctx.companyId,
+    userPayload.email,
+    ctx.agencyAccessToken
+  );
+  if (!user) return null;
+  const locationIds = user.roles?.locationIds || user.locationIds || [];
+  if (!locationIds.includes(ctx.outputs.locationId)) {
+    throw new Error("User already exists.");
+  }
+  return user;
+}
+
+/**
+ * Gives an adopted user a password that can be delivered. A supplied
+ * password whose secret is already gone was set by the interrupted run
+ * (secrets are cleared only after the user exists), so it is kept.
+ * @returns {string|null} - The password to deliver, or null if unchanged.
+ */
+async function resetInterruptedUserPassword(ctx, userId) {
+  if (
+    ctx.job.config?.credentialMode === "supplied" &&
+    !ctx.job.secrets?.password
+  ) {
+    return null;
+  }
+  const password = choosePassword(ctx);
+  await ghlService.updateUser(userId, { password }, ctx.agencyAccessToken);
+  return password;
+}
+
+/**
+ * Step: create the admin user for the new location. When the step was
+ * interrupted the user the interrupted run created is adopted instead.
+ */
+async function createUser(ctx) {
+  // Users can only be added once GHL has finished creating the location
+  await waitUntilReady(
+    ctx,
+    "your new account to become available",
+    async () => {
+      await ghlService.getLocation(
+        ctx.outputs.locationId,
+        ctx.agencyAccessToken
+      );
+      return { ready: true };
+    }
+  );
+
+  const userPayload = buildUserPayload(ctx, ctx.outputs.locationId);
+  const existingUser = ctx.interruptedAt
+    ? await findInterruptedUser(ctx, userPayload)
+    : null;
+  let user;
+  let password;
+  if (existingUser) {
+    await ctx.warn(
+      `Resuming with user ${existingUser.id}, created before the interruption.`
+    );
+    user = existingUser;
+    // The password the interrupted run chose was never handed out
+    password = await resetInterruptedUserPassword(ctx, user.id);
+  } else {
+    password = choosePassword(ctx);
+    user = await ghlService.createUser(ctx.agencyAccessToken, {
+      ...userPayload,
+      password,
+    });
+  }
+  ctx.outputs.userId = user?.id;
+
+  let credentials;
+  try {
+    credentials = await deliverCredentials(ctx, user?.id, password);
+  } catch (error) {
+    // The step is not completed, so rollback would not remove the user
+    if (user?.id) {
+      await ghlService
+        .deleteUser(user.id, ctx.agencyAccessToken)
+        .catch((deleteError) =>
+          console.error(
+            "Error removing user after credential delivery failed:",
+            deleteError.message
+          )
+        );
+    }
+    throw error;
+  }
+
+  // The password is deliberately left out of the recorded input; the reveal
+  // token is added to the step event when it is listed (see saveSecret)
+  return {
+    input: userPayload,
+    output: { userId: user?.id, credentialMode: credentials.mode },
+    eventData: { credentials },
+  };
+}
+
+/**
+ * Plan: the user createUser would create, its permissions and how they get
+ * their password.
+ */
+async function planCreateUser(ctx) {
+  const credentialMode = ctx.job.config?.credentialMode || "random";
+  return {
+    input: buildUserPayload(ctx, NOT_CREATED_YET),
+    credentialMode,
+    problem:
+      credentialMode === "invite" && !ctx.job.config?.inviteWebhookUrl
+        ? "No invite webhook is configured, so the user would never receive a password."
+        : undefined,
+  };
+}
+
+/**
+ * Compensation: delete the user created by createUser.
+ */
+async function deleteUser(ctx, output) {
+  if (!output.userId) {
+    throw new Error(
+      "User ID was not recorded; the user must be removed manually."
+    );
+  }
+  await ghlService.deleteUser(output.userId, ctx.agencyAccessToken);
+  return { userId: output.userId };
+}
+
+/**
+ * Step: read the funnel list of the new location to find the command center page.
+ */
+async function getFunnelPage(ctx) {
+  const locationId = ctx.outputs.locationId;
+  const { funnelStepName } = getTemplate(ctx);
+
+  // The funnels arrive with the snapshot, some time after the location exists
+  const funnelPageId = await waitUntilReady(
+    ctx,
+    "your command center funnel to be installed",
+    async () => ({
+      ready: true,
+      value: await ghlService.getFunnelList(
+        locationId,
+        await ctx.getChildAccessToken(),
+        funnelStepName
+      ),
+    })
+  );
+  ctx.outputs.funnelPageId = funnelPageId;
+  return { input: { locationId, funnelStepName }, output: { funnelPageId } };
+}
+
+/**
+ * Plan: the funnel step getFunnelPage would look for once the snapshot is in.
+ */
+async function planGetFunnelPage(ctx) {
+  const { funnelStepName } = getTemplate(ctx);
+  return { input: { locationId: NOT_CREATED_YET, funnelStepName } };
+}
+
+/**
+ * Builds the folder createDriveFolder creates: its name, parent and who it
+ * is shared with.
+ */
+function buildFolderInput(ctx) {
+  const { input, config } = ctx.job;
+  return {
+    name: input.businessName,
+    parentFolderId: config.driveParentFolderId,
+    shareWith: input.email,
+  };
+}
+
+/**
+ * Finds the Drive folder an interrupted createDriveFolder run may have
+ * created: a folder with the same name under the same parent, created since
+ * shortly before the interruption.
+ * @returns {string|null} - The folder ID, or null if none was created.
+ */
+async function findInterruptedFolder(ctx, folderInput) {
+  // Allows for clock skew between this server and Google
+  const since = new Date(ctx.interruptedAt.getTime() - 5 * 60 * 1000);
+  const folders = await googleDriveService.findFolders(
+    folderInput.name,
+    folderInput.parentFolderId,
+    since
+  );
+  if (folders.length > 1) {
+    throw new Error(
+      `Found ${folders.length} Drive folders named "${folderInput.name}" created while the job was interrupted; remove the extra ones and retry.`
+    );
+  }
+  return folders[0]?.id || null;
+}
+
+/**
+ * Step: create and share the client's Google Drive folder. When the step was
+ * interrupted the folder the interrupted run created is adopted instead.
+ */
+async function createDriveFolder(ctx) {
+  const folderInput = buildFolderInput(ctx);
+  let folderId = ctx.interruptedAt
+    ? await findInterruptedFolder(ctx, folderInput)
+    : null;
+  if (folderId) {
+    await ctx.warn(
+      `Resuming with Drive folder ${folderId}, created before the interruption.`
+    );
+    // The interrupted run may have stopped before sharing it
+    await googleDriveService.shareFolder(folderId, folderInput.shareWith);
+  } else {
+    folderId = await googleDriveService.createFolder(
+      folderInput.name,
+      folderInput.parentFolderId,
+      folderInput.shareWith
+    );
+  }
+  const driveFolderLink = `https://drive.google.com/drive/folders/${folderId}`;
+  ctx.outputs.driveFolderId = folderId;
+  ctx.outputs.driveFolderLink = driveFolderLink;
+  return {
+    input: folderInput,
+    output: { driveFolderId: folderId, driveFolderLink },
+  };
+}
+
+/**
+ * Plan: the Drive folder createDriveFolder would create.
+ */
+async function planCreateDriveFolder(ctx) {
+  const folderInput = buildFolderInput(ctx);
+  return {
+    input: folderInput,
+    problem: folderInput.parentFolderId
+      ? undefined
+      : "No Drive parent folder is configured for the agency.",
+  };
+}
+
+/**
+ * Compensation: trash the folder created by createDriveFolder.
+ */
+async function trashDriveFolder(ctx, output) {
+  await googleDriveService.trashFolder(output.driveFolderId);
+  return { driveFolderId: output.driveFolderId };
+}
+
+/**
+ * Names of the custom values syncCustomValues writes. The two link fields
+ * are always filled in, whatever the agency syncs.
+ */
+function listFieldsToSync(config) {
+  return [
+    ...new Set([
+      ...(config.fieldsToSync?.length
+        ? config.fieldsToSync
+        : BUILT_IN_TEMPLATE.fieldsToSync),
+      ...LINK_FIELDS,
+    ]),
+  ];
+}
+
+/**
+ * Reads the synced custom values of a location of the agency, such as its
+ * parent location.
+ * @param {string} companyId - The agency.
+ * @param {string} locationId - The location to read.
+ * @param {string} agencyAccessToken - Used to obtain a location token.
+ * @param {Array<string>} fieldsToSync - Names of the fields to keep.
+ * @returns {Object} - Map of field name to { id, name, value }.
+ */
+async function readCustomValues(
+  companyId,
+  locationId,
+  agencyAccessToken,
+  fieldsToSync
+) {
+  const accessToken = await ghlService.getLocationAccessToken(
+    companyId,
+    locationId,
+    agencyAccessToken
+  );
+  return indexCustomValues(
+    await ghlService.getCustomValues(locationId, accessToken),
+    fieldsToSync
+  );
+}
+
+/**
+ * Step: copy the agency custom values to the new location and fill in the
+ * command center and client assets links. Individual field failures are
+ * recorded but do not fail the step.
+ */
+async function syncCustomValues(ctx) {
+  const { config } = ctx.job;
+  const locationId = ctx.outputs.locationId;
+  const childAccessToken = await ctx.getChildAccessToken();
+  const fieldsToSync = listFieldsToSync(config);
+  const parentCustom = await readCustomValues(
+    ctx.companyId,
+    config.parentLocationId,
+    ctx.agencyAccessToken,
+    fieldsToSync
+  );
+
+  // The snapshot creates the custom values on the new location; wait until
+  // every field the parent has exists there too. If some never show up the
+  // sync carries on and those fields are skipped.
+  const expectedFields = fieldsToSync.filter((name) => parentCustom[name]);
+  let childCustom;
+  try {
+    childCustom = await waitUntilReady(
+      ctx,
+      "your account settings to be installed",
+      async () => {
+        const values = indexCustomValues(
+          await ghlService.getCustomValues(locationId, childAccessToken),
+          fieldsToSync
+        );
+        const missing = expectedFields.filter((name) => !values[name]);
+        return missing.length === 0
+          ? { ready: true, value: values }
+          : {
+              ready: false,
+              value: values,
+              reason: `${missing.length} custom value(s) not created yet`,
+            };
+      }
+    );
+  } catch (error) {
+    if (!(error instanceof ReadinessTimeoutError) || !error.lastValue) {
+      throw error;
+    }
+    childCustom = error.lastValue;
+    await ctx.warn(`Continuing with the custom values found: ${error.message}`);
+  }
+
+  const desired = {};
+  fieldsToSync.forEach((fieldName) => {
+    if (parentCustom[fieldName] && !LINK_FIELDS.includes(fieldName)) {
+      desired[fieldName] = parentCustom[fieldName].value;
+    }
+  });
+  if (ctx.outputs.funnelPageId) {
+    desired["Command Center Link Ending"] = `/${ctx.outputs.funnelPageId}`; // Add leading slash as per original logic
+  }
+  desired["Client Assets Folder Link"] = ctx.outputs.driveFolderLink;
+
+  const results = [];
+  for (const fieldName of fieldsToSync) {
+    const childField = childCustom[fieldName];
+    if (!childField || desired[fieldName] === undefined) {
+      console.log(`No update required for "${fieldName}" (field missing).`);
+      results.push({ name: fieldName, status: "skipped" });
+      continue;
+    }
+    try {
+      await ghlService.updateCustomValue(
+        locationId,
+        childField.id,
+        fieldName,
+        desired[fieldName],
+        childAccessToken
+      );
+      results.push({ name: fieldName, status: "updated" });
+    } catch (updateError) {
+      console.error(
+        `Skipping update for "${fieldName}" due to error:`,
+        updateError.message
+      );
+      // Do not re-throw here to allow other updates to proceed
+      await ctx.warn(`Could not update "${fieldName}": ${updateError.message}`);
+      results.push({
+        name: fieldName,
+        status: "failed",
+        error: updateError.message,
+      });
+    }
+  }
+
+  ctx.outputs.customValueResults = results;
+  return {
+    input: { locationId, parentLocationId: config.parentLocationId },
+    output: { results },
+  };
+}
+
+/**
+ * Plan: which parent custom values syncCustomValues would copy to which
+ * fields of the new location. Reads the parent location's values.
+ */
+async function planSyncCustomValues(ctx) {
+  const { config } = ctx.job;
+  const fieldsToSync = listFieldsToSync(config);
+  const parentCustom = await readCustomValues(
+    ctx.companyId,
+    config.parentLocationId,
+    ctx.agencyAccessToken,
+    fieldsToSync
+  );
+
+  const fields = fieldsToSync.map((name) => {
+    if (LINK_FIELDS.includes(name)) {
+      return {
+        name,
+        action: "fill",
+        value:
+          name === "Client Assets Folder Link"
+            ? "<link of the new Drive folder>"
+            : "/<id of the command center funnel page>",
+      };
+    }
+    if (!parentCustom[name]) {
+      return {
+        name,
+        action: "skip",
+        reason: "Not set on the parent location.",
+      };
+    }
+    return { name, action: "copy", value: parentCustom[name].value };
+  });
+
+  const missing = fields.filter((field) => field.action === "skip");
+  return {
+    input: {
+      locationId: NOT_CREATED_YET,
+      parentLocationId: config.parentLocationId,
+    },
+    fields,
+    warning:
+      missing.length > 0
+        ? `${missing.length} custom value(s) are missing on the parent location and will not be copied.`
+        : undefined,
+  };
+}
+
+// The order here is the order the worker runs (and resumes) the steps in
+const PROVISIONING_STEPS = [
+  {
+    name: "checkUser",
+    completeMessage: "Validating your details...",
+    run: checkUser,
+    plan: planCheckUser,
+  },
+  {
+    name: "createAccount",
+    startMessage: "Creating your new marketing account...",
+    completeMessage:
+      "Welcome aboard! Your journey to smarter marketing starts here.",
+    run: createAccount,
+    plan: planCreateAccount,
+    compensate: deleteAccount,
+  },
+  {
+    name: "createUser",
+    startMessage: "Setting up your user profile...",
+    completeMessage: "You're one step closer to automating your marketing!",
+    run: createUser,
+    plan: planCreateUser,
+    compensate: deleteUser,
+  },
+  {
+    name: "getFunnelPage",
+    startMessage: "Configuring your command center...",
+    run: getFunnelPage,
+    plan: planGetFunnelPage,
+  },
+  {
+    name: "createDriveFolder",
+    startMessage:
+      "Getting things organized! Your Google Drive folder is on its way.",
+    completeMessage: "Google Drive folder created successfully.",
+    failureMessage: "Error during Google Drive folder creation.",
+    run: createDriveFolder,
+    plan: planCreateDriveFolder,
+    compensate: trashDriveFolder,
+  },
+  {
+    name: "syncCustomValues",
+    startMessage: "Hang tight! We’re setting up your Clingy experience.",
+    completeMessage:
+      "Success! Your details are saved, and Clingy is ready to roll.",
+    run: syncCustomValues,
+    plan: planSyncCustomValues,
+  },
+];
+
+/**
+ * Resolves which completed steps are undone when a job fails.
+ * Every step with a compensation is rolled back unless switched off, either
+ * through PROVISIONING_ROLLBACK (e.g. "createDriveFolder=false") or the
+ * overrides passed in.
+ * @param {Object} [overrides] - Map of step name to boolean.
+ * @returns {Object} - Map of step name to boolean for every compensable step.
+ */
+function resolveRollbackPolicy(overrides = {}) {
+  const fromEnv = {};
+  (process.env.PROVISIONING_ROLLBACK || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [name, value] = entry.split("=").map((part) => part.trim());
+      fromEnv[name] = value !== "false";
+    });
+
+  const policy = {};
+  PROVISIONING_STEPS.filter((step) => step.compensate).forEach((step) => {
+    policy[step.name] = overrides[step.name] ?? fromEnv[step.name] ?? true;
+  });
+  return policy;
+}
+
+module.exports = {
+  LINK_FIELDS,
+  PROVISIONING_STEPS,
+  resolveRollbackPolicy,
+  listFieldsToSync,
+  readCustomValues,
+};
@@ -0,0 +1,541 @@
+// =======================================================
+// File: services/provisioningWorker.js
+// Description: Drives provisioning jobs through their steps.
+// A worker claims a job with a lease, runs every step that has not completed
+// yet and persists each step's status, input and output as it goes. A job
+// whose lease has expired (crashed or recycled instance) can be claimed again
+// and resumes from its last completed step. The step that was running when
+// it died is re-run with ctx.interruptedAt set, so steps that create things
+// upstream can look for (and adopt) what the interrupted run created.
+// =======================================================
+
+const os = require("os");
+const crypto = require("crypto");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const ghlService = require("./ghlService");
+const agencyService = require("./agencyService");
+const provisioningEvents = require("./provisioningEvents");
+const { delay } = require("./utils");
+const {
+  PROVISIONING_STEPS,
+  resolveRollbackPolicy,
+} = require("./provisioningSteps");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+const LOCK_TTL_MS = 2 * 60 * 1000; // Lease length; renewed while the job runs
+const HEARTBEAT_MS = 30 * 1000;
+const COMPENSATION_MAX_ATTEMPTS = 3;
+const COMPENSATION_RETRY_DELAY_MS = 2000;
+
+/**
+ * Builds the initial step list for a new job.
+ * @returns {Array} - One pending entry per provisioning step.
+ */
+function buildInitialSteps() {
+  return PROVISIONING_STEPS.map((step) => ({ name: step.name }));
+}
+
+/**
+ * Creates a new provisioning job document.
+ * @param {Object} params
+ * @param {string} params.companyId - The agency company ID.
+ * @param {Object} params.input - Normalised onboarding payload.
+ * @param {Object} params.config - Agency configuration (snapshot, folders).
+ * @param {Object} [params.config.rollback] - Per-step rollback overrides.
+ * @param {Object} [params.secrets] - Encrypted secrets needed by later steps.
+ * @returns {Object} - The created job.
+ */
+async function createJob({
+  companyId,
+  idempotencyKey,
+  requestHash,
+  input,
+  config,
+  secrets,
+}) {
+  return ProvisioningJob.create({
+    companyId,
+    idempotencyKey,
+    requestHash,
+    input,
+    secrets,
+    config: { ...config, rollback: resolveRollbackPolicy(config.rollback) },
+    steps: buildInitialSteps(),
+  });
+}
+
+/**
+ * Fingerprints an onboarding request, so a reused Idempotency-Key can be
+ * told apart from a retry of the same request.
+ * @param {Object} input - Normalised onboarding input.
+ * @param {string} [templateRef] - Template ID or name the request asked for.
+ * @returns {string} - Hex SHA-256 digest.
+ */
+function hashRequest(input, templateRef) {
+  const fields = Object.keys(input)
+    .sort()
+    .map((key) => [key, input[key]]);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ fields, templateRef: templateRef || null }))
+    .digest("hex");
+}
+
+/**
+ * Finds the job an agency created with an Idempotency-Key.
+ * @param {string} companyId - The agency.
+ * @param {string} idempotencyKey - The key sent with the original request.
+ * @returns {Object|null}
+ */
+async function findJobByIdempotencyKey(companyId, idempotencyKey) {
+  return ProvisioningJob.findOne({ companyId, idempotencyKey });
+}
+
+/**
+ * Atomically claims a job for this worker if nobody else holds its lease.
+ * @param {string} jobId - The job ID.
+ * @returns {Object|null} - The claimed job, or null if it is not claimable.
+ */
+async function claimJob(jobId) {
+  const now = new Date();
+  return ProvisioningJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: { $in: ["pending", "running", "rolling_back"] },
+      $or: [
+        { lockExpiresAt: { $exists: false } },
+        { lockExpiresAt: null },
+        { lockExpiresAt: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        lockedBy: WORKER_ID,
+        lockExpiresAt: new Date(now.getTime() + LOCK_TTL_MS),
+        updated_at: now,
+      },
+      $inc: { runs: 1 },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Applies an update to a job this worker holds the lease on, extending the lease.
+ */
+async function updateClaimedJob(jobId, update) {
+  const now = new Date();
+  update.$set = {
+    ...(update.$set || {}),
+    lockExpiresAt: new Date(now.getTime() + LOCK_TTL_MS),
+    updated_at: now,
+  };
+  const result = await ProvisioningJob.updateOne(
+    { _id: jobId, lockedBy: WORKER_ID },
+    update
+  );
+  if (result.matchedCount === 0) {
+    const error = new Error("Lost the lease on provisioning job " + jobId);
+    error.code = "LEASE_LOST";
+    throw error;
+  }
+}
+
+/**
+ * Records a progress event without letting a storage error fail the job.
+ */
+async function emitEvent(jobId, type, details) {
+  try {
+    await provisioningEvents.recordEvent(jobId, type, details);
+  } catch (error) {
+    console.error(
+      `Error recording ${type} event for provisioning job ${jobId}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Loads the agency-level access token for a job's company.
+ * @param {string} companyId - The agency company ID.
+ * @returns {string} - The agency access token.
+ */
+async function loadAgencyAccessToken(companyId) {
+  const credentials = await agencyService.getAgencyCredentials(companyId);
+  if (!credentials || !credentials.access_token) {
+    throw new Error("Access token not available. Please authorize first.");
+  }
+  return credentials.access_token;
+}
+
+/**
+ * Undoes the completed steps of a failed job in reverse order, as allowed by
+ * the job's rollback policy. Each compensation is retried a few times and
+ * every attempt is recorded on the job.
+ * @param {string} jobId - The job ID.
+ * @param {Object} ctx - The job context (needs the agency access token).
+ * @returns {string} - "rolled_back" if every completed step was undone, else "failed".
+ */
+async function rollbackJob(jobId, ctx) {
+  const job = await ProvisioningJob.findById(jobId);
+  const policy = job.config?.rollback || {};
+  const toUndo = PROVISIONING_STEPS.map((step, index) => ({
+    step,
+    index,
+    state: job.steps[index],
+  }))
+    .filter(
+      ({ step, state }) => step.compensate && state?.status === "completed"
+    )
+    .reverse();
+
+  if (toUndo.length === 0) return "failed";
+
+  console.log(`Rolling back ${toUndo.length} step(s) of job ${jobId}.`);
+  await emitEvent(jobId, "warning", {
+    message: "Cleaning up the partially created account...",
+    data: { rollback: toUndo.map(({ step }) => step.name) },
+  });
+
+  let fullyRolledBack = true;
+  for (const { step, index, state } of toUndo) {
+    if (policy[step.name] === false) {
+      console.log(`Rollback of step ${step.name} is disabled. Skipping.`);
+      fullyRolledBack = false;
+      await updateClaimedJob(jobId, {
+        $push: {
+          compensations: {
+            step: step.name,
+            status: "skipped",
+            completedAt: new Date(),
+          },
+        },
+      });
+      continue;
+    }
+
+    let compensated = false;
+    for (
+      let attempt = 1;
+      attempt <= COMPENSATION_MAX_ATTEMPTS && !compensated;
+      attempt++
+    ) {
+      const entry = { step: step.name, attempt, attemptedAt: new Date() };
+      try {
+        entry.result = await step.compensate(ctx, state.output || {});
+        entry.status = "completed";
+        compensated = true;
+      } catch (error) {
+        console.error(
+          `Compensation for step ${step.name} failed (attempt ${attempt}):`,
+          error.message
+        );
+        entry.status = "failed";
+        entry.error = error.message;
+      }
+      entry.completedAt = new Date();
+
+      const update = { $push: { compensations: entry } };
+      if (compensated) {
+        update.$set = { [`steps.${index}.status`]: "compensated" };
+      }
+      await updateClaimedJob(jobId, update);
+      await emitEvent(jobId, "warning", {
+        step: step.name,
+        data: { compensation: entry },
+      });
+
+      if (!compensated && attempt < COMPENSATION_MAX_ATTEMPTS) {
+        await delay(COMPENSATION_RETRY_DELAY_MS * attempt);
+      }
+    }
+    if (!compensated) fullyRolledBack = false;
+  }
+
+  return fullyRolledBack ? "rolled_back" : "failed";
+}
+
+/**
+ * Rolls a failed job back, releases its lease and publishes the final status.
+ */
+async function finishFailedJob(jobId, ctx) {
+  let finalStatus = "failed";
+  try {
+    finalStatus = await rollbackJob(jobId, ctx);
+  } catch (error) {
+    if (error.code === "LEASE_LOST") throw error;
+    console.error(
+      `Rollback of provisioning job ${jobId} aborted:`,
+      error.message
+    );
+  }
+
+  await updateClaimedJob(jobId, {
+    $set: { status: finalStatus, completed_at: new Date() },
+    $unset: { currentStep: "", lockedBy: "", lockExpiresAt: "" },
+  });
+  console.log(`Provisioning job ${jobId} finished with status ${finalStatus}.`);
+  await emitEvent(jobId, "done", { data: { status: finalStatus } });
+}
+
+/**
+ * Runs (or resumes) a provisioning job until it completes or a step fails.
+ * A failing step triggers a rollback of the steps completed before it.
+ * Progress is published as provisioning events (see provisioningEvents).
+ * @param {string} jobId - The job ID.
+ * @returns {Object|null} - The final job document, or null if the job could not be claimed.
+ */
+async function runJob(jobId) {
+  const job = await claimJob(jobId);
+  if (!job) {
+    console.log(`Provisioning job ${jobId} is not claimable. Skipping.`);
+    return null;
+  }
+  console.log(
+    `Worker ${WORKER_ID} running provisioning job ${jobId} (run ${job.runs}).`
+  );
+
+  const heartbeat = setInterval(() => {
+    ProvisioningJob.updateOne(
+      { _id: jobId, lockedBy: WORKER_ID },
+      { $set: { lockExpiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+    ).catch((error) =>
+      console.error("Error renewing provisioning job lease:", error.message)
+    );
+  }, HEARTBEAT_MS);
+
+  let currentStep;
+  let childAccessToken;
+  const outputs = { ...(job.toObject().outputs || {}) };
+  const ctx = {
+    job,
+    companyId: job.companyId,
+    agencyAccessToken: null,
+    outputs,
+    warn: (message) =>
+      emitEvent(jobId, "warning", { step: currentStep?.name, message }),
+    waiting: (message, data) =>
+      emitEvent(jobId, "waiting", { step: currentStep?.name, message, data }),
+    // Drops secrets that are no longer needed once the step using them is done
+    clearSecrets: () => updateClaimedJob(jobId, { $unset: { secrets: "" } }),
+    // Stores an encrypted secret on the job, e.g. the reveal token
+    saveSecret: (name, sealed) =>
+      updateClaimedJob(jobId, { $set: { [`secrets.${name}`]: sealed } }),
+    // Location tokens are never stored on the job; ghlService caches them
+    getChildAccessToken: async () => {
+      if (!childAccessToken) {
+        childAccessToken = await ghlService.getLocationAccessToken(
+          job.companyId,
+          outputs.locationId,
+          ctx.agencyAccessToken
+        );
+      }
+      return childAccessToken;
+    },
+  };
+
+  try {
+    if (job.status === "rolling_back") {
+      // A previous run failed and was interrupted while undoing its steps
+      console.log(`Resuming rollback of provisioning job ${jobId}.`);
+      ctx.agencyAccessToken = await loadAgencyAccessToken(job.companyId).catch(
+        (error) => {
+          console.error("Rollback continues without a token:", error.message);
+          return null;
+        }
+      );
+      await finishFailedJob(jobId, ctx);
+      return ProvisioningJob.findById(jobId);
+    }
+
+    await updateClaimedJob(jobId, { $set: { status: "running" } });
+    ctx.agencyAccessToken = await loadAgencyAccessToken(job.companyId);
+
+    for (let index = 0; index < PROVISIONING_STEPS.length; index++) {
+      const step = PROVISIONING_STEPS[index];
+      const state = job.steps[index];
+      if (state && state.status === "completed") {
+        console.log(`Step ${step.name} already completed. Resuming past it.`);
+        continue;
+      }
+
+      currentStep = step;
+      // A step still "running" was interrupted; whatever it created upstream
+      // before the crash may exist without having been recorded
+      ctx.interruptedAt =
+        state?.status === "running" ? state.startedAt || new Date(0) : null;
+      if (ctx.interruptedAt) {
+        console.log(
+          `Step ${step.name} was interrupted. Re-running it, adopting what it created.`
+        );
+      } else {
+        console.log(`Provisioning job ${jobId}: starting step ${step.name}.`);
+      }
+      await updateClaimedJob(jobId, {
+        $set: {
+          currentStep: step.name,
+          [`steps.${index}.status`]: "running",
+          [`steps.${index}.startedAt`]: new Date(),
+        },
+        $unset: { [`steps.${index}.error`]: "" },
+        $inc: { [`steps.${index}.attempts`]: 1 },
+      });
+      await emitEvent(jobId, "step-started", {
+        step: step.name,
+        message: step.startMessage,
+      });
+
+      const result = (await step.run(ctx)) || {};
+
+      await updateClaimedJob(jobId, {
+        $set: {
+          [`steps.${index}.status`]: "completed",
+          [`steps.${index}.input`]: result.input,
+          [`steps.${index}.output`]: result.output,
+          [`steps.${index}.completedAt`]: new Date(),
+          outputs,
+        },
+      });
+      console.log(`Provisioning job ${jobId}: step ${step.name} completed.`);
+      await emitEvent(jobId, "step-completed", {
+        step: step.name,
+        message: step.completeMessage,
+        data: { ...result.output, ...result.eventData },
+      });
+    }
+
+    await updateClaimedJob(jobId, {
+      $set: { status: "completed", completed_at: new Date() },
+      $unset: { currentStep: "", lockedBy: "", lockExpiresAt: "" },
+    });
+    console.log(`Provisioning job ${jobId} completed successfully.`);
+    await emitEvent(jobId, "done", {
+      message: "Great job! Your account is now active and ready for action.",
+      data: { status: "completed", outputs },
+    });
+  } catch (error) {
+    if (error.code === "LEASE_LOST") {
+      // Another worker took over the job; it owns the outcome from here on
+      console.warn(error.message);
+      return null;
+    }
+    console.error(`Provisioning job ${jobId} failed:`, error.message);
+    try {
+      const index = currentStep ? PROVISIONING_STEPS.indexOf(currentStep) : -1;
+      // "rolling_back" lets the resume job finish the rollback if we die now
+      const failure = { status: "rolling_back", error: error.message };
+      if (index >= 0) {
+        failure[`steps.${index}.status`] = "failed";
+        failure[`steps.${index}.error`] = error.message;
+      }
+      await updateClaimedJob(jobId, { $set: failure });
+      await emitEvent(jobId, "error", {
+        step: currentStep?.name,
+        message:
+          "❌ " +
+          (currentStep?.failureMessage ||
+            "Error: " +
+              (error.message ||
+                "An unexpected error occurred during account creation.")),
+        data: { error: error.message },
+      });
+      await finishFailedJob(jobId, ctx);
+    } catch (failureError) {
+      console.error(
+        "Error recording provisioning failure:",
+        failureError.message
+      );
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  return ProvisioningJob.findById(jobId);
+}
+
+/**
+ * Describes what a provisioning job would do, without creating it or
+ * calling anything that writes: every step's plan function is run against
+ * the agency's credentials, and what blocks the run is collected.
+ * @param {Object} params - { companyId, input, config }, as for createJob.
+ * @returns {Object} - { ready, steps, problems, warnings }; ready is false
+ * when a real run would fail.
+ */
+async function planJob({ companyId, input, config }) {
+  const rollback = resolveRollbackPolicy(config.rollback);
+  const ctx = {
+    job: { input, config: { ...config, rollback } },
+    companyId,
+    agencyAccessToken: null,
+    outputs: {},
+  };
+  const steps = [];
+  const problems = [];
+  const warnings = [];
+
+  try {
+    ctx.agencyAccessToken = await loadAgencyAccessToken(companyId);
+  } catch (error) {
+    problems.push({ step: "credentials", message: error.message });
+    return { ready: false, steps, problems, warnings };
+  }
+
+  for (const step of PROVISIONING_STEPS) {
+    try {
+      const { problem, warning, ...plan } = await step.plan(ctx);
+      steps.push({
+        step: step.name,
+        ...plan,
+        ...(step.compensate ? { undoneOnFailure: rollback[step.name] } : {}),
+      });
+      if (problem) problems.push({ step: step.name, message: problem });
+      if (warning) warnings.push({ step: step.name, message: warning });
+    } catch (error) {
+      console.error(`Planning step ${step.name} failed:`, error.message);
+      steps.push({ step: step.name, error: error.message });
+      problems.push({ step: step.name, message: error.message });
+    }
+  }
+  return { ready: problems.length === 0, steps, problems, warnings };
+}
+
+/**
+ * Finds jobs whose worker disappeared (stale lease) and resumes them.
+ * @returns {number} - How many jobs were picked up.
+ */
+async function resumeInterruptedJobs() {
+  const now = new Date();
+  const staleJobs = await ProvisioningJob.find(
+    {
+      status: { $in: ["pending", "running", "rolling_back"] },
+      $or: [
+        { lockExpiresAt: { $lte: now } },
+        // Pending jobs that were never claimed (e.g. the request died right after creation)
+        {
+          status: "pending",
+          lockExpiresAt: null,
+          created_at: { $lte: new Date(now.getTime() - LOCK_TTL_MS) },
+        },
+      ],
+    },
+    { _id: 1 }
+  ).limit(10);
+
+  for (const { _id } of staleJobs) {
+    console.log(`Resuming interrupted provisioning job ${_id}.`);
+    await runJob(_id);
+  }
+  return staleJobs.length;
+}
+
+module.exports = {
+  WORKER_ID,
+  createJob,
+  hashRequest,
+  findJobByIdempotencyKey,
+  planJob,
+  runJob,
+  resumeInterruptedJobs,
+};
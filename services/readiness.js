@@ -0,0 +1,104 @@
+// =======================================================
+// File: services/readiness.js
+// Description: Polls a condition until it holds, with backoff and a timeout.
+// Used instead of fixed sleeps while GHL finishes provisioning a location.
+// =======================================================
+
+const { delay } = require("./utils");
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: Number(process.env.PROVISIONING_READINESS_TIMEOUT_MS) || 120000,
+  initialIntervalMs: 1000,
+  maxIntervalMs: 10000,
+  factor: 2,
+};
+
+/**
+ * Error thrown when a condition did not hold before the timeout.
+ * lastValue and lastError describe the final probe.
+ */
+class ReadinessTimeoutError extends Error {
+  constructor(description, waitedMs, lastValue, lastError) {
+    super(
+      `Timed out after ${Math.round(waitedMs / 1000)}s waiting for ${description}` +
+        (lastError ? ` (last error: ${lastError.message})` : ".")
+    );
+    this.name = "ReadinessTimeoutError";
+    this.lastValue = lastValue;
+    this.lastError = lastError;
+  }
+}
+
+/**
+ * waitFor
+ * Calls probe until it reports ready, waiting longer between attempts each
+ * time (initialIntervalMs, multiplied by factor, capped at maxIntervalMs).
+ * A probe that throws counts as not ready.
+ *
+ * @param {Function} probe - async () => { ready: boolean, value?, reason? }
+ * @param {Object} options
+ * @param {string} options.description - What is being waited for, e.g. "the location to be readable".
+ * @param {number} [options.timeoutMs] - Give up after this long.
+ * @param {number} [options.initialIntervalMs] - Wait before the second attempt.
+ * @param {number} [options.maxIntervalMs] - Longest wait between attempts.
+ * @param {number} [options.factor] - Backoff multiplier.
+ * @param {Function} [options.onWaiting] - Called once per wait with
+ *   { description, reason, attempt, waitMs, elapsedMs }.
+ * @returns {Promise<*>} - The value of the successful probe.
+ */
+async function waitFor(probe, options) {
+  // Unset options (e.g. from a template that leaves them out) keep the defaults
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) settings[key] = value;
+  });
+  const { description, timeoutMs, initialIntervalMs, maxIntervalMs, factor } =
+    settings;
+  const startedAt = Date.now();
+  let intervalMs = initialIntervalMs;
+  let lastValue;
+  let lastError;
+
+  for (let attempt = 1; ; attempt += 1) {
+    let reason;
+    try {
+      const result = await probe();
+      if (result.ready) return result.value;
+      lastValue = result.value;
+      lastError = null;
+      reason = result.reason;
+    } catch (error) {
+      lastError = error;
+      reason = error.message;
+    }
+
+    const elapsedMs = Date.now() - startedAt;
+    const remainingMs = timeoutMs - elapsedMs;
+    if (remainingMs <= 0) {
+      throw new ReadinessTimeoutError(
+        description,
+        elapsedMs,
+        lastValue,
+        lastError
+      );
+    }
+
+    const waitMs = Math.min(intervalMs, remainingMs);
+    if (options.onWaiting) {
+      await options.onWaiting({
+        description,
+        reason,
+        attempt,
+        waitMs,
+        elapsedMs,
+      });
+    }
+    await delay(waitMs);
+    intervalMs = Math.min(intervalMs * factor, maxIntervalMs);
+  }
+}
+
+module.exports = {
+  ReadinessTimeoutError,
+  waitFor,
+};
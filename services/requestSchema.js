@@ -0,0 +1,91 @@
+// =======================================================
+// File: services/requestSchema.js
+// Description: Declarative request validation. A schema lists the fields a
+// request accepts; each field names the aliases it may arrive under and how
+// to normalise and validate it. Every problem is reported by field rather
+// than stopping at the first.
+// =======================================================
+
+/**
+ * Field definition:
+ *   aliases    {Array<string>} - Request keys, in order of precedence; the
+ *                                first one is the name used in errors.
+ *   required   {boolean}
+ *   label      {string}        - Human-readable name for messages.
+ *   normalize  {Function}      - (value, values) => normalised value.
+ *   validate   {Function}      - (value, values) => error message or null.
+ * Fields are processed in schema order, so normalize and validate can look
+ * at the (normalised) values of the fields before them.
+ */
+
+/**
+ * Reads a field's raw value: the first alias present with a non-blank value.
+ */
+function readField(body, aliases) {
+  for (const alias of aliases) {
+    const value = body[alias];
+    if (value === undefined || value === null) continue;
+    if (typeof value === "string" && value.trim() === "") continue;
+    return value;
+  }
+  return undefined;
+}
+
+/**
+ * Validates and normalises a request body.
+ * @param {Object} schema - { key: field definition }.
+ * @param {Object} body - The request body.
+ * @returns {Object} - { values, errors }: the normalised values by schema
+ * key, and a list of { field, message }.
+ */
+function validate(schema, body = {}) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([key, field]) => {
+    const name = field.aliases[0];
+    const raw = readField(body, field.aliases);
+    if (raw === undefined) {
+      if (field.required) {
+        errors.push({ field: name, message: `${field.label} is required.` });
+      }
+      return;
+    }
+    if (typeof raw !== "string" && typeof raw !== "number") {
+      errors.push({ field: name, message: `${field.label} must be text.` });
+      return;
+    }
+
+    const value = field.normalize
+      ? field.normalize(String(raw).trim(), values)
+      : String(raw).trim();
+    const message = field.validate ? field.validate(value, values) : null;
+    if (message) {
+      errors.push({ field: name, message });
+      return;
+    }
+    values[key] = value;
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Builds the 400 error for a failed validation. The field errors travel as
+ * error.fieldErrors (see errorMiddleware).
+ * @param {Array<Object>} errors - { field, message } list.
+ * @returns {Error}
+ */
+function validationError(errors) {
+  const error = new Error(
+    `Invalid request: ${errors.map((problem) => problem.message).join(" ")}`
+  );
+  error.statusCode = 400;
+  error.fieldErrors = errors;
+  return error;
+}
+
+module.exports = {
+  validate,
+  validationError,
+};
@@ -0,0 +1,225 @@
+// =======================================================
+// File: services/secretBox.js
+// Description: Envelope encryption for secrets stored in MongoDB
+// (OAuth tokens, generated passwords).
+// Every value is encrypted with its own random data key (AES-256-GCM), and
+// that data key is wrapped with a key-encryption key from the key ring.
+// The key id travels with the value, so keys can be rotated: add a new key,
+// make it active, then run `npm run reencrypt-secrets` to migrate old records.
+//
+// Key ring configuration:
+//   ENCRYPTION_KEYS           "<id>:<key>,<id>:<key>" (32-byte keys, base64 or hex)
+//   ENCRYPTION_ACTIVE_KEY_ID  id of the key used for new values (defaults to the first)
+// =======================================================
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const ENVELOPE_VERSION = "v2";
+
+// The parsed key ring and the configuration it was parsed from
+let keyRing = null;
+let keyRingSource = null;
+
+/**
+ * Decodes a 32-byte key given in hex or base64.
+ */
+function decodeKey(id, raw) {
+  const key = /^[0-9a-f]{64}$/i.test(raw)
+    ? Buffer.from(raw, "hex")
+    : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error(`Encryption key "${id}" must be 32 bytes.`);
+  }
+  return key;
+}
+
+/**
+ * Parses the key ring from the environment.
+ * @returns {Object} - { keys: Map<id, Buffer>, activeKeyId }
+ */
+function parseKeyRing() {
+  const keys = new Map();
+  (process.env.ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0) {
+        throw new Error("ENCRYPTION_KEYS entries must look like <id>:<key>.");
+      }
+      const id = entry.slice(0, separator);
+      keys.set(id, decodeKey(id, entry.slice(separator + 1)));
+    });
+
+  const activeKeyId =
+    process.env.ENCRYPTION_ACTIVE_KEY_ID || keys.keys().next().value;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(
+      `ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not in the key ring.`
+    );
+  }
+  return { keys, activeKeyId };
+}
+
+/**
+ * Returns the key ring, parsing it only when its configuration has changed.
+ * @returns {Object} - { keys: Map<id, Buffer>, activeKeyId }
+ */
+function loadKeyRing() {
+  const source = `${process.env.ENCRYPTION_KEYS}|${process.env.ENCRYPTION_ACTIVE_KEY_ID}`;
+  if (source !== keyRingSource) {
+    keyRing = parseKeyRing();
+    keyRingSource = source;
+  }
+  return keyRing;
+}
+
+/**
+ * Whether a key ring is configured.
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(loadKeyRing().activeKeyId);
+}
+
+/**
+ * Returns the id of the key new values are encrypted with.
+ * @returns {string|undefined}
+ */
+function getActiveKeyId() {
+  return loadKeyRing().activeKeyId;
+}
+
+/**
+ * Encrypts a buffer with AES-256-GCM.
+ * @returns {Array<string>} - [iv, tag, ciphertext] as base64.
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ];
+}
+
+/**
+ * Reverses seal().
+ * @returns {Buffer} - The plaintext.
+ */
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Whether a stored value was produced by encrypt().
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === "string" && /^v2:/.test(value);
+}
+
+/**
+ * Returns the id of the key a stored value is encrypted with.
+ * @param {string} encoded - The encrypted value.
+ * @returns {string|null} - The key id, or null for plaintext values.
+ */
+function getKeyId(encoded) {
+  if (!isEncrypted(encoded)) return null;
+  return encoded.split(":")[1];
+}
+
+/**
+ * Encrypts a string with a fresh data key wrapped by the active key.
+ * @param {string} plaintext - The value to encrypt.
+ * @returns {string} - "v2:<keyId>:<wrapped data key>:<ciphertext>" (base64 parts).
+ */
+function encrypt(plaintext) {
+  const { keys, activeKeyId } = loadKeyRing();
+  if (!activeKeyId) {
+    throw new Error("No encryption key configured (ENCRYPTION_KEYS).");
+  }
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(keys.get(activeKeyId), dataKey);
+  const sealedValue = seal(dataKey, Buffer.from(String(plaintext), "utf8"));
+  return [ENVELOPE_VERSION, activeKeyId, ...wrappedKey, ...sealedValue].join(
+    ":"
+  );
+}
+
+/**
+ * Decrypts a value produced by encrypt().
+ * @param {string} encoded - The encrypted value.
+ * @returns {string} - The plaintext.
+ */
+function decrypt(encoded) {
+  const { keys } = loadKeyRing();
+  const parts = String(encoded).split(":");
+  if (parts[0] !== ENVELOPE_VERSION || parts.length !== 8) {
+    throw new Error("Unrecognised encrypted value format.");
+  }
+  const [, keyId, keyIv, keyTag, wrappedKey, iv, tag, ciphertext] = parts;
+  const keyEncryptionKey = keys.get(keyId);
+  if (!keyEncryptionKey) {
+    throw new Error(`Encryption key "${keyId}" is not in the key ring.`);
+  }
+  const dataKey = open(keyEncryptionKey, keyIv, keyTag, wrappedKey);
+  return open(dataKey, iv, tag, ciphertext).toString("utf8");
+}
+
+/**
+ * Re-encrypts a value with the active key. Plaintext values are encrypted.
+ * @param {string} value - Encrypted or plaintext value.
+ * @returns {string} - The value encrypted with the active key.
+ */
+function reencrypt(value) {
+  return encrypt(isEncrypted(value) ? decrypt(value) : value);
+}
+
+/**
+ * Mongoose setter for encrypted string fields. Values that are already
+ * encrypted are stored as they are; without a configured key ring the value
+ * is kept in plaintext (the server warns about this on startup).
+ * @param {string} value - The value being written.
+ * @returns {string}
+ */
+function encryptField(value) {
+  if (!value || isEncrypted(value) || !isConfigured()) return value;
+  return encrypt(value);
+}
+
+/**
+ * Mongoose getter for encrypted string fields. Plaintext values (written
+ * before encryption was enabled) are returned unchanged.
+ * @param {string} value - The stored value.
+ * @returns {string}
+ */
+function decryptField(value) {
+  return isEncrypted(value) ? decrypt(value) : value;
+}
+
+module.exports = {
+  isConfigured,
+  getActiveKeyId,
+  isEncrypted,
+  getKeyId,
+  encrypt,
+  decrypt,
+  reencrypt,
+  encryptField,
+  decryptField,
+};
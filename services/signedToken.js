@@ -0,0 +1,92 @@
+// =======================================================
+// File: services/signedToken.js
+// Description: Compact HMAC-signed, expiring tokens.
+// A token is "<base64url JSON payload>.<base64url HMAC-SHA256>". The payload
+// carries a purpose ("aud"), an issue time and an expiry, so a token minted
+// for one use (e.g. OAuth state) is refused for any other.
+// =======================================================
+
+const crypto = require("crypto");
+
+/**
+ * Computes the signature of an encoded payload.
+ */
+function hmac(encodedPayload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+/**
+ * Signs a payload.
+ * @param {Object} payload - Claims to sign (must be JSON serialisable).
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret.
+ * @param {string} options.purpose - What the token is for; checked by verify().
+ * @param {number} options.expiresInSeconds - Lifetime of the token.
+ * @returns {string} - The token.
+ */
+function sign(payload, { secret, purpose, expiresInSeconds }) {
+  if (!secret) throw new Error("A signing secret is required.");
+  const now = Math.floor(Date.now() / 1000);
+  const encodedPayload = Buffer.from(
+    JSON.stringify({
+      ...payload,
+      aud: purpose,
+      iat: now,
+      exp: now + expiresInSeconds,
+    })
+  ).toString("base64url");
+  return `${encodedPayload}.${hmac(encodedPayload, secret)}`;
+}
+
+/**
+ * Verifies a token and returns its payload.
+ * @param {string} token - The token.
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret.
+ * @param {string} options.purpose - Expected purpose.
+ * @returns {Object} - The payload.
+ * @throws {Error} - With code INVALID_TOKEN or TOKEN_EXPIRED.
+ */
+function verify(token, { secret, purpose }) {
+  const fail = (message, code = "INVALID_TOKEN") => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
+  const [encodedPayload, signature, extra] = String(token || "").split(".");
+  if (!encodedPayload || !signature || extra !== undefined) {
+    throw fail("Malformed token.");
+  }
+
+  const expected = Buffer.from(hmac(encodedPayload, secret));
+  const provided = Buffer.from(signature);
+  if (
+    expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)
+  ) {
+    throw fail("Invalid token signature.");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+  } catch {
+    throw fail("Malformed token payload.");
+  }
+  if (payload.aud !== purpose) {
+    throw fail("Token was not issued for this purpose.");
+  }
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw fail("Token has expired.", "TOKEN_EXPIRED");
+  }
+  return payload;
+}
+
+module.exports = {
+  sign,
+  verify,
+};
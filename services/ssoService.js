@@ -0,0 +1,191 @@
+// =======================================================
+// File: services/ssoService.js
+// Description: Decrypts GHL SSO payloads and issues sessions for the users
+// they describe. The user gets a short-lived signed session token (see
+// signedToken) that frontends send back in the x-sso-session header.
+//
+// Configuration:
+//   GHL_APP_SHARED_SECRET     shared secret GHL encrypts SSO payloads with
+//   SSO_SESSION_SECRET        signing secret for sessions (required; must differ
+//                             from GHL_APP_SHARED_SECRET, which GHL also knows)
+//   SSO_SESSION_TTL_MINUTES   session lifetime (default 60)
+//   SSO_APP_URL               app the legacy /api/sso/ghl endpoint redirects to
+// =======================================================
+
+const CryptoJS = require("crypto-js");
+const signedToken = require("./signedToken");
+
+const SESSION_PURPOSE = "sso-session";
+// The parts of the GHL user context carried in a session
+const SESSION_FIELDS = [
+  "userId",
+  "companyId",
+  "activeLocation",
+  "role",
+  "type",
+];
+
+function getSessionSecret() {
+  return process.env.SSO_SESSION_SECRET;
+}
+
+/**
+ * Checks that sessions have a signing secret of their own. The server
+ * refuses to start without one.
+ * @throws {Error} - If SSO_SESSION_SECRET is missing or reuses the GHL
+ * shared secret.
+ */
+function assertSessionSecret() {
+  const secret = getSessionSecret();
+  if (!secret) {
+    throw new Error("SSO_SESSION_SECRET is not configured.");
+  }
+  if (secret === process.env.GHL_APP_SHARED_SECRET) {
+    throw new Error(
+      "SSO_SESSION_SECRET must differ from GHL_APP_SHARED_SECRET."
+    );
+  }
+}
+
+function getSessionTtlSeconds() {
+  return (Number(process.env.SSO_SESSION_TTL_MINUTES) || 60) * 60;
+}
+
+/**
+ * Builds an SSO error: message is safe to show the caller, detail is the
+ * underlying error (only shown in development).
+ */
+function ssoError(message, statusCode, detail) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.detail = detail;
+  return error;
+}
+
+/**
+ * Decrypts the encrypted SSO payload GHL hands to embedded pages
+ * (CryptoJS AES with the app's shared secret, as per GHL documentation).
+ * @param {string} encryptedData - The encrypted payload.
+ * @returns {Object} - The GHL user context (userId, companyId, role, type,
+ * activeLocation, userName, email).
+ * @throws {Error} - 400 for a missing or undecryptable payload, 500 if the
+ * shared secret is not configured.
+ */
+function decryptUserData(encryptedData) {
+  if (!encryptedData) {
+    throw ssoError("Missing encrypted data", 400);
+  }
+  const sharedSecretKey = process.env.GHL_APP_SHARED_SECRET;
+  if (!sharedSecretKey) {
+    console.error(
+      "GHL_APP_SHARED_SECRET not configured in environment variables"
+    );
+    throw ssoError("Server configuration error: SSO key not configured", 500);
+  }
+
+  let decrypted;
+  try {
+    decrypted = CryptoJS.AES.decrypt(
+      String(encryptedData),
+      sharedSecretKey
+    ).toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    const message = error.message.includes("Malformed UTF-8")
+      ? "Invalid SSO secret key - please verify your shared secret"
+      : "Failed to decrypt user data";
+    throw ssoError(message, 400, error.message);
+  }
+  if (!decrypted) {
+    throw ssoError(
+      "Failed to decrypt user data",
+      400,
+      "Decryption failed - check your SSO secret key"
+    );
+  }
+
+  try {
+    return JSON.parse(decrypted);
+  } catch (error) {
+    throw ssoError("Invalid data format after decryption", 400, error.message);
+  }
+}
+
+/**
+ * Issues a session for a decrypted GHL user context.
+ * @param {Object} userData - The decrypted SSO payload.
+ * @returns {Object} - { token, expiresAt }.
+ */
+function issueSession(userData) {
+  if (!userData.userId || !userData.companyId) {
+    throw new Error("SSO user context is missing userId or companyId.");
+  }
+  const claims = {};
+  SESSION_FIELDS.forEach((field) => {
+    if (userData[field]) claims[field] = userData[field];
+  });
+
+  const secret = getSessionSecret();
+  if (!secret) {
+    throw ssoError(
+      "Server configuration error: SSO sessions not configured",
+      500
+    );
+  }
+  const ttlSeconds = getSessionTtlSeconds();
+  const token = signedToken.sign(claims, {
+    secret,
+    purpose: SESSION_PURPOSE,
+    expiresInSeconds: ttlSeconds,
+  });
+  return { token, expiresAt: new Date(Date.now() + ttlSeconds * 1000) };
+}
+
+/**
+ * Verifies a session token.
+ * @param {string} token - The x-sso-session value.
+ * @returns {Object} - The SSO user: { userId, companyId, activeLocation, role, type, expiresAt }.
+ * @throws {Error} - With code INVALID_TOKEN or TOKEN_EXPIRED.
+ */
+function verifySession(token) {
+  const secret = getSessionSecret();
+  if (!secret) {
+    const error = new Error("SSO sessions are not configured on this server.");
+    error.code = "INVALID_TOKEN";
+    throw error;
+  }
+  const payload = signedToken.verify(token, {
+    secret,
+    purpose: SESSION_PURPOSE,
+  });
+  const user = {};
+  SESSION_FIELDS.forEach((field) => {
+    user[field] = payload[field];
+  });
+  user.expiresAt = new Date(payload.exp * 1000);
+  return user;
+}
+
+/**
+ * Builds the app URL the legacy SSO endpoint redirects to, with the session
+ * in the URL fragment (fragments are not sent to servers or logged).
+ * @param {Object} session - { token, expiresAt } from issueSession.
+ * @returns {string|null} - The URL, or null if SSO_APP_URL is not configured.
+ */
+function buildAppRedirectUrl(session) {
+  if (!process.env.SSO_APP_URL) return null;
+  const url = new URL(process.env.SSO_APP_URL);
+  url.hash = new URLSearchParams({
+    ssoSession: session.token,
+    ssoSessionExpiresAt: session.expiresAt.toISOString(),
+  }).toString();
+  return url.toString();
+}
+
+module.exports = {
+  SESSION_FIELDS,
+  assertSessionSecret,
+  decryptUserData,
+  issueSession,
+  buildAppRedirectUrl,
+  verifySession,
+};
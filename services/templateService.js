@@ -0,0 +1,192 @@
+// =======================================================
+// File: services/templateService.js
+// Description: Resolves and manages provisioning templates.
+// =======================================================
+
+const mongoose = require("mongoose");
+const ProvisioningTemplate = require("../models/ProvisioningTemplate");
+const { httpError } = require("./utils");
+
+// Name looked up when neither the request nor the agency picks a template
+const DEFAULT_TEMPLATE_NAME = "default";
+
+// Template used when no stored template applies (the original onboarding settings)
+const BUILT_IN_TEMPLATE = {
+  id: null,
+  name: "built-in",
+  version: 0,
+  user: {
+    role: "admin",
+    type: "account",
+    permissions: {
+      campaignsEnabled: true,
+      campaignsReadOnly: true,
+      contactsEnabled: true,
+      workflowsEnabled: true,
+      workflowsReadOnly: true,
+      triggersEnabled: true,
+      funnelsEnabled: true,
+      websitesEnabled: true,
+      opportunitiesEnabled: true,
+      dashboardStatsEnabled: true,
+      bulkRequestsEnabled: true,
+      appointmentsEnabled: true,
+      reviewsEnabled: true,
+      onlineListingsEnabled: true,
+      phoneCallEnabled: true,
+      conversationsEnabled: true,
+      assignedDataOnly: true,
+      adwordsReportingEnabled: true,
+      membershipEnabled: true,
+      facebookAdsReportingEnabled: true,
+      attributionsReportingEnabled: true,
+      settingsEnabled: true,
+      tagsEnabled: true,
+      leadValueEnabled: true,
+      marketingEnabled: true,
+      agentReportingEnabled: true,
+      botService: true,
+      socialPlanner: true,
+      bloggingEnabled: true,
+      invoiceEnabled: true,
+      affiliateManagerEnabled: true,
+      contentAiEnabled: true,
+      refundsEnabled: true,
+      recordPaymentEnabled: true,
+      cancelSubscriptionEnabled: true,
+      paymentsEnabled: true,
+      communitiesEnabled: true,
+      exportPaymentsEnabled: true,
+    },
+  },
+  fieldsToSync: [
+    "Agency Color 1",
+    "Agency Color 2",
+    "Agency Dark Logo",
+    "Agency Light Logo",
+    "Agency Name",
+    "Agency Phone Number",
+    "Agency Support Email",
+    "Command Center Link Ending",
+    "Client Assets Folder Link",
+  ],
+  funnelStepName: "Client Portal",
+  readiness: {},
+};
+
+/**
+ * Validates a stored template against the schema and converts it into the
+ * plain settings copied onto a provisioning job.
+ * @param {Object} template - Template document or plain object.
+ * @returns {Object} - The template settings.
+ */
+function toTemplateConfig(template) {
+  const doc =
+    template instanceof ProvisioningTemplate
+      ? template
+      : new ProvisioningTemplate(template);
+  const validationError = doc.validateSync();
+  if (validationError) {
+    throw httpError(
+      `Provisioning template "${doc.name}" is invalid: ${validationError.message}`,
+      422
+    );
+  }
+
+  const plain = doc.toObject();
+  return {
+    id: String(plain._id),
+    name: plain.name,
+    version: plain.version,
+    snapshotId: plain.snapshotId,
+    user: plain.user,
+    fieldsToSync: plain.fieldsToSync,
+    funnelStepName: plain.funnelStepName,
+    readiness: plain.readiness,
+    rollback: plain.rollback,
+    credentialMode: plain.credentialMode,
+  };
+}
+
+/**
+ * Finds the latest active version of a template by name, preferring the
+ * agency's own template over a shared one.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} name - The template name.
+ * @returns {Object|null} - The template document.
+ */
+async function findLatestByName(companyId, name) {
+  for (const owner of [companyId, null]) {
+    const template = await ProvisioningTemplate.findOne({
+      companyId: owner,
+      name,
+      isActive: true,
+    }).sort({ version: -1 });
+    if (template) return template;
+  }
+  return null;
+}
+
+/**
+ * Resolves the template to use for an onboarding.
+ * @param {string} companyId - The agency company ID.
+ * @param {string} [reference] - Template ID or name requested by the caller.
+ * @param {string} [agencyDefault] - The agency's default template name.
+ * @returns {Object} - Template settings (see toTemplateConfig).
+ */
+async function resolveTemplate(companyId, reference, agencyDefault) {
+  if (reference) {
+    let template = null;
+    if (mongoose.isValidObjectId(reference)) {
+      template = await ProvisioningTemplate.findOne({
+        _id: reference,
+        companyId: { $in: [companyId, null] },
+      });
+    }
+    if (!template) template = await findLatestByName(companyId, reference);
+    if (!template) {
+      throw httpError(`Provisioning template "${reference}" not found.`, 404);
+    }
+    return toTemplateConfig(template);
+  }
+
+  const template = await findLatestByName(
+    companyId,
+    agencyDefault || DEFAULT_TEMPLATE_NAME
+  );
+  if (template) return toTemplateConfig(template);
+  if (agencyDefault) {
+    throw httpError(
+      `The agency's default provisioning template "${agencyDefault}" was not found.`,
+      404
+    );
+  }
+  return BUILT_IN_TEMPLATE;
+}
+
+/**
+ * Stores a new template, or a new version of an existing one.
+ * @param {Object} fields - Template fields (name, companyId, settings).
+ * @returns {Object} - The saved template document.
+ */
+async function saveVersion(fields) {
+  const latest = await ProvisioningTemplate.findOne({
+    companyId: fields.companyId ?? null,
+    name: fields.name,
+  }).sort({ version: -1 });
+  const template = new ProvisioningTemplate({
+    ...fields,
+    _id: undefined,
+    version: (latest?.version || 0) + 1,
+    isActive: fields.isActive ?? true,
+    created_at: new Date(),
+  });
+  await template.save();
+  return template;
+}
+
+module.exports = {
+  BUILT_IN_TEMPLATE,
+  resolveTemplate,
+  saveVersion,
+};
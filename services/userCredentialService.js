@@ -0,0 +1,245 @@
+// =======================================================
+// File: services/userCredentialService.js
+// Description: Credential strategies for the users created during onboarding.
+//   random   - a cryptographically random password, handed out once through
+//              the one-time reveal endpoint
+//   invite   - a random password nobody sees; the user sets their own through
+//              an invite/password-reset email. The GHL API cannot send one,
+//              so this mode requires a webhook consumer (see sendInvite)
+//   supplied - a password chosen by the caller, checked against a strength policy
+// Plaintext passwords are never logged, streamed or stored unencrypted.
+//
+// Configuration:
+//   PROVISIONING_CREDENTIAL_MODE    default mode when the template sets none
+//                                   (default "random")
+//   CREDENTIAL_INVITE_WEBHOOK_URL   invite webhook for agencies without their
+//                                   own; only useful with a consumer that
+//                                   emails the user their invite
+//   CREDENTIAL_REVEAL_TTL_MINUTES   how long a password can be revealed (default 60)
+//   PASSWORD_MIN_LENGTH             shortest supplied password (default 12)
+// =======================================================
+
+const crypto = require("crypto");
+const axios = require("axios");
+const CredentialReveal = require("../models/CredentialReveal");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const secretBox = require("./secretBox");
+const { httpError } = require("./utils");
+
+const CREDENTIAL_MODES = ["random", "invite", "supplied"];
+const REVEAL_TTL_MS =
+  (parseInt(process.env.CREDENTIAL_REVEAL_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 12;
+
+const CHARSETS = {
+  lower: "abcdefghijkmnopqrstuvwxyz",
+  upper: "ABCDEFGHJKLMNPQRSTUVWXYZ",
+  digit: "23456789",
+  symbol: "!@#$%^&*-_=+?",
+};
+
+/**
+ * Resolves the credential mode for an onboarding.
+ * @param {Object} template - Provisioning template settings.
+ * @returns {string} - One of CREDENTIAL_MODES.
+ */
+function resolveMode(template) {
+  const mode =
+    template?.credentialMode ||
+    process.env.PROVISIONING_CREDENTIAL_MODE ||
+    "random";
+  if (!CREDENTIAL_MODES.includes(mode)) {
+    throw httpError(`Unknown credential mode "${mode}".`, 500);
+  }
+  return mode;
+}
+
+/**
+ * Checks that the server is configured for a credential mode before any
+ * account is created, so a job never fails halfway for a config problem.
+ * @param {string} mode - The credential mode.
+ * @param {Object} agency - Agency configuration.
+ */
+function assertModeAvailable(mode, agency) {
+  if ((mode === "random" || mode === "supplied") && !secretBox.isConfigured()) {
+    throw httpError(
+      `Credential mode "${mode}" requires an encryption key (ENCRYPTION_KEYS) to be configured.`,
+      500
+    );
+  }
+  if (mode === "invite" && !getInviteWebhookUrl(agency)) {
+    throw httpError(
+      'Credential mode "invite" requires an invite webhook URL for the agency, with a consumer that sends the user their invite email.',
+      500
+    );
+  }
+}
+
+/**
+ * Picks a uniformly random character from a charset.
+ */
+function randomChar(charset) {
+  return charset[crypto.randomInt(charset.length)];
+}
+
+/**
+ * Generates a random password containing every character class.
+ * @param {number} [length=20] - Password length.
+ * @returns {string}
+ */
+function generatePassword(length = 20) {
+  const all = Object.values(CHARSETS).join("");
+  const chars = Object.values(CHARSETS).map(randomChar);
+  while (chars.length < length) chars.push(randomChar(all));
+  // Fisher-Yates shuffle so the guaranteed classes are not at the front
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+}
+
+/**
+ * Checks a caller-supplied password against the strength policy.
+ * @param {string} password - The password.
+ * @param {Object} [context] - Onboarding details the password must not contain.
+ * @returns {Array<string>} - Policy violations; empty if the password is acceptable.
+ */
+function checkPasswordStrength(password, context = {}) {
+  if (typeof password !== "string" || password.length === 0) {
+    return ["Password is required."];
+  }
+  const problems = [];
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(
+      `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`
+    );
+  }
+  if (!/[a-z]/.test(password))
+    problems.push("Password needs a lowercase letter.");
+  if (!/[A-Z]/.test(password))
+    problems.push("Password needs an uppercase letter.");
+  if (!/[0-9]/.test(password)) problems.push("Password needs a digit.");
+  if (!/[^A-Za-z0-9]/.test(password)) problems.push("Password needs a symbol.");
+  if (/\s/.test(password)) problems.push("Password must not contain spaces.");
+
+  const lowered = password.toLowerCase();
+  const personal = [
+    context.email?.split("@")[0],
+    context.firstName,
+    context.lastName,
+    context.businessName,
+    context.postalCode,
+    context.phone,
+  ].filter((value) => value && String(value).length >= 3);
+  if (personal.some((value) => lowered.includes(String(value).toLowerCase()))) {
+    problems.push(
+      "Password must not contain your name, email, phone or postal code."
+    );
+  }
+  return problems;
+}
+
+/**
+ * Hashes a reveal token for storage and lookup.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Stores a generated password for a single reveal.
+ * @param {Object} params
+ * @param {string} params.jobId - The provisioning job ID.
+ * @param {string} params.companyId - The agency company ID.
+ * @param {string} params.locationId - The new location ID.
+ * @param {string} params.email - The user's email.
+ * @param {string} params.password - The plaintext password.
+ * @returns {Object} - { token, expiresAt }; the token is only returned here.
+ */
+async function createReveal({ jobId, companyId, locationId, email, password }) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + REVEAL_TTL_MS);
+  await CredentialReveal.create({
+    tokenHash: hashToken(token),
+    jobId,
+    companyId,
+    locationId,
+    email,
+    secret: secretBox.encrypt(password),
+    expiresAt,
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Returns the password behind a reveal token and deletes it, so it can only
+ * be read once. The token is also dropped from its job, so the job's event
+ * stream stops handing it out.
+ * @param {string} token - The reveal token.
+ * @returns {Object|null} - { email, password, locationId }, or null if unknown or expired.
+ */
+async function consumeReveal(token) {
+  const reveal = await CredentialReveal.findOneAndDelete({
+    tokenHash: hashToken(String(token)),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!reveal) return null;
+  await ProvisioningJob.updateOne(
+    { _id: reveal.jobId },
+    { $unset: { "secrets.revealToken": "" } }
+  );
+  return {
+    email: reveal.email,
+    locationId: reveal.locationId,
+    password: secretBox.decrypt(reveal.secret),
+  };
+}
+
+/**
+ * Returns the webhook that starts the invite flow for an agency.
+ */
+function getInviteWebhookUrl(agency) {
+  return agency?.inviteWebhookUrl || process.env.CREDENTIAL_INVITE_WEBHOOK_URL;
+}
+
+/**
+ * Triggers the invite flow for a new user. The GHL API has no call that
+ * sends a user their invite or password-reset email, so the agency must run
+ * a consumer for this webhook that does: typically a GHL workflow with an
+ * inbound webhook trigger. Without one the user never receives a password.
+ * The POSTed body is { event: "user_invite", userId, email, firstName,
+ * lastName, locationId }; a non-2xx response, or no webhook at all, fails
+ * the createUser step.
+ * @param {string} webhookUrl - The invite webhook URL.
+ * @param {Object} user - { userId, email, firstName, lastName, locationId }.
+ */
+async function sendInvite(webhookUrl, user) {
+  if (!webhookUrl) {
+    throw new Error(
+      "User Invite Failed: no invite webhook is configured, so the user would never receive a password."
+    );
+  }
+  try {
+    console.log("Triggering invite flow for new user:", user.userId);
+    await axios.post(webhookUrl, { event: "user_invite", ...user });
+  } catch (error) {
+    console.error(
+      "Error triggering invite flow:",
+      error.response?.data || error.message
+    );
+    throw new Error(`User Invite Failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CREDENTIAL_MODES,
+  resolveMode,
+  assertModeAvailable,
+  generatePassword,
+  checkPasswordStrength,
+  createReveal,
+  consumeReveal,
+  getInviteWebhookUrl,
+  sendInvite,
+};
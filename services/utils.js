@@ -14,6 +14,22 @@ function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * httpError
+ * Builds an error carrying an HTTP status code, which errorMiddleware sends
+ * as the response status.
+ *
+ * @param {string} message - The error message.
+ * @param {number} statusCode - The HTTP status code.
+ * @returns {Error}
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 module.exports = {
   delay,
+  httpError,
 };
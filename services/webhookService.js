@@ -0,0 +1,260 @@
+// =======================================================
+// File: services/webhookService.js
+// Description: Verifies, records and handles GHL webhooks (app install and
+// uninstall, location create and update).
+// =======================================================
+
+const crypto = require("crypto");
+const Agency = require("../models/Agency");
+const Location = require("../models/Location");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const WebhookEvent = require("../models/WebhookEvent");
+const addressRules = require("./addressRules");
+const agencyService = require("./agencyService");
+const locationTokenCache = require("./locationTokenCache");
+
+// Handlers finish within seconds; a delivery still "received" this long
+// after it was claimed was interrupted (e.g. the process died mid-handler)
+const STALE_RECEIVED_MS = 5 * 60 * 1000;
+
+/**
+ * Returns GHL's webhook public key (PEM) from GHL_WEBHOOK_PUBLIC_KEY.
+ * Escaped newlines are accepted so the key fits on one line in .env files.
+ */
+function getPublicKey() {
+  const key = process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  return key ? key.replace(/\\n/g, "\n") : null;
+}
+
+/**
+ * Whether webhook verification is configured.
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(getPublicKey());
+}
+
+/**
+ * Checks the x-wh-signature of a delivery: a base64 RSA-SHA256 signature of
+ * the raw request body made with GHL's private key.
+ * @param {string} rawBody - The request body exactly as received.
+ * @param {string} signature - The x-wh-signature header.
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signature) {
+  if (!rawBody || !signature) return false;
+  try {
+    return crypto.verify(
+      "sha256",
+      Buffer.from(rawBody, "utf8"),
+      getPublicKey(),
+      Buffer.from(signature, "base64")
+    );
+  } catch (error) {
+    console.error("Error verifying webhook signature:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Stores a verified delivery. A delivery seen before (same webhook ID) is
+ * not stored again, and is a duplicate unless its handling was interrupted:
+ * a stored delivery left "received" for STALE_RECEIVED_MS is claimed (so
+ * concurrent redeliveries do not both handle it) and handled again.
+ * @param {string} rawBody - The request body exactly as received.
+ * @param {Object} payload - The parsed body.
+ * @returns {Object} - { event, duplicate }.
+ */
+async function recordDelivery(rawBody, payload) {
+  const webhookId =
+    payload.webhookId ||
+    crypto.createHash("sha256").update(rawBody).digest("hex");
+  try {
+    const event = await WebhookEvent.create({
+      webhookId,
+      type: payload.type || "unknown",
+      companyId: payload.companyId,
+      locationId: payload.locationId || payload.id,
+      payload,
+      rawBody,
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_RECEIVED_MS);
+    const interrupted = await WebhookEvent.findOneAndUpdate(
+      {
+        webhookId,
+        status: "received",
+        $or: [
+          { claimed_at: { $lte: staleBefore } },
+          { claimed_at: null, received_at: { $lte: staleBefore } },
+        ],
+      },
+      { $set: { claimed_at: now } },
+      { new: true }
+    );
+    if (interrupted) {
+      console.log(
+        `GHL webhook ${webhookId} was never handled; handling the redelivery.`
+      );
+      return { event: interrupted, duplicate: false };
+    }
+    const event = await WebhookEvent.findOne({ webhookId });
+    return { event, duplicate: true };
+  }
+}
+
+/**
+ * INSTALL: the app was installed on an agency or a location.
+ */
+async function handleInstall(payload) {
+  const { companyId, locationId, installType, companyName } = payload;
+  if (!companyId) throw new Error("INSTALL webhook without companyId.");
+
+  await agencyService.ensureAgency(companyId);
+  await Agency.updateOne(
+    { companyId },
+    {
+      $set: {
+        installed_at: payload.timestamp
+          ? new Date(payload.timestamp)
+          : new Date(),
+        updated_at: new Date(),
+      },
+      $unset: { uninstalled_at: "" },
+    }
+  );
+  if (companyName) {
+    // Only names agencies nobody has named yet
+    await Agency.updateOne(
+      { companyId, name: { $in: [null, ""] } },
+      { $set: { name: companyName } }
+    );
+  }
+  return { companyId, installType, locationId };
+}
+
+/**
+ * UNINSTALL: the app was removed from an agency or a location. The stored
+ * tokens no longer work, so they are revoked (deleted) together with any
+ * cached location tokens.
+ */
+async function handleUninstall(payload) {
+  const { companyId, locationId } = payload;
+  if (!companyId) throw new Error("UNINSTALL webhook without companyId.");
+
+  if (locationId) {
+    const { deletedCount } = await OAuthCredentials.deleteMany(
+      OAuthCredentials.locationFilter(locationId)
+    );
+    await locationTokenCache.invalidate(companyId, locationId);
+    return {
+      companyId,
+      locationId,
+      scope: "location",
+      credentialsRevoked: deletedCount,
+    };
+  }
+
+  const { deletedCount } = await OAuthCredentials.deleteMany(
+    OAuthCredentials.agencyFilter(companyId)
+  );
+  await locationTokenCache.invalidateCompany(companyId);
+  await Agency.updateOne(
+    { companyId },
+    { $set: { uninstalled_at: new Date(), updated_at: new Date() } }
+  );
+  console.log(
+    `App uninstalled by companyId ${companyId}; ${deletedCount} credential(s) revoked.`
+  );
+  return { companyId, scope: "agency", credentialsRevoked: deletedCount };
+}
+
+/**
+ * LocationCreate / LocationUpdate: keeps the location directory current.
+ */
+async function handleLocationChange(payload) {
+  const locationId = payload.id || payload.locationId;
+  if (!locationId || !payload.companyId) {
+    throw new Error(`${payload.type} webhook without location or company ID.`);
+  }
+
+  const fields = { companyId: payload.companyId, updated_at: new Date() };
+  [
+    "name",
+    "email",
+    "phone",
+    "address",
+    "city",
+    "state",
+    "country",
+    "postalCode",
+    "website",
+    "timezone",
+  ].forEach((field) => {
+    if (payload[field] !== undefined) fields[field] = payload[field];
+  });
+  // Stored like onboarding input, so the duplicate check can match it exactly
+  if (fields.phone) {
+    fields.phone = addressRules.normalizePhone(
+      fields.phone,
+      addressRules.toCountryCode(payload.country || "")
+    );
+  }
+
+  const result = await Location.updateOne(
+    { locationId },
+    { $set: fields, $setOnInsert: { created_at: new Date() } },
+    { upsert: true }
+  );
+  return { locationId, created: result.upsertedCount > 0 };
+}
+
+const HANDLERS = {
+  INSTALL: handleInstall,
+  UNINSTALL: handleUninstall,
+  LocationCreate: handleLocationChange,
+  LocationUpdate: handleLocationChange,
+};
+
+/**
+ * Runs the handler of a stored event and records the outcome on it.
+ * Handlers are idempotent, so an event can be replayed safely.
+ * @param {Object} event - WebhookEvent document.
+ * @returns {Object} - The updated event.
+ */
+async function processEvent(event) {
+  const handler = HANDLERS[event.type];
+  event.attempts += 1;
+
+  if (!handler) {
+    event.status = "ignored";
+    event.processed_at = new Date();
+    return event.save();
+  }
+
+  try {
+    event.result = await handler(event.payload);
+    event.status = "processed";
+    event.error = undefined;
+  } catch (error) {
+    console.error(
+      `Error handling ${event.type} webhook ${event.webhookId}:`,
+      error.message
+    );
+    event.status = "failed";
+    event.error = error.message;
+  }
+  event.processed_at = new Date();
+  return event.save();
+}
+
+module.exports = {
+  EVENT_TYPES: Object.keys(HANDLERS),
+  isConfigured,
+  verifySignature,
+  recordDelivery,
+  processEvent,
+};
@@ -0,0 +1,226 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const accountController = require("../controllers/accountController");
+const errorHandler = require("../middleware/errorMiddleware");
+const provisioningWorker = require("../services/provisioningWorker");
+const provisioningEvents = require("../services/provisioningEvents");
+const onboardingService = require("../services/onboardingService");
+const duplicateCheckService = require("../services/duplicateCheckService");
+
+const INPUT = {
+  businessName: "Acme",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  email: "owner@acme.test",
+  phone: "+14155550100",
+};
+
+/**
+ * Serves /accountCreationSSE for the agency named in the x-test-company
+ * header (company-1 by default), with the body taken as the validated input.
+ */
+async function startServer(t) {
+  const app = express();
+  app.use(express.json());
+  app.post(
+    "/accountCreationSSE",
+    (req, res, next) => {
+      req.agency = { companyId: req.get("x-test-company") || "company-1" };
+      req.validatedBody = { ...req.body };
+      next();
+    },
+    accountController.createAccountSSE
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return server;
+}
+
+/**
+ * Keeps created jobs in memory, unique per agency and Idempotency-Key like
+ * the collection's index, and gives every job the same stored events.
+ */
+function useJobs(t) {
+  const jobs = [];
+  t.mock.method(
+    ProvisioningJob,
+    "findOne",
+    async ({ companyId, idempotencyKey }) =>
+      jobs.find(
+        (job) =>
+          job.companyId === companyId && job.idempotencyKey === idempotencyKey
+      ) || null
+  );
+  t.mock.method(provisioningWorker, "createJob", async (fields) => {
+    const job = { _id: new mongoose.Types.ObjectId(), ...fields };
+    jobs.push(job);
+    return job;
+  });
+  t.mock.method(provisioningWorker, "runJob", async () => null);
+  t.mock.method(provisioningEvents, "listEvents", async (jobId, afterSeq) =>
+    [
+      { seq: 1, type: "step-started", message: "Creating your account..." },
+      {
+        seq: 2,
+        type: "done",
+        message: "All done.",
+        data: { status: "completed" },
+      },
+    ].filter((event) => event.seq > afterSeq)
+  );
+  t.mock.method(onboardingService, "prepare", async () => ({
+    template: { name: "Default", version: 1 },
+    config: { credentialMode: "invite" },
+    credentialMode: "invite",
+  }));
+  t.mock.method(duplicateCheckService, "findDuplicates", async () => []);
+  return jobs;
+}
+
+/**
+ * Posts an onboarding request and returns the fetch response.
+ */
+function post(server, body, headers = {}) {
+  return fetch(`${server.url}/accountCreationSSE`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+test("a repeated request with the same Idempotency-Key attaches to the first job", async (t) => {
+  const jobs = useJobs(t);
+  const server = await startServer(t);
+  const headers = { "Idempotency-Key": "onboard-acme-1" };
+
+  const first = await post(server, INPUT, headers);
+  assert.equal(first.status, 200);
+  assert.match(await first.text(), /event: job\n/);
+  assert.equal(jobs.length, 1);
+
+  const replay = await post(server, INPUT, headers);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.headers.get("content-type"), "text/event-stream");
+  const stream = await replay.text();
+
+  assert.equal(provisioningWorker.createJob.mock.callCount(), 1);
+  assert.equal(provisioningWorker.runJob.mock.callCount(), 1);
+  assert.ok(
+    stream.includes(
+      `event: job\ndata: ${JSON.stringify({ jobId: jobs[0]._id, attached: true })}\n\n`
+    )
+  );
+  assert.match(stream, /id: 1\ndata: Creating your account\.\.\.\n\n/);
+  assert.match(stream, /id: 2\ndata: All done\.\n\n/);
+});
+
+test("reusing an Idempotency-Key for a different request is rejected with 422", async (t) => {
+  const jobs = useJobs(t);
+  const server = await startServer(t);
+  const headers = { "Idempotency-Key": "onboard-acme-1" };
+  await (await post(server, INPUT, headers)).text();
+
+  const response = await post(
+    server,
+    { ...INPUT, email: "someone-else@acme.test" },
+    headers
+  );
+
+  assert.equal(response.status, 422);
+  assert.deepEqual(await response.json(), {
+    success: false,
+    message: "This Idempotency-Key was already used for a different request.",
+  });
+  assert.equal(jobs.length, 1);
+  assert.equal(provisioningWorker.runJob.mock.callCount(), 1);
+});
+
+test("Idempotency-Keys are scoped to the agency", async (t) => {
+  const jobs = useJobs(t);
+  const server = await startServer(t);
+  const headers = { "Idempotency-Key": "onboard-acme-1" };
+  await (await post(server, INPUT, headers)).text();
+
+  const other = await post(server, INPUT, {
+    ...headers,
+    "x-test-company": "company-2",
+  });
+  const stream = await other.text();
+
+  assert.equal(jobs.length, 2);
+  assert.equal(jobs[1].companyId, "company-2");
+  assert.doesNotMatch(stream, /attached/);
+});
+
+test("an Idempotency-Key over 255 characters is rejected with 400", async (t) => {
+  const jobs = useJobs(t);
+  const server = await startServer(t);
+
+  const response = await post(server, INPUT, {
+    "Idempotency-Key": "k".repeat(256),
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(
+    (await response.json()).message,
+    "Idempotency-Key must be at most 255 characters."
+  );
+  assert.equal(jobs.length, 0);
+});
+
+test("a request that loses the race to create the job attaches to the winner", async (t) => {
+  const jobs = useJobs(t);
+  const server = await startServer(t);
+  // The concurrent request inserts its job between our lookup and insert
+  provisioningWorker.createJob.mock.mockImplementation(async (fields) => {
+    jobs.push({ _id: new mongoose.Types.ObjectId(), ...fields });
+    throw Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+    });
+  });
+
+  const response = await post(server, INPUT, {
+    "Idempotency-Key": "onboard-acme-1",
+  });
+  const stream = await response.text();
+
+  assert.match(stream, /"attached":true/);
+  assert.doesNotMatch(stream, /Error/);
+  assert.equal(provisioningWorker.runJob.mock.callCount(), 0);
+});
+
+test("a dry run answers with the plan and creates no job", async (t) => {
+  const jobs = useJobs(t);
+  t.mock.method(provisioningWorker, "planJob", async () => ({
+    ready: true,
+    steps: [{ step: "checkUser", input: { email: INPUT.email } }],
+    problems: [],
+    warnings: [],
+  }));
+  duplicateCheckService.findDuplicates.mock.mockImplementation(async () => [
+    { field: "business_name", message: "Already exists." },
+  ]);
+  const server = await startServer(t);
+
+  const response = await post(
+    server,
+    { ...INPUT, dryRun: true },
+    {
+      "Idempotency-Key": "onboard-acme-1",
+    }
+  );
+
+  assert.equal(response.status, 200);
+  const plan = await response.json();
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.steps[0].step, "checkUser");
+  assert.equal(plan.duplicates.length, 1);
+  assert.equal(plan.ready, false);
+  assert.equal(jobs.length, 0);
+  assert.equal(provisioningWorker.runJob.mock.callCount(), 0);
+});
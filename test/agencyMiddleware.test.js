@@ -0,0 +1,122 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.GHL_COMPANY_ID = "company-default";
+process.env.GHL_SNAPSHOT_ID = "snapshot-env";
+const Agency = require("../models/Agency");
+const {
+  getRequestCompanyId,
+  resolveAgency,
+} = require("../middleware/agencyMiddleware");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const AGENCIES = [
+  { companyId: "company-1", name: "Acme Agency", snapshotId: "snapshot-1" },
+  { companyId: "company-2", name: "Closed Agency", isActive: false },
+];
+
+test.beforeEach((t) => {
+  t.mock.method(Agency, "findOne", ({ companyId }) => ({
+    lean: async () =>
+      AGENCIES.find((agency) => agency.companyId === companyId) || null,
+  }));
+});
+
+/**
+ * Serves a route that reports the agency resolveAgency attached.
+ */
+async function startServer(t) {
+  const app = express();
+  app.use(express.json());
+  const reply = (req, res) =>
+    res.json({ companyId: req.companyId, agency: req.agency });
+  app.post("/agencies/:companyId/settings", resolveAgency, reply);
+  app.post("/onboard", resolveAgency, reply);
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return (path, { headers = {}, body = {} } = {}) =>
+    fetch(`${server.url}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+}
+
+test("the agency named by the request is attached to it", async (t) => {
+  const post = await startServer(t);
+
+  const response = await post("/onboard", { body: { companyId: "company-1" } });
+
+  assert.equal(response.status, 200);
+  const { companyId, agency } = await response.json();
+  assert.equal(companyId, "company-1");
+  assert.equal(agency.name, "Acme Agency");
+  assert.equal(agency.snapshotId, "snapshot-1");
+});
+
+test("the path wins over the header, the header over the query and body", async (t) => {
+  const post = await startServer(t);
+  const companyOf = async (...args) =>
+    (await (await post(...args)).json()).companyId;
+
+  assert.equal(
+    await companyOf("/agencies/company-1/settings?companyId=company-x", {
+      headers: { "x-company-id": "company-y" },
+    }),
+    "company-1"
+  );
+  assert.equal(
+    await companyOf("/onboard?companyId=company-x", {
+      headers: { "x-company-id": "company-1" },
+      body: { companyId: "company-y" },
+    }),
+    "company-1"
+  );
+  assert.equal(
+    await companyOf("/onboard?companyId=company-1", {
+      body: { companyId: "company-y" },
+    }),
+    "company-1"
+  );
+});
+
+test("requests naming no agency use the default agency and its env settings", async (t) => {
+  const post = await startServer(t);
+
+  const { companyId, agency } = await (await post("/onboard")).json();
+
+  assert.equal(companyId, "company-default");
+  assert.equal(agency.snapshotId, "snapshot-env");
+});
+
+test("unknown and deactivated agencies are refused", async (t) => {
+  const post = await startServer(t);
+
+  const unknown = await post("/onboard", { body: { companyId: "company-9" } });
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).message, "Unknown agency: company-9");
+  assert.equal((await post("/agencies/company-2/settings")).status, 404);
+});
+
+test("an authenticated request is for the agency of its credentials", () => {
+  const request = (fields) => ({
+    params: {},
+    query: {},
+    body: { companyId: "company-named" },
+    get: () => undefined,
+    ...fields,
+  });
+
+  assert.equal(
+    getRequestCompanyId(request({ apiKey: { companyId: "company-key" } })),
+    "company-key"
+  );
+  assert.equal(
+    getRequestCompanyId(request({ ssoUser: { companyId: "company-sso" } })),
+    "company-sso"
+  );
+  assert.equal(getRequestCompanyId(request({})), "company-named");
+});
@@ -0,0 +1,131 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+const ApiKey = require("../models/ApiKey");
+const TokenAudit = require("../models/TokenAudit");
+const apiKeyService = require("../services/apiKeyService");
+const { requireApiKey } = require("../middleware/apiKeyMiddleware");
+const errorHandler = require("../middleware/errorMiddleware");
+
+/**
+ * Keeps API keys and audit entries in memory.
+ */
+function useKeyStore(t) {
+  const keys = [];
+  const audit = [];
+  t.mock.method(ApiKey, "create", async (fields) => {
+    const apiKey = new ApiKey(fields);
+    keys.push(apiKey);
+    return apiKey;
+  });
+  t.mock.method(
+    ApiKey,
+    "findOne",
+    async ({ keyHash }) =>
+      keys.find((apiKey) => apiKey.keyHash === keyHash && !apiKey.revoked_at) ||
+      null
+  );
+  t.mock.method(ApiKey, "updateOne", async () => ({ matchedCount: 1 }));
+  t.mock.method(TokenAudit, "create", async (entry) => audit.push(entry));
+  return { keys, audit };
+}
+
+test("an issued key is stored as a hash and authenticates", async (t) => {
+  const { keys } = useKeyStore(t);
+
+  const { apiKey, key } = await apiKeyService.issueKey({
+    name: "Zapier",
+    companyId: "company-1",
+    scopes: ["agency-token:read"],
+  });
+
+  assert.match(key, /^ck_/);
+  assert.equal(keys.length, 1);
+  assert.equal(
+    apiKey.keyHash,
+    crypto.createHash("sha256").update(key).digest("hex")
+  );
+  assert.ok(!JSON.stringify(apiKey.toObject()).includes(key));
+  assert.ok(!("keyHash" in apiKeyService.describeKey(apiKey)));
+  assert.equal(await apiKeyService.authenticateKey(key), apiKey);
+});
+
+test("unknown, revoked and expired keys do not authenticate", async (t) => {
+  useKeyStore(t);
+  const issue = (fields = {}) =>
+    apiKeyService.issueKey({
+      name: "Key",
+      companyId: "company-1",
+      scopes: ["agency-token:read"],
+      ...fields,
+    });
+
+  assert.equal(await apiKeyService.authenticateKey("ck_unknown"), null);
+  assert.equal(await apiKeyService.authenticateKey("not-a-key"), null);
+
+  const revoked = await issue();
+  revoked.apiKey.revoked_at = new Date();
+  assert.equal(await apiKeyService.authenticateKey(revoked.key), null);
+
+  const expired = await issue({ expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(await apiKeyService.authenticateKey(expired.key), null);
+});
+
+test("keys limited to some locations only allow those", () => {
+  const limited = { locationIds: ["location-1"] };
+
+  assert.equal(apiKeyService.allowsLocation(limited, "location-1"), true);
+  assert.equal(apiKeyService.allowsLocation(limited, "location-2"), false);
+  assert.equal(
+    apiKeyService.allowsLocation({ locationIds: [] }, "location-2"),
+    true
+  );
+});
+
+test("requireApiKey checks the key, its scope and its agency", async (t) => {
+  const { audit } = useKeyStore(t);
+  const app = express();
+  app.get("/agency-token", requireApiKey("agency-token:read"), (req, res) =>
+    res.json({ companyId: req.apiKey.companyId })
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  const get = (headers, query = "") =>
+    fetch(`${server.url}/agency-token${query}`, { headers });
+
+  const { key } = await apiKeyService.issueKey({
+    name: "Reader",
+    companyId: "company-1",
+    scopes: ["agency-token:read"],
+  });
+  const { key: locationKey } = await apiKeyService.issueKey({
+    name: "Location reader",
+    companyId: "company-1",
+    scopes: ["location-token:read"],
+  });
+
+  assert.equal((await get({})).status, 401);
+  assert.equal((await get({ "x-api-key": "ck_forged" })).status, 401);
+  assert.equal((await get({ "x-api-key": locationKey })).status, 403);
+  assert.equal(
+    (await get({ "x-api-key": key }, "?companyId=company-2")).status,
+    403
+  );
+  assert.deepEqual(
+    await (await get({ authorization: `Bearer ${key}` })).json(),
+    { companyId: "company-1" }
+  );
+
+  assert.deepEqual(
+    audit.map((entry) => [entry.outcome, entry.reason]),
+    [
+      ["denied", "API key required."],
+      ["denied", "Invalid, expired or revoked API key."],
+      ["denied", "API key is missing the agency-token:read scope."],
+      ["denied", "API key is not valid for this agency."],
+    ]
+  );
+});
@@ -0,0 +1,168 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const agencyService = require("../services/agencyService");
+const apiKeyService = require("../services/apiKeyService");
+const ghlService = require("../services/ghlService");
+const authController = require("../controllers/authController");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const TOKENS = {
+  access_token: "access",
+  refresh_token: "refresh",
+  expires_in: 86400,
+  companyId: "company-1",
+  scope: "locations.readonly",
+};
+
+/**
+ * Serves the auth controller. Requests are for company-1, as resolveAgency
+ * would decide, with an API key for all of its locations.
+ */
+async function startServer(t) {
+  const app = express();
+  app.use(express.json());
+  app.get("/api/auth/callback", authController.handleOAuthCallback);
+  app.get(
+    "/api/auth/marketplace/callback",
+    authController.handleMarketplaceCallback
+  );
+  app.post(
+    "/api/auth/location-token",
+    (req, res, next) => {
+      req.companyId = "company-1";
+      req.apiKey = { companyId: "company-1", locationIds: [] };
+      next();
+    },
+    authController.generateLocationToken
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return server;
+}
+
+test("an agency install and a location install are stored as separate installs", async (t) => {
+  const saved = [];
+  t.mock.method(OAuthCredentials, "findOneAndUpdate", async (filter, fields) =>
+    saved.push({ filter, fields })
+  );
+  t.mock.method(agencyService, "ensureAgency", async () => {});
+  const installs = [
+    { ...TOKENS, userType: "Company" },
+    {
+      ...TOKENS,
+      access_token: "location-access",
+      userType: "Location",
+      locationId: "location-1",
+    },
+  ];
+  t.mock.method(ghlService, "getAccessToken", async () => installs.shift());
+  const server = await startServer(t);
+
+  for (const code of ["agency-code", "location-code"]) {
+    const response = await fetch(
+      `${server.url}/api/auth/marketplace/callback?code=${code}`
+    );
+    assert.equal(response.status, 200);
+  }
+
+  assert.deepEqual(
+    saved.map(({ filter }) => filter),
+    [
+      OAuthCredentials.agencyFilter("company-1"),
+      OAuthCredentials.locationFilter("location-1"),
+    ]
+  );
+  assert.equal(saved[1].fields.userType, "Location");
+  assert.equal(saved[1].fields.companyId, "company-1");
+  assert.equal(agencyService.ensureAgency.mock.callCount(), 2);
+});
+
+test("only the marketplace callback accepts installs without a state", async (t) => {
+  t.mock.method(ghlService, "getAccessToken", async () => TOKENS);
+  const server = await startServer(t);
+
+  const response = await fetch(`${server.url}/api/auth/callback?code=code`);
+  assert.equal(response.status, 400);
+  assert.match(
+    (await response.json()).message,
+    /use \/api\/auth\/marketplace\/callback as their redirect URL/
+  );
+
+  const forged = await fetch(
+    `${server.url}/api/auth/marketplace/callback?code=code&state=forged`
+  );
+  assert.equal(forged.status, 400);
+  assert.equal(ghlService.getAccessToken.mock.callCount(), 0);
+});
+
+test("a location install without a location ID is refused", async (t) => {
+  t.mock.method(OAuthCredentials, "findOneAndUpdate", async () => ({}));
+  t.mock.method(ghlService, "getAccessToken", async () => ({
+    ...TOKENS,
+    userType: "Location",
+  }));
+  const server = await startServer(t);
+
+  const response = await fetch(
+    `${server.url}/api/auth/marketplace/callback?code=code`
+  );
+
+  assert.equal(response.status, 400);
+  assert.equal(OAuthCredentials.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test("a location's own install is used for its token while it is fresh", async (t) => {
+  t.mock.method(apiKeyService, "auditTokenAccess", async () => {});
+  let locationInstall = {
+    access_token: "location-install-token",
+    expires_in: 86400,
+    created_at: new Date(),
+  };
+  t.mock.method(
+    agencyService,
+    "getLocationCredentials",
+    async () => locationInstall
+  );
+  t.mock.method(agencyService, "getAgencyCredentials", async () => ({
+    companyId: "company-1",
+    access_token: "agency-token",
+  }));
+  t.mock.method(
+    ghlService,
+    "getLocationAccessToken",
+    async () => "minted-token"
+  );
+  const server = await startServer(t);
+  const tokenFor = async (locationId) =>
+    (
+      await (
+        await fetch(`${server.url}/api/auth/location-token`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ locationId }),
+        })
+      ).json()
+    ).accessToken;
+
+  assert.equal(await tokenFor("location-1"), "location-install-token");
+
+  locationInstall = {
+    ...locationInstall,
+    created_at: new Date(Date.now() - 2 * 86400 * 1000),
+  };
+  assert.equal(await tokenFor("location-1"), "minted-token");
+
+  locationInstall = null;
+  assert.equal(await tokenFor("location-2"), "minted-token");
+  assert.deepEqual(
+    ghlService.getLocationAccessToken.mock.calls.map((call) => call.arguments),
+    [
+      ["company-1", "location-1", "agency-token"],
+      ["company-1", "location-2", "agency-token"],
+    ]
+  );
+});
@@ -0,0 +1,222 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const Location = require("../models/Location");
+const agencyService = require("../services/agencyService");
+const ghlService = require("../services/ghlService");
+const ssoService = require("../services/ssoService");
+const { rules } = require("../services/authorizationService");
+const { guard } = require("../middleware/authorizationMiddleware");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const ADMIN = {
+  userId: "admin-1",
+  companyId: "company-1",
+  role: "admin",
+  type: "agency",
+};
+
+let savedEnv;
+test.beforeEach((t) => {
+  savedEnv = {
+    SSO_SESSION_SECRET: process.env.SSO_SESSION_SECRET,
+    ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+  };
+  process.env.SSO_SESSION_SECRET = "session-secret";
+  process.env.ADMIN_API_KEY = "admin-key";
+  // The location directory knows which agency owns each location
+  t.mock.method(Location, "findOne", ({ locationId }) => ({
+    lean: async () =>
+      locationId.startsWith("own-")
+        ? { locationId, companyId: "company-1" }
+        : locationId.startsWith("other-")
+          ? { locationId, companyId: "company-2" }
+          : null,
+  }));
+  t.mock.method(agencyService, "getAgencyCredentials", async () => ({
+    access_token: "agency-token",
+  }));
+});
+test.afterEach(() =>
+  Object.entries(savedEnv).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  })
+);
+
+/**
+ * Builds the parts of a request the rules read.
+ */
+const request = ({
+  params = {},
+  query = {},
+  body = {},
+  headers = {},
+} = {}) => ({
+  params,
+  query,
+  body,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+test("agencyAdmin only admits admins of the agency the request names", async () => {
+  const { check } = rules.agencyAdmin;
+
+  assert.equal(await check(ADMIN, request()), null);
+  assert.equal(
+    await check(ADMIN, request({ params: { companyId: "company-1" } })),
+    null
+  );
+  assert.equal(
+    await check(ADMIN, request({ params: { companyId: "company-2" } })),
+    "SSO session is not valid for this agency."
+  );
+  assert.equal(
+    await check(ADMIN, request({ headers: { "x-company-id": "company-2" } })),
+    "SSO session is not valid for this agency."
+  );
+  assert.equal(
+    await check({ ...ADMIN, role: "user" }, request()),
+    "Only agency admins can do this."
+  );
+  assert.equal(
+    await check({ ...ADMIN, type: "location" }, request()),
+    "Only agency admins can do this."
+  );
+});
+
+test("agency admins can access their agency's locations only", async () => {
+  const { check } = rules.locationAccess("locationId");
+
+  assert.equal(
+    await check(ADMIN, request({ body: { locationId: "own-1" } })),
+    null
+  );
+  assert.equal(
+    await check(ADMIN, request({ body: { locationId: "other-1" } })),
+    "This location does not belong to your agency."
+  );
+});
+
+test("an agency admin's location unknown to the directory is looked up in GHL", async (t) => {
+  t.mock.method(ghlService, "getLocation", async (locationId) => {
+    if (locationId === "ghl-own-1") return { companyId: "company-1" };
+    throw Object.assign(new Error("Not found"), { statusCode: 404 });
+  });
+  const { check } = rules.locationAccess("locationId");
+
+  assert.equal(
+    await check(ADMIN, request({ query: { locationId: "ghl-own-1" } })),
+    null
+  );
+  assert.equal(
+    await check(ADMIN, request({ query: { locationId: "ghl-missing-1" } })),
+    "This location does not belong to your agency."
+  );
+});
+
+test("other users can access their active location and the locations GHL assigns them", async (t) => {
+  t.mock.method(ghlService, "getUser", async () => ({
+    roles: { locationIds: ["own-assigned-1"] },
+  }));
+  const user = {
+    userId: "user-assigned",
+    companyId: "company-1",
+    role: "user",
+    type: "location",
+    activeLocation: "own-active-1",
+  };
+  const { check } = rules.locationAccess("locationId");
+
+  assert.equal(
+    await check(user, request({ params: { locationId: "own-active-1" } })),
+    null
+  );
+  assert.equal(
+    await check(user, request({ params: { locationId: "own-assigned-1" } })),
+    null
+  );
+  assert.equal(
+    await check(user, request({ params: { locationId: "own-2" } })),
+    "You do not have access to this location."
+  );
+});
+
+test("activeLocationUser only admits account users of their active location", async () => {
+  const { check } = rules.activeLocationUser("locationId");
+  const user = { ...ADMIN, type: "location", activeLocation: "own-1" };
+
+  assert.equal(
+    await check(user, request({ params: { locationId: "own-1" } })),
+    null
+  );
+  assert.equal(
+    await check(user, request({ params: { locationId: "own-2" } })),
+    "This is not your active location."
+  );
+  assert.equal(
+    await check(ADMIN, request({ params: { locationId: "own-1" } })),
+    "Only account users can do this."
+  );
+});
+
+test("guard requires a session passing the rule, or the admin key where allowed", async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.post(
+    "/agencies/:companyId/settings",
+    guard(rules.agencyAdmin, { allowAdminKey: true }),
+    (req, res) => res.json({ ok: true })
+  );
+  app.post(
+    "/locations/:locationId/token",
+    guard(rules.locationAccess("locationId")),
+    (req, res) => res.json({ ok: true })
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  const post = (path, headers = {}) =>
+    fetch(`${server.url}${path}`, { method: "POST", headers });
+  const session = (user) => ({
+    "x-sso-session": ssoService.issueSession(user).token,
+  });
+
+  assert.equal((await post("/agencies/company-1/settings")).status, 401);
+  assert.equal(
+    (await post("/agencies/company-1/settings", session(ADMIN))).status,
+    200
+  );
+  assert.equal(
+    (await post("/agencies/company-2/settings", session(ADMIN))).status,
+    403
+  );
+  assert.equal(
+    (
+      await post("/agencies/company-2/settings", {
+        "x-admin-key": "admin-key",
+      })
+    ).status,
+    200
+  );
+  assert.equal(
+    (
+      await post("/agencies/company-2/settings", {
+        "x-admin-key": "wrong-key",
+      })
+    ).status,
+    401
+  );
+
+  // The admin key is only accepted where the guard allows it
+  assert.equal(
+    (await post("/locations/own-1/token", { "x-admin-key": "admin-key" }))
+      .status,
+    401
+  );
+  assert.equal(
+    (await post("/locations/other-1/token", session(ADMIN))).status,
+    403
+  );
+});
@@ -0,0 +1,397 @@
+const { applyUpdate } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ProvisioningBatch = require("../models/ProvisioningBatch");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const provisioningWorker = require("../services/provisioningWorker");
+const onboardingService = require("../services/onboardingService");
+const duplicateCheckService = require("../services/duplicateCheckService");
+const batchOnboardingService = require("../services/batchOnboardingService");
+const readiness = require("../services/readiness");
+const csv = require("../services/csv");
+
+const AGENCY = { companyId: "company-1" };
+const RECORD = {
+  businessName: "Acme",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  email: "owner@acme.test",
+  phone: "+14155550100",
+  address: "1 Market St",
+  city: "SF",
+  state: "CA",
+  country: "US",
+  postalCode: "94105",
+};
+
+/**
+ * Builds the record of another business.
+ */
+const business = (n) => ({
+  ...RECORD,
+  businessName: `Business ${n}`,
+  email: `owner${n}@business.test`,
+  phone: `+1415555${String(n).padStart(4, "0")}`,
+});
+
+/**
+ * Stands in for the batch collection with a single batch, with the lease
+ * semantics of the real queries.
+ */
+function useBatchStore(t, fields = {}) {
+  const batch = {
+    _id: new mongoose.Types.ObjectId(),
+    companyId: "company-1",
+    status: "running",
+    source: "json",
+    concurrency: 2,
+    config: { credentialMode: "invite" },
+    rows: [],
+    ...fields,
+  };
+  const leaseFree = () =>
+    !batch.lockExpiresAt || batch.lockExpiresAt.getTime() <= Date.now();
+
+  t.mock.method(ProvisioningBatch, "create", async (created) => {
+    Object.assign(batch, created);
+    return new ProvisioningBatch(batch);
+  });
+  t.mock.method(
+    ProvisioningBatch,
+    "findOneAndUpdate",
+    async (filter, update) => {
+      if (filter.status !== batch.status) return null;
+      if (filter.$or && !leaseFree()) return null;
+      applyUpdate(batch, update);
+      return new ProvisioningBatch(batch);
+    }
+  );
+  t.mock.method(ProvisioningBatch, "updateOne", async (filter, update) => {
+    if (filter.lockedBy && filter.lockedBy !== batch.lockedBy) {
+      return { matchedCount: 0 };
+    }
+    applyUpdate(batch, update);
+    return { matchedCount: 1 };
+  });
+  t.mock.method(
+    ProvisioningBatch,
+    "findById",
+    async () => new ProvisioningBatch(batch)
+  );
+  return batch;
+}
+
+/**
+ * Replaces job creation and running; finish(job) decides how each job ends.
+ */
+function useJobs(t, { existing = {}, finish = () => "completed" } = {}) {
+  const jobs = [];
+  t.mock.method(
+    provisioningWorker,
+    "findJobByIdempotencyKey",
+    async (companyId, key) => existing[key] || null
+  );
+  t.mock.method(provisioningWorker, "createJob", async (fields) => {
+    const job = { _id: new mongoose.Types.ObjectId(), ...fields };
+    jobs.push(job);
+    return job;
+  });
+  t.mock.method(provisioningWorker, "runJob", async (jobId) => {
+    const job =
+      jobs.find((candidate) => candidate._id.equals(jobId)) ||
+      Object.values(existing).find((candidate) => candidate._id.equals(jobId));
+    const status = finish(job);
+    return status
+      ? {
+          ...job,
+          status,
+          outputs: { locationId: `location-${job.input.businessName}` },
+          error: status === "failed" ? "GHL said no" : undefined,
+        }
+      : null;
+  });
+  return jobs;
+}
+
+test.beforeEach((t) => {
+  t.mock.method(onboardingService, "resolvePlan", async () => ({
+    template: { name: "default" },
+    credentialMode: "random",
+  }));
+  t.mock.method(duplicateCheckService, "listGhlLocations", async () => []);
+  t.mock.method(duplicateCheckService, "findDuplicates", async () => []);
+});
+
+test("an upload with invalid records is refused, naming each record's fields", async (t) => {
+  useBatchStore(t);
+
+  await assert.rejects(
+    batchOnboardingService.createBatch(
+      AGENCY,
+      [RECORD, { ...RECORD, businessName: "ACME" }, { ...RECORD, email: "x" }],
+      { source: "json" }
+    ),
+    (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.message, "2 of 3 onboarding records are invalid.");
+      assert.deepEqual(
+        error.fieldErrors.map(({ field }) => field),
+        [
+          "rows[1].business_name",
+          "rows[1].email",
+          "rows[1].phone",
+          "rows[2].email",
+        ]
+      );
+      return true;
+    }
+  );
+  assert.equal(ProvisioningBatch.create.mock.callCount(), 0);
+
+  await assert.rejects(
+    batchOnboardingService.createBatch(AGENCY, [], { source: "json" }),
+    { statusCode: 400 }
+  );
+});
+
+test("businesses the agency already has are refused unless allowed", async (t) => {
+  useBatchStore(t, { lockExpiresAt: new Date(Date.now() + 60000) });
+  duplicateCheckService.findDuplicates.mock.mockImplementation(
+    async (companyId, input) =>
+      input.businessName === "Business 2"
+        ? [{ field: "business_name", message: "Already exists." }]
+        : []
+  );
+
+  await assert.rejects(
+    batchOnboardingService.createBatch(AGENCY, [business(1), business(2)], {
+      source: "json",
+    }),
+    (error) => error.fieldErrors[0].field === "rows[1].business_name"
+  );
+  // GHL is only paged through once per upload
+  assert.equal(duplicateCheckService.listGhlLocations.mock.callCount(), 1);
+
+  const batch = await batchOnboardingService.createBatch(
+    AGENCY,
+    [business(1), business(2)],
+    { source: "json", allowDuplicates: true }
+  );
+  assert.deepEqual(
+    batch.rows.map((row) => row.status),
+    ["pending", "pending"]
+  );
+});
+
+test("skipInvalid stores the invalid records and provisions the others", async (t) => {
+  // Held by another worker, so the upload is not provisioned here
+  useBatchStore(t, { lockExpiresAt: new Date(Date.now() + 60000) });
+
+  const batch = await batchOnboardingService.createBatch(
+    AGENCY,
+    [business(1), { ...business(2), email: "x" }],
+    { source: "csv", skipInvalid: true, concurrency: 50 }
+  );
+
+  assert.deepEqual(
+    batch.rows.map((row) => row.status),
+    ["pending", "invalid"]
+  );
+  assert.equal(batch.rows[1].fieldErrors[0].field, "email");
+  assert.equal(batch.concurrency, 3);
+  assert.equal(batch.config.credentialMode, "random");
+});
+
+test("runBatch provisions the pending and interrupted rows under its lease", async (t) => {
+  const store = useBatchStore(t, {
+    rows: [
+      { index: 0, status: "completed", input: business(0) },
+      { index: 1, status: "pending", input: business(1) },
+      // Its worker went away while its job was running
+      { index: 2, status: "running", input: business(2) },
+      { index: 3, status: "pending", input: business(3) },
+      { index: 4, status: "invalid", input: business(4) },
+    ],
+  });
+  const interruptedJob = {
+    _id: new mongoose.Types.ObjectId(),
+    status: "running",
+    input: business(2),
+  };
+  const jobs = useJobs(t, {
+    existing: { [`batch:${store._id}:2`]: interruptedJob },
+    finish: (job) =>
+      job.input.businessName === "Business 3" ? "failed" : "completed",
+  });
+
+  const finished = await batchOnboardingService.runBatch(store._id);
+
+  assert.equal(finished.status, "completed");
+  assert.equal(store.lockedBy, undefined);
+  assert.equal(store.lockExpiresAt, undefined);
+  // The interrupted row reuses its job
+  assert.deepEqual(jobs.map((job) => job.idempotencyKey).sort(), [
+    `batch:${store._id}:1`,
+    `batch:${store._id}:3`,
+  ]);
+  assert.ok(store.rows[2].jobId.equals(interruptedJob._id));
+  assert.deepEqual(
+    store.rows.map((row) => row.status),
+    ["completed", "completed", "completed", "failed", "invalid"]
+  );
+  assert.equal(store.rows[1].locationId, "location-Business 1");
+  assert.equal(store.rows[3].error, "GHL said no");
+});
+
+test("a batch whose lease another worker holds is not run", async (t) => {
+  const store = useBatchStore(t, {
+    lockedBy: "other-worker",
+    lockExpiresAt: new Date(Date.now() + 60000),
+    rows: [{ index: 0, status: "pending", input: business(0) }],
+  });
+  const jobs = useJobs(t);
+
+  assert.equal(await batchOnboardingService.runBatch(store._id), null);
+  assert.equal(jobs.length, 0);
+  assert.equal(store.rows[0].status, "pending");
+});
+
+test("a worker that lost the batch's lease does not mark it completed", async (t) => {
+  const store = useBatchStore(t, {
+    rows: [{ index: 0, status: "pending", input: business(0) }],
+  });
+  useJobs(t, {
+    finish: () => {
+      // Another worker took the batch over while the row was provisioned
+      store.lockedBy = "other-worker";
+      return "completed";
+    },
+  });
+
+  const finished = await batchOnboardingService.runBatch(store._id);
+
+  assert.equal(finished.status, "running");
+  assert.equal(store.lockedBy, "other-worker");
+  assert.equal(store.completed_at, undefined);
+});
+
+test("a row whose job another worker runs waits for that job", async (t) => {
+  const store = useBatchStore(t, {
+    rows: [{ index: 0, status: "pending", input: business(0) }],
+  });
+  const jobs = useJobs(t, { finish: () => null });
+  t.mock.method(ProvisioningJob, "findById", async () => ({
+    ...jobs[0],
+    status: "completed",
+    outputs: { locationId: "location-elsewhere" },
+  }));
+
+  await batchOnboardingService.runBatch(store._id);
+
+  assert.equal(store.rows[0].status, "completed");
+  assert.equal(store.rows[0].locationId, "location-elsewhere");
+});
+
+test("the results CSV has one line per uploaded record", () => {
+  const text = batchOnboardingService.toResultsCsv({
+    rows: [
+      {
+        index: 0,
+        status: "completed",
+        input: { businessName: "Acme, Inc.", email: "owner@acme.test" },
+        locationId: "location-1",
+      },
+      {
+        index: 1,
+        status: "invalid",
+        input: { businessName: "Beta" },
+        fieldErrors: [
+          { field: "email", message: "is required." },
+          { field: "phone", message: "is required." },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(csv.parse(text), [
+    {
+      row: "1",
+      status: "completed",
+      business_name: "Acme, Inc.",
+      email: "owner@acme.test",
+      location_id: "location-1",
+      drive_folder_link: "",
+      job_id: "",
+      error: "",
+    },
+    {
+      row: "2",
+      status: "invalid",
+      business_name: "Beta",
+      email: "",
+      location_id: "",
+      drive_folder_link: "",
+      job_id: "",
+      error: "email: is required.; phone: is required.",
+    },
+  ]);
+});
+
+test("CSV uploads may quote fields, escape quotes and use CRLF", () => {
+  assert.deepEqual(
+    csv.parse(
+      '﻿business_name,notes\r\n"Acme, Inc.","Said ""hi""\ntwice"\r\n\r\nBeta,\n'
+    ),
+    [
+      { business_name: "Acme, Inc.", notes: 'Said "hi"\ntwice' },
+      { business_name: "Beta", notes: "" },
+    ]
+  );
+  assert.throws(() => csv.parse('name\n"Acme'), /Unterminated/);
+});
+
+test("the failed rows of a finished batch are retried with new jobs", async (t) => {
+  const store = useBatchStore(t, {
+    status: "completed",
+    rows: [
+      { index: 0, status: "completed", input: business(0) },
+      {
+        index: 1,
+        status: "failed",
+        input: business(1),
+        secrets: { password: "sealed" },
+        error: "GHL said no",
+        retries: 0,
+      },
+    ],
+  });
+  const jobs = useJobs(t);
+
+  const updated = await batchOnboardingService.retryFailedRows(
+    new ProvisioningBatch(store)
+  );
+  assert.equal(updated.status, "running");
+  await readiness.waitFor(
+    async () => ({ ready: store.status === "completed" }),
+    { description: "the batch to finish", initialIntervalMs: 5 }
+  );
+
+  assert.deepEqual(
+    jobs.map((job) => [job.idempotencyKey, job.secrets.password]),
+    [[`batch:${store._id}:1:1`, "sealed"]]
+  );
+  assert.equal(store.rows[1].status, "completed");
+  assert.equal(store.rows[1].error, undefined);
+  assert.deepEqual(store.rows[1].secrets, {});
+
+  await assert.rejects(
+    batchOnboardingService.retryFailedRows(new ProvisioningBatch(store)),
+    { statusCode: 409, message: "The batch has no failed rows to retry." }
+  );
+  store.status = "running";
+  await assert.rejects(
+    batchOnboardingService.retryFailedRows(new ProvisioningBatch(store)),
+    { statusCode: 409 }
+  );
+});
@@ -0,0 +1,128 @@
+const { applyUpdate } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const alertService = require("../services/alertService");
+const ghlService = require("../services/ghlService");
+const jobLock = require("../services/jobLock");
+const credentialRefreshService = require("../services/credentialRefreshService");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Stands in for the credentials collection with a single agency credential.
+ */
+function useCredentialStore(t, fields = {}) {
+  const credential = {
+    _id: new mongoose.Types.ObjectId(),
+    userType: "Company",
+    companyId: "company-1",
+    access_token: "access-1",
+    refresh_token: "refresh-1",
+    expires_in: 86400,
+    created_at: new Date(Date.now() - 23 * HOUR),
+    consecutive_failures: 0,
+    ...fields,
+  };
+  t.mock.method(OAuthCredentials, "findById", async () => ({ ...credential }));
+  t.mock.method(
+    OAuthCredentials,
+    "findOneAndUpdate",
+    async (filter, update) => {
+      if (filter.reauth_required && credential.reauth_required === true) {
+        return null;
+      }
+      applyUpdate(credential, update);
+      return { ...credential };
+    }
+  );
+  t.mock.method(jobLock, "acquire", async () => ({ release: async () => {} }));
+  const alerts = [];
+  t.mock.method(alertService, "sendAlert", async (event, message) =>
+    alerts.push({ event, message })
+  );
+  return { credential, alerts };
+}
+
+test("a refresh stores the new tokens and clears past failures", async (t) => {
+  const { credential } = useCredentialStore(t, {
+    consecutive_failures: 2,
+    last_refresh_status: "failed",
+  });
+  t.mock.method(ghlService, "refreshAccessToken", async () => ({
+    access_token: "access-2",
+    refresh_token: "refresh-2",
+    expires_in: 86400,
+  }));
+
+  const refreshed = await credentialRefreshService.refreshCredential({
+    ...credential,
+  });
+
+  assert.deepEqual(ghlService.refreshAccessToken.mock.calls[0].arguments, [
+    "refresh-1",
+    "Company",
+  ]);
+  assert.equal(refreshed.access_token, "access-2");
+  assert.equal(credential.refresh_token, "refresh-2");
+  assert.equal(credential.consecutive_failures, 0);
+  assert.equal(credential.last_refresh_status, "success");
+  assert.ok(Date.now() - credential.created_at.getTime() < 1000);
+});
+
+test("a refresh is refused while another one holds the lock", async (t) => {
+  const { credential } = useCredentialStore(t);
+  jobLock.acquire.mock.mockImplementation(async () => null);
+  t.mock.method(ghlService, "refreshAccessToken", async () => ({}));
+
+  await assert.rejects(credentialRefreshService.refreshCredential(credential), {
+    code: "REFRESH_IN_PROGRESS",
+    statusCode: 409,
+  });
+  assert.equal(ghlService.refreshAccessToken.mock.callCount(), 0);
+});
+
+test("a credential refreshed in the meantime is not refreshed again", async (t) => {
+  const { credential } = useCredentialStore(t);
+  const stale = { ...credential, created_at: new Date(Date.now() - 30 * HOUR) };
+  t.mock.method(ghlService, "refreshAccessToken", async () => ({}));
+
+  const current = await credentialRefreshService.refreshCredential(stale);
+
+  // Its refresh token was already used up
+  assert.equal(ghlService.refreshAccessToken.mock.callCount(), 0);
+  assert.equal(current.access_token, "access-1");
+});
+
+test("repeated failures require re-authorization and alert once", async (t) => {
+  const { credential, alerts } = useCredentialStore(t);
+  t.mock.method(ghlService, "refreshAccessToken", async () => {
+    throw Object.assign(new Error("Request failed with status code 400"), {
+      response: { data: { error_description: "Invalid refresh token" } },
+    });
+  });
+
+  for (
+    let attempt = 1;
+    attempt <= credentialRefreshService.MAX_FAILURES + 1;
+    attempt += 1
+  ) {
+    await assert.rejects(
+      credentialRefreshService.refreshCredential({ ...credential }),
+      /status code 400/
+    );
+    assert.equal(credential.consecutive_failures, attempt);
+    assert.equal(
+      credential.reauth_required === true,
+      attempt >= credentialRefreshService.MAX_FAILURES
+    );
+  }
+
+  assert.equal(credential.last_refresh_error, "Invalid refresh token");
+  assert.deepEqual(
+    alerts.map((alert) => alert.event),
+    ["credential.reauth_required"]
+  );
+  assert.match(alerts[0].message, /companyId company-1/);
+});
@@ -0,0 +1,259 @@
+const { applyUpdate } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.GHL_COMPANY_ID = "company-default";
+process.env.GHL_PARENT_LOCATION_ID = "default-parent";
+process.env.CUSTOM_VALUE_SYNC_ENABLED = "true";
+const Agency = require("../models/Agency");
+const CustomValueSyncRun = require("../models/CustomValueSyncRun");
+const CustomValueSyncSettings = require("../models/CustomValueSyncSettings");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const agencyService = require("../services/agencyService");
+const ghlService = require("../services/ghlService");
+const jobLock = require("../services/jobLock");
+const templateService = require("../services/templateService");
+const customValueSyncService = require("../services/customValueSyncService");
+
+const AGENCY = {
+  companyId: "company-1",
+  parentLocationId: "parent",
+  customFieldsToSync: ["Brand Color", "Support Email"],
+};
+const VALUES = {
+  parent: [
+    { id: "p1", name: "Brand Color", value: "#112233" },
+    { id: "p2", name: "Support Email", value: "help@acme.test" },
+  ],
+  "child-1": [
+    { id: "c1", name: "Brand Color", value: "#000000" },
+    { id: "c2", name: "Support Email", value: "help@acme.test" },
+  ],
+  "child-2": [{ id: "c3", name: "Brand Color", value: "#112233" }],
+  "child-3": [{ id: "c4", name: "Brand Color", value: "#000000" }],
+};
+
+/**
+ * Keeps sync runs in memory and stubs the GHL and lock calls of a sync.
+ * @returns {Object} - { runs, writes, lock } to inspect.
+ */
+function useSyncStubs(t, { settings = [], held = false } = {}) {
+  const runs = new Map();
+  const writes = [];
+  const lock = { released: 0 };
+  t.mock.method(CustomValueSyncRun, "create", async (fields) => {
+    const run = new CustomValueSyncRun(fields).toObject();
+    runs.set(String(run._id), run);
+    return run;
+  });
+  t.mock.method(CustomValueSyncRun, "updateOne", async ({ _id }, update) =>
+    applyUpdate(runs.get(String(_id)), update)
+  );
+  t.mock.method(CustomValueSyncRun, "findById", async (id) =>
+    runs.get(String(id))
+  );
+  t.mock.method(CustomValueSyncSettings, "find", () => ({
+    lean: async () => settings,
+  }));
+  t.mock.method(ProvisioningJob, "distinct", async () => [
+    "parent",
+    "child-1",
+    "child-2",
+    "child-3",
+  ]);
+  t.mock.method(jobLock, "acquire", async () =>
+    held
+      ? null
+      : {
+          renew: async () => true,
+          release: async () => {
+            lock.released += 1;
+          },
+        }
+  );
+  t.mock.method(templateService, "resolveTemplate", async () => ({}));
+  t.mock.method(agencyService, "getAgencyCredentials", async () => ({
+    access_token: "agency-token",
+  }));
+  t.mock.method(
+    ghlService,
+    "getLocationAccessToken",
+    async (companyId, locationId) => `token-${locationId}`
+  );
+  t.mock.method(
+    ghlService,
+    "getCustomValues",
+    async (locationId) => VALUES[locationId]
+  );
+  t.mock.method(ghlService, "updateCustomValue", async (...args) =>
+    writes.push(["update", ...args])
+  );
+  t.mock.method(ghlService, "createCustomValue", async (...args) =>
+    writes.push(["create", ...args])
+  );
+  return { runs, writes, lock };
+}
+
+const byLocation = (run) =>
+  Object.fromEntries(run.children.map((child) => [child.locationId, child]));
+
+test("children are brought in line with the parent, creating missing values", async (t) => {
+  const { writes, lock } = useSyncStubs(t);
+
+  const { done } = await customValueSyncService.startSync(AGENCY, {
+    trigger: "manual",
+  });
+  const run = await done;
+
+  assert.equal(run.status, "completed");
+  const children = byLocation(run);
+  assert.equal(children["child-1"].status, "changed");
+  assert.equal(children["child-2"].status, "changed");
+  assert.equal(children["child-3"].status, "changed");
+  assert.equal(children.parent, undefined);
+  assert.deepEqual(writes, [
+    ["update", "child-1", "c1", "Brand Color", "#112233", "token-child-1"],
+    ["create", "child-2", "Support Email", "help@acme.test", "token-child-2"],
+    ["update", "child-3", "c4", "Brand Color", "#112233", "token-child-3"],
+    ["create", "child-3", "Support Email", "help@acme.test", "token-child-3"],
+  ]);
+  assert.equal(lock.released, 1);
+});
+
+test("a dry run reports the differences without writing them", async (t) => {
+  const { writes } = useSyncStubs(t);
+
+  const { done } = await customValueSyncService.startSync(AGENCY, {
+    trigger: "manual",
+    dryRun: true,
+    locationIds: ["child-1"],
+  });
+  const run = await done;
+
+  assert.deepEqual(writes, []);
+  assert.deepEqual(run.children[0].changes, [
+    {
+      name: "Brand Color",
+      action: "update",
+      from: "#000000",
+      to: "#112233",
+      overridden: false,
+      status: "planned",
+    },
+  ]);
+});
+
+test("excluded children, excluded fields and overrides are respected", async (t) => {
+  const { writes } = useSyncStubs(t, {
+    settings: [
+      { locationId: "child-1", excluded: true },
+      { locationId: "child-2", excludedFields: ["Support Email"] },
+      { locationId: "child-3", overrides: { "Brand Color": "#000000" } },
+    ],
+  });
+
+  const { done } = await customValueSyncService.startSync(AGENCY, {
+    trigger: "manual",
+  });
+  const children = byLocation(await done);
+
+  assert.equal(children["child-1"].status, "excluded");
+  assert.equal(children["child-2"].status, "in_sync");
+  assert.deepEqual(
+    children["child-3"].changes.map(({ name, action }) => [name, action]),
+    [["Support Email", "create"]]
+  );
+  assert.equal(writes.length, 1);
+});
+
+test("a failing child is recorded and the others are still synced", async (t) => {
+  useSyncStubs(t);
+  ghlService.updateCustomValue.mock.mockImplementation(async (locationId) => {
+    if (locationId === "child-1") throw new Error("GHL unavailable");
+  });
+
+  const { done } = await customValueSyncService.startSync(AGENCY, {
+    trigger: "manual",
+    locationIds: ["child-1", "child-3", "elsewhere"],
+  });
+  const run = await done;
+  const children = byLocation(run);
+
+  assert.equal(run.status, "completed");
+  assert.equal(children["child-1"].status, "failed");
+  assert.equal(children["child-1"].changes[0].error, "GHL unavailable");
+  assert.equal(children["child-3"].status, "changed");
+  assert.equal(
+    children.elsewhere.error,
+    "Not a location provisioned for this agency."
+  );
+});
+
+test("only one sync runs per agency, and it needs a parent location", async (t) => {
+  useSyncStubs(t, { held: true });
+
+  await assert.rejects(
+    customValueSyncService.startSync(AGENCY, { trigger: "manual" }),
+    { statusCode: 409 }
+  );
+  await assert.rejects(
+    customValueSyncService.startSync(
+      { ...AGENCY, parentLocationId: undefined },
+      { trigger: "manual" }
+    ),
+    { statusCode: 400 }
+  );
+});
+
+test("child settings are validated and only kept for the agency's children", async (t) => {
+  useSyncStubs(t);
+  t.mock.method(
+    CustomValueSyncSettings,
+    "findOneAndUpdate",
+    async (filter, update) => ({ ...filter, ...update.$set })
+  );
+  const update = (locationId, fields) =>
+    customValueSyncService.updateChildSettings(AGENCY, locationId, fields);
+
+  const saved = await update("child-1", {
+    excludedFields: ["Brand Color"],
+    overrides: { "Support Email": "own@acme.test" },
+  });
+  assert.deepEqual(saved.excludedFields, ["Brand Color"]);
+
+  await assert.rejects(update("child-1", { excluded: "yes" }), {
+    statusCode: 400,
+  });
+  await assert.rejects(update("child-1", { overrides: { "Brand Color": 1 } }), {
+    statusCode: 400,
+  });
+  await assert.rejects(update(String(new mongoose.Types.ObjectId()), {}), {
+    statusCode: 404,
+  });
+});
+
+test("the schedule syncs the agencies that enabled it and the default agency", async (t) => {
+  useSyncStubs(t);
+  const AGENCIES = [
+    { ...AGENCY, customValueSyncEnabled: true },
+    { companyId: "company-2", customValueSyncEnabled: true },
+  ];
+  t.mock.method(Agency, "find", () => ({ lean: async () => AGENCIES }));
+  t.mock.method(Agency, "exists", async () => null);
+  t.mock.method(Agency, "findOne", ({ companyId }) => ({
+    lean: async () =>
+      AGENCIES.find((agency) => agency.companyId === companyId) || null,
+  }));
+
+  const outcomes = await customValueSyncService.runScheduledSyncs();
+
+  // company-2 has no parent location to sync from
+  assert.deepEqual(outcomes, { started: 2, skipped: 0, failed: 0 });
+  assert.deepEqual(
+    CustomValueSyncRun.create.mock.calls.map(
+      ({ arguments: [run] }) => `${run.companyId} <- ${run.parentLocationId}`
+    ),
+    ["company-1 <- parent", "company-default <- default-parent"]
+  );
+});
@@ -0,0 +1,105 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Location = require("../models/Location");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const agencyService = require("../services/agencyService");
+const ghlService = require("../services/ghlService");
+const duplicateCheckService = require("../services/duplicateCheckService");
+
+const INPUT = {
+  businessName: "Acme",
+  email: "owner@acme.test",
+  phone: "+14155550100",
+  country: "US",
+};
+
+/**
+ * Serves the Location directory and the agency's provisioning jobs from
+ * fixed lists, and an agency whose GHL locations are the given ones.
+ */
+function useStores(t, { locations = [], jobs = [], ghlLocations = [] } = {}) {
+  t.mock.method(Location, "find", () => ({
+    limit: () => ({ lean: async () => locations }),
+  }));
+  t.mock.method(ProvisioningJob, "find", () => ({
+    select: () => ({ limit: () => ({ lean: async () => jobs }) }),
+  }));
+  t.mock.method(agencyService, "getAgencyCredentials", async () => ({
+    access_token: "agency-token",
+  }));
+  t.mock.method(ghlService, "findLocations", async () => ghlLocations);
+}
+
+test("a single request is checked against the Location directory, not GHL", async (t) => {
+  useStores(t, {
+    locations: [
+      { locationId: "location-1", name: "ACME ", phone: "+14155550100" },
+    ],
+    jobs: [
+      {
+        _id: "job-1",
+        input: { businessName: "Other", email: "owner@acme.test" },
+        outputs: {},
+      },
+    ],
+  });
+
+  const duplicates = await duplicateCheckService.findDuplicates(
+    "company-1",
+    INPUT
+  );
+
+  assert.deepEqual(
+    duplicates.map(({ field, locationId, jobId }) => [
+      field,
+      locationId || jobId,
+    ]),
+    [
+      ["business_name", "location-1"],
+      ["phone", "location-1"],
+      ["email", "job-1"],
+    ]
+  );
+  assert.equal(ghlService.findLocations.mock.callCount(), 0);
+});
+
+test("GHL phones are normalised before they are compared", async (t) => {
+  useStores(t, {
+    ghlLocations: [
+      { id: "ghl-1", name: "Other", phone: "(415) 555-0100", country: "US" },
+      { id: "ghl-2", name: "Another", phone: "415.555.0199" },
+    ],
+  });
+
+  const ghlLocations =
+    await duplicateCheckService.listGhlLocations("company-1");
+  const duplicates = await duplicateCheckService.findDuplicates(
+    "company-1",
+    INPUT,
+    { ghlLocations }
+  );
+
+  assert.deepEqual(duplicates, [
+    {
+      field: "phone",
+      message: "Already used by location ghl-1.",
+      locationId: "ghl-1",
+    },
+  ]);
+});
+
+test("the batch check goes on without GHL when GHL cannot be searched", async (t) => {
+  useStores(t);
+  ghlService.findLocations.mock.mockImplementation(async () => {
+    throw new Error("GHL is down");
+  });
+
+  assert.equal(await duplicateCheckService.listGhlLocations("company-1"), null);
+  assert.deepEqual(
+    await duplicateCheckService.findDuplicates("company-1", INPUT, {
+      ghlLocations: null,
+    }),
+    []
+  );
+});
@@ -0,0 +1,199 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.GHL_RETRY_BASE_DELAY_MS = "1";
+process.env.GHL_MAX_CONCURRENCY_PER_AGENCY = "2";
+const ghlClient = require("../services/ghlClient");
+
+/**
+ * Serves a fake GHL API. Each request is answered by the next of the given
+ * replies ({ status, headers, body }); the requests seen are recorded.
+ */
+async function startGhl(t, replies) {
+  const seen = [];
+  const app = express();
+  app.all("/{*path}", (req, res) => {
+    seen.push({ method: req.method, authorization: req.get("authorization") });
+    const reply = replies[Math.min(seen.length, replies.length) - 1];
+    res
+      .status(reply.status || 200)
+      .set(reply.headers || {})
+      .json(reply.body || {});
+  });
+  const server = await listen(app);
+  t.after(server.close);
+  return { url: server.url, seen };
+}
+
+test("idempotent requests are retried on transient failures", async (t) => {
+  const ghl = await startGhl(t, [
+    { status: 503 },
+    { status: 502 },
+    { body: { ok: true } },
+  ]);
+
+  const response = await ghlClient.request({ url: `${ghl.url}/locations/1` });
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.equal(ghl.seen.length, 3);
+});
+
+test("requests are given up after the maximum number of attempts", async (t) => {
+  const ghl = await startGhl(t, [{ status: 500 }]);
+
+  await assert.rejects(
+    ghlClient.request({ url: `${ghl.url}/locations/1` }),
+    (error) => error.response.status === 500
+  );
+  assert.equal(ghl.seen.length, 4);
+});
+
+test("non-idempotent requests are only retried when GHL did not process them", async (t) => {
+  const failing = await startGhl(t, [{ status: 500 }]);
+  await assert.rejects(
+    ghlClient.request({ method: "post", url: `${failing.url}/locations/` }),
+    (error) => error.response.status === 500
+  );
+  assert.equal(failing.seen.length, 1);
+
+  const limited = await startGhl(t, [
+    { status: 429, headers: { "Retry-After": "0" } },
+    { body: { id: "location-1" } },
+  ]);
+  const response = await ghlClient.request({
+    method: "post",
+    url: `${limited.url}/locations/`,
+  });
+  assert.equal(response.data.id, "location-1");
+  assert.equal(limited.seen.length, 2);
+
+  // Never retried when it could be replayed twice
+  await assert.rejects(
+    ghlClient.request(
+      { method: "put", url: `${failing.url}/locations/1` },
+      { idempotent: false }
+    ),
+    (error) => error.response.status === 500
+  );
+  assert.equal(failing.seen.length, 2);
+});
+
+test("a 429 waits as long as Retry-After asks", async (t) => {
+  const ghl = await startGhl(t, [
+    { status: 429, headers: { "Retry-After": "1" } },
+    { body: {} },
+  ]);
+
+  const startedAt = Date.now();
+  await ghlClient.request({ url: `${ghl.url}/locations/1` });
+
+  assert.ok(Date.now() - startedAt >= 950);
+});
+
+test("a rejected token is renewed once and the request replayed", async (t) => {
+  const renewals = [];
+  ghlClient.setUnauthorizedHandler(async (owner, rejectedToken) => {
+    renewals.push({ owner, rejectedToken });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return "token-renewed";
+  });
+  t.after(() => ghlClient.setUnauthorizedHandler(null));
+  ghlClient.registerToken("token-expired", {
+    companyId: "company-1",
+    locationId: "location-1",
+  });
+  const ghl = await startGhl(t, [
+    { status: 401 },
+    { status: 401 },
+    { body: { ok: true } },
+  ]);
+  const get = (token) =>
+    ghlClient.request({
+      url: `${ghl.url}/locations/location-1`,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+  // Concurrent 401s for one token share its renewal
+  const responses = await Promise.all([
+    get("token-expired"),
+    get("token-expired"),
+  ]);
+
+  assert.deepEqual(
+    responses.map((response) => response.data),
+    [{ ok: true }, { ok: true }]
+  );
+  assert.deepEqual(renewals, [
+    {
+      owner: { companyId: "company-1", locationId: "location-1" },
+      rejectedToken: "token-expired",
+    },
+  ]);
+  assert.deepEqual(
+    ghl.seen.slice(2).map((request) => request.authorization),
+    ["Bearer token-renewed", "Bearer token-renewed"]
+  );
+
+  // A caller still holding the old token uses the new one straight away
+  await get("token-expired");
+  assert.equal(ghl.seen.at(-1).authorization, "Bearer token-renewed");
+  assert.equal(renewals.length, 1);
+});
+
+test("a token that is still rejected after renewal, or unknown, is not renewed again", async (t) => {
+  let renewals = 0;
+  ghlClient.setUnauthorizedHandler(async () => {
+    renewals += 1;
+    return `token-renewed-${renewals}`;
+  });
+  t.after(() => ghlClient.setUnauthorizedHandler(null));
+  ghlClient.registerToken("token-revoked", { companyId: "company-2" });
+  const ghl = await startGhl(t, [{ status: 401 }]);
+
+  await assert.rejects(
+    ghlClient.request({
+      url: `${ghl.url}/companies/company-2`,
+      headers: { Authorization: "Bearer token-revoked" },
+    }),
+    (error) => error.response.status === 401
+  );
+  assert.equal(renewals, 1);
+  assert.equal(ghl.seen.length, 2);
+
+  await assert.rejects(
+    ghlClient.request({
+      url: `${ghl.url}/companies/company-3`,
+      headers: { Authorization: "Bearer token-unknown" },
+    }),
+    (error) => error.response.status === 401
+  );
+  assert.equal(renewals, 1);
+});
+
+test("concurrent requests are limited per agency", async (t) => {
+  let active = 0;
+  let maxActive = 0;
+  const app = express();
+  app.get("/{*path}", async (req, res) => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    active -= 1;
+    res.json({});
+  });
+  const server = await listen(app);
+  t.after(server.close);
+
+  await Promise.all(
+    Array.from({ length: 6 }, (_, index) =>
+      ghlClient.request(
+        { url: `${server.url}/locations/${index}` },
+        { companyId: "company-4" }
+      )
+    )
+  );
+
+  assert.equal(maxActive, 2);
+});
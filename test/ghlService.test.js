@@ -0,0 +1,23 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ghlClient = require("../services/ghlClient");
+const ghlService = require("../services/ghlService");
+
+test("a code exchange logs the company and expiry, never the tokens", async (t) => {
+  const tokens = {
+    access_token: "secret-access-token",
+    refresh_token: "secret-refresh-token",
+    expires_in: 86399,
+    companyId: "company-1",
+  };
+  t.mock.method(ghlClient, "request", async () => ({ data: tokens }));
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+
+  assert.deepEqual(await ghlService.getAccessToken("code"), tokens);
+
+  assert.ok(logged.some((line) => line.includes("company-1")));
+  assert.ok(logged.some((line) => line.includes("86399")));
+  assert.ok(!logged.some((line) => line.includes("secret-")));
+});
@@ -0,0 +1,95 @@
+// =======================================================
+// File: test/helpers.js
+// Description: Shared setup for the test suite (node:test). Required first
+// by every test file: provides the environment the modules read when they
+// are loaded, makes Mongoose fail fast instead of waiting for a database
+// (tests stub the model methods they use) and keeps service logs out of the
+// test output unless TEST_LOGS=true.
+// =======================================================
+
+process.env.GOOGLE_CREDS_JSON = process.env.GOOGLE_CREDS_JSON || "{}";
+process.env.GHL_API_DOMAIN =
+  process.env.GHL_API_DOMAIN || "https://ghl.test.invalid";
+
+const http = require("http");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+if (process.env.TEST_LOGS !== "true") {
+  ["log", "warn", "error"].forEach((level) => {
+    console[level] = () => {};
+  });
+}
+
+/**
+ * Sets a value at a dotted path ("steps.2.status"), creating objects on the way.
+ */
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] === undefined || node[key] === null) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Reads the value at a dotted path, or undefined.
+ */
+function getPath(target, path) {
+  return path
+    .split(".")
+    .reduce((node, key) => (node === undefined ? node : node[key]), target);
+}
+
+/**
+ * Applies the $set, $unset, $inc and $push operators of a MongoDB update to
+ * a plain object, for in-memory stand-ins of a collection.
+ */
+function applyUpdate(target, update) {
+  Object.entries(update.$set || {}).forEach(([path, value]) =>
+    setPath(target, path, value)
+  );
+  Object.keys(update.$unset || {}).forEach((path) => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = keys.length ? getPath(target, keys.join(".")) : target;
+    if (parent) delete parent[last];
+  });
+  Object.entries(update.$inc || {}).forEach(([path, amount]) =>
+    setPath(target, path, (getPath(target, path) || 0) + amount)
+  );
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const list = getPath(target, path) || [];
+    list.push(value);
+    setPath(target, path, list);
+  });
+}
+
+/**
+ * Serves an Express app on a random local port.
+ * @param {Object} app - The Express app.
+ * @returns {Promise<Object>} - { url, close() }.
+ */
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = http.createServer(app);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  applyUpdate,
+  listen,
+};
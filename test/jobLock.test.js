@@ -0,0 +1,94 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const JobLock = require("../models/JobLock");
+const jobLock = require("../services/jobLock");
+
+/**
+ * Keeps locks in memory, unique by name like the collection: taking a held
+ * lock makes the upsert collide with the unique index.
+ */
+function useLockStore(t) {
+  const locks = new Map();
+  t.mock.method(JobLock, "findOneAndUpdate", async (filter, update) => {
+    const lock = locks.get(filter.name);
+    if (lock && lock.lockedUntil > filter.lockedUntil.$lte) {
+      throw Object.assign(new Error("E11000 duplicate key error"), {
+        code: 11000,
+      });
+    }
+    locks.set(filter.name, { name: filter.name, ...update.$set });
+    return lock || null;
+  });
+  t.mock.method(JobLock, "updateOne", async ({ name, owner }, update) => {
+    const lock = locks.get(name);
+    if (!lock || lock.owner !== owner) return { matchedCount: 0 };
+    Object.assign(lock, update.$set);
+    return { matchedCount: 1 };
+  });
+  t.mock.method(JobLock, "deleteOne", async ({ name, owner }) => {
+    if (locks.get(name)?.owner === owner) locks.delete(name);
+  });
+  return locks;
+}
+
+test("a lock is held by one lease at a time", async (t) => {
+  useLockStore(t);
+
+  const lease = await jobLock.acquire("token-refresh-job", 60000);
+  assert.ok(lease);
+  assert.equal(await jobLock.acquire("token-refresh-job", 60000), null);
+  assert.ok(await jobLock.acquire("other-job", 60000));
+
+  await lease.release();
+  assert.ok(await jobLock.acquire("token-refresh-job", 60000));
+});
+
+test("a lease that ran out can be taken over, and the old one no longer releases it", async (t) => {
+  const locks = useLockStore(t);
+  const crashed = await jobLock.acquire("token-refresh-job", 60000);
+  locks.get("token-refresh-job").lockedUntil = new Date(Date.now() - 1000);
+
+  const takeover = await jobLock.acquire("token-refresh-job", 60000);
+  assert.ok(takeover);
+  assert.notEqual(takeover.owner, crashed.owner);
+
+  await crashed.release();
+  assert.equal(locks.get("token-refresh-job").owner, takeover.owner);
+});
+
+test("withLock runs the function only when it gets the lease", async (t) => {
+  useLockStore(t);
+  const held = await jobLock.acquire("sync-job", 60000);
+
+  let runs = 0;
+  assert.deepEqual(
+    await jobLock.withLock("sync-job", 60000, async () => (runs += 1)),
+    { acquired: false }
+  );
+  await held.release();
+  assert.deepEqual(
+    await jobLock.withLock("sync-job", 60000, async () => (runs += 1)),
+    { acquired: true, result: 1 }
+  );
+  // Released afterwards, also when the function throws
+  await assert.rejects(
+    jobLock.withLock("sync-job", 60000, async () => {
+      throw new Error("failed");
+    }),
+    /failed/
+  );
+  assert.ok(await jobLock.acquire("sync-job", 60000));
+});
+
+test("a lease can be renewed until someone else takes the lock", async (t) => {
+  const locks = useLockStore(t);
+  const lease = await jobLock.acquire("sync-job", 1000);
+
+  assert.equal(await lease.renew(), true);
+  assert.ok(locks.get("sync-job").lockedUntil >= lease.lockedUntil);
+
+  locks.get("sync-job").lockedUntil = new Date(Date.now() - 1);
+  await jobLock.acquire("sync-job", 1000);
+  assert.equal(await lease.renew(), false);
+});
@@ -0,0 +1,215 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const LocationToken = require("../models/LocationToken");
+const jobLock = require("../services/jobLock");
+const locationTokenCache = require("../services/locationTokenCache");
+
+/**
+ * Stands in for GHL's location token endpoint, handing out numbered tokens
+ * valid for expiresIn seconds.
+ */
+function tokenEndpoint(expiresIn = 86400) {
+  let issued = 0;
+  const fetchToken = async () => {
+    issued += 1;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return { access_token: `token-${issued}`, expires_in: expiresIn };
+  };
+  return { fetchToken, issued: () => issued };
+}
+
+test("a token is fetched once and served from the cache until it nears expiry", async () => {
+  const ghl = tokenEndpoint();
+
+  const first = await locationTokenCache.getToken(
+    "company-1",
+    "location-1",
+    ghl.fetchToken
+  );
+  const again = await locationTokenCache.getToken(
+    "company-1",
+    "location-1",
+    ghl.fetchToken
+  );
+  const otherLocation = await locationTokenCache.getToken(
+    "company-1",
+    "location-2",
+    ghl.fetchToken
+  );
+
+  assert.equal(first, "token-1");
+  assert.equal(again, "token-1");
+  assert.equal(otherLocation, "token-2");
+  assert.equal(ghl.issued(), 2);
+});
+
+test("concurrent requests for a location share one upstream call", async () => {
+  const ghl = tokenEndpoint();
+
+  const tokens = await Promise.all(
+    Array.from({ length: 5 }, () =>
+      locationTokenCache.getToken("company-2", "location-1", ghl.fetchToken)
+    )
+  );
+
+  assert.deepEqual(new Set(tokens), new Set(["token-1"]));
+  assert.equal(ghl.issued(), 1);
+});
+
+test("a token within the refresh margin is served while a new one is fetched", async () => {
+  // Valid for 200s: inside the default 300s refresh margin
+  const ghl = tokenEndpoint(200);
+  await locationTokenCache.getToken("company-3", "location-1", ghl.fetchToken);
+
+  const served = await locationTokenCache.getToken(
+    "company-3",
+    "location-1",
+    ghl.fetchToken
+  );
+  assert.equal(served, "token-1");
+  await new Promise((resolve) => setTimeout(resolve, 30));
+
+  assert.equal(ghl.issued(), 2);
+  assert.equal(
+    await locationTokenCache.getToken(
+      "company-3",
+      "location-1",
+      tokenEndpoint().fetchToken
+    ),
+    "token-2"
+  );
+});
+
+test("a token about to expire is never handed out", async () => {
+  // Valid for 30s: less than the minimum validity
+  const ghl = tokenEndpoint(30);
+  await locationTokenCache.getToken("company-4", "location-1", ghl.fetchToken);
+
+  const token = await locationTokenCache.getToken(
+    "company-4",
+    "location-1",
+    ghl.fetchToken
+  );
+
+  assert.equal(token, "token-2");
+});
+
+test("an invalidated token is fetched again", async () => {
+  const ghl = tokenEndpoint();
+  await locationTokenCache.getToken("company-5", "location-1", ghl.fetchToken);
+
+  await locationTokenCache.invalidate("company-5", "location-1");
+
+  assert.equal(
+    await locationTokenCache.getToken(
+      "company-5",
+      "location-1",
+      ghl.fetchToken
+    ),
+    "token-2"
+  );
+});
+
+test("invalidating an agency drops the tokens of all its locations", async () => {
+  const ghl = tokenEndpoint();
+  await locationTokenCache.getToken("company-6", "location-1", ghl.fetchToken);
+  await locationTokenCache.getToken("company-6", "location-2", ghl.fetchToken);
+  await locationTokenCache.getToken("company-7", "location-1", ghl.fetchToken);
+
+  await locationTokenCache.invalidateCompany("company-6");
+
+  await locationTokenCache.getToken("company-6", "location-1", ghl.fetchToken);
+  await locationTokenCache.getToken("company-6", "location-2", ghl.fetchToken);
+  await locationTokenCache.getToken("company-7", "location-1", ghl.fetchToken);
+  assert.equal(ghl.issued(), 5);
+});
+
+test("a failed fetch is not cached", async () => {
+  let calls = 0;
+  const failing = async () => {
+    calls += 1;
+    throw new Error("GHL is down");
+  };
+
+  await assert.rejects(
+    locationTokenCache.getToken("company-8", "location-1", failing),
+    /GHL is down/
+  );
+  await assert.rejects(
+    locationTokenCache.getToken("company-8", "location-1", failing),
+    /GHL is down/
+  );
+  assert.equal(calls, 2);
+});
+
+/**
+ * Loads a copy of the cache backed by the shared MongoDB store, with
+ * LocationToken kept in memory.
+ */
+function loadSharedCache(t) {
+  const path = require.resolve("../services/locationTokenCache");
+  const saved = process.env.LOCATION_TOKEN_CACHE_STORE;
+  process.env.LOCATION_TOKEN_CACHE_STORE = "mongo";
+  delete require.cache[path];
+  const sharedCache = require(path);
+  delete require.cache[path];
+  if (saved === undefined) delete process.env.LOCATION_TOKEN_CACHE_STORE;
+  else process.env.LOCATION_TOKEN_CACHE_STORE = saved;
+
+  const rows = new Map();
+  const key = ({ companyId, locationId }) => `${companyId}:${locationId}`;
+  t.mock.method(
+    LocationToken,
+    "findOne",
+    async (filter) => rows.get(key(filter)) || null
+  );
+  t.mock.method(LocationToken, "updateOne", async (filter, { $set }) =>
+    rows.set(key(filter), $set)
+  );
+  return { sharedCache, rows };
+}
+
+test("with the shared store, an instance waits for the token another instance is fetching", async (t) => {
+  const { sharedCache, rows } = loadSharedCache(t);
+  t.mock.method(jobLock, "acquire", async () => null);
+  const ghl = tokenEndpoint();
+  setTimeout(
+    () =>
+      rows.set("company-9:location-1", {
+        access_token: "other-instance-token",
+        expiresAt: new Date(Date.now() + 86400 * 1000),
+      }),
+    50
+  );
+
+  const token = await sharedCache.getToken(
+    "company-9",
+    "location-1",
+    ghl.fetchToken
+  );
+
+  assert.equal(token, "other-instance-token");
+  assert.equal(ghl.issued(), 0);
+  assert.equal(
+    jobLock.acquire.mock.calls[0].arguments[0],
+    "location-token:company-9:location-1"
+  );
+});
+
+test("with the shared store, the lease holder fetches, stores and releases", async (t) => {
+  const { sharedCache, rows } = loadSharedCache(t);
+  const lease = { release: t.mock.fn(async () => {}) };
+  t.mock.method(jobLock, "acquire", async () => lease);
+  const ghl = tokenEndpoint();
+
+  const token = await sharedCache.getToken(
+    "company-9",
+    "location-2",
+    ghl.fetchToken
+  );
+
+  assert.equal(token, "token-1");
+  assert.equal(rows.get("company-9:location-2").access_token, "token-1");
+  assert.equal(lease.release.mock.callCount(), 1);
+});
@@ -0,0 +1,185 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const credentialRefreshService = require("../services/credentialRefreshService");
+const locationTokenCache = require("../services/locationTokenCache");
+const oauthCredentialRoutes = require("../routes/oauthCredentialRoutes");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Builds a stored credential, with its secret tokens.
+ */
+const credential = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userType: "Company",
+  companyId: "company-1",
+  access_token: "secret-access-token",
+  refresh_token: "secret-refresh-token",
+  expires_in: 86400,
+  created_at: new Date(Date.now() - HOUR),
+  scopes: ["locations.readonly"],
+  ...fields,
+});
+
+const CREDENTIALS = [
+  credential({}),
+  credential({
+    userType: "Location",
+    locationId: "location-1",
+    last_refresh_status: "failed",
+    last_refresh_error: "Invalid refresh token",
+    consecutive_failures: 1,
+  }),
+  credential({ companyId: "company-2", reauth_required: true }),
+  credential({
+    companyId: "company-3",
+    created_at: new Date(Date.now() - 2 * 86400 * 1000),
+  }),
+];
+
+let savedAdminKey;
+test.beforeEach((t) => {
+  savedAdminKey = process.env.ADMIN_API_KEY;
+  process.env.ADMIN_API_KEY = "admin-key";
+  t.mock.method(OAuthCredentials, "find", () => ({
+    lean: async () => CREDENTIALS,
+  }));
+  const byId = (id) =>
+    CREDENTIALS.find((candidate) => String(candidate._id) === String(id)) ||
+    null;
+  t.mock.method(OAuthCredentials, "findById", (id) => {
+    const found = Promise.resolve(byId(id));
+    return { lean: () => found, then: (...args) => found.then(...args) };
+  });
+  t.mock.method(OAuthCredentials, "findByIdAndDelete", (id) => ({
+    lean: async () => byId(id),
+  }));
+});
+test.afterEach(() => {
+  if (savedAdminKey === undefined) delete process.env.ADMIN_API_KEY;
+  else process.env.ADMIN_API_KEY = savedAdminKey;
+});
+
+/**
+ * Serves the admin credential routes.
+ */
+async function startServer(t) {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/oauth-credentials", oauthCredentialRoutes);
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return (path, { method = "GET", key = "admin-key" } = {}) =>
+    fetch(`${server.url}/api/oauth-credentials${path}`, {
+      method,
+      headers: key ? { "x-admin-key": key } : {},
+    });
+}
+
+test("credentials are listed with their health, never their tokens", async (t) => {
+  const request = await startServer(t);
+
+  const response = await request("");
+  const text = await response.text();
+  const { credentials } = JSON.parse(text);
+
+  assert.equal(response.status, 200);
+  assert.ok(!text.includes("secret-"));
+  assert.deepEqual(
+    credentials.map(({ companyId, status }) => [companyId, status]),
+    [
+      ["company-3", "expired"],
+      ["company-1", "healthy"],
+      ["company-1", "failing"],
+      ["company-2", "reauth_required"],
+    ]
+  );
+  assert.equal(credentials[2].last_refresh_error, "Invalid refresh token");
+});
+
+test("the list can be filtered by health, and bad filters are refused", async (t) => {
+  const request = await startServer(t);
+
+  const { credentials } = await (await request("?status=failing")).json();
+  assert.deepEqual(
+    credentials.map(({ locationId }) => locationId),
+    ["location-1"]
+  );
+  assert.equal((await request("?status=broken")).status, 400);
+  assert.equal((await request("?userType=Robot")).status, 400);
+});
+
+test("only admins can use the credential routes", async (t) => {
+  const request = await startServer(t);
+
+  assert.equal((await request("", { key: null })).status, 401);
+  assert.equal((await request("", { key: "wrong" })).status, 401);
+});
+
+test("a credential can be refreshed, and a refused refresh is a 502", async (t) => {
+  const request = await startServer(t);
+  const [agency] = CREDENTIALS;
+  t.mock.method(
+    credentialRefreshService,
+    "refreshCredential",
+    async (found) => ({
+      ...found,
+      access_token: "secret-new-token",
+      created_at: new Date(),
+    })
+  );
+
+  const refreshed = await request(`/${agency._id}/refresh`, { method: "POST" });
+  const text = await refreshed.text();
+  assert.equal(refreshed.status, 200);
+  assert.ok(!text.includes("secret-"));
+  assert.equal(JSON.parse(text).credential.status, "healthy");
+
+  credentialRefreshService.refreshCredential.mock.mockImplementation(
+    async () => {
+      throw Object.assign(new Error("Request failed"), {
+        response: { data: { error_description: "Invalid refresh token" } },
+      });
+    }
+  );
+  const refused = await request(`/${agency._id}/refresh`, { method: "POST" });
+  assert.equal(refused.status, 502);
+  assert.equal(
+    (await refused.json()).message,
+    "GHL refused the refresh: Invalid refresh token"
+  );
+});
+
+test("deleting a credential drops the location tokens cached for it", async (t) => {
+  const request = await startServer(t);
+  t.mock.method(locationTokenCache, "invalidate", async () => {});
+  t.mock.method(locationTokenCache, "invalidateCompany", async () => {});
+  const [agency, location] = CREDENTIALS;
+
+  assert.equal(
+    (await request(`/${location._id}`, { method: "DELETE" })).status,
+    200
+  );
+  assert.deepEqual(locationTokenCache.invalidate.mock.calls[0].arguments, [
+    "company-1",
+    "location-1",
+  ]);
+  await request(`/${agency._id}`, { method: "DELETE" });
+  assert.deepEqual(
+    locationTokenCache.invalidateCompany.mock.calls[0].arguments,
+    ["company-1"]
+  );
+
+  assert.equal(
+    (await request(`/${new mongoose.Types.ObjectId()}`, { method: "DELETE" }))
+      .status,
+    404
+  );
+  assert.equal((await request("/not-an-id")).status, 404);
+});
@@ -0,0 +1,233 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const OAuthState = require("../models/OAuthState");
+const OAuthCredentials = require("../models/OAuthCredentials");
+const agencyService = require("../services/agencyService");
+const ghlService = require("../services/ghlService");
+const oauthInstallService = require("../services/oauthInstallService");
+const signedToken = require("../services/signedToken");
+const authRoutes = require("../routes/authRoutes");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const INSTALL_ENV = {
+  OAUTH_STATE_SECRET: "state-secret",
+  GHL_CLIENT_ID: "client-1",
+  GHL_OAUTH_SCOPES: "locations.readonly users.write",
+  GHL_OAUTH_REDIRECT_URI: "https://api.test/api/auth/callback",
+  OAUTH_ALLOWED_RETURN_ORIGINS: "https://app.test",
+  OAUTH_DEFAULT_RETURN_URL: undefined,
+  OAUTH_ALLOW_STATELESS_CALLBACK: undefined,
+};
+
+let savedEnv;
+test.beforeEach((t) => {
+  savedEnv = Object.fromEntries(
+    Object.keys(INSTALL_ENV).map((name) => [name, process.env[name]])
+  );
+  setEnv(INSTALL_ENV);
+  useStateStore(t);
+});
+test.afterEach(() => setEnv(savedEnv));
+
+/**
+ * Sets (or, for undefined values, removes) environment variables.
+ */
+function setEnv(env) {
+  Object.entries(env).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+}
+
+/**
+ * Keeps pending install nonces in memory.
+ */
+function useStateStore(t) {
+  const states = [];
+  t.mock.method(OAuthState, "create", async (fields) => {
+    const state = new OAuthState(fields);
+    states.push(state);
+    return state;
+  });
+  t.mock.method(
+    OAuthState,
+    "findOne",
+    async ({ nonce, expiresAt }) =>
+      states.find(
+        (state) => state.nonce === nonce && state.expiresAt > expiresAt.$gt
+      ) || null
+  );
+  t.mock.method(OAuthState, "findOneAndDelete", async ({ _id }) => {
+    const index = states.findIndex((state) => state._id.equals(_id));
+    return index === -1 ? null : states.splice(index, 1)[0];
+  });
+  return states;
+}
+
+const stateOf = (url) => new URL(url).searchParams.get("state");
+
+test("startInstall builds the authorize URL with a signed state", async () => {
+  const { url, binding } = await oauthInstallService.startInstall({
+    scopes: ["users.write"],
+    returnUrl: "https://app.test/done",
+  });
+
+  const authorize = new URL(url);
+  assert.equal(authorize.searchParams.get("client_id"), "client-1");
+  assert.equal(authorize.searchParams.get("scope"), "users.write");
+  assert.equal(
+    authorize.searchParams.get("redirect_uri"),
+    "https://api.test/api/auth/callback"
+  );
+  assert.ok(binding.length >= 32);
+  assert.deepEqual(
+    await oauthInstallService.consumeState(stateOf(url), binding),
+    { scopes: ["users.write"], returnUrl: "https://app.test/done" }
+  );
+});
+
+test("startInstall refuses scopes and return URLs that are not allowed", async () => {
+  await assert.rejects(
+    oauthInstallService.startInstall({ scopes: ["companies.write"] }),
+    { statusCode: 400, message: "Scopes not allowed: companies.write" }
+  );
+  await assert.rejects(
+    oauthInstallService.startInstall({ returnUrl: "https://evil.test/" }),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    oauthInstallService.startInstall({ returnUrl: "javascript:alert(1)" }),
+    { statusCode: 400 }
+  );
+
+  delete process.env.OAUTH_STATE_SECRET;
+  await assert.rejects(oauthInstallService.startInstall({}), {
+    statusCode: 503,
+  });
+});
+
+test("a state can only be used once", async () => {
+  const { url, binding } = await oauthInstallService.startInstall({});
+
+  await oauthInstallService.consumeState(stateOf(url), binding);
+
+  await assert.rejects(
+    oauthInstallService.consumeState(stateOf(url), binding),
+    { statusCode: 400, message: "This install link has already been used." }
+  );
+});
+
+test("forged, expired and foreign states are refused", async () => {
+  const { url, binding } = await oauthInstallService.startInstall({});
+  const [payload, signature] = stateOf(url).split(".");
+  const forgedPayload = Buffer.from(
+    JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, "base64url").toString()),
+      scopes: ["companies.write"],
+    })
+  ).toString("base64url");
+
+  await assert.rejects(
+    oauthInstallService.consumeState(`${forgedPayload}.${signature}`, binding),
+    /Invalid OAuth state: Invalid token signature/
+  );
+
+  const expired = signedToken.sign(
+    { nonce: "n" },
+    { secret: "state-secret", purpose: "oauth-state", expiresInSeconds: -1 }
+  );
+  await assert.rejects(
+    oauthInstallService.consumeState(expired, binding),
+    /Token has expired/
+  );
+
+  // A token signed for another purpose with the same secret
+  const otherPurpose = signedToken.sign(
+    { nonce: "n" },
+    { secret: "state-secret", purpose: "sso-session", expiresInSeconds: 60 }
+  );
+  await assert.rejects(
+    oauthInstallService.consumeState(otherPurpose, binding),
+    /not issued for this purpose/
+  );
+});
+
+test("a state is only accepted from the browser that started the install", async () => {
+  const { url, binding } = await oauthInstallService.startInstall({});
+
+  await assert.rejects(oauthInstallService.consumeState(stateOf(url)), {
+    statusCode: 400,
+    message:
+      "This install was started in another browser. Start it again from this one.",
+  });
+  await assert.rejects(
+    oauthInstallService.consumeState(stateOf(url), `${binding}x`),
+    { statusCode: 400 }
+  );
+
+  // Refusing another browser does not use up the install
+  assert.ok(await oauthInstallService.consumeState(stateOf(url), binding));
+});
+
+test("callbacks without a state are refused", async () => {
+  await assert.rejects(oauthInstallService.consumeState(undefined), {
+    statusCode: 400,
+    message: /^Missing OAuth state\. .*\/api\/auth\/marketplace\/callback/,
+  });
+});
+
+/**
+ * Serves the auth routes with the GHL token exchange stubbed.
+ */
+async function startServer(t) {
+  t.mock.method(ghlService, "getAccessToken", async () => ({
+    access_token: "access",
+    refresh_token: "refresh",
+    expires_in: 86400,
+    companyId: "company-1",
+    userType: "Company",
+    scope: "locations.readonly users.write",
+  }));
+  t.mock.method(OAuthCredentials, "findOneAndUpdate", async () => ({}));
+  t.mock.method(agencyService, "ensureAgency", async () => ({}));
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return server;
+}
+
+test("the install cookie is required to complete the callback", async (t) => {
+  const server = await startServer(t);
+  const install = await fetch(
+    `${server.url}/api/auth/install?returnUrl=${encodeURIComponent("https://app.test/done")}`,
+    { redirect: "manual" }
+  );
+  assert.equal(install.status, 302);
+  const cookie = install.headers.get("set-cookie");
+  assert.match(cookie, /^ghl_install_binding=[^;]+;/);
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Lax/);
+  const callback = `${server.url}/api/auth/callback?code=auth-code&state=${stateOf(install.headers.get("location"))}`;
+
+  // The link alone (another browser) is sent back with an error
+  const foreign = await fetch(callback, { redirect: "manual" });
+  const failure = new URL(foreign.headers.get("location"));
+  assert.equal(failure.origin, "https://app.test");
+  assert.equal(failure.searchParams.get("status"), "error");
+  assert.equal(ghlService.getAccessToken.mock.callCount(), 0);
+
+  const own = await fetch(callback, {
+    redirect: "manual",
+    headers: { cookie: cookie.split(";")[0] },
+  });
+  const success = new URL(own.headers.get("location"));
+  assert.equal(success.searchParams.get("status"), "success");
+  assert.equal(success.searchParams.get("companyId"), "company-1");
+  assert.equal(ghlService.getAccessToken.mock.callCount(), 1);
+  assert.equal(OAuthCredentials.findOneAndUpdate.mock.callCount(), 1);
+});
@@ -0,0 +1,215 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AllowedOrigin = require("../models/AllowedOrigin");
+const originRegistry = require("../services/originRegistry");
+const ssoService = require("../services/ssoService");
+const { checkOrigin } = require("../middleware/originMiddleware");
+
+/**
+ * Serves the given entries as the stored registry.
+ */
+function useRegistry(t, entries) {
+  t.mock.method(AllowedOrigin, "find", () => ({ lean: async () => entries }));
+  originRegistry.invalidateCache();
+}
+
+test("entries are validated and stored in their canonical form", () => {
+  const { normalizeValue } = originRegistry;
+
+  assert.equal(
+    normalizeValue("exact", " HTTPS://Portal.Example.com/login "),
+    "https://portal.example.com"
+  );
+  assert.equal(normalizeValue("wildcard", "*.Example.com"), "example.com");
+  assert.equal(
+    normalizeValue("extension", `chrome-extension://${"a".repeat(32)}/`),
+    "a".repeat(32)
+  );
+  assert.throws(() => normalizeValue("exact", "portal.example.com"), {
+    statusCode: 400,
+  });
+  assert.throws(() => normalizeValue("exact", "ftp://example.com"), {
+    statusCode: 400,
+  });
+  assert.throws(() => normalizeValue("wildcard", "com"), { statusCode: 400 });
+  assert.throws(() => normalizeValue("extension", "z".repeat(32)), {
+    statusCode: 400,
+  });
+  assert.throws(() => normalizeValue("regex", ".*"), { statusCode: 400 });
+});
+
+test("exact, wildcard and extension entries match the origins they name", async (t) => {
+  useRegistry(t, [
+    { kind: "exact", value: "https://portal.example.com" },
+    { kind: "wildcard", value: "clients.test" },
+    { kind: "extension", value: "a".repeat(32) },
+  ]);
+  const allowed = (origin) => originRegistry.isAllowedOrigin(origin);
+
+  assert.equal(await allowed("https://portal.example.com"), true);
+  assert.equal(await allowed("http://portal.example.com"), false);
+  assert.equal(await allowed("https://other.example.com"), false);
+  assert.equal(await allowed("https://clients.test"), true);
+  assert.equal(await allowed("https://acme.clients.test"), true);
+  assert.equal(await allowed("http://acme.clients.test"), false);
+  assert.equal(await allowed("https://evilclients.test"), false);
+  assert.equal(await allowed(`chrome-extension://${"a".repeat(32)}`), true);
+  assert.equal(await allowed(`chrome-extension://${"b".repeat(32)}`), false);
+});
+
+test("the registry is cached, and kept when it cannot be reloaded", async (t) => {
+  useRegistry(t, [{ kind: "exact", value: "https://portal.example.com" }]);
+
+  await originRegistry.isAllowedOrigin("https://portal.example.com");
+  await originRegistry.isAllowedOrigin("https://portal.example.com");
+  assert.equal(AllowedOrigin.find.mock.callCount(), 1);
+
+  AllowedOrigin.find.mock.mockImplementation(() => ({
+    lean: async () => {
+      throw new Error("connection lost");
+    },
+  }));
+  originRegistry.invalidateCache();
+  assert.equal(
+    await originRegistry.isAllowedOrigin("https://portal.example.com"),
+    true
+  );
+});
+
+test("adding an origin twice is a conflict", async (t) => {
+  t.mock.method(AllowedOrigin, "create", async () => {
+    throw Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+    });
+  });
+
+  await assert.rejects(
+    originRegistry.addOrigin({
+      kind: "exact",
+      value: "https://portal.example.com",
+    }),
+    { statusCode: 409, message: "This origin is already allowed." }
+  );
+});
+
+test("an agency's origins only allow requests for that agency", async (t) => {
+  useRegistry(t, [
+    { kind: "exact", value: "https://app.gohighlevel.com", companyId: null },
+    {
+      kind: "exact",
+      value: "https://portal.acme.test",
+      companyId: "company-1",
+    },
+  ]);
+
+  assert.equal(
+    await originRegistry.isAllowedOrigin(
+      "https://app.gohighlevel.com",
+      "company-2"
+    ),
+    true
+  );
+  assert.equal(
+    await originRegistry.isAllowedOrigin(
+      "https://portal.acme.test",
+      "company-1"
+    ),
+    true
+  );
+  assert.equal(
+    await originRegistry.isAllowedOrigin(
+      "https://portal.acme.test",
+      "company-2"
+    ),
+    false
+  );
+  assert.equal(
+    await originRegistry.isAllowedOrigin("https://portal.acme.test"),
+    false
+  );
+  assert.equal(
+    await originRegistry.isRegisteredOrigin("https://portal.acme.test"),
+    true
+  );
+});
+
+test("checkOrigin checks a request's origin for the agency it is for", async (t) => {
+  const savedSecret = process.env.SSO_SESSION_SECRET;
+  process.env.SSO_SESSION_SECRET = "session-secret";
+  t.after(() => {
+    if (savedSecret === undefined) delete process.env.SSO_SESSION_SECRET;
+    else process.env.SSO_SESSION_SECRET = savedSecret;
+  });
+  useRegistry(t, [
+    {
+      kind: "exact",
+      value: "https://portal.acme.test",
+      companyId: "company-1",
+    },
+  ]);
+  const request = ({
+    method = "GET",
+    path = "/",
+    headers = {},
+    query = {},
+  }) => ({
+    method,
+    path,
+    query,
+    get: (name) => headers[name.toLowerCase()],
+  });
+  const origin = "https://portal.acme.test";
+  const session = (companyId) =>
+    ssoService.issueSession({ userId: "user-1", companyId }).token;
+
+  assert.equal(await checkOrigin(request({})), true);
+  assert.equal(
+    await checkOrigin(
+      request({ path: "/api/agencies/company-1/settings", headers: { origin } })
+    ),
+    true
+  );
+  assert.equal(
+    await checkOrigin(
+      request({ path: "/api/agencies/company-2/settings", headers: { origin } })
+    ),
+    false
+  );
+  assert.equal(
+    await checkOrigin(
+      request({
+        headers: { origin, "x-sso-session": session("company-1") },
+      })
+    ),
+    true
+  );
+  // The session decides, whatever agency the request names
+  assert.equal(
+    await checkOrigin(
+      request({
+        headers: {
+          origin,
+          "x-sso-session": session("company-2"),
+          "x-company-id": "company-1",
+        },
+      })
+    ),
+    false
+  );
+  // Preflights carry no credentials: any agency's origin passes
+  assert.equal(
+    await checkOrigin(request({ method: "OPTIONS", headers: { origin } })),
+    true
+  );
+  assert.equal(
+    await checkOrigin(
+      request({
+        method: "OPTIONS",
+        path: "/api/agencies/company-2/settings",
+        headers: { origin },
+      })
+    ),
+    false
+  );
+});
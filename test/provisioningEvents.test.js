@@ -0,0 +1,218 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const ProvisioningEvent = require("../models/ProvisioningEvent");
+const secretBox = require("../services/secretBox");
+const provisioningEvents = require("../services/provisioningEvents");
+const accountController = require("../controllers/accountController");
+const errorHandler = require("../middleware/errorMiddleware");
+
+/**
+ * Keeps a job's events in memory, numbered like recordEvent numbers them.
+ * @returns {Object} - { jobId, stored }.
+ */
+function useEventStore(t) {
+  const jobId = new mongoose.Types.ObjectId();
+  const stored = [];
+  let eventSeq = 0;
+  t.mock.method(ProvisioningJob, "findOneAndUpdate", async ({ _id }) =>
+    String(_id) === String(jobId) ? { eventSeq: ++eventSeq } : null
+  );
+  t.mock.method(ProvisioningJob, "exists", async ({ _id }) =>
+    String(_id) === String(jobId) ? { _id } : null
+  );
+  t.mock.method(ProvisioningEvent, "create", async (fields) => {
+    const event = new ProvisioningEvent(fields).toObject();
+    stored.push(event);
+    return event;
+  });
+  t.mock.method(ProvisioningEvent, "find", ({ seq }) => ({
+    sort: () => ({
+      lean: async () => stored.filter((event) => event.seq > seq.$gt),
+    }),
+  }));
+  return { jobId, stored };
+}
+
+/**
+ * Serves the job event stream.
+ */
+async function startServer(t) {
+  const app = express();
+  app.get(
+    "/provisioning-jobs/:jobId/events",
+    accountController.streamProvisioningEvents
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return server;
+}
+
+/**
+ * Parses the frames of an SSE body.
+ */
+const parseFrames = (body) =>
+  body
+    .split("\n\n")
+    .filter((frame) => frame.startsWith("id:"))
+    .map((frame) => {
+      const [id, event, data] = frame.split("\n");
+      return {
+        id: Number(id.slice("id: ".length)),
+        event: event.slice("event: ".length),
+        data: JSON.parse(data.slice("data: ".length)),
+      };
+    });
+
+test("events are numbered per job and listed after a sequence number", async (t) => {
+  const { jobId } = useEventStore(t);
+
+  await provisioningEvents.recordEvent(jobId, "step-started", {
+    step: "createAccount",
+  });
+  const completed = await provisioningEvents.recordEvent(
+    jobId,
+    "step-completed",
+    { step: "createAccount", data: { locationId: "location-1" } }
+  );
+
+  assert.equal(completed.seq, 2);
+  assert.deepEqual(
+    (await provisioningEvents.listEvents(jobId, 1)).map(({ seq, type }) => [
+      seq,
+      type,
+    ]),
+    [[2, "step-completed"]]
+  );
+  await assert.rejects(
+    provisioningEvents.recordEvent(new mongoose.Types.ObjectId(), "done"),
+    /not found/
+  );
+});
+
+test("subscribers get new events as they are recorded", async (t) => {
+  const { jobId } = useEventStore(t);
+  const received = [];
+  const unsubscribe = provisioningEvents.subscribe(jobId, (event) =>
+    received.push(event)
+  );
+
+  await provisioningEvents.recordEvent(jobId, "warning", { message: "Slow" });
+  unsubscribe();
+  await provisioningEvents.recordEvent(jobId, "done");
+
+  assert.deepEqual(
+    received.map(({ type, message }) => [type, message]),
+    [["warning", "Slow"]]
+  );
+});
+
+test("a reveal token is replayed from the job until it has been used", async (t) => {
+  const { jobId, stored } = useEventStore(t);
+  const job = { secrets: { revealToken: "sealed:reveal-token" } };
+  t.mock.method(ProvisioningJob, "findById", () => ({ lean: async () => job }));
+  t.mock.method(secretBox, "decrypt", (sealed) =>
+    sealed.slice("sealed:".length)
+  );
+  const credentials = {
+    mode: "random",
+    revealExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  };
+  await provisioningEvents.recordEvent(jobId, "step-completed", {
+    step: "createUser",
+    data: { userId: "user-1", credentials },
+  });
+  await provisioningEvents.recordEvent(jobId, "done");
+  const tokenOf = async () =>
+    (await provisioningEvents.listEvents(jobId))[0].data.credentials
+      .revealToken;
+
+  assert.equal(await tokenOf(), "reveal-token");
+  assert.ok(!JSON.stringify(stored).includes("reveal-token"));
+
+  const [{ data }] = stored;
+  data.credentials.revealExpiresAt = new Date(Date.now() - 1000);
+  assert.equal(await tokenOf(), undefined);
+  data.credentials.revealExpiresAt = credentials.revealExpiresAt;
+  delete job.secrets.revealToken;
+  assert.equal(await tokenOf(), undefined);
+});
+
+test("a reconnecting client gets the events after its Last-Event-ID", async (t) => {
+  const { jobId } = useEventStore(t);
+  const server = await startServer(t);
+  await provisioningEvents.recordEvent(jobId, "step-started", {
+    step: "checkUser",
+  });
+  await provisioningEvents.recordEvent(jobId, "step-completed", {
+    step: "checkUser",
+  });
+  await provisioningEvents.recordEvent(jobId, "done", {
+    data: { status: "completed" },
+  });
+
+  const response = await fetch(
+    `${server.url}/provisioning-jobs/${jobId}/events`,
+    { headers: { "Last-Event-ID": "1" } }
+  );
+
+  assert.equal(response.headers.get("content-type"), "text/event-stream");
+  const frames = parseFrames(await response.text());
+  assert.deepEqual(
+    frames.map(({ id, event }) => [id, event]),
+    [
+      [2, "step-completed"],
+      [3, "done"],
+    ]
+  );
+  assert.equal(frames[1].data.data.status, "completed");
+
+  const fromQuery = await fetch(
+    `${server.url}/provisioning-jobs/${jobId}/events?lastEventId=2`
+  );
+  assert.deepEqual(
+    parseFrames(await fromQuery.text()).map(({ id }) => id),
+    [3]
+  );
+});
+
+test("the stream follows events recorded after it opened", async (t) => {
+  const { jobId } = useEventStore(t);
+  const server = await startServer(t);
+
+  const pending = fetch(`${server.url}/provisioning-jobs/${jobId}/events`);
+  const response = await pending;
+  await provisioningEvents.recordEvent(jobId, "step-started", {
+    step: "checkUser",
+  });
+  await provisioningEvents.recordEvent(jobId, "done", {
+    data: { status: "failed" },
+  });
+
+  assert.deepEqual(
+    parseFrames(await response.text()).map(({ event }) => event),
+    ["step-started", "done"]
+  );
+});
+
+test("unknown and malformed job IDs are refused", async (t) => {
+  useEventStore(t);
+  const server = await startServer(t);
+
+  assert.equal(
+    (
+      await fetch(
+        `${server.url}/provisioning-jobs/${new mongoose.Types.ObjectId()}/events`
+      )
+    ).status,
+    404
+  );
+  assert.equal(
+    (await fetch(`${server.url}/provisioning-jobs/not-an-id/events`)).status,
+    400
+  );
+});
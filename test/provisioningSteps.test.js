@@ -0,0 +1,298 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ghlService = require("../services/ghlService");
+const googleDriveService = require("../services/googleDriveService");
+const secretBox = require("../services/secretBox");
+const userCredentialService = require("../services/userCredentialService");
+const { PROVISIONING_STEPS } = require("../services/provisioningSteps");
+
+const getStep = (name) => PROVISIONING_STEPS.find((step) => step.name === name);
+
+const INTERRUPTED_AT = new Date("2026-03-02T10:00:00Z");
+
+/**
+ * Builds the context the worker hands to a step.
+ */
+function buildContext({ interruptedAt = null, config = {}, secrets } = {}) {
+  const warnings = [];
+  return {
+    warnings,
+    job: {
+      _id: "job-1",
+      input: {
+        businessName: "Acme",
+        firstName: "Ada",
+        lastName: "Lovelace",
+        email: "owner@acme.test",
+        phone: "+14155550100",
+      },
+      config: {
+        credentialMode: "invite",
+        inviteWebhookUrl: "https://hooks.test/invite",
+        ...config,
+      },
+      secrets,
+    },
+    companyId: "company-1",
+    agencyAccessToken: "agency-token",
+    outputs: {},
+    interruptedAt,
+    warn: async (message) => warnings.push(message),
+    waiting: async () => {},
+    clearSecrets: async () => {},
+    saveSecret: async () => {},
+  };
+}
+
+/**
+ * Serves findLocations from a fixed list of the agency's locations.
+ */
+function useLocations(t, locations) {
+  t.mock.method(ghlService, "findLocations", async (companyId, matches) =>
+    locations.filter(matches)
+  );
+}
+
+test("createAccount creates a location when the step was not interrupted", async (t) => {
+  useLocations(t, []);
+  const create = t.mock.method(ghlService, "createAccount", async () => ({
+    id: "location-new",
+    name: "Acme",
+  }));
+  const ctx = buildContext();
+
+  const result = await getStep("createAccount").run(ctx);
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(ghlService.findLocations.mock.callCount(), 0);
+  assert.equal(ctx.outputs.locationId, "location-new");
+  assert.equal(result.output.locationId, "location-new");
+});
+
+test("an interrupted createAccount adopts the location created since it started", async (t) => {
+  useLocations(t, [
+    { id: "location-old", name: "Acme", dateAdded: "2025-01-01T00:00:00Z" },
+    { id: "location-other", name: "Other", dateAdded: "2026-03-02T10:00:05Z" },
+    { id: "location-new", name: " acme ", dateAdded: "2026-03-02T10:00:05Z" },
+  ]);
+  const create = t.mock.method(ghlService, "createAccount", async () => {
+    throw new Error("createAccount should not be called");
+  });
+  const ctx = buildContext({ interruptedAt: INTERRUPTED_AT });
+
+  const result = await getStep("createAccount").run(ctx);
+
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(ctx.outputs.locationId, "location-new");
+  assert.equal(result.output.locationId, "location-new");
+  assert.match(ctx.warnings[0], /location-new/);
+});
+
+test("an interrupted createAccount creates the location when none was created", async (t) => {
+  useLocations(t, [
+    { id: "location-old", name: "Acme", dateAdded: "2025-01-01T00:00:00Z" },
+  ]);
+  t.mock.method(ghlService, "createAccount", async () => ({
+    id: "location-new",
+    name: "Acme",
+  }));
+  const ctx = buildContext({ interruptedAt: INTERRUPTED_AT });
+
+  await getStep("createAccount").run(ctx);
+
+  assert.equal(ghlService.createAccount.mock.callCount(), 1);
+  assert.equal(ctx.outputs.locationId, "location-new");
+  assert.equal(ctx.warnings.length, 0);
+});
+
+test("an interrupted createAccount refuses to pick between several candidates", async (t) => {
+  useLocations(t, [
+    { id: "location-a", name: "Acme", dateAdded: "2026-03-02T10:00:05Z" },
+    { id: "location-b", name: "Acme", dateAdded: "2026-03-02T10:01:00Z" },
+  ]);
+  t.mock.method(ghlService, "createAccount", async () => ({ id: "x" }));
+
+  await assert.rejects(
+    getStep("createAccount").run(
+      buildContext({ interruptedAt: INTERRUPTED_AT })
+    ),
+    /Found 2 locations named "Acme"/
+  );
+  assert.equal(ghlService.createAccount.mock.callCount(), 0);
+});
+
+/**
+ * Stubs the GHL calls createUser makes once the location exists.
+ */
+function useUserApi(t, existingUser) {
+  t.mock.method(ghlService, "getLocation", async () => ({ id: "location-1" }));
+  t.mock.method(ghlService, "findUserByEmail", async () => existingUser);
+  t.mock.method(ghlService, "createUser", async () => ({ id: "user-new" }));
+  t.mock.method(ghlService, "updateUser", async () => ({}));
+  t.mock.method(ghlService, "deleteUser", async () => ({}));
+  t.mock.method(userCredentialService, "sendInvite", async () => {});
+}
+
+test("an interrupted createUser adopts the user and gives them a new password", async (t) => {
+  useUserApi(t, {
+    id: "user-old",
+    email: "owner@acme.test",
+    roles: { locationIds: ["location-1"] },
+  });
+  const ctx = buildContext({ interruptedAt: INTERRUPTED_AT });
+  ctx.outputs.locationId = "location-1";
+
+  const result = await getStep("createUser").run(ctx);
+
+  assert.equal(ghlService.createUser.mock.callCount(), 0);
+  assert.equal(ghlService.updateUser.mock.callCount(), 1);
+  const [userId, payload] = ghlService.updateUser.mock.calls[0].arguments;
+  assert.equal(userId, "user-old");
+  assert.equal(typeof payload.password, "string");
+  assert.equal(
+    userCredentialService.sendInvite.mock.calls[0].arguments[1].userId,
+    "user-old"
+  );
+  assert.equal(ctx.outputs.userId, "user-old");
+  assert.equal(result.output.userId, "user-old");
+});
+
+test("a random password's reveal token is kept on the job, not in the step result", async (t) => {
+  useUserApi(t, null);
+  t.mock.method(userCredentialService, "createReveal", async () => ({
+    token: "reveal-token",
+    expiresAt: new Date("2026-03-02T11:00:00Z"),
+  }));
+  t.mock.method(secretBox, "encrypt", (plaintext) => `sealed:${plaintext}`);
+  const ctx = buildContext({ config: { credentialMode: "random" } });
+  ctx.outputs.locationId = "location-1";
+  const saved = [];
+  ctx.saveSecret = async (...args) => saved.push(args);
+
+  const result = await getStep("createUser").run(ctx);
+
+  assert.deepEqual(saved, [["revealToken", "sealed:reveal-token"]]);
+  assert.deepEqual(result.eventData.credentials, {
+    mode: "random",
+    revealExpiresAt: new Date("2026-03-02T11:00:00Z"),
+  });
+  assert.ok(!JSON.stringify(result).includes("reveal-token"));
+});
+
+test("an invite without a webhook is refused by the plan and fails the step", async (t) => {
+  useUserApi(t, null);
+  userCredentialService.sendInvite.mock.restore();
+  const ctx = buildContext({ config: { inviteWebhookUrl: undefined } });
+  ctx.outputs.locationId = "location-1";
+
+  const plan = await getStep("createUser").plan(ctx);
+  assert.match(plan.problem, /No invite webhook is configured/);
+
+  await assert.rejects(
+    getStep("createUser").run(ctx),
+    /no invite webhook is configured/
+  );
+  assert.equal(ghlService.deleteUser.mock.calls[0].arguments[0], "user-new");
+});
+
+test("an interrupted createUser rejects an existing user of another location", async (t) => {
+  useUserApi(t, {
+    id: "user-elsewhere",
+    email: "owner@acme.test",
+    roles: { locationIds: ["location-2"] },
+  });
+  const ctx = buildContext({ interruptedAt: INTERRUPTED_AT });
+  ctx.outputs.locationId = "location-1";
+
+  await assert.rejects(getStep("createUser").run(ctx), /User already exists/);
+  assert.equal(ghlService.createUser.mock.callCount(), 0);
+  assert.equal(ghlService.updateUser.mock.callCount(), 0);
+});
+
+test("an interrupted createUser keeps a supplied password that was already set", async (t) => {
+  useUserApi(t, {
+    id: "user-old",
+    email: "owner@acme.test",
+    roles: { locationIds: ["location-1"] },
+  });
+  const ctx = buildContext({
+    interruptedAt: INTERRUPTED_AT,
+    config: { credentialMode: "supplied" },
+  });
+  ctx.outputs.locationId = "location-1";
+
+  const result = await getStep("createUser").run(ctx);
+
+  assert.equal(ghlService.updateUser.mock.callCount(), 0);
+  assert.equal(ghlService.createUser.mock.callCount(), 0);
+  assert.equal(result.output.credentialMode, "supplied");
+});
+
+/**
+ * Stubs the Drive calls createDriveFolder makes, finding the given folders.
+ */
+function useDrive(t, folders) {
+  t.mock.method(googleDriveService, "findFolders", async () => folders);
+  t.mock.method(googleDriveService, "shareFolder", async () => {});
+  t.mock.method(googleDriveService, "createFolder", async () => "folder-new");
+}
+
+test("createDriveFolder creates a folder when the step was not interrupted", async (t) => {
+  useDrive(t, [{ id: "folder-old" }]);
+  const ctx = buildContext({ config: { driveParentFolderId: "parent-1" } });
+
+  const result = await getStep("createDriveFolder").run(ctx);
+
+  assert.equal(googleDriveService.findFolders.mock.callCount(), 0);
+  assert.deepEqual(googleDriveService.createFolder.mock.calls[0].arguments, [
+    "Acme",
+    "parent-1",
+    "owner@acme.test",
+  ]);
+  assert.equal(result.output.driveFolderId, "folder-new");
+});
+
+test("an interrupted createDriveFolder adopts the folder it created and shares it", async (t) => {
+  useDrive(t, [{ id: "folder-old" }]);
+  const ctx = buildContext({
+    interruptedAt: INTERRUPTED_AT,
+    config: { driveParentFolderId: "parent-1" },
+  });
+
+  const result = await getStep("createDriveFolder").run(ctx);
+
+  const [name, parent, since] =
+    googleDriveService.findFolders.mock.calls[0].arguments;
+  assert.deepEqual([name, parent], ["Acme", "parent-1"]);
+  assert.ok(since < INTERRUPTED_AT);
+  assert.equal(googleDriveService.createFolder.mock.callCount(), 0);
+  assert.deepEqual(googleDriveService.shareFolder.mock.calls[0].arguments, [
+    "folder-old",
+    "owner@acme.test",
+  ]);
+  assert.equal(ctx.outputs.driveFolderId, "folder-old");
+  assert.equal(
+    result.output.driveFolderLink,
+    "https://drive.google.com/drive/folders/folder-old"
+  );
+  assert.equal(ctx.warnings.length, 1);
+});
+
+test("an interrupted createDriveFolder creates the folder if none was made, and stops on several", async (t) => {
+  useDrive(t, []);
+  const ctx = buildContext({ interruptedAt: INTERRUPTED_AT });
+
+  await getStep("createDriveFolder").run(ctx);
+  assert.equal(googleDriveService.createFolder.mock.callCount(), 1);
+
+  googleDriveService.findFolders.mock.mockImplementation(async () => [
+    { id: "folder-a" },
+    { id: "folder-b" },
+  ]);
+  await assert.rejects(
+    getStep("createDriveFolder").run(ctx),
+    /Found 2 Drive folders named "Acme"/
+  );
+  assert.equal(googleDriveService.createFolder.mock.callCount(), 1);
+});
@@ -0,0 +1,384 @@
+const { applyUpdate } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const agencyService = require("../services/agencyService");
+const ghlService = require("../services/ghlService");
+const provisioningEvents = require("../services/provisioningEvents");
+const provisioningWorker = require("../services/provisioningWorker");
+const { PROVISIONING_STEPS } = require("../services/provisioningSteps");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Stands in for the provisioning job collection with a single job, with the
+ * lease semantics of the real queries: a claim only succeeds once the lease
+ * has run out, and updates only apply for the worker holding the lease.
+ */
+function useJobStore(t, fields = {}) {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    companyId: "company-1",
+    status: "pending",
+    input: { businessName: "Acme", email: "owner@acme.test" },
+    config: {
+      credentialMode: "invite",
+      inviteWebhookUrl: "https://hooks.test/invite",
+    },
+    steps: PROVISIONING_STEPS.map((step) => ({
+      name: step.name,
+      status: "pending",
+      attempts: 0,
+    })),
+    outputs: {},
+    runs: 0,
+    ...fields,
+  };
+  const leaseFree = () =>
+    !job.lockExpiresAt || job.lockExpiresAt.getTime() <= Date.now();
+
+  t.mock.method(ProvisioningJob, "findOneAndUpdate", async (filter, update) => {
+    if (!filter.status.$in.includes(job.status) || !leaseFree()) return null;
+    applyUpdate(job, update);
+    return new ProvisioningJob(job);
+  });
+  t.mock.method(ProvisioningJob, "updateOne", async (filter, update) => {
+    if (filter.lockedBy && filter.lockedBy !== job.lockedBy) {
+      return { matchedCount: 0 };
+    }
+    applyUpdate(job, update);
+    return { matchedCount: 1 };
+  });
+  t.mock.method(
+    ProvisioningJob,
+    "findById",
+    async () => new ProvisioningJob(job)
+  );
+  t.mock.method(ProvisioningJob, "find", () => ({
+    limit: async () =>
+      ["pending", "running", "rolling_back"].includes(job.status) &&
+      job.lockExpiresAt &&
+      leaseFree()
+        ? [{ _id: job._id }]
+        : [],
+  }));
+  return job;
+}
+
+/**
+ * Replaces every provisioning step with one that records how it was run.
+ */
+function useRecordedSteps(t, { onRun } = {}) {
+  const runs = [];
+  PROVISIONING_STEPS.forEach((step) => {
+    t.mock.method(step, "run", async (ctx) => {
+      runs.push({ step: step.name, interruptedAt: ctx.interruptedAt });
+      if (onRun) await onRun(step, ctx);
+      return { input: {}, output: { ran: step.name } };
+    });
+  });
+  return runs;
+}
+
+/**
+ * Records the job's progress events instead of storing them.
+ */
+function useRecordedEvents(t) {
+  const events = [];
+  t.mock.method(
+    provisioningEvents,
+    "recordEvent",
+    async (jobId, type, details = {}) => {
+      events.push({ type, ...details });
+      return { type };
+    }
+  );
+  return events;
+}
+
+test.beforeEach((t) => {
+  t.mock.method(agencyService, "getAgencyCredentials", async () => ({
+    access_token: "agency-token",
+  }));
+});
+
+test("runJob claims a free job, runs every step and releases the lease", async (t) => {
+  const job = useJobStore(t);
+  const runs = useRecordedSteps(t);
+  const events = useRecordedEvents(t);
+
+  const finished = await provisioningWorker.runJob(job._id);
+
+  assert.equal(finished.status, "completed");
+  assert.deepEqual(
+    runs.map((run) => run.step),
+    PROVISIONING_STEPS.map((step) => step.name)
+  );
+  assert.ok(runs.every((run) => run.interruptedAt === null));
+  assert.ok(job.steps.every((step) => step.status === "completed"));
+  assert.equal(job.runs, 1);
+  assert.equal(job.lockedBy, undefined);
+  assert.equal(job.lockExpiresAt, undefined);
+  assert.equal(events.at(-1).type, "done");
+  assert.equal(events.at(-1).data.status, "completed");
+});
+
+test("runJob leaves a job alone while another worker holds its lease", async (t) => {
+  const job = useJobStore(t, {
+    status: "running",
+    lockedBy: "other-worker",
+    lockExpiresAt: new Date(Date.now() + MINUTE),
+  });
+  const runs = useRecordedSteps(t);
+  useRecordedEvents(t);
+
+  assert.equal(await provisioningWorker.runJob(job._id), null);
+  assert.equal(runs.length, 0);
+  assert.equal(job.lockedBy, "other-worker");
+  assert.equal(job.runs, 0);
+});
+
+test("an expired job resumes after its last completed step and re-runs the interrupted one", async (t) => {
+  const interruptedAt = new Date(Date.now() - 10 * MINUTE);
+  const job = useJobStore(t, {
+    status: "running",
+    runs: 1,
+    lockedBy: "crashed-worker",
+    lockExpiresAt: new Date(Date.now() - MINUTE),
+    outputs: { locationId: "location-1" },
+  });
+  job.steps[0].status = "completed";
+  job.steps[1].status = "completed";
+  job.steps[2].status = "running";
+  job.steps[2].startedAt = interruptedAt;
+  job.steps[2].attempts = 1;
+  const runs = useRecordedSteps(t);
+  useRecordedEvents(t);
+
+  assert.equal(await provisioningWorker.resumeInterruptedJobs(), 1);
+
+  assert.deepEqual(
+    runs.map((run) => run.step),
+    PROVISIONING_STEPS.slice(2).map((step) => step.name)
+  );
+  assert.equal(runs[0].interruptedAt.getTime(), interruptedAt.getTime());
+  assert.ok(runs.slice(1).every((run) => run.interruptedAt === null));
+  assert.equal(job.status, "completed");
+  assert.equal(job.runs, 2);
+  assert.equal(job.steps[2].attempts, 2);
+  assert.equal(job.outputs.locationId, "location-1");
+});
+
+test("resumeInterruptedJobs skips jobs whose lease is still running", async (t) => {
+  useJobStore(t, {
+    status: "running",
+    lockedBy: "busy-worker",
+    lockExpiresAt: new Date(Date.now() + MINUTE),
+  });
+  const runs = useRecordedSteps(t);
+
+  assert.equal(await provisioningWorker.resumeInterruptedJobs(), 0);
+  assert.equal(runs.length, 0);
+});
+
+test("a worker that loses its lease stops without rolling the job back", async (t) => {
+  const job = useJobStore(t);
+  const runs = useRecordedSteps(t, {
+    onRun: async (step) => {
+      // Another worker claims the job while the second step runs
+      if (step === PROVISIONING_STEPS[1]) job.lockedBy = "other-worker";
+    },
+  });
+  const events = useRecordedEvents(t);
+
+  assert.equal(await provisioningWorker.runJob(job._id), null);
+
+  assert.equal(runs.length, 2);
+  assert.equal(job.status, "running");
+  assert.equal(job.steps[1].status, "running");
+  assert.equal(job.compensations, undefined);
+  assert.ok(events.every((event) => event.type !== "error"));
+});
+
+/**
+ * Makes a step fail, and records the compensations of the others.
+ */
+function useFailingStep(t, failingStep, { failCompensationOnce } = {}) {
+  const undone = [];
+  const runs = useRecordedSteps(t, {
+    onRun: async (step) => {
+      if (step.name === failingStep) throw new Error(`${step.name} broke`);
+    },
+  });
+  PROVISIONING_STEPS.filter((step) => step.compensate).forEach((step) => {
+    let failed = false;
+    t.mock.method(step, "compensate", async (ctx, output) => {
+      if (step.name === failCompensationOnce && !failed) {
+        failed = true;
+        throw new Error("GHL unavailable");
+      }
+      undone.push({ step: step.name, output });
+      return { undone: step.name };
+    });
+  });
+  return { runs, undone };
+}
+
+test("a failing step rolls back the completed steps in reverse order", async (t) => {
+  const job = useJobStore(t);
+  const { undone } = useFailingStep(t, "createDriveFolder");
+  const events = useRecordedEvents(t);
+
+  const finished = await provisioningWorker.runJob(job._id);
+
+  assert.equal(finished.status, "rolled_back");
+  assert.deepEqual(
+    undone.map(({ step, output }) => [step, output.ran]),
+    [
+      ["createUser", "createUser"],
+      ["createAccount", "createAccount"],
+    ]
+  );
+  assert.equal(job.steps[1].status, "compensated");
+  assert.equal(job.steps[2].status, "compensated");
+  assert.equal(job.steps[4].status, "failed");
+  assert.equal(job.lockedBy, undefined);
+  assert.equal(
+    events.find((event) => event.type === "error").step,
+    "createDriveFolder"
+  );
+  assert.equal(events.at(-1).data.status, "rolled_back");
+});
+
+test("steps whose rollback is disabled are kept and the job ends failed", async (t) => {
+  const job = useJobStore(t, {
+    config: { credentialMode: "invite", rollback: { createAccount: false } },
+  });
+  const { undone } = useFailingStep(t, "createDriveFolder");
+  useRecordedEvents(t);
+
+  const finished = await provisioningWorker.runJob(job._id);
+
+  assert.equal(finished.status, "failed");
+  assert.deepEqual(
+    undone.map(({ step }) => step),
+    ["createUser"]
+  );
+  assert.equal(job.steps[1].status, "completed");
+  assert.deepEqual(
+    job.compensations.map(({ step, status }) => [step, status]),
+    [
+      ["createUser", "completed"],
+      ["createAccount", "skipped"],
+    ]
+  );
+});
+
+test("a failing compensation is retried and every attempt is recorded", async (t) => {
+  const job = useJobStore(t);
+  const { undone } = useFailingStep(t, "getFunnelPage", {
+    failCompensationOnce: "createUser",
+  });
+  useRecordedEvents(t);
+
+  const finished = await provisioningWorker.runJob(job._id);
+
+  assert.equal(finished.status, "rolled_back");
+  assert.deepEqual(
+    undone.map(({ step }) => step),
+    ["createUser", "createAccount"]
+  );
+  assert.deepEqual(
+    job.compensations.map(({ step, attempt, status }) => [
+      step,
+      attempt,
+      status,
+    ]),
+    [
+      ["createUser", 1, "failed"],
+      ["createUser", 2, "completed"],
+      ["createAccount", 1, "completed"],
+    ]
+  );
+  assert.equal(job.compensations[0].error, "GHL unavailable");
+});
+
+/**
+ * Stubs the read-only GHL calls a plan makes.
+ */
+function usePlanReads(t, { userExists = false } = {}) {
+  t.mock.method(ghlService, "checkUserExists", async () => userExists);
+  t.mock.method(ghlService, "getLocationAccessToken", async () => "token");
+  t.mock.method(ghlService, "getCustomValues", async () => [
+    { id: "v1", name: "Brand Color", value: "#112233" },
+  ]);
+}
+
+const PLAN_PARAMS = {
+  companyId: "company-1",
+  input: {
+    businessName: "Acme",
+    email: "owner@acme.test",
+    firstName: "Ada",
+    lastName: "Lovelace",
+  },
+  config: {
+    parentLocationId: "parent",
+    driveParentFolderId: "folder-1",
+    fieldsToSync: ["Brand Color", "Support Email"],
+    credentialMode: "invite",
+    inviteWebhookUrl: "https://hooks.test/invite",
+  },
+};
+
+test("planJob describes every step without running or compensating any", async (t) => {
+  usePlanReads(t);
+  const runs = useRecordedSteps(t);
+
+  const plan = await provisioningWorker.planJob(PLAN_PARAMS);
+
+  assert.equal(runs.length, 0);
+  assert.equal(plan.ready, true);
+  assert.deepEqual(plan.problems, []);
+  assert.deepEqual(
+    plan.steps.map((step) => step.step),
+    PROVISIONING_STEPS.map((step) => step.name)
+  );
+  const byStep = Object.fromEntries(
+    plan.steps.map((step) => [step.step, step])
+  );
+  assert.equal(byStep.createAccount.undoneOnFailure, true);
+  assert.equal(byStep.checkUser.undoneOnFailure, undefined);
+  assert.equal(byStep.createDriveFolder.input.parentFolderId, "folder-1");
+  assert.deepEqual(
+    byStep.syncCustomValues.fields
+      .filter((field) => field.action !== "fill")
+      .map(({ name, action }) => [name, action]),
+    [
+      ["Brand Color", "copy"],
+      ["Support Email", "skip"],
+    ]
+  );
+  assert.equal(plan.warnings[0].step, "syncCustomValues");
+});
+
+test("planJob reports what would make the run fail", async (t) => {
+  usePlanReads(t, { userExists: true });
+
+  const plan = await provisioningWorker.planJob({
+    ...PLAN_PARAMS,
+    config: { ...PLAN_PARAMS.config, driveParentFolderId: undefined },
+  });
+
+  assert.equal(plan.ready, false);
+  assert.deepEqual(
+    plan.problems.map(({ step }) => step),
+    ["checkUser", "createDriveFolder"]
+  );
+
+  agencyService.getAgencyCredentials.mock.mockImplementation(async () => null);
+  const unauthorized = await provisioningWorker.planJob(PLAN_PARAMS);
+  assert.equal(unauthorized.ready, false);
+  assert.equal(unauthorized.problems[0].step, "credentials");
+});
@@ -0,0 +1,73 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { waitFor, ReadinessTimeoutError } = require("../services/readiness");
+
+test("waitFor polls until the condition holds, backing off between attempts", async () => {
+  const waits = [];
+  let attempts = 0;
+
+  const value = await waitFor(
+    async () => {
+      attempts += 1;
+      return attempts < 4
+        ? { ready: false, reason: `attempt ${attempts}` }
+        : { ready: true, value: "location-1" };
+    },
+    {
+      description: "the location to be readable",
+      initialIntervalMs: 1,
+      maxIntervalMs: 4,
+      onWaiting: ({ reason, attempt, waitMs }) =>
+        waits.push({ reason, attempt, waitMs }),
+    }
+  );
+
+  assert.equal(value, "location-1");
+  assert.deepEqual(waits, [
+    { reason: "attempt 1", attempt: 1, waitMs: 1 },
+    { reason: "attempt 2", attempt: 2, waitMs: 2 },
+    { reason: "attempt 3", attempt: 3, waitMs: 4 },
+  ]);
+});
+
+test("a probe that throws counts as not ready", async () => {
+  let attempts = 0;
+
+  const value = await waitFor(
+    async () => {
+      attempts += 1;
+      if (attempts === 1) throw new Error("404 Not Found");
+      return { ready: true, value: attempts };
+    },
+    { description: "the user to exist", initialIntervalMs: 1 }
+  );
+
+  assert.equal(value, 2);
+});
+
+test("waitFor gives up after the timeout, describing the last attempt", async () => {
+  await assert.rejects(
+    waitFor(
+      async () => {
+        throw new Error("404 Not Found");
+      },
+      {
+        description: "the snapshot to be loaded",
+        timeoutMs: 20,
+        initialIntervalMs: 5,
+        // Left unset by a template: the default applies
+        maxIntervalMs: undefined,
+      }
+    ),
+    (error) => {
+      assert.ok(error instanceof ReadinessTimeoutError);
+      assert.match(
+        error.message,
+        /waiting for the snapshot to be loaded \(last error: 404 Not Found\)/
+      );
+      assert.equal(error.lastError.message, "404 Not Found");
+      return true;
+    }
+  );
+});
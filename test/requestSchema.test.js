@@ -0,0 +1,165 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const requestSchema = require("../services/requestSchema");
+const onboardingSchema = require("../services/onboardingSchema");
+const { validateBody } = require("../middleware/validationMiddleware");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const VALID_BODY = {
+  businessName: "Acme",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  email: "owner@acme.test",
+  phone: "+14155550100",
+  address: "1 Market St",
+  city: "SF",
+  state: "CA",
+  country: "US",
+  postalCode: "94105",
+};
+
+test("a valid onboarding body passes unchanged", () => {
+  const { values, errors } = requestSchema.validate(
+    onboardingSchema,
+    VALID_BODY
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(values, VALID_BODY);
+});
+
+test("the field names older clients send are accepted", () => {
+  const { values, errors } = requestSchema.validate(onboardingSchema, {
+    "Business Name": "Acme",
+    first_name: "Ada",
+    "Last Name": "Lovelace",
+    Email: "owner@acme.test",
+    Phone: "+14155550100",
+    address1: "1 Market St",
+    City: "SF",
+    State: "CA",
+    Country: "US",
+    postal_code: "94105",
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(values, VALID_BODY);
+});
+
+test("an alias earlier in the list wins, and blank values are skipped", () => {
+  const { values } = requestSchema.validate(onboardingSchema, {
+    ...VALID_BODY,
+    business_name: "  ",
+    "Business Name": "Acme Legacy",
+  });
+
+  assert.equal(values.businessName, "Acme Legacy");
+});
+
+test("addresses, emails and phone numbers are normalised", () => {
+  const { values, errors } = requestSchema.validate(onboardingSchema, {
+    ...VALID_BODY,
+    email: " Owner@ACME.test ",
+    country: "United States",
+    state: "california",
+    postalCode: "94105-1234",
+    phone: "(415) 555-0100",
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(values.email, "owner@acme.test");
+  assert.equal(values.country, "US");
+  assert.equal(values.state, "CA");
+  assert.equal(values.postalCode, "94105-1234");
+  assert.equal(values.phone, "+14155550100");
+});
+
+test("postal code and state rules follow the country", () => {
+  const { values, errors } = requestSchema.validate(onboardingSchema, {
+    ...VALID_BODY,
+    country: "CA",
+    state: "Ontario",
+    postalCode: "m5v 3l9",
+    phone: "416 555 0100",
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(values.state, "Ontario");
+  assert.equal(values.postalCode, "M5V 3L9");
+  assert.equal(values.phone, "+14165550100");
+});
+
+test("every problem is reported by field", () => {
+  const { errors } = requestSchema.validate(onboardingSchema, {
+    ...VALID_BODY,
+    firstName: undefined,
+    email: "not-an-email",
+    state: "Atlantis",
+    postalCode: "ABC",
+    phone: "12",
+    city: "x".repeat(201),
+    businessName: { name: "Acme" },
+  });
+
+  assert.deepEqual(errors, [
+    { field: "first_name", message: "First name is required." },
+    { field: "email", message: "Email is not a valid address." },
+    { field: "business_name", message: "Business name must be text." },
+    { field: "city", message: "City must be at most 200 characters." },
+    { field: "state", message: "State must be a US state code (e.g. CA)." },
+    {
+      field: "postal_code",
+      message: "Postal code is not valid for US (e.g. 94105 or 94105-1234).",
+    },
+    {
+      field: "phone",
+      message:
+        "Phone must be in international E.164 format (e.g. +14155550123).",
+    },
+  ]);
+});
+
+test("an unknown country is rejected", () => {
+  const { errors } = requestSchema.validate(onboardingSchema, {
+    ...VALID_BODY,
+    country: "Narnia",
+  });
+
+  assert.deepEqual(
+    errors.map((error) => error.field),
+    ["country"]
+  );
+});
+
+test("validateBody answers an invalid body with 400 and the field errors", async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.post("/onboard", validateBody(onboardingSchema), (req, res) =>
+    res.json(req.validatedBody)
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  const post = (body) =>
+    fetch(`${server.url}/onboard`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  const invalid = await post({ ...VALID_BODY, email: "", phone: "12" });
+  assert.equal(invalid.status, 400);
+  const body = await invalid.json();
+  assert.equal(body.success, false);
+  assert.match(body.message, /^Invalid request: Email is required\. Phone/);
+  assert.deepEqual(
+    body.errors.map((error) => error.field),
+    ["email", "phone"]
+  );
+
+  const valid = await post({ ...VALID_BODY, country: "usa" });
+  assert.equal(valid.status, 200);
+  assert.equal((await valid.json()).country, "US");
+});
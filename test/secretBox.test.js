@@ -0,0 +1,142 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const secretBox = require("../services/secretBox");
+const OAuthCredentials = require("../models/OAuthCredentials");
+
+const KEY_ENV = ["ENCRYPTION_KEYS", "ENCRYPTION_ACTIVE_KEY_ID"];
+const OLD_KEY = crypto.randomBytes(32);
+const NEW_KEY = crypto.randomBytes(32);
+
+let savedEnv;
+test.beforeEach(() => {
+  savedEnv = Object.fromEntries(
+    KEY_ENV.map((name) => [name, process.env[name]])
+  );
+});
+test.afterEach(() => useKeys(savedEnv));
+
+/**
+ * Replaces the key ring configuration (the environment is restored after
+ * each test).
+ */
+function useKeys(env) {
+  KEY_ENV.forEach((name) => {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  });
+}
+
+test("encrypt and decrypt round-trip with the active key", () => {
+  useKeys({ ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")}` });
+
+  const encrypted = secretBox.encrypt("refresh-token-ü");
+
+  assert.ok(secretBox.isEncrypted(encrypted));
+  assert.ok(encrypted.startsWith("v2:k1:"));
+  assert.doesNotMatch(encrypted, /refresh-token/);
+  assert.equal(secretBox.getKeyId(encrypted), "k1");
+  assert.equal(secretBox.decrypt(encrypted), "refresh-token-ü");
+  // Every value gets its own data key and IV
+  assert.notEqual(secretBox.encrypt("refresh-token-ü"), encrypted);
+});
+
+test("a tampered value is refused", () => {
+  useKeys({ ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("base64")}` });
+  const parts = secretBox.encrypt("secret").split(":");
+  const ciphertext = Buffer.from(parts[7], "base64");
+  ciphertext[0] ^= 1;
+  parts[7] = ciphertext.toString("base64");
+
+  assert.throws(() => secretBox.decrypt(parts.join(":")));
+});
+
+test("rotation: values move to the new active key and old ones still decrypt", () => {
+  useKeys({ ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")}` });
+  const before = secretBox.encrypt("access-token");
+
+  useKeys({
+    ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")},k2:${NEW_KEY.toString("hex")}`,
+    ENCRYPTION_ACTIVE_KEY_ID: "k2",
+  });
+  assert.equal(secretBox.getActiveKeyId(), "k2");
+  assert.equal(secretBox.decrypt(before), "access-token");
+  const rotated = secretBox.reencrypt(before);
+  assert.equal(secretBox.getKeyId(rotated), "k2");
+  assert.equal(secretBox.decrypt(rotated), "access-token");
+  assert.equal(secretBox.getKeyId(secretBox.reencrypt("plaintext")), "k2");
+
+  // Once the old key is retired only migrated values can be read
+  useKeys({ ENCRYPTION_KEYS: `k2:${NEW_KEY.toString("hex")}` });
+  assert.equal(secretBox.decrypt(rotated), "access-token");
+  assert.throws(
+    () => secretBox.decrypt(before),
+    /Encryption key "k1" is not in the key ring/
+  );
+});
+
+test("the key ring is parsed again only when its configuration changes", (t) => {
+  useKeys({ ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")}` });
+  secretBox.getActiveKeyId();
+  // Keys are given in hex here, and only key parsing decodes hex
+  const from = t.mock.method(Buffer, "from");
+  const keyDecodes = () =>
+    from.mock.calls.filter((call) => call.arguments[1] === "hex").length;
+
+  secretBox.decrypt(secretBox.encrypt("value"));
+  assert.equal(keyDecodes(), 0);
+
+  useKeys({ ENCRYPTION_KEYS: `k2:${NEW_KEY.toString("hex")}` });
+  assert.equal(secretBox.getActiveKeyId(), "k2");
+  assert.equal(keyDecodes(), 1);
+});
+
+test("values in an unknown format are refused", () => {
+  useKeys({ ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")}` });
+
+  assert.equal(secretBox.isEncrypted("v1:iv:tag:ciphertext"), false);
+  assert.throws(
+    () => secretBox.decrypt("v1:iv:tag:ciphertext"),
+    /Unrecognised encrypted value format/
+  );
+});
+
+test("a misconfigured key ring is reported", () => {
+  useKeys({});
+  assert.equal(secretBox.isConfigured(), false);
+  assert.throws(() => secretBox.encrypt("x"), /No encryption key configured/);
+
+  useKeys({ ENCRYPTION_KEYS: "k1:tooshort" });
+  assert.throws(() => secretBox.encrypt("x"), /must be 32 bytes/);
+
+  useKeys({
+    ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")}`,
+    ENCRYPTION_ACTIVE_KEY_ID: "k9",
+  });
+  assert.throws(() => secretBox.encrypt("x"), /"k9" is not in the key ring/);
+});
+
+test("OAuth tokens are stored encrypted and read back in plaintext", () => {
+  useKeys({ ENCRYPTION_KEYS: `k1:${OLD_KEY.toString("hex")}` });
+
+  const credentials = new OAuthCredentials({
+    access_token: "access-token",
+    refresh_token: "refresh-token",
+    expires_in: 3600,
+    companyId: "company-1",
+  });
+
+  const stored = credentials.get("access_token", null, { getters: false });
+  assert.ok(secretBox.isEncrypted(stored));
+  assert.equal(secretBox.getKeyId(stored), "k1");
+  assert.equal(credentials.access_token, "access-token");
+  assert.equal(credentials.toObject().refresh_token, "refresh-token");
+});
+
+test("without a key ring fields are kept in plaintext", () => {
+  useKeys({});
+
+  assert.equal(secretBox.encryptField("token"), "token");
+  assert.equal(secretBox.decryptField("token"), "token");
+});
@@ -0,0 +1,122 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const CryptoJS = require("crypto-js");
+const express = require("express");
+const ssoRoutes = require("../routes/ssoRoutes");
+
+const SSO_ENV = {
+  GHL_APP_SHARED_SECRET: "ghl-shared-secret",
+  SSO_SESSION_SECRET: "session-secret",
+  SSO_APP_URL: "https://app.acme.test/dashboard",
+};
+const USER = {
+  userId: "user-1",
+  companyId: "company-1",
+  activeLocation: "location-1",
+  role: "admin",
+  type: "agency",
+};
+const ENCRYPTED = CryptoJS.AES.encrypt(
+  JSON.stringify(USER),
+  "ghl-shared-secret"
+).toString();
+
+let savedEnv;
+test.beforeEach(() => {
+  savedEnv = Object.fromEntries(
+    Object.keys(SSO_ENV).map((name) => [name, process.env[name]])
+  );
+  Object.assign(process.env, SSO_ENV);
+});
+test.afterEach(() => {
+  Object.entries(savedEnv).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+});
+
+/**
+ * Serves the SSO routes.
+ */
+async function startServer(t) {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/sso", ssoRoutes);
+  const server = await listen(app);
+  t.after(server.close);
+  return server;
+}
+
+test("the legacy endpoint redirects a query payload to the app with a session", async (t) => {
+  const server = await startServer(t);
+
+  const response = await fetch(
+    `${server.url}/api/sso/ghl?${new URLSearchParams({ encryptedData: ENCRYPTED })}`,
+    { redirect: "manual" }
+  );
+
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get("referrer-policy"), "no-referrer");
+  const location = new URL(response.headers.get("location"));
+  assert.equal(location.origin + location.pathname, SSO_ENV.SSO_APP_URL);
+  const session = new URLSearchParams(location.hash.slice(1)).get("ssoSession");
+  const check = await fetch(`${server.url}/api/sso/session`, {
+    headers: { "x-sso-session": session },
+  });
+  assert.equal((await check.json()).user.userId, "user-1");
+});
+
+test("the legacy endpoint answers JSON callers and form posts", async (t) => {
+  const server = await startServer(t);
+
+  const json = await fetch(`${server.url}/api/sso/ghl`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ encryptedData: ENCRYPTED }),
+  });
+  assert.equal(json.status, 200);
+  const body = await json.json();
+  assert.equal(body.companyId, "company-1");
+  assert.ok(body.ssoSession);
+
+  const form = await fetch(`${server.url}/api/sso/ghl`, {
+    method: "POST",
+    body: new URLSearchParams({ encryptedData: ENCRYPTED }),
+    redirect: "manual",
+  });
+  assert.equal(form.status, 302);
+
+  delete process.env.SSO_APP_URL;
+  const unconfigured = await fetch(
+    `${server.url}/api/sso/ghl?${new URLSearchParams({ encryptedData: ENCRYPTED })}`,
+    { redirect: "manual" }
+  );
+  assert.equal(unconfigured.status, 200);
+});
+
+test("a payload that does not decrypt is refused on both endpoints", async (t) => {
+  const server = await startServer(t);
+  const forged = CryptoJS.AES.encrypt(
+    JSON.stringify(USER),
+    "other-secret"
+  ).toString();
+
+  const legacy = await fetch(
+    `${server.url}/api/sso/ghl?${new URLSearchParams({ encryptedData: forged })}`,
+    { redirect: "manual" }
+  );
+  const current = await fetch(`${server.url}/api/sso/decrypt-user-data`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ encryptedData: forged }),
+  });
+
+  assert.equal(legacy.status, 400);
+  assert.equal(current.status, 400);
+  assert.equal((await legacy.json()).debug, undefined);
+  assert.equal(
+    (await fetch(`${server.url}/api/sso/ghl`, { method: "OPTIONS" })).status,
+    204
+  );
+});
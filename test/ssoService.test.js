@@ -0,0 +1,194 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const CryptoJS = require("crypto-js");
+const express = require("express");
+const ssoService = require("../services/ssoService");
+const signedToken = require("../services/signedToken");
+const {
+  requireSsoSession,
+  requireSsoRole,
+} = require("../middleware/ssoMiddleware");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const SSO_ENV = {
+  GHL_APP_SHARED_SECRET: "ghl-shared-secret",
+  SSO_SESSION_SECRET: "session-secret",
+  SSO_SESSION_TTL_MINUTES: undefined,
+};
+const USER = {
+  userId: "user-1",
+  companyId: "company-1",
+  activeLocation: "location-1",
+  role: "admin",
+  type: "agency",
+  email: "ada@acme.test",
+};
+
+let savedEnv;
+test.beforeEach(() => {
+  savedEnv = Object.fromEntries(
+    Object.keys(SSO_ENV).map((name) => [name, process.env[name]])
+  );
+  setEnv(SSO_ENV);
+});
+test.afterEach(() => setEnv(savedEnv));
+
+/**
+ * Sets (or, for undefined values, removes) environment variables.
+ */
+function setEnv(env) {
+  Object.entries(env).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+}
+
+test("decryptUserData opens payloads encrypted with the shared secret only", () => {
+  const encrypted = CryptoJS.AES.encrypt(
+    JSON.stringify(USER),
+    "ghl-shared-secret"
+  ).toString();
+
+  assert.deepEqual(ssoService.decryptUserData(encrypted), USER);
+  assert.throws(
+    () =>
+      ssoService.decryptUserData(
+        CryptoJS.AES.encrypt(JSON.stringify(USER), "other-secret").toString()
+      ),
+    { statusCode: 400 }
+  );
+  assert.throws(() => ssoService.decryptUserData(""), {
+    statusCode: 400,
+    message: "Missing encrypted data",
+  });
+});
+
+test("a session carries the user's context and nothing else", () => {
+  const { token, expiresAt } = ssoService.issueSession(USER);
+
+  const user = ssoService.verifySession(token);
+
+  assert.deepEqual(
+    { ...user, expiresAt: undefined },
+    {
+      userId: "user-1",
+      companyId: "company-1",
+      activeLocation: "location-1",
+      role: "admin",
+      type: "agency",
+      expiresAt: undefined,
+    }
+  );
+  assert.equal(
+    Math.floor(user.expiresAt.getTime() / 1000),
+    Math.floor(expiresAt.getTime() / 1000)
+  );
+  assert.ok(expiresAt.getTime() - Date.now() > 59 * 60 * 1000);
+});
+
+test("tampered, expired and foreign tokens are not sessions", () => {
+  const { token } = ssoService.issueSession(USER);
+  const [payload, signature] = token.split(".");
+  const promoted = Buffer.from(
+    JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, "base64url").toString()),
+      companyId: "company-2",
+    })
+  ).toString("base64url");
+
+  assert.throws(() => ssoService.verifySession(`${promoted}.${signature}`), {
+    code: "INVALID_TOKEN",
+  });
+  assert.throws(
+    () =>
+      ssoService.verifySession(
+        signedToken.sign(USER, {
+          secret: "session-secret",
+          purpose: "sso-session",
+          expiresInSeconds: -1,
+        })
+      ),
+    { code: "TOKEN_EXPIRED" }
+  );
+  assert.throws(
+    () =>
+      ssoService.verifySession(
+        signedToken.sign(USER, {
+          secret: "session-secret",
+          purpose: "oauth-state",
+          expiresInSeconds: 60,
+        })
+      ),
+    { code: "INVALID_TOKEN" }
+  );
+});
+
+test("sessions are signed with the session secret", () => {
+  const { token } = ssoService.issueSession(USER);
+
+  process.env.SSO_SESSION_SECRET = "rotated-secret";
+
+  assert.throws(() => ssoService.verifySession(token), {
+    code: "INVALID_TOKEN",
+  });
+});
+
+test("sessions need a secret of their own, not the GHL shared secret", () => {
+  ssoService.assertSessionSecret();
+
+  process.env.SSO_SESSION_SECRET = "ghl-shared-secret";
+  assert.throws(() => ssoService.assertSessionSecret(), /must differ/);
+
+  delete process.env.SSO_SESSION_SECRET;
+  assert.throws(() => ssoService.assertSessionSecret(), /not configured/);
+  assert.throws(() => ssoService.issueSession(USER), { statusCode: 500 });
+  const token = signedToken.sign(USER, {
+    secret: "ghl-shared-secret",
+    purpose: "sso-session",
+    expiresInSeconds: 60,
+  });
+  assert.throws(() => ssoService.verifySession(token), {
+    code: "INVALID_TOKEN",
+  });
+});
+
+test("sessions need a user and an agency", () => {
+  assert.throws(() => ssoService.issueSession({ userId: "user-1" }));
+  assert.throws(() => ssoService.issueSession({ companyId: "company-1" }));
+});
+
+test("the SSO middleware requires a valid session and role", async (t) => {
+  const app = express();
+  app.get("/me", requireSsoSession, (req, res) => res.json(req.ssoUser));
+  app.get("/admin", requireSsoSession, requireSsoRole("admin"), (req, res) =>
+    res.json({ ok: true })
+  );
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  const get = (path, token) =>
+    fetch(`${server.url}${path}`, {
+      headers: token ? { "x-sso-session": token } : {},
+    });
+
+  assert.equal((await get("/me")).status, 401);
+  assert.equal((await get("/me", "not-a-token")).status, 401);
+  const expired = await get(
+    "/me",
+    signedToken.sign(USER, {
+      secret: "session-secret",
+      purpose: "sso-session",
+      expiresInSeconds: -1,
+    })
+  );
+  assert.equal(expired.status, 401);
+  assert.match((await expired.json()).message, /has expired/);
+
+  const admin = ssoService.issueSession(USER).token;
+  assert.equal((await (await get("/me", admin)).json()).userId, "user-1");
+  assert.equal((await get("/admin", admin)).status, 200);
+
+  const user = ssoService.issueSession({ ...USER, role: "user" }).token;
+  assert.equal((await get("/admin", user)).status, 403);
+});
@@ -0,0 +1,139 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ProvisioningTemplate = require("../models/ProvisioningTemplate");
+const templateService = require("../services/templateService");
+
+const PERMISSIONS = { contactsEnabled: true, settingsEnabled: false };
+
+/**
+ * Keeps templates in memory. findOne supports the filters the service uses
+ * and, like a Mongoose query, can be awaited directly or sorted by version.
+ */
+function useTemplateStore(t, templates = []) {
+  const stored = templates.map((fields) => new ProvisioningTemplate(fields));
+  const matches = (template, filter) =>
+    Object.entries(filter).every(([key, value]) => {
+      if (key === "_id") return template._id.equals(value);
+      if (value?.$in) return value.$in.includes(template[key] ?? null);
+      return (template[key] ?? null) === value;
+    });
+  t.mock.method(ProvisioningTemplate, "findOne", (filter) => {
+    const found = stored.filter((template) => matches(template, filter));
+    const first = Promise.resolve(found[0] || null);
+    return {
+      sort: async ({ version }) =>
+        found.sort((a, b) => (a.version - b.version) * version)[0] || null,
+      then: (resolve, reject) => first.then(resolve, reject),
+    };
+  });
+  t.mock.method(ProvisioningTemplate.prototype, "save", async function () {
+    stored.push(this);
+    return this;
+  });
+  return stored;
+}
+
+const template = (fields) => ({
+  name: "default",
+  version: 1,
+  companyId: null,
+  user: { permissions: PERMISSIONS },
+  ...fields,
+});
+
+test("without templates the built-in settings apply", async (t) => {
+  useTemplateStore(t);
+
+  assert.equal(
+    await templateService.resolveTemplate("company-1"),
+    templateService.BUILT_IN_TEMPLATE
+  );
+});
+
+test("the latest active version is used, the agency's own before a shared one", async (t) => {
+  useTemplateStore(t, [
+    template({ version: 1, snapshotId: "shared" }),
+    template({ companyId: "company-1", version: 1, snapshotId: "own-1" }),
+    template({ companyId: "company-1", version: 2, snapshotId: "own-2" }),
+    template({
+      companyId: "company-1",
+      version: 3,
+      snapshotId: "own-3",
+      isActive: false,
+    }),
+  ]);
+
+  const own = await templateService.resolveTemplate("company-1");
+  const shared = await templateService.resolveTemplate("company-2");
+
+  assert.equal(own.snapshotId, "own-2");
+  assert.equal(own.version, 2);
+  assert.deepEqual(own.user.permissions, PERMISSIONS);
+  assert.equal(shared.snapshotId, "shared");
+});
+
+test("a template can be requested by ID or name, but not another agency's", async (t) => {
+  const [foreign, named] = useTemplateStore(t, [
+    template({ companyId: "company-2", name: "premium" }),
+    template({ companyId: "company-1", name: "premium", snapshotId: "own" }),
+  ]);
+
+  assert.equal(
+    (await templateService.resolveTemplate("company-1", String(named._id)))
+      .snapshotId,
+    "own"
+  );
+  assert.equal(
+    (await templateService.resolveTemplate("company-1", "premium")).snapshotId,
+    "own"
+  );
+  await assert.rejects(
+    templateService.resolveTemplate("company-1", String(foreign._id)),
+    { statusCode: 404 }
+  );
+  await assert.rejects(templateService.resolveTemplate("company-1", "gold"), {
+    statusCode: 404,
+    message: 'Provisioning template "gold" not found.',
+  });
+});
+
+test("an agency default template that does not exist is an error", async (t) => {
+  useTemplateStore(t);
+
+  await assert.rejects(
+    templateService.resolveTemplate("company-1", undefined, "premium"),
+    { statusCode: 404 }
+  );
+});
+
+test("an invalid stored template is refused", async (t) => {
+  useTemplateStore(t, [
+    template({ user: { permissions: { contactsEnabled: "yes" } } }),
+  ]);
+
+  await assert.rejects(templateService.resolveTemplate("company-1"), {
+    statusCode: 422,
+    message: /Provisioning template "default" is invalid/,
+  });
+});
+
+test("saving a template stores a new version and keeps the old one", async (t) => {
+  const stored = useTemplateStore(t, [template({ companyId: "company-1" })]);
+
+  const saved = await templateService.saveVersion({
+    ...template({ companyId: "company-1", snapshotId: "new" }),
+    version: 7,
+  });
+
+  assert.equal(saved.version, 2);
+  assert.equal(saved.isActive, true);
+  assert.deepEqual(
+    stored.map(({ version }) => version),
+    [1, 2]
+  );
+  assert.equal(
+    (await templateService.resolveTemplate("company-1")).snapshotId,
+    "new"
+  );
+});
@@ -0,0 +1,183 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const CredentialReveal = require("../models/CredentialReveal");
+const ProvisioningJob = require("../models/ProvisioningJob");
+const secretBox = require("../services/secretBox");
+const userCredentialService = require("../services/userCredentialService");
+
+const CONTEXT = {
+  email: "ada.lovelace@acme.test",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  businessName: "Acme",
+  postalCode: "94105",
+  phone: "+14155550100",
+};
+
+test.beforeEach((t) => {
+  t.mock.method(secretBox, "isConfigured", () => true);
+  t.mock.method(secretBox, "encrypt", (plaintext) => `sealed:${plaintext}`);
+  t.mock.method(secretBox, "decrypt", (sealed) =>
+    sealed.slice("sealed:".length)
+  );
+});
+
+test("generated passwords are long, random and use every character class", () => {
+  const passwords = Array.from({ length: 50 }, () =>
+    userCredentialService.generatePassword()
+  );
+
+  assert.equal(new Set(passwords).size, passwords.length);
+  passwords.forEach((password) => {
+    assert.equal(password.length, 20);
+    // Without a context: a random password may by chance contain a name
+    assert.deepEqual(userCredentialService.checkPasswordStrength(password), []);
+  });
+});
+
+test("supplied passwords are checked against the strength policy", () => {
+  const check = (password) =>
+    userCredentialService.checkPasswordStrength(password, CONTEXT);
+
+  assert.deepEqual(check(undefined), ["Password is required."]);
+  assert.deepEqual(check("Sh0rt!"), [
+    "Password must be at least 12 characters.",
+  ]);
+  assert.deepEqual(check("alllowercase1!"), [
+    "Password needs an uppercase letter.",
+  ]);
+  assert.deepEqual(check("NoDigitsOrSymbols"), [
+    "Password needs a digit.",
+    "Password needs a symbol.",
+  ]);
+  assert.deepEqual(check("Has Spaces 123!"), [
+    "Password must not contain spaces.",
+  ]);
+  assert.deepEqual(check("Lovelace#2024x"), [
+    "Password must not contain your name, email, phone or postal code.",
+  ]);
+  assert.deepEqual(check("Tr0ub4dor&3-horse"), []);
+});
+
+test("the credential mode comes from the template, then the environment", (t) => {
+  const saved = process.env.PROVISIONING_CREDENTIAL_MODE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.PROVISIONING_CREDENTIAL_MODE;
+    else process.env.PROVISIONING_CREDENTIAL_MODE = saved;
+  });
+  delete process.env.PROVISIONING_CREDENTIAL_MODE;
+
+  assert.equal(userCredentialService.resolveMode({}), "random");
+  process.env.PROVISIONING_CREDENTIAL_MODE = "invite";
+  assert.equal(userCredentialService.resolveMode({}), "invite");
+  assert.equal(
+    userCredentialService.resolveMode({ credentialMode: "supplied" }),
+    "supplied"
+  );
+  assert.throws(
+    () => userCredentialService.resolveMode({ credentialMode: "fixed" }),
+    { statusCode: 500 }
+  );
+});
+
+test("a mode the server is not configured for is refused up front", (t) => {
+  const saved = process.env.CREDENTIAL_INVITE_WEBHOOK_URL;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CREDENTIAL_INVITE_WEBHOOK_URL;
+    else process.env.CREDENTIAL_INVITE_WEBHOOK_URL = saved;
+  });
+  delete process.env.CREDENTIAL_INVITE_WEBHOOK_URL;
+
+  assert.throws(() => userCredentialService.assertModeAvailable("invite", {}), {
+    statusCode: 500,
+  });
+  userCredentialService.assertModeAvailable("invite", {
+    inviteWebhookUrl: "https://hooks.acme.test/invite",
+  });
+
+  secretBox.isConfigured.mock.mockImplementation(() => false);
+  assert.throws(() => userCredentialService.assertModeAvailable("random", {}), {
+    statusCode: 500,
+  });
+  assert.throws(
+    () => userCredentialService.assertModeAvailable("supplied", {}),
+    { statusCode: 500 }
+  );
+});
+
+test("a generated password can be revealed once, and is stored encrypted", async (t) => {
+  const reveals = [];
+  t.mock.method(CredentialReveal, "create", async (fields) =>
+    reveals.push(fields)
+  );
+  t.mock.method(
+    CredentialReveal,
+    "findOneAndDelete",
+    async ({ tokenHash, expiresAt }) => {
+      const index = reveals.findIndex(
+        (reveal) =>
+          reveal.tokenHash === tokenHash && reveal.expiresAt > expiresAt.$gt
+      );
+      return index === -1 ? null : reveals.splice(index, 1)[0];
+    }
+  );
+  t.mock.method(ProvisioningJob, "updateOne", async () => ({}));
+
+  const { token, expiresAt } = await userCredentialService.createReveal({
+    jobId: "job-1",
+    companyId: "company-1",
+    locationId: "location-1",
+    email: "owner@acme.test",
+    password: "Generated#Password1",
+  });
+
+  assert.ok(expiresAt > new Date());
+  assert.equal(reveals[0].secret, "sealed:Generated#Password1");
+  assert.ok(!JSON.stringify(reveals).includes(token));
+  assert.deepEqual(await userCredentialService.consumeReveal(token), {
+    email: "owner@acme.test",
+    locationId: "location-1",
+    password: "Generated#Password1",
+  });
+  assert.deepEqual(ProvisioningJob.updateOne.mock.calls[0].arguments, [
+    { _id: "job-1" },
+    { $unset: { "secrets.revealToken": "" } },
+  ]);
+  assert.equal(await userCredentialService.consumeReveal(token), null);
+  assert.equal(await userCredentialService.consumeReveal("forged"), null);
+});
+
+test("an invite is handed to the agency's webhook, and fails with it", async (t) => {
+  const received = [];
+  const app = express();
+  app.use(express.json());
+  app.post("/invite", (req, res) => {
+    received.push(req.body);
+    res.json({ ok: true });
+  });
+  app.post("/broken", (req, res) => res.status(500).end());
+  const server = await listen(app);
+  t.after(server.close);
+  const user = {
+    userId: "user-1",
+    email: "owner@acme.test",
+    firstName: "Ada",
+    lastName: "Lovelace",
+    locationId: "location-1",
+  };
+
+  await userCredentialService.sendInvite(`${server.url}/invite`, user);
+
+  assert.deepEqual(received, [{ event: "user_invite", ...user }]);
+  await assert.rejects(
+    userCredentialService.sendInvite(`${server.url}/broken`, user),
+    /User Invite Failed/
+  );
+  await assert.rejects(
+    userCredentialService.sendInvite(undefined, user),
+    /no invite webhook is configured/
+  );
+  assert.equal(received.length, 1);
+});
@@ -0,0 +1,242 @@
+const { listen } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+const Location = require("../models/Location");
+const WebhookEvent = require("../models/WebhookEvent");
+const webhookService = require("../services/webhookService");
+const webhookRoutes = require("../routes/webhookRoutes");
+const { captureRawBody } = require("../middleware/webhookMiddleware");
+const errorHandler = require("../middleware/errorMiddleware");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const PUBLIC_KEY_PEM = publicKey.export({ type: "spki", format: "pem" });
+
+const sign = (body, key = privateKey) =>
+  crypto.sign("sha256", Buffer.from(body), key).toString("base64");
+
+let savedPublicKey;
+test.beforeEach(() => {
+  savedPublicKey = process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  // Stored on one line, as in a .env file
+  process.env.GHL_WEBHOOK_PUBLIC_KEY = PUBLIC_KEY_PEM.replace(/\n/g, "\\n");
+});
+test.afterEach(() => {
+  if (savedPublicKey === undefined) delete process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  else process.env.GHL_WEBHOOK_PUBLIC_KEY = savedPublicKey;
+});
+
+/**
+ * Keeps webhook events in memory, unique by webhookId like the collection.
+ */
+function useEventStore(t) {
+  const events = [];
+  t.mock.method(WebhookEvent, "create", async (fields) => {
+    if (events.some((event) => event.webhookId === fields.webhookId)) {
+      throw Object.assign(new Error("E11000 duplicate key error"), {
+        code: 11000,
+      });
+    }
+    const event = new WebhookEvent(fields);
+    events.push(event);
+    return event;
+  });
+  t.mock.method(WebhookEvent, "findOne", async ({ webhookId }) =>
+    events.find((event) => event.webhookId === webhookId)
+  );
+  t.mock.method(WebhookEvent, "findOneAndUpdate", async (filter, update) => {
+    const staleBefore = filter.$or[0].claimed_at.$lte;
+    const event = events.find(
+      (candidate) =>
+        candidate.webhookId === filter.webhookId &&
+        candidate.status === filter.status &&
+        (candidate.claimed_at || candidate.received_at) <= staleBefore
+    );
+    if (event) Object.assign(event, update.$set);
+    return event || null;
+  });
+  t.mock.method(WebhookEvent.prototype, "save", async function () {
+    return this;
+  });
+  return events;
+}
+
+test("verifySignature accepts GHL's signature of the exact body only", () => {
+  const body = JSON.stringify({ type: "INSTALL", companyId: "company-1" });
+  const signature = sign(body);
+
+  assert.equal(webhookService.verifySignature(body, signature), true);
+  assert.equal(webhookService.verifySignature(`${body} `, signature), false);
+  assert.equal(
+    webhookService.verifySignature(
+      body,
+      sign(
+        body,
+        crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey
+      )
+    ),
+    false
+  );
+  assert.equal(webhookService.verifySignature(body, undefined), false);
+  assert.equal(webhookService.verifySignature(body, "not-base64!"), false);
+});
+
+test("a delivery seen before is recorded once and reported as a duplicate", async (t) => {
+  const events = useEventStore(t);
+  const body = JSON.stringify({ type: "ContactCreate", webhookId: "wh-1" });
+
+  const first = await webhookService.recordDelivery(body, JSON.parse(body));
+  const again = await webhookService.recordDelivery(body, JSON.parse(body));
+
+  assert.equal(first.duplicate, false);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.event, first.event);
+  assert.equal(events.length, 1);
+});
+
+test("deliveries without a webhook ID are deduplicated by their body", async (t) => {
+  useEventStore(t);
+  const body = JSON.stringify({ type: "ContactCreate", id: "contact-1" });
+
+  await webhookService.recordDelivery(body, JSON.parse(body));
+  const again = await webhookService.recordDelivery(body, JSON.parse(body));
+
+  assert.equal(again.duplicate, true);
+  assert.equal(
+    again.event.webhookId,
+    crypto.createHash("sha256").update(body).digest("hex")
+  );
+});
+
+/**
+ * Serves the webhook routes the way server.js mounts them.
+ */
+async function startServer(t) {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use("/api/webhooks", webhookRoutes);
+  app.use(errorHandler);
+  const server = await listen(app);
+  t.after(server.close);
+  return server;
+}
+
+/**
+ * Posts a webhook delivery with the given raw body.
+ */
+function deliver(server, body, headers = {}) {
+  return fetch(`${server.url}/api/webhooks/ghl`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+  });
+}
+
+test("the webhook endpoint rejects unsigned and badly signed deliveries", async (t) => {
+  const events = useEventStore(t);
+  const server = await startServer(t);
+  const body = JSON.stringify({ type: "UNINSTALL", companyId: "company-1" });
+
+  const unsigned = await deliver(server, body);
+  assert.equal(unsigned.status, 401);
+  const forged = await deliver(server, body, {
+    "x-wh-signature": sign(JSON.stringify({ type: "INSTALL" })),
+  });
+  assert.equal(forged.status, 401);
+  assert.equal(events.length, 0);
+});
+
+test("the webhook endpoint refuses deliveries while no public key is configured", async (t) => {
+  useEventStore(t);
+  const server = await startServer(t);
+  delete process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  const body = JSON.stringify({ type: "INSTALL" });
+
+  const response = await deliver(server, body, {
+    "x-wh-signature": sign(body),
+  });
+
+  assert.equal(response.status, 503);
+});
+
+test("a signed delivery is stored, handled and acknowledged once", async (t) => {
+  const events = useEventStore(t);
+  const server = await startServer(t);
+  // Signed over the bytes as sent, including the whitespace
+  const body = '{ "type": "ContactCreate", "webhookId": "wh-2" }';
+  const headers = { "x-wh-signature": sign(body) };
+
+  const first = await deliver(server, body, headers);
+  assert.equal(first.status, 200);
+  assert.deepEqual(await first.json(), { received: true, status: "ignored" });
+  assert.equal(events[0].rawBody, body);
+  assert.equal(events[0].attempts, 1);
+
+  const again = await deliver(server, body, headers);
+  assert.deepEqual(await again.json(), { received: true, duplicate: true });
+  assert.equal(events[0].attempts, 1);
+});
+
+test("a delivery whose handling was interrupted is handled on redelivery", async (t) => {
+  const events = useEventStore(t);
+  const body = JSON.stringify({ type: "ContactCreate", webhookId: "wh-3" });
+  const { event } = await webhookService.recordDelivery(body, JSON.parse(body));
+
+  // Another worker just claimed it: still a duplicate
+  assert.equal(
+    (await webhookService.recordDelivery(body, JSON.parse(body))).duplicate,
+    true
+  );
+
+  // Claimed long ago and never finished: handled again, and claimed anew
+  event.claimed_at = new Date(Date.now() - 10 * 60 * 1000);
+  const redelivery = await webhookService.recordDelivery(
+    body,
+    JSON.parse(body)
+  );
+  assert.equal(redelivery.duplicate, false);
+  assert.ok(Date.now() - redelivery.event.claimed_at.getTime() < 1000);
+  assert.equal(
+    (await webhookService.recordDelivery(body, JSON.parse(body))).duplicate,
+    true
+  );
+
+  // Handled deliveries are never handled again
+  event.status = "processed";
+  event.claimed_at = new Date(0);
+  assert.equal(
+    (await webhookService.recordDelivery(body, JSON.parse(body))).duplicate,
+    true
+  );
+  assert.equal(events.length, 1);
+});
+
+test("a location update is stored with its phone normalised", async (t) => {
+  t.mock.method(Location, "updateOne", async () => ({ upsertedCount: 1 }));
+  t.mock.method(WebhookEvent.prototype, "save", async function () {
+    return this;
+  });
+  const event = new WebhookEvent({
+    webhookId: "wh-4",
+    type: "LocationUpdate",
+    payload: {
+      type: "LocationUpdate",
+      id: "location-1",
+      companyId: "company-1",
+      name: "Acme",
+      phone: "(415) 555-0100",
+      country: "US",
+    },
+  });
+
+  await webhookService.processEvent(event);
+
+  assert.equal(event.status, "processed");
+  const [filter, update] = Location.updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { locationId: "location-1" });
+  assert.equal(update.$set.phone, "+14155550100");
+  assert.equal(update.$set.name, "Acme");
+});